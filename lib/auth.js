@@ -0,0 +1,362 @@
+/**
+ * Proxy Authentication
+ *
+ * Credentials the shim presents to the MCP-Compose proxy:
+ *
+ * - Static bearer tokens (MCP_API_KEY)
+ * - OAuth 2.1 client credentials, as in the MCP authorization spec. Tokens
+ *   are cached until shortly before they expire and fetched again when the
+ *   proxy answers 401. Without an explicit token URL, the authorization
+ *   server is discovered from the proxy's protected resource metadata
+ *   (RFC 9728) and its authorization server metadata (RFC 8414)
+ * - Mutual TLS with a client certificate, key and CA bundle
+ *
+ * Any secret can come from the environment variable itself, from a file
+ * (NAME_FILE) or from the output of a command (NAME_COMMAND), so keys can be
+ * kept in a keychain rather than in the desktop app's config:
+ *
+ *   MCP_API_KEY_COMMAND="security find-generic-password -s mcp-compose -w"
+ */
+
+const { execSync } = require('child_process');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const https = require('https');
+
+// Refresh tokens this long before they expire, to allow for clock skew and
+// requests in flight
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Raised when credentials are misconfigured or can't be obtained
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// =============================================================================
+// Secrets
+// =============================================================================
+
+/**
+ * Read a secret from the environment: NAME itself, else the contents of the
+ * file named by NAME_FILE, else the output of the command in NAME_COMMAND
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable name, e.g. MCP_API_KEY
+ * @returns {string} - The secret, or '' if none is configured
+ * @throws {AuthError} - If the file can't be read or the command fails
+ */
+function readSecret(env, name) {
+  if (env[name]) {
+    return env[name];
+  }
+
+  const file = env[`${name}_FILE`];
+  if (file) {
+    try {
+      return fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new AuthError(`Cannot read ${name}_FILE ${file}: ${error.message}`);
+    }
+  }
+
+  const command = env[`${name}_COMMAND`];
+  if (command) {
+    try {
+      return execSync(command, { encoding: 'utf8', timeout: 10000, stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch (error) {
+      const detail = (error.stderr || '').trim() || error.message;
+      throw new AuthError(`${name}_COMMAND failed: ${detail}`);
+    }
+  }
+
+  return '';
+}
+
+// =============================================================================
+// Mutual TLS
+// =============================================================================
+
+/**
+ * Create an HTTPS agent that presents a client certificate
+ * @param {Object} options - Certificate file paths
+ * @param {string} [options.cert] - Client certificate (PEM)
+ * @param {string} [options.key] - Client private key (PEM)
+ * @param {string} [options.ca] - CA bundle to verify the server with (PEM)
+ * @param {string} [options.passphrase] - Passphrase for the key
+ * @returns {https.Agent|null} - Agent, or null if no files are configured
+ * @throws {AuthError} - If only one of cert and key is given, or a file can't be read
+ */
+function createTlsAgent({ cert, key, ca, passphrase }) {
+  if (!cert && !key && !ca) {
+    return null;
+  }
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new AuthError('MCP_TLS_CERT and MCP_TLS_KEY must be set together');
+  }
+
+  const read = (file, name) => {
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      throw new AuthError(`Cannot read ${name} ${file}: ${error.message}`);
+    }
+  };
+
+  return new https.Agent({
+    keepAlive: true,
+    cert: cert ? read(cert, 'MCP_TLS_CERT') : undefined,
+    key: key ? read(key, 'MCP_TLS_KEY') : undefined,
+    ca: ca ? read(ca, 'MCP_TLS_CA') : undefined,
+    passphrase: passphrase || undefined,
+  });
+}
+
+// =============================================================================
+// Providers
+// =============================================================================
+
+/**
+ * Provider for a fixed bearer token (or no authentication at all)
+ * @param {string} token - Bearer token, or '' for none
+ * @returns {Object} - Provider
+ */
+function createStaticProvider(token) {
+  return {
+    type: token ? 'bearer' : 'none',
+    token: token || null,
+
+    async ensureToken() {
+      return this.token;
+    },
+
+    // A fixed token can't be renewed, so a 401 is final
+    async refresh() {
+      return false;
+    },
+  };
+}
+
+/**
+ * Find the URL given for a parameter of a WWW-Authenticate challenge
+ * @param {string} challenge - WWW-Authenticate header value
+ * @param {string} param - Parameter name, e.g. resource_metadata
+ * @returns {string|null} - Parameter value
+ */
+function challengeParam(challenge, param) {
+  const match = new RegExp(`${param}="([^"]*)"`).exec(challenge || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Provider for OAuth 2.1 client credentials
+ * @param {Object} options - Client settings
+ * @param {string} options.resource - Proxy URL the tokens are for (RFC 8707)
+ * @param {string} options.clientId - Client ID
+ * @param {string} options.clientSecret - Client secret
+ * @param {string} [options.tokenUrl] - Token endpoint; discovered if not set
+ * @param {string} [options.scope] - Space-separated scopes to request
+ * @param {https.Agent} [options.agent] - Agent for mutual TLS
+ * @param {number} [options.timeout] - Timeout for each HTTP request
+ * @returns {Object} - Provider
+ */
+function createOAuthProvider({ resource, clientId, clientSecret, tokenUrl, scope, agent, timeout = 30000 }) {
+  if (!clientId || !clientSecret) {
+    throw new AuthError('OAuth needs MCP_OAUTH_CLIENT_ID and MCP_OAUTH_CLIENT_SECRET');
+  }
+
+  // Failures to reach the authorization server are authentication errors
+  // too, so they aren't taken for the proxy being down
+  async function request(url, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await fetch(url, { ...options, agent: url.startsWith('https:') ? agent || undefined : undefined, signal: controller.signal });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.code || error.message;
+      throw new AuthError(`OAuth request to ${url} failed: ${reason}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async function getJson(url) {
+    const response = await request(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new AuthError(`OAuth discovery failed: ${url} returned HTTP ${response.status}`);
+    }
+    return response.json().catch((error) => {
+      throw new AuthError(`OAuth discovery failed: ${url} returned invalid JSON: ${error.message}`);
+    });
+  }
+
+  return {
+    type: 'oauth',
+    token: null,
+    expiresAt: 0,
+    refreshToken: null,
+    tokenUrl: tokenUrl || null,
+    metadataUrl: null,
+
+    // Token request in progress, shared by everyone waiting for it
+    pending: null,
+
+    /**
+     * Find the token endpoint through the proxy's metadata
+     * @returns {Promise<string>} - Token endpoint URL
+     */
+    async discover() {
+      const metadataUrl = this.metadataUrl || new URL('/.well-known/oauth-protected-resource', resource).href;
+      const metadata = await getJson(metadataUrl);
+      const issuer = Array.isArray(metadata.authorization_servers) && metadata.authorization_servers[0];
+      if (!issuer) {
+        throw new AuthError(`OAuth discovery failed: ${metadataUrl} lists no authorization_servers`);
+      }
+
+      const server = await getJson(new URL('/.well-known/oauth-authorization-server', issuer).href);
+      if (!server.token_endpoint) {
+        throw new AuthError(`OAuth discovery failed: ${issuer} has no token_endpoint`);
+      }
+      return server.token_endpoint;
+    },
+
+    /**
+     * Return a valid access token, fetching a new one if needed
+     * @returns {Promise<string>} - Access token
+     */
+    async ensureToken() {
+      if (this.token && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) {
+        return this.token;
+      }
+      if (!this.pending) {
+        this.pending = this.fetchToken().finally(() => {
+          this.pending = null;
+        });
+      }
+      return this.pending;
+    },
+
+    /**
+     * Request a token, using the refresh token if there is one and falling
+     * back to the client credentials grant
+     * @returns {Promise<string>} - Access token
+     */
+    async fetchToken() {
+      if (!this.tokenUrl) {
+        this.tokenUrl = await this.discover();
+      }
+
+      if (this.refreshToken) {
+        try {
+          return await this.grant({ grant_type: 'refresh_token', refresh_token: this.refreshToken });
+        } catch (error) {
+          this.refreshToken = null;
+        }
+      }
+
+      const params = { grant_type: 'client_credentials', resource };
+      if (scope) {
+        params.scope = scope;
+      }
+      return this.grant(params);
+    },
+
+    /**
+     * Call the token endpoint
+     * @param {Object} params - Grant parameters
+     * @returns {Promise<string>} - Access token
+     */
+    async grant(params) {
+      const credentials = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64');
+      const response = await request(this.tokenUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          'Authorization': `Basic ${credentials}`,
+        },
+        body: new URLSearchParams(params).toString(),
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || !body.access_token) {
+        const reason = body.error_description || body.error || `HTTP ${response.status}`;
+        throw new AuthError(`OAuth token request to ${this.tokenUrl} failed: ${reason}`);
+      }
+
+      this.token = body.access_token;
+      // Tokens without a lifetime are used until the proxy rejects them
+      this.expiresAt = body.expires_in ? Date.now() + body.expires_in * 1000 : Infinity;
+      this.refreshToken = body.refresh_token || this.refreshToken;
+      return this.token;
+    },
+
+    /**
+     * Get a new token after the proxy rejected one. Requests that fail
+     * together share a single refresh.
+     * @param {string|null} rejected - The token the proxy rejected
+     * @param {string} [challenge] - WWW-Authenticate header from the 401
+     * @returns {Promise<boolean>} - True if there is a new token to retry with
+     */
+    async refresh(rejected, challenge) {
+      if (this.token !== rejected && this.token) {
+        return true;
+      }
+
+      const metadataUrl = challengeParam(challenge, 'resource_metadata');
+      if (metadataUrl && !tokenUrl && metadataUrl !== this.metadataUrl) {
+        this.metadataUrl = metadataUrl;
+        this.tokenUrl = null;
+      }
+
+      this.expiresAt = 0;
+      return (await this.ensureToken()) !== rejected;
+    },
+  };
+}
+
+/**
+ * Create the provider for a configuration. OAuth is used when a client ID
+ * is set, a bearer token when a key is set, and nothing otherwise.
+ * @param {Object} options - Settings
+ * @param {string} [options.type] - 'none', 'bearer' or 'oauth' to override the choice
+ * @param {string} [options.apiKey] - Static bearer token
+ * @param {Object} [options.oauth] - Options for createOAuthProvider
+ * @returns {Object} - Provider
+ * @throws {AuthError} - If the settings don't fit the type
+ */
+function createProvider({ type, apiKey, oauth = {} }) {
+  const chosen = type || (oauth.clientId ? 'oauth' : apiKey ? 'bearer' : 'none');
+  switch (chosen) {
+    case 'oauth':
+      return createOAuthProvider(oauth);
+    case 'bearer':
+      if (!apiKey) {
+        throw new AuthError('MCP_AUTH=bearer needs MCP_API_KEY, MCP_API_KEY_FILE or MCP_API_KEY_COMMAND');
+      }
+      return createStaticProvider(apiKey);
+    case 'none':
+      return createStaticProvider('');
+    default:
+      throw new AuthError(`Invalid MCP_AUTH "${chosen}" (expected none, bearer or oauth)`);
+  }
+}
+
+module.exports = {
+  AuthError,
+  readSecret,
+  createTlsAgent,
+  createStaticProvider,
+  createOAuthProvider,
+  createProvider,
+};
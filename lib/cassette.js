@@ -0,0 +1,165 @@
+/**
+ * MCP Session Cassettes
+ *
+ * Records the shim's exchanges with the MCP-Compose proxy to a file, and
+ * plays them back later with no network, so agent workflows and regression
+ * tests can run against a captured session.
+ *
+ * A cassette is a JSON Lines file. The first line identifies the format and
+ * each further line is one request with what the proxy answered: the
+ * response, the messages the server streamed before it, or the error that
+ * stopped the exchange.
+ *
+ *   {"cassette":1,"recorded":"2025-01-01T12:00:00.000Z"}
+ *   {"server":"memory","request":{...},"response":{...}}
+ *   {"server":"memory","request":{...},"events":[{...}],"response":{...}}
+ *   {"server":"weather","request":{...},"error":{"message":"HTTP error 502: ...","status":502}}
+ *
+ * Requests are matched on server, method and parameters, not on their id.
+ * When the same request was recorded more than once the answers are played
+ * in order, and the last one is repeated after that.
+ */
+
+const fs = require('fs');
+
+const FORMAT_VERSION = 1;
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Raised when a cassette cannot be read or is not valid
+ */
+class CassetteError extends Error {
+  /**
+   * @param {string} file - Cassette file path
+   * @param {number} line - Line number within the file, or 0 for the whole file
+   * @param {string} message - What is wrong
+   */
+  constructor(file, line, message) {
+    super(`Invalid cassette ${file}${line ? ` at line ${line}` : ''}: ${message}`);
+    this.name = 'CassetteError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// =============================================================================
+// Recording
+// =============================================================================
+
+/**
+ * Start a new cassette, replacing any file already there. Interactions are
+ * appended as they complete, so a session that is killed keeps what it had.
+ * @param {string} file - Cassette file path
+ * @param {Date} [now] - Recording time, for the header
+ * @returns {Object} - Recorder with write(interaction)
+ */
+function createRecorder(file, now = new Date()) {
+  fs.writeFileSync(file, `${JSON.stringify({ cassette: FORMAT_VERSION, recorded: now.toISOString() })}\n`, { mode: 0o600 });
+
+  return {
+    file,
+
+    /**
+     * Append one interaction
+     * @param {Object} interaction - Server, request and what came back
+     */
+    write(interaction) {
+      fs.appendFileSync(file, `${JSON.stringify(interaction)}\n`);
+    },
+  };
+}
+
+// =============================================================================
+// Playback
+// =============================================================================
+
+/**
+ * Read and check a cassette
+ * @param {string} file - Cassette file path
+ * @returns {Object[]} - Interactions in recorded order
+ * @throws {CassetteError} - If the file can't be read or isn't a cassette
+ */
+function loadCassette(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new CassetteError(file, 0, error.message);
+  }
+
+  const interactions = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      throw new CassetteError(file, i + 1, `malformed JSON: ${error.message}`);
+    }
+
+    if (interactions.length === 0 && entry && entry.cassette !== undefined) {
+      if (entry.cassette !== FORMAT_VERSION) {
+        throw new CassetteError(file, i + 1, `unsupported version ${JSON.stringify(entry.cassette)} (expected ${FORMAT_VERSION})`);
+      }
+      continue;
+    }
+
+    if (!entry || typeof entry.server !== 'string' || typeof entry.request?.method !== 'string') {
+      throw new CassetteError(file, i + 1, 'expected an object with "server" and "request"');
+    }
+    if (entry.response === undefined && entry.error === undefined) {
+      throw new CassetteError(file, i + 1, 'expected a "response" or an "error"');
+    }
+    interactions.push(entry);
+  }
+
+  return interactions;
+}
+
+/**
+ * Create a player answering requests from recorded interactions
+ * @param {Object[]} interactions - Interactions from loadCassette
+ * @param {Function} keyFor - (server, request) => string; requests with the
+ *   same key are treated as the same request
+ * @returns {Object} - Player with take(server, request)
+ */
+function createPlayer(interactions, keyFor) {
+  const queues = new Map();
+  for (const interaction of interactions) {
+    const key = keyFor(interaction.server, interaction.request);
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    queues.get(key).push(interaction);
+  }
+
+  return {
+    /**
+     * Find the recorded answer to a request
+     * @param {string} server - Server the request is for
+     * @param {Object} request - JSON-RPC request
+     * @returns {Object|null} - Interaction, or null if none was recorded
+     */
+    take(server, request) {
+      const queue = queues.get(keyFor(server, request));
+      if (!queue) {
+        return null;
+      }
+      return queue.length > 1 ? queue.shift() : queue[0];
+    },
+  };
+}
+
+module.exports = {
+  CassetteError,
+  createRecorder,
+  loadCassette,
+  createPlayer,
+};
@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server Discovery
+ *
+ * Asks the MCP-Compose proxy which servers it is running and writes the
+ * matching `mcpServers` entries for Claude Desktop, so the config doesn't
+ * have to be kept in sync with the containers by hand:
+ *
+ *   mcp-npx discover                    Print the mcpServers block
+ *   mcp-npx discover --merge --dry-run  Show how the config file would change
+ *   mcp-npx discover --merge            Back up the config file and update it
+ *
+ * Each entry starts `lib/mcp-shim.js` for one server. Entries written this
+ * way are recognised on later runs and updated, or removed once their server
+ * is gone from the proxy; entries added by hand are left alone.
+ *
+ * The proxy URL and credentials are the shim's own (MCP_PROXY_URL,
+ * MCP_API_KEY and the other authentication settings).
+ */
+
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { CONFIG, applyServerRoute, endpoints, auth } = require('./mcp-shim');
+
+const SHIM_PATH = path.join(__dirname, 'mcp-shim.js');
+const DEFAULT_ENDPOINT = '/api/servers';
+
+// Server states that mean the server can take requests. Servers listed
+// without a state are assumed to be running.
+const RUNNING_STATES = ['running', 'up', 'healthy', 'ok', 'active', 'ready'];
+
+// Settings copied into each entry so the shim started by Claude Desktop
+// authenticates the same way. Only references to secrets are copied, unless
+// --with-secrets is given.
+const SETTINGS_ENV = [
+  'MCP_AUTH',
+  'MCP_API_KEY_FILE',
+  'MCP_API_KEY_COMMAND',
+  'MCP_OAUTH_TOKEN_URL',
+  'MCP_OAUTH_CLIENT_ID',
+  'MCP_OAUTH_CLIENT_SECRET_FILE',
+  'MCP_OAUTH_CLIENT_SECRET_COMMAND',
+  'MCP_OAUTH_SCOPE',
+  'MCP_TLS_CERT',
+  'MCP_TLS_KEY',
+  'MCP_TLS_KEY_PASSPHRASE_FILE',
+  'MCP_TLS_KEY_PASSPHRASE_COMMAND',
+  'MCP_TLS_CA',
+];
+const SECRETS_ENV = ['MCP_API_KEY', 'MCP_OAUTH_CLIENT_SECRET', 'MCP_TLS_KEY_PASSPHRASE'];
+
+// Path restrictions of an entry. They belong to the entry, not the proxy, so
+// they are kept when discovery rewrites it.
+const PATHS_ENV = ['MCP_ALLOWED_PATHS', 'MCP_DENY_PATHS'];
+
+// Servers the shim restricts to allowed paths. Without MCP_ALLOWED_PATHS
+// their entries would give the server every path on the machine.
+const FILESYSTEM_SERVERS = ['filesystem'];
+
+// =============================================================================
+// Claude Desktop Config
+// =============================================================================
+
+/**
+ * Get the path of Claude Desktop's config file
+ * @param {Object} [env] - Environment variables
+ * @param {string} [platform] - Operating system, as in process.platform
+ * @returns {string} - Path to claude_desktop_config.json
+ */
+function getConfigFile(env = process.env, platform = process.platform) {
+  const home = env.HOME || os.homedir();
+  if (platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+  }
+  if (platform === 'win32') {
+    return path.join(env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'Claude', 'claude_desktop_config.json');
+  }
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'Claude', 'claude_desktop_config.json');
+}
+
+/**
+ * Read the config file
+ * @param {string} file - Config file path
+ * @returns {Object|null} - Parsed config, or null if the file doesn't exist
+ * @throws {Error} - If the file can't be read or isn't a JSON object
+ */
+function readConfig(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${file}: expected a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Check whether a config entry was written by discovery
+ * @param {Object} entry - mcpServers entry
+ * @returns {boolean} - True if it starts the shim for a named server
+ */
+function isManaged(entry) {
+  return Boolean(entry && typeof entry.env?.MCP_SERVER_NAME === 'string' &&
+    Array.isArray(entry.args) && entry.args.some(arg => path.basename(String(arg)) === 'mcp-shim.js'));
+}
+
+/**
+ * Build the mcpServers entry that starts the shim for one server
+ * @param {string} server - Server name on the proxy
+ * @param {Object} options - Entry settings
+ * @param {string} options.proxyUrl - Proxy URL setting
+ * @param {Object} [options.env] - Environment to copy authentication settings from
+ * @param {boolean} [options.withSecrets] - Copy secrets too, not only references to them
+ * @param {string[]} [options.allowedPaths] - Paths the server may use (MCP_ALLOWED_PATHS)
+ * @returns {Object} - Entry
+ */
+function buildEntry(server, { proxyUrl, env = process.env, withSecrets = false, allowedPaths = [] }) {
+  const entryEnv = { MCP_SERVER_NAME: server, MCP_PROXY_URL: proxyUrl };
+  for (const name of withSecrets ? [...SETTINGS_ENV, ...SECRETS_ENV] : SETTINGS_ENV) {
+    if (env[name]) {
+      entryEnv[name] = env[name];
+    }
+  }
+  if (allowedPaths.length > 0) {
+    entryEnv.MCP_ALLOWED_PATHS = allowedPaths.join(',');
+  }
+
+  return {
+    command: process.execPath,
+    args: [SHIM_PATH],
+    env: entryEnv,
+  };
+}
+
+/**
+ * Check whether a server needs allowed paths in its entry
+ * @param {string} server - Server name on the proxy
+ * @returns {boolean} - True for filesystem servers
+ */
+function needsAllowedPaths(server) {
+  return FILESYSTEM_SERVERS.includes(server);
+}
+
+/**
+ * Give a discovered entry the path restrictions of the entry it replaces,
+ * where it doesn't set its own
+ * @param {Object} entry - Discovered entry
+ * @param {Object} [previous] - Entry currently in the config
+ * @returns {Object} - Entry with the restrictions
+ */
+function keepPaths(entry, previous) {
+  const env = { ...entry.env };
+  for (const name of PATHS_ENV) {
+    if (!env[name] && typeof previous?.env?.[name] === 'string' && previous.env[name]) {
+      env[name] = previous.env[name];
+    }
+  }
+  return { ...entry, env };
+}
+
+/**
+ * Merge discovered entries into a config. Entries written by an earlier run
+ * are replaced, keeping their allowed and denied paths, and removed if their
+ * server is gone from the same proxy. Entries added by hand are only
+ * replaced with force.
+ * @param {Object|null} config - Current config
+ * @param {Object} entries - Discovered entries by server name
+ * @param {Object} [options] - Merge options
+ * @param {string} [options.proxyUrl] - Proxy the entries came from
+ * @param {boolean} [options.force] - Replace entries added by hand
+ * @param {string[]} [options.keep] - Servers whose current entries are left
+ *   as they are, even though they weren't discovered
+ * @returns {Object} - { config, added, updated, removed, skipped } with server names
+ */
+function mergeServers(config, entries, { proxyUrl, force = false, keep = [] } = {}) {
+  const current = (config && config.mcpServers) || {};
+  const servers = {};
+  const changes = { added: [], updated: [], removed: [], skipped: [] };
+
+  for (const [name, entry] of Object.entries(current)) {
+    if (keep.includes(name)) {
+      servers[name] = entry;
+      continue;
+    }
+    if (name in entries) {
+      if (!isManaged(entry) && !force) {
+        changes.skipped.push(name);
+        servers[name] = entry;
+      }
+      continue;
+    }
+    if (isManaged(entry) && entry.env.MCP_PROXY_URL === proxyUrl) {
+      changes.removed.push(name);
+      continue;
+    }
+    servers[name] = entry;
+  }
+
+  for (const [name, discovered] of Object.entries(entries)) {
+    if (changes.skipped.includes(name)) {
+      continue;
+    }
+    const entry = keepPaths(discovered, current[name]);
+    if (!(name in current)) {
+      changes.added.push(name);
+    } else if (JSON.stringify(current[name]) !== JSON.stringify(entry)) {
+      changes.updated.push(name);
+    }
+    servers[name] = entry;
+  }
+
+  return { config: { ...(config || {}), mcpServers: servers }, ...changes };
+}
+
+/**
+ * Copy the config file aside before it is changed
+ * @param {string} file - Config file path
+ * @param {Date} [now] - Time for the backup's name
+ * @returns {string} - Backup path
+ */
+function backupConfig(file, now = new Date()) {
+  const backup = `${file}.${now.toISOString().replace(/[:.]/g, '-')}.bak`;
+  fs.copyFileSync(file, backup);
+  return backup;
+}
+
+/**
+ * Write the config file, replacing it in one step so Claude Desktop never
+ * sees half a file
+ * @param {string} file - Config file path
+ * @param {Object} config - Config to write
+ */
+function writeConfig(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(config, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+// =============================================================================
+// Diff
+// =============================================================================
+
+/**
+ * Compare two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object[]} - [{ type: ' ' | '-' | '+', line }] in order
+ */
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Longest common subsequence, filled from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      lines.push({ type: '+', line: b[j++] });
+    } else {
+      lines.push({ type: '-', line: a[i++] });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Format a diff for the terminal, showing changed lines with some context
+ * @param {Object[]} lines - Diff from diffLines()
+ * @param {number} [context] - Unchanged lines to show around each change
+ * @returns {string} - Diff text, or '' if nothing changed
+ */
+function formatDiff(lines, context = 3) {
+  const changed = lines.map(({ type }) => type !== ' ');
+  if (!changed.includes(true)) {
+    return '';
+  }
+
+  const output = [];
+  let skipping = false;
+  lines.forEach(({ type, line }, index) => {
+    const near = changed.slice(Math.max(0, index - context), index + context + 1).includes(true);
+    if (near) {
+      output.push(`${type} ${line}`);
+      skipping = false;
+    } else if (!skipping) {
+      output.push('  ...');
+      skipping = true;
+    }
+  });
+  return output.join('\n');
+}
+
+// =============================================================================
+// Proxy
+// =============================================================================
+
+/**
+ * Read server names from the proxy's listing. Accepts a list of names or of
+ * objects with a name, an object keyed by name, or either inside "servers".
+ * @param {*} body - Parsed response body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.all] - Include servers that aren't running
+ * @returns {string[]} - Server names, sorted
+ * @throws {Error} - If the body isn't a server listing
+ */
+function parseServerList(body, { all = false } = {}) {
+  const listing = body && !Array.isArray(body) && typeof body.servers === 'object' ? body.servers : body;
+
+  let servers;
+  if (Array.isArray(listing)) {
+    servers = listing.map(item => typeof item === 'string' ? { name: item } : item);
+  } else if (listing && typeof listing === 'object') {
+    servers = Object.entries(listing).map(([name, info]) => ({ name, ...(info && typeof info === 'object' ? info : {}) }));
+  } else {
+    throw new Error('Proxy server listing is not a list or object of servers');
+  }
+
+  const isRunning = server => typeof server.status !== 'string' || RUNNING_STATES.includes(server.status.toLowerCase());
+  return servers
+    .filter(server => server && typeof server.name === 'string' && /^[A-Za-z0-9_.-]+$/.test(server.name))
+    .filter(server => all || isRunning(server))
+    .map(server => server.name)
+    .sort();
+}
+
+/**
+ * Fetch the server listing from the proxy, trying each configured proxy URL
+ * in turn. Uses the shim's credentials, renewing the token once on a 401.
+ * @param {Object} [options] - Options
+ * @param {string} [options.endpoint] - Path of the listing on the proxy
+ * @param {boolean} [options.all] - Include servers that aren't running
+ * @returns {Promise<string[]>} - Server names
+ * @throws {Error} - If no proxy answers with a listing
+ */
+async function fetchServers({ endpoint = DEFAULT_ENDPOINT, all = false } = {}) {
+  endpoints.configure(CONFIG.proxyUrl, 'failover');
+  auth.configure();
+
+  let lastError = null;
+  try {
+    for (const { url } of endpoints.list) {
+      const listingUrl = `${url}${endpoint}`;
+      let reauthorized = false;
+      for (;;) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+        try {
+          const token = await auth.prepare();
+          const response = await fetch(listingUrl, {
+            headers: { 'Accept': 'application/json', ...(token && { 'Authorization': `Bearer ${token}` }) },
+            agent: auth.agent,
+            signal: controller.signal,
+          });
+
+          if (response.status === 401 && !reauthorized &&
+              await auth.handleUnauthorized({ token, authenticate: response.headers.get('www-authenticate') })) {
+            reauthorized = true;
+            continue;
+          }
+          if (!response.ok) {
+            throw new Error(`${listingUrl} returned HTTP ${response.status}`);
+          }
+          return parseServerList(await response.json(), { all });
+        } catch (error) {
+          lastError = error.name === 'AbortError' ? new Error(`${listingUrl} timed out`) : error;
+          break;
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      }
+    }
+  } finally {
+    endpoints.stop();
+  }
+  throw lastError;
+}
+
+// =============================================================================
+// Command Line Interface
+// =============================================================================
+
+/**
+ * Entry point for `mcp-npx discover` (or `node lib/discover.js`).
+ *
+ *   --merge            Merge into the Claude Desktop config instead of printing
+ *   --dry-run          With --merge, show the changes without writing them
+ *   --config <file>    Config file (default: Claude Desktop's, per platform)
+ *   --endpoint <path>  Server listing on the proxy (default: /api/servers)
+ *   --all              Include servers that aren't running
+ *   --allow <path>     Path a filesystem server may use; repeat for more.
+ *                      Entries for filesystem servers are only written with
+ *                      allowed paths, given here or kept from the config.
+ *   --force            Replace entries of the same name that were added by hand
+ *   --with-secrets     Copy API keys and client secrets into the config
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit status
+ */
+async function main(argv) {
+  const flags = new Set(argv.filter(arg => ['--merge', '--dry-run', '--all', '--force', '--with-secrets'].includes(arg)));
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index === -1 ? null : argv[index + 1] || null;
+  };
+  const isAllowed = (arg, index) => index > 0 && argv[index - 1] === '--allow';
+  const allowedPaths = argv.filter(isAllowed).map(value => path.resolve(value));
+  const known = new Set([...flags, '--config', option('--config'), '--endpoint', option('--endpoint'), '--allow']);
+  const unknown = argv.find((arg, index) => !known.has(arg) && !isAllowed(arg, index));
+  if (unknown !== undefined) {
+    console.error(`Unknown option: ${unknown}`);
+    console.error('Usage: mcp-npx discover [--merge [--dry-run]] [--config <file>] [--endpoint <path>] [--allow <path>]... [--all] [--force] [--with-secrets]');
+    return 2;
+  }
+
+  try {
+    applyServerRoute();
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    return 1;
+  }
+
+  let servers;
+  try {
+    servers = await fetchServers({ endpoint: option('--endpoint') || DEFAULT_ENDPOINT, all: flags.has('--all') });
+  } catch (error) {
+    console.error(`ERROR: Could not list servers on ${CONFIG.proxyUrl}: ${error.message}`);
+    return 1;
+  }
+
+  if (servers.length === 0) {
+    console.error(`No running servers found on ${CONFIG.proxyUrl}`);
+  }
+
+  const file = option('--config') || getConfigFile();
+  let config = null;
+  if (flags.has('--merge')) {
+    try {
+      config = readConfig(file);
+    } catch (error) {
+      console.error(`ERROR: ${error.message}`);
+      return 1;
+    }
+  }
+
+  // Filesystem servers need the paths they may use, from --allow or the
+  // entry already in the config
+  const entries = {};
+  const keep = [];
+  for (const server of servers) {
+    const entry = buildEntry(server, {
+      proxyUrl: CONFIG.proxyUrl,
+      withSecrets: flags.has('--with-secrets'),
+      allowedPaths: needsAllowedPaths(server) ? allowedPaths : [],
+    });
+    if (needsAllowedPaths(server) && !keepPaths(entry, config?.mcpServers?.[server]).env.MCP_ALLOWED_PATHS) {
+      console.error(`Skipping "${server}": give the paths it may use with --allow <path>`);
+      keep.push(server);
+      continue;
+    }
+    entries[server] = entry;
+  }
+
+  if (!flags.has('--merge')) {
+    console.log(JSON.stringify({ mcpServers: entries }, null, 2));
+    return 0;
+  }
+
+  try {
+    const merged = mergeServers(config, entries, { proxyUrl: CONFIG.proxyUrl, force: flags.has('--force'), keep });
+    for (const name of merged.skipped) {
+      console.error(`Keeping hand-written entry "${name}" (use --force to replace it)`);
+    }
+
+    const before = config ? JSON.stringify(config, null, 2) : '';
+    const diff = formatDiff(diffLines(before, JSON.stringify(merged.config, null, 2)));
+    if (!diff) {
+      console.error(`${file} is up to date`);
+      return 0;
+    }
+
+    console.log(`--- ${file}\n+++ ${file} (discovered)\n${diff}`);
+    if (flags.has('--dry-run')) {
+      console.error(`Dry run: ${file} not changed`);
+      return 0;
+    }
+
+    if (config) {
+      console.error(`Backed up ${file} to ${backupConfig(file)}`);
+    }
+    writeConfig(file, merged.config);
+    console.error(`Updated ${file}: ${merged.added.length} added, ${merged.updated.length} updated, ${merged.removed.length} removed. Restart Claude Desktop to apply.`);
+    return 0;
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((status) => {
+    process.exit(status);
+  });
+}
+
+module.exports = {
+  getConfigFile,
+  readConfig,
+  isManaged,
+  buildEntry,
+  needsAllowedPaths,
+  keepPaths,
+  mergeServers,
+  backupConfig,
+  diffLines,
+  formatDiff,
+  parseServerList,
+  fetchServers,
+  main,
+};
@@ -0,0 +1,226 @@
+/**
+ * Disk Cache Store
+ *
+ * Persistent store for cached MCP responses, shared by every shim process
+ * that points at the same directory. Each entry is a JSON file named after
+ * the SHA-256 hash of its cache key, so concurrent processes never need a
+ * lock:
+ *
+ * - Writes go to a temporary file that is renamed into place, so readers see
+ *   either the old entry or the new one, never a partial file
+ * - Deleting an entry another process already deleted is not an error
+ * - Unreadable or corrupt files are treated as misses and removed
+ *
+ * Garbage collection removes expired entries, then the least recently used
+ * ones (by modification time, which is refreshed on every hit) until the
+ * store fits its byte budget.
+ *
+ * Layout:
+ *
+ *   <dir>/<namespace>/<sha256(key)>.json
+ *     { "key": ..., "expiry": <ms>, "meta": {...}, "value": {...} }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const fsp = fs.promises;
+
+/**
+ * Run an fs operation, treating a missing file as success
+ * @param {Promise} operation - Pending fs operation
+ * @returns {Promise<*>} - Result, or null if the file didn't exist
+ */
+async function ignoreMissing(operation) {
+  try {
+    return await operation;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a store in a directory
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Cache directory shared between processes
+ * @param {string} options.namespace - Subdirectory for this server and proxy
+ * @param {number} options.maxBytes - Size budget for the namespace
+ * @returns {Object} - Store with get, set, delete, deleteWhere and collectGarbage
+ */
+function createStore({ dir, namespace, maxBytes }) {
+  const root = path.join(dir, namespace);
+  let ready = null;
+
+  function fileFor(key) {
+    return path.join(root, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  // Create the directory once, on first use
+  function ensureDir() {
+    if (!ready) {
+      ready = fsp.mkdir(root, { recursive: true, mode: 0o700 });
+    }
+    return ready;
+  }
+
+  async function readEntry(file) {
+    let text;
+    try {
+      text = await fsp.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      await ignoreMissing(fsp.unlink(file));
+      return null;
+    }
+  }
+
+  async function listFiles() {
+    const names = await ignoreMissing(fsp.readdir(root)) || [];
+    return names.filter(name => name.endsWith('.json')).map(name => path.join(root, name));
+  }
+
+  return {
+    root,
+
+    /**
+     * Look up an entry. Expired entries are left for garbage collection, so
+     * they can still be read as a last resort.
+     * @param {string} key - Cache key
+     * @param {Object} [options] - Lookup options
+     * @param {boolean} [options.allowExpired] - Return the entry even if it has expired
+     * @returns {Promise<Object|null>} - { value, expiry, meta }, or null if missing or expired
+     */
+    async get(key, { allowExpired = false } = {}) {
+      const file = fileFor(key);
+      const entry = await readEntry(file);
+
+      // A hash collision would be astronomically unlikely, but cheap to rule out
+      if (!entry || entry.key !== key) {
+        return null;
+      }
+
+      if (Date.now() > entry.expiry && !allowExpired) {
+        return null;
+      }
+
+      // Mark as recently used for garbage collection
+      const now = new Date();
+      await ignoreMissing(fsp.utimes(file, now, now));
+      return entry;
+    },
+
+    /**
+     * Store an entry, replacing any existing one atomically
+     * @param {string} key - Cache key
+     * @param {Object} value - Response to store
+     * @param {number} expiry - Time after which the entry is discarded (ms since epoch)
+     * @param {Object} [meta] - Extra data used for invalidation
+     * @returns {Promise<void>}
+     */
+    async set(key, value, expiry, meta = {}) {
+      await ensureDir();
+
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fsp.writeFile(temp, JSON.stringify({ key, expiry, meta, value }), { mode: 0o600 });
+        await fsp.rename(temp, file);
+      } catch (error) {
+        await ignoreMissing(fsp.unlink(temp));
+        throw error;
+      }
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      await ignoreMissing(fsp.unlink(fileFor(key)));
+    },
+
+    /**
+     * Remove every entry matching a predicate
+     * @param {Function} predicate - Called with each entry's { key, meta }
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async deleteWhere(predicate) {
+      let removed = 0;
+      for (const file of await listFiles()) {
+        const entry = await readEntry(file);
+        if (entry && predicate({ key: entry.key, meta: entry.meta || {} })) {
+          await ignoreMissing(fsp.unlink(file));
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    /**
+     * Remove expired entries, then the least recently used ones until the
+     * namespace fits its byte budget. Leftover temporary files from crashed
+     * writers are removed once they are a minute old.
+     * @returns {Promise<Object>} - { removed, bytes } after collection
+     */
+    async collectGarbage() {
+      const names = await ignoreMissing(fsp.readdir(root)) || [];
+      const now = Date.now();
+      const live = [];
+      let removed = 0;
+
+      for (const name of names) {
+        const file = path.join(root, name);
+        const stats = await ignoreMissing(fsp.stat(file));
+        if (!stats) {
+          continue;
+        }
+
+        if (name.endsWith('.tmp')) {
+          if (now - stats.mtimeMs > 60 * 1000) {
+            await ignoreMissing(fsp.unlink(file));
+          }
+          continue;
+        }
+
+        const entry = await readEntry(file);
+        if (!entry || now > entry.expiry) {
+          await ignoreMissing(fsp.unlink(file));
+          removed++;
+          continue;
+        }
+
+        live.push({ file, size: stats.size, used: stats.mtimeMs });
+      }
+
+      let bytes = live.reduce((total, entry) => total + entry.size, 0);
+      live.sort((a, b) => a.used - b.used);
+      for (const entry of live) {
+        if (bytes <= maxBytes) {
+          break;
+        }
+        await ignoreMissing(fsp.unlink(entry.file));
+        bytes -= entry.size;
+        removed++;
+      }
+
+      return { removed, bytes };
+    },
+  };
+}
+
+module.exports = {
+  createStore,
+};
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Shim Diagnostics
+ *
+ * Checks each link of the chain from Claude Desktop to the MCP-Compose
+ * servers and reports what is wrong with a hint on how to fix it:
+ *
+ *   mcp-npx doctor                  Check the servers the proxy lists
+ *   mcp-npx doctor filesystem memory  Check just these servers
+ *
+ * Results go to stdout, unlike the shim's own diagnostics, which go to
+ * stderr where Claude Desktop doesn't show them. Each server is checked by
+ * starting the shim for it and sending `initialize` and `tools/list`, so
+ * the round trip is the one Claude Desktop makes.
+ *
+ * The exit status is 1 if any check failed.
+ */
+
+const { execFileSync, spawn } = require('child_process');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const routes = require('./routes');
+const policy = require('./policy');
+const shim = require('./mcp-shim');
+const discover = require('./discover');
+
+const SHIM_PATH = path.join(__dirname, 'mcp-shim.js');
+const WRAPPER_PATH = path.join(__dirname, '..', 'bin', 'npx');
+const MIN_NODE_MAJOR = 14;
+
+// Hints for errors the shim reports, matched against the error message
+const SERVER_HINTS = [
+  [/rejected the credentials|HTTP error 40[13]/, 'Check MCP_API_KEY (or the OAuth settings) against the proxy'],
+  [/HTTP error 404/, 'The proxy doesn\'t know this server; check the name against `mcp-npx discover`'],
+  [/ECONNREFUSED|ENOTFOUND|ETIMEDOUT|proxy is unavailable/i, 'The proxy can\'t be reached; see the proxy check above'],
+  [/HTTP error 5\d\d/, 'The server is failing on the proxy; check its container logs'],
+  [/timed out/i, 'The server is slow to answer; raise MCP_TIMEOUT_MS or check its container'],
+];
+
+// =============================================================================
+// Checks
+// =============================================================================
+
+/**
+ * Build a check result
+ * @param {string} status - 'pass', 'warn' or 'fail'
+ * @param {string} title - What was checked
+ * @param {string} [detail] - What was found
+ * @param {string} [hint] - How to fix it
+ * @returns {Object} - Result
+ */
+function result(status, title, detail = '', hint = '') {
+  return { status, title, detail, hint };
+}
+
+/**
+ * Check that Node.js is recent enough for the shim
+ * @param {string} [version] - Node.js version, as in process.version
+ * @returns {Object} - Result
+ */
+function checkNode(version = process.version) {
+  const major = parseInt(version.slice(1), 10);
+  if (major < MIN_NODE_MAJOR) {
+    return result('fail', 'Node.js', `${version} is too old`, `Install Node.js ${MIN_NODE_MAJOR} or later`);
+  }
+  if (typeof AbortController === 'undefined') {
+    return result('fail', 'Node.js', `${version} has no AbortController`, 'Upgrade to Node.js 16 or later');
+  }
+  return result('pass', 'Node.js', version);
+}
+
+/**
+ * Check that the routes and policy files, if any, are valid
+ * @returns {Object[]} - Results
+ */
+function checkConfigFiles() {
+  const results = [];
+
+  try {
+    const table = routes.loadRoutes();
+    results.push(result('pass', 'Routes', `${table.file || 'built-in defaults only'} (${table.routes.length} routes)`));
+  } catch (error) {
+    results.push(result('fail', 'Routes', error.message, `Fix ${routes.getRoutesFile()} or move it aside`));
+  }
+
+  try {
+    const loaded = policy.loadPolicy();
+    results.push(result('pass', 'Tool policy', loaded ? loaded.file : 'none'));
+  } catch (error) {
+    results.push(result('fail', 'Tool policy', error.message, `Fix ${policy.getPolicyFile()} or move it aside`));
+  }
+
+  return results;
+}
+
+/**
+ * Check that each proxy endpoint answers HTTP at all
+ * @param {Object} shim - The shim module
+ * @returns {Promise<Object[]>} - Results
+ */
+async function checkProxy({ CONFIG, endpoints, auth }) {
+  const results = [];
+  for (const { url } of endpoints.list) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+    const start = Date.now();
+    try {
+      const response = await fetch(url, { method: 'HEAD', agent: auth.agent, signal: controller.signal });
+      results.push(result('pass', `Proxy ${url}`, `HTTP ${response.status} in ${Date.now() - start}ms`));
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `no answer within ${CONFIG.timeout}ms` : error.message;
+      results.push(result('fail', `Proxy ${url}`, reason,
+        'Start MCP-Compose, or set MCP_PROXY_URL (or proxyUrl in the routes file) to where it listens'));
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+  return results;
+}
+
+/**
+ * Check that the proxy accepts the shim's credentials, by fetching its
+ * server list. The list is handed back for checking each server.
+ * @param {Object} shim - The shim module
+ * @param {Object} discover - The discover module
+ * @returns {Promise<{result: Object, servers: string[]|null}>} - Result and listed servers
+ */
+async function checkAuth({ CONFIG, endpoints, auth }, discover) {
+  const title = 'Authentication';
+  let token;
+  try {
+    token = await auth.prepare();
+  } catch (error) {
+    return { result: result('fail', title, error.message, 'Check the OAuth client ID, secret and token URL'), servers: null };
+  }
+
+  const url = `${endpoints.list[0].url}/api/servers`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+  try {
+    const response = await fetch(url, {
+      headers: { 'Accept': 'application/json', ...(token && { 'Authorization': `Bearer ${token}` }) },
+      agent: auth.agent,
+      signal: controller.signal,
+    });
+    const type = auth.provider.type;
+
+    if (response.status === 401 || response.status === 403) {
+      const hint = type === 'none'
+        ? 'The proxy wants credentials; set MCP_API_KEY or the OAuth settings'
+        : 'Check the credentials against the ones the proxy expects';
+      return { result: result('fail', title, `${type} credentials rejected with HTTP ${response.status}`, hint), servers: null };
+    }
+    if (!response.ok) {
+      return { result: result('warn', title, `${url} returned HTTP ${response.status}, so ${type} credentials are checked per server below`), servers: null };
+    }
+    return { result: result('pass', title, `${type} credentials accepted`), servers: discover.parseServerList(await response.json()) };
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `${url} timed out` : error.message;
+    return { result: result('warn', title, `couldn't check (${reason})`), servers: null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Start the shim for one server, as Claude Desktop would, and time its
+ * initialize and tools/list round trips
+ * @param {string} server - Server name
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs] - Give up on each request after this long
+ * @param {Object} [options.env] - Environment for the shim
+ * @returns {Promise<Object>} - Result
+ */
+function checkServer(server, { timeoutMs = 30000, env = process.env } = {}) {
+  const title = `Server ${server}`;
+  const child = spawn(process.execPath, [SHIM_PATH], {
+    env: {
+      ...env,
+      MCP_SERVER_NAME: server,
+      MCP_AGGREGATE_SERVERS: '',
+      MCP_SERVER_EVENTS: 'false',
+      MCP_CACHE: 'false',
+      MCP_MAX_RETRIES: '1',
+      MCP_RECORD_FILE: '',
+      MCP_REPLAY_FILE: '',
+      MCP_METRICS_PORT: '',
+      MCP_TRACE_FILE: '',
+      MCP_OTLP_ENDPOINT: '',
+      MCP_LOG_LEVEL: 'error',
+      MCP_LOG_FILE: 'false',
+      MCP_AUDIT_LOG: 'false',
+    },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => stderr += chunk);
+  const pending = new Map();
+  const exited = new Promise((resolve, reject) => child.on('exit', (code) => {
+    reject(new Error(`shim exited: ${stderr.trim().split('\n').pop() || `exit status ${code}`}`));
+  }));
+  exited.catch(() => {});
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+    const waiter = pending.get(message.id);
+    if (waiter) {
+      pending.delete(message.id);
+      waiter(message);
+    }
+  });
+
+  let nextId = 0;
+  const request = async (method, params) => {
+    const id = ++nextId;
+    const start = Date.now();
+    let timeoutId;
+    const response = await Promise.race([
+      new Promise((resolve) => {
+        pending.set(id, resolve);
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+      }),
+      new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`${method} timed out after ${timeoutMs}ms`)), timeoutMs);
+      }),
+      exited,
+    ]).finally(() => clearTimeout(timeoutId));
+
+    if (response.error) {
+      throw new Error(`${method} failed: ${response.error.message}`);
+    }
+    return { result: response.result, ms: Date.now() - start };
+  };
+
+  return (async () => {
+    try {
+      const initialized = await request('initialize', {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'mcp-npx-doctor', version: '1' },
+      });
+      child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+
+      const info = initialized.result.serverInfo;
+      const detail = [
+        `initialize ${initialized.ms}ms${info ? ` (${info.name}${info.version ? ` ${info.version}` : ''})` : ''}`,
+      ];
+      if (initialized.result.capabilities?.tools) {
+        const listed = await request('tools/list', {});
+        detail.push(`tools/list ${listed.ms}ms (${(listed.result.tools || []).length} tools)`);
+      } else {
+        detail.push('no tools');
+      }
+      return result('pass', title, detail.join(', '));
+    } catch (error) {
+      const match = SERVER_HINTS.find(([pattern]) => pattern.test(error.message));
+      return result('fail', title, error.message, match ? match[1] : 'Run the shim with MCP_DEBUG=true to see the full exchange');
+    } finally {
+      child.stdin.end();
+      child.kill();
+    }
+  })();
+}
+
+/**
+ * Check that the allowed paths, and the host side of any path mappings,
+ * exist on this machine
+ * @param {Object} shim - The shim module
+ * @returns {Object[]} - Results
+ */
+function checkPaths({ CONFIG }) {
+  const results = [];
+  const check = (title, dir, hint) => {
+    try {
+      if (!fs.statSync(dir).isDirectory()) {
+        results.push(result('fail', title, `${dir} is not a directory`, hint));
+      } else {
+        results.push(result('pass', title, dir));
+      }
+    } catch (error) {
+      results.push(result('fail', title, `${dir} does not exist`, hint));
+    }
+  };
+
+  for (const dir of CONFIG.allowedPaths) {
+    check('Allowed path', dir, 'Fix MCP_ALLOWED_PATHS, or the paths in the server\'s command line');
+  }
+  for (const pair of CONFIG.pathMappings) {
+    check('Mapped path', pair.split('=')[0], 'Fix MCP_PATH_MAPPINGS, or pathMappings in the routes file');
+  }
+  if (results.length === 0) {
+    results.push(result('pass', 'Allowed paths', 'none configured'));
+  }
+  return results;
+}
+
+/**
+ * Find the command bin/npx passes non-MCP command lines through to, by
+ * asking the wrapper itself (`bin/npx --which`), so the answer is the one
+ * pass-through would use
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - Environment variables, for PATH
+ * @param {string[]} [options.systemDirs] - Directories tried before PATH,
+ *   instead of the wrapper's own
+ * @param {string} [options.wrapper] - Path to run the wrapper as. Its name
+ *   is the command looked for, with mcp-npx meaning npx.
+ * @returns {string|null} - Path of the real command, or null if there is none
+ */
+function resolveRealCommand({ env = process.env, systemDirs, wrapper = WRAPPER_PATH } = {}) {
+  const dirs = systemDirs ? { MCP_SYSTEM_BIN_DIRS: systemDirs.join(':') } : {};
+  try {
+    const found = execFileSync(wrapper, ['--which'], {
+      env: { ...env, ...dirs },
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 10000,
+    });
+    return found.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that bin/npx can pass other command lines through to the real npx
+ * @param {Object} [options] - Options for resolveRealCommand
+ * @returns {Object} - Result
+ */
+function checkRealNpx(options = {}) {
+  const title = 'Real npx';
+  const found = resolveRealCommand(options);
+  if (!found) {
+    return result('fail', title, 'not found', 'Install Node.js with npm, or put its bin directory on PATH');
+  }
+  if (fs.realpathSync(found) === fs.realpathSync(options.wrapper || WRAPPER_PATH)) {
+    return result('fail', title, `${found} is the wrapper itself, so pass-through would loop`,
+      'Install the wrapper as mcp-npx or in a directory ahead of the real npx on PATH, not over it');
+  }
+  return result('pass', title, found);
+}
+
+/**
+ * Check that the shim could write a log file
+ * @param {string} title - Which log
+ * @param {string} file - Log file path
+ * @param {boolean} enabled - Whether the log is turned on
+ * @param {string} setting - Environment variable that sets the path
+ * @returns {Object} - Result
+ */
+function checkWritable(title, file, enabled, setting) {
+  const target = fs.existsSync(file) ? file : path.dirname(file);
+  try {
+    fs.accessSync(target, fs.constants.W_OK);
+    return result('pass', title, enabled ? file : `${file} (not enabled)`);
+  } catch (error) {
+    return result(enabled ? 'fail' : 'warn', title, `${target} is not writable`, `Set ${setting} to a writable location`);
+  }
+}
+
+// =============================================================================
+// Command Line Interface
+// =============================================================================
+
+/**
+ * Format one result for the terminal
+ * @param {Object} checked - Result
+ * @returns {string} - Line, plus a hint line if there is one
+ */
+function formatResult({ status, title, detail, hint }) {
+  const label = { pass: 'PASS', warn: 'WARN', fail: 'FAIL' }[status];
+  const line = `[${label}] ${title}${detail ? `: ${detail}` : ''}`;
+  return hint ? `${line}\n       hint: ${hint}` : line;
+}
+
+/**
+ * Entry point for `mcp-npx doctor` (or `node lib/doctor.js`).
+ *
+ *   [server...]  Servers to check (default: those the proxy lists, else
+ *                MCP_AGGREGATE_SERVERS, else the servers in the routes)
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit status
+ */
+async function main(argv) {
+  const option = argv.find(arg => arg.startsWith('-'));
+  if (option !== undefined) {
+    console.error(`Unknown option: ${option}`);
+    console.error('Usage: mcp-npx doctor [server...]');
+    return 2;
+  }
+
+  const results = [];
+  const report = (checked) => {
+    results.push(checked);
+    console.log(formatResult(checked));
+  };
+
+  report(checkNode());
+  const configResults = checkConfigFiles();
+  configResults.forEach(report);
+  if (configResults.some(({ status }) => status === 'fail')) {
+    // The shim refuses to start with a broken routes or policy file
+    console.log('\nFix the files above and run mcp-npx doctor again.');
+    return 1;
+  }
+
+  try {
+    shim.applyServerRoute();
+    shim.endpoints.configure(shim.CONFIG.proxyUrl, 'failover');
+    shim.auth.configure();
+  } catch (error) {
+    report(result('fail', 'Proxy settings', error.message, 'Fix MCP_PROXY_URL and the authentication settings'));
+    shim.endpoints.stop();
+    return 1;
+  }
+
+  try {
+    (await checkProxy(shim)).forEach(report);
+    const authenticated = await checkAuth(shim, discover);
+    report(authenticated.result);
+
+    let servers = argv;
+    if (servers.length === 0) {
+      servers = authenticated.servers || shim.CONFIG.aggregateServers;
+    }
+    if (servers.length === 0) {
+      servers = [...new Set(routes.loadRoutes().routes.map(route => route.server))];
+    }
+    for (const server of servers) {
+      report(await checkServer(server, { timeoutMs: shim.CONFIG.timeout + 5000 }));
+    }
+  } finally {
+    shim.endpoints.stop();
+  }
+
+  checkPaths(shim).forEach(report);
+  report(checkRealNpx());
+  report(checkWritable('Log file', shim.CONFIG.logFile, shim.CONFIG.logToFile, 'MCP_LOG_FILE_PATH'));
+  report(checkWritable('Audit log', shim.CONFIG.auditFile, shim.CONFIG.auditLog, 'MCP_AUDIT_LOG_PATH'));
+
+  const failed = results.filter(({ status }) => status === 'fail').length;
+  const warned = results.filter(({ status }) => status === 'warn').length;
+  console.log(`\n${results.length} checks: ${failed} failed, ${warned} warned`);
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((status) => {
+    process.exit(status);
+  });
+}
+
+module.exports = {
+  checkNode,
+  checkConfigFiles,
+  checkProxy,
+  checkAuth,
+  checkServer,
+  checkPaths,
+  resolveRealCommand,
+  checkRealNpx,
+  checkWritable,
+  formatResult,
+  main,
+};
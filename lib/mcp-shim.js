@@ -18,30 +18,113 @@
 
 const fetch = require('node-fetch');
 const readline = require('readline');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 const os = require('os');
+const routes = require('./routes');
+const sse = require('./sse');
+const policy = require('./policy');
+const diskCache = require('./disk-cache');
+const payloads = require('./payload');
+const authLib = require('./auth');
+const cassetteLib = require('./cassette');
+const metricsLib = require('./metrics');
+const tracingLib = require('./tracing');
+const protocolLib = require('./protocol');
+const PACKAGE_VERSION = require('../package.json').version;
 
 // =============================================================================
 // Configuration
 // =============================================================================
 
+/**
+ * Get the value of a command-line option given as "--name value" or "--name=value"
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Option name
+ * @returns {string|null} - Value, or null if the option is absent
+ */
+function getOption(args, name) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) {
+      return args[i + 1] ?? '';
+    }
+    if (args[i].startsWith(`${name}=`)) {
+      return args[i].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
 // Core settings - configurable via environment variables
 const CONFIG = {
   // Proxy connection settings
-  proxyUrl: process.env.MCP_PROXY_URL || 'http://localhost:9876',
+  proxyUrl: process.env.MCP_PROXY_URL || 'http://localhost:9876', // One URL or a list, see routes.parseProxyUrls; or the route's, see applyServerRoute
+  proxyPolicy: process.env.MCP_PROXY_POLICY || 'failover', // failover or round-robin across proxy URLs
   serverName: process.env.MCP_SERVER_NAME || 'filesystem',
-  apiKey: process.env.MCP_API_KEY || '',
+  apiKey: process.env.MCP_API_KEY || '', // Also MCP_API_KEY_FILE/_COMMAND, see auth.configure
+  
+  // Authentication settings
+  authType: process.env.MCP_AUTH || '', // none, bearer or oauth; chosen from the other settings if empty
+  oauthTokenUrl: process.env.MCP_OAUTH_TOKEN_URL || '', // Discovered from the proxy if empty
+  oauthClientId: process.env.MCP_OAUTH_CLIENT_ID || '',
+  oauthScope: process.env.MCP_OAUTH_SCOPE || '',
+  tlsCert: process.env.MCP_TLS_CERT || '', // Client certificate for mutual TLS
+  tlsKey: process.env.MCP_TLS_KEY || '',
+  tlsCa: process.env.MCP_TLS_CA || '',
   
   // Security settings
   maxRequestSize: parseInt(process.env.MCP_MAX_REQUEST_SIZE, 10) || 5 * 1024 * 1024, // 5MB
   rateLimitPerMinute: parseInt(process.env.MCP_RATE_LIMIT, 10) || 60,
+  rateLimitBurst: parseInt(process.env.MCP_RATE_LIMIT_BURST, 10) || 0, // Defaults to the per-minute rate
+  rateLimits: process.env.MCP_RATE_LIMITS || '', // Per-method and per-tool budgets
+  rateLimitMaxWaitMs: parseInt(process.env.MCP_RATE_LIMIT_MAX_WAIT_MS, 10) || 30000, // Longest delay before rejecting
+  rateLimitQueueSize: parseInt(process.env.MCP_RATE_LIMIT_QUEUE, 10) || 100, // Requests that may wait for tokens
+  maxConcurrentRequests: parseInt(process.env.MCP_MAX_CONCURRENT, 10) || 16, // In-flight upstream requests
   allowedPaths: (process.env.MCP_ALLOWED_PATHS || '').split(',').filter(Boolean),
+  denyPaths: (process.env.MCP_DENY_PATHS || '').split(',').filter(Boolean), // Globs, e.g. **/.ssh/**
+  caseInsensitivePaths: process.env.MCP_CASE_INSENSITIVE_PATHS
+    ? process.env.MCP_CASE_INSENSITIVE_PATHS === 'true'
+    : process.platform === 'darwin' || process.platform === 'win32',
+  policyFile: policy.getPolicyFile(),
+  confirmTimeoutMs: parseInt(process.env.MCP_CONFIRM_TIMEOUT_MS, 10) || 120000, // 2 minutes
+  pathMappings: (process.env.MCP_PATH_MAPPINGS || '').split(',').filter(Boolean), // host=container pairs
   
   // Performance settings
   responseCache: process.env.MCP_CACHE !== 'false',
   cacheTTLMs: parseInt(process.env.MCP_CACHE_TTL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+  cacheMaxEntries: parseInt(process.env.MCP_CACHE_MAX_ENTRIES, 10) || 500,
+  cacheMaxBytes: parseInt(process.env.MCP_CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024, // 50MB
+  cacheDir: process.env.MCP_CACHE_DIR || '', // Disk cache shared between processes (disabled if empty)
+  cacheDirMaxBytes: parseInt(process.env.MCP_CACHE_DIR_MAX_BYTES, 10) || 200 * 1024 * 1024, // 200MB per server
+  cacheDirPinnedTTLMs: parseInt(process.env.MCP_CACHE_DIR_PINNED_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000, // 7 days
   timeout: parseInt(process.env.MCP_TIMEOUT_MS, 10) || 30000, // 30 seconds
+  streamableHttp: process.env.MCP_STREAMABLE_HTTP !== 'false', // Accept SSE responses
+  compression: process.env.MCP_COMPRESSION !== 'false', // Accept gzip/deflate responses
+  compressRequests: process.env.MCP_COMPRESS_REQUESTS === 'true', // Gzip large request bodies
+  compressMinBytes: parseInt(process.env.MCP_COMPRESS_MIN_BYTES, 10) || 16 * 1024, // 16KB
+  maxResponseSize: parseInt(process.env.MCP_MAX_RESPONSE_SIZE, 10) || 32 * 1024 * 1024, // 32MB
+  truncateResponseSize: parseInt(process.env.MCP_TRUNCATE_RESPONSE_SIZE, 10) || 0, // Truncate tool results instead of failing
+  serverEvents: process.env.MCP_SERVER_EVENTS !== 'false', // Listen for server-initiated messages
+  serverEventsReconnectMs: parseInt(process.env.MCP_SERVER_EVENTS_RECONNECT_MS, 10) || 1000,
+  shutdownTimeoutMs: parseInt(process.env.MCP_SHUTDOWN_TIMEOUT_MS, 10) || 5000, // Drain time on SIGTERM/SIGINT
+  
+  // Aggregate gateway settings: front several servers as one
+  aggregateServers: (process.env.MCP_AGGREGATE_SERVERS || '').split(',').map(name => name.trim()).filter(Boolean),
+  aggregateName: process.env.MCP_AGGREGATE_NAME || 'mcp-compose', // Server name reported to the client
+  
+  // Local HTTP server settings (--listen <port>)
+  listenPort: getOption(process.argv.slice(2), '--listen'), // Serve HTTP on this port instead of stdio
+  listenPath: process.env.MCP_LISTEN_PATH || '/mcp',
+  listenSessionTTLMs: parseInt(process.env.MCP_LISTEN_SESSION_TTL_MS, 10) || 30 * 60 * 1000, // 30 minutes
+  
+  // Circuit breaker settings
+  circuitBreaker: process.env.MCP_CIRCUIT_BREAKER !== 'false',
+  circuitFailureThreshold: parseInt(process.env.MCP_CIRCUIT_FAILURE_THRESHOLD, 10) || 5, // Consecutive failed attempts
+  circuitResetMs: parseInt(process.env.MCP_CIRCUIT_RESET_MS, 10) || 30000, // Time before a trial request
+  circuitProbeIntervalMs: parseInt(process.env.MCP_CIRCUIT_PROBE_INTERVAL_MS, 10) || 5000,
   
   // Retry settings
   maxRetries: parseInt(process.env.MCP_MAX_RETRIES, 10) || 3,
@@ -53,8 +136,57 @@ const CONFIG = {
   logToFile: process.env.MCP_LOG_FILE === 'true',
   logMaxSize: parseInt(process.env.MCP_LOG_MAX_SIZE, 10) || 10 * 1024 * 1024, // 10MB
   logFile: process.env.MCP_LOG_FILE_PATH || path.join(os.tmpdir(), `mcp-shim-${process.env.MCP_SERVER_NAME || 'unknown'}.log`),
+  logRetention: parseInt(process.env.MCP_LOG_RETENTION, 10) || 5, // Rotated log files to keep
+  
+  // Audit settings
+  auditLog: process.env.MCP_AUDIT_LOG === 'true',
+  auditFile: process.env.MCP_AUDIT_LOG_PATH || path.join(os.tmpdir(), `mcp-shim-audit-${process.env.MCP_SERVER_NAME || 'unknown'}.jsonl`),
+  auditMaxSize: parseInt(process.env.MCP_AUDIT_MAX_SIZE, 10) || 10 * 1024 * 1024, // 10MB
+  auditRetention: parseInt(process.env.MCP_AUDIT_RETENTION, 10) || 10, // Rotated audit files to keep
+  auditRedactKeys: (process.env.MCP_AUDIT_REDACT_KEYS || '').split(',').filter(Boolean),
+  auditRedactPatterns: (process.env.MCP_AUDIT_REDACT_PATTERNS || '').split(',').filter(Boolean),
+  
+  // Record and replay settings
+  recordFile: process.env.MCP_RECORD_FILE || '', // Save every exchange with the proxy to this cassette
+  replayFile: process.env.MCP_REPLAY_FILE || '', // Answer from this cassette instead of the proxy
+  
+  // Metrics settings
+  metricsPort: process.env.MCP_METRICS_PORT || '', // Serve /metrics and /status on localhost (disabled if empty)
+  
+  // Tracing settings
+  traceFile: process.env.MCP_TRACE_FILE || '', // Append finished spans to this JSON Lines file
+  otlpEndpoint: process.env.MCP_OTLP_ENDPOINT || '', // OTLP/HTTP traces URL, e.g. http://localhost:4318/v1/traces
+  otlpHeaders: process.env.MCP_OTLP_HEADERS || '', // Extra headers for the OTLP endpoint, as name=value pairs
 };
 
+/**
+ * Take the connection settings the environment doesn't set from this
+ * server's route in the routes file. bin/npx exports all of them, so the
+ * file is only read when the shim is started some other way.
+ * @param {Object} [env] - Environment variables
+ * @throws {Error} - If the routes file is invalid
+ */
+function applyServerRoute(env = process.env) {
+  const settings = ['MCP_PROXY_URL', 'MCP_API_KEY', 'MCP_PATH_MAPPINGS'];
+  if (settings.every(name => env[name] !== undefined)) {
+    return;
+  }
+  
+  const route = routes.findServerRoute(routes.loadRoutes(), CONFIG.serverName, env);
+  if (!route) {
+    return;
+  }
+  if (!env.MCP_PROXY_URL && route.proxyUrl) {
+    CONFIG.proxyUrl = route.proxyUrl;
+  }
+  if (!env.MCP_API_KEY && route.apiKey) {
+    CONFIG.apiKey = route.apiKey;
+  }
+  if (!env.MCP_PATH_MAPPINGS && route.pathMappings.length > 0) {
+    CONFIG.pathMappings = route.pathMappings;
+  }
+}
+
 // =============================================================================
 // Logging System
 // =============================================================================
@@ -106,30 +238,70 @@ const logger = {
       
       // Rotate log if needed
       fs.stat(CONFIG.logFile, (err, stats) => {
-        if (!err && stats.size > CONFIG.logMaxSize) {
-          this.rotateLog();
+        if (!err && stats.size > CONFIG.logMaxSize && this.logStream) {
+          this.logStream = this.rotateLog(CONFIG.logFile, this.logStream, CONFIG.logRetention);
         }
       });
     }
   },
   
   /**
-   * Rotate the log file
+   * Rotate an append-only log file: move it aside with a timestamp suffix,
+   * open a fresh file in its place and prune old rotated files
+   * @param {string} file - Log file path
+   * @param {fs.WriteStream} stream - Stream currently writing to the file
+   * @param {number} retain - Number of rotated files to keep (0 keeps all)
+   * @param {number} [mode] - File mode for the fresh file
+   * @returns {fs.WriteStream} - Stream writing to the fresh file
    */
-  rotateLog() {
-    if (this.logStream) {
-      this.logStream.end();
+  rotateLog(file, stream, retain, mode) {
+    const timestamp = new Date().toISOString().replace(/:/g, '-');
+    
+    // Rename before ending the stream: pending writes still land in the
+    // rotated file because the descriptor follows it
+    try {
+      fs.renameSync(file, `${file}.${timestamp}`);
+    } catch (err) {
+      console.error(`Failed to rotate log file: ${err.message}`);
+    }
+    stream.end();
+    
+    const freshStream = fs.createWriteStream(file, { flags: 'a', ...(mode && { mode }) });
+    freshStream.on('error', (err) => {
+      console.error(`Failed to write log file ${file}: ${err.message}`);
+    });
+    
+    this.pruneRotated(file, retain);
+    return freshStream;
+  },
+  
+  /**
+   * Delete the oldest rotated copies of a log file beyond the retention count
+   * @param {string} file - Log file path
+   * @param {number} retain - Number of rotated files to keep (0 keeps all)
+   */
+  pruneRotated(file, retain) {
+    if (!retain) {
+      return;
+    }
+    
+    const dir = path.dirname(file);
+    const prefix = `${path.basename(file)}.`;
+    
+    fs.readdir(dir, (err, names) => {
+      if (err) {
+        return;
+      }
       
-      const timestamp = new Date().toISOString().replace(/:/g, '-');
-      const newLogFile = `${CONFIG.logFile}.${timestamp}`;
+      // Timestamp suffixes sort chronologically
+      const rotated = names
+        .filter(name => name.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}T/.test(name.slice(prefix.length)))
+        .sort();
       
-      fs.rename(CONFIG.logFile, newLogFile, (err) => {
-        if (err) {
-          console.error(`Failed to rotate log file: ${err.message}`);
-        }
-        this.logStream = fs.createWriteStream(CONFIG.logFile, { flags: 'a' });
-      });
-    }
+      for (const name of rotated.slice(0, Math.max(0, rotated.length - retain))) {
+        fs.unlink(path.join(dir, name), () => {});
+      }
+    });
   },
   
   /**
@@ -178,498 +350,5077 @@ const logger = {
 };
 
 // =============================================================================
-// Cache System
+// Audit Log
 // =============================================================================
 
-const cache = {
-  entries: new Map(),
+const audit = {
+  stream: null,
+  
+  // Bytes in the current audit file, tracked here to decide when to rotate
+  size: 0,
+  
+  // Argument names whose values are always redacted (matched case-insensitively
+  // as substrings, so "api_key" also covers "github_api_key")
+  redactKeys: ['password', 'passwd', 'secret', 'token', 'api_key', 'apikey', 'authorization', 'credential', 'private_key', 'cookie'],
+  
+  // Value patterns that look like credentials wherever they appear
+  redactPatterns: [
+    /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi,
+    /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g,
+    /\bgh[pousr]_[A-Za-z0-9]{20,}/g,
+    /\bAKIA[0-9A-Z]{16}\b/g,
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  ],
+  
+  // Longest string argument recorded as-is; longer values are summarized
+  maxValueLength: 1000,
   
   /**
-   * Get a cached entry if valid
-   * @param {string} key - Cache key
-   * @returns {Object|undefined} - Cached entry or undefined if not found or expired
+   * Open the audit file if auditing is enabled
    */
-  get(key) {
-    if (!CONFIG.responseCache) {
-      return undefined;
+  open() {
+    if (!CONFIG.auditLog) {
+      return;
     }
     
-    const entry = this.entries.get(key);
-    if (!entry) {
-      return undefined;
-    }
+    this.redactKeys = this.redactKeys.concat(CONFIG.auditRedactKeys.map(k => k.toLowerCase()));
+    this.redactPatterns = this.redactPatterns.concat(CONFIG.auditRedactPatterns.map(p => new RegExp(p, 'g')));
     
-    // Check if entry is expired
-    if (Date.now() > entry.expiry) {
-      this.entries.delete(key);
-      return undefined;
+    try {
+      this.size = fs.statSync(CONFIG.auditFile).size;
+    } catch (error) {
+      this.size = 0;
     }
     
-    logger.debug(`Cache hit for key: ${key}`);
-    return entry.value;
+    this.stream = fs.createWriteStream(CONFIG.auditFile, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (error) => {
+      logger.error(`Audit log write failed: ${error.message}`);
+    });
+    logger.info(`Audit log enabled`, { file: CONFIG.auditFile });
   },
   
   /**
-   * Set a cache entry
-   * @param {string} key - Cache key
-   * @param {Object} value - Value to cache
+   * Redact secrets from a value and summarize very long strings
+   * @param {*} value - Argument value
+   * @param {string} [key] - Name of the argument holding the value
+   * @returns {*} - Redacted copy
    */
-  set(key, value) {
-    if (!CONFIG.responseCache) {
-      return;
+  redact(value, key) {
+    if (key && this.redactKeys.some(k => key.toLowerCase().includes(k))) {
+      return '[REDACTED]';
     }
     
-    this.entries.set(key, {
-      value,
-      expiry: Date.now() + CONFIG.cacheTTLMs,
-    });
+    if (typeof value === 'string') {
+      let text = value;
+      for (const pattern of this.redactPatterns) {
+        text = text.replace(pattern, '[REDACTED]');
+      }
+      if (text.length > this.maxValueLength) {
+        return `[${Buffer.byteLength(value, 'utf8')} bytes]`;
+      }
+      return text;
+    }
     
-    logger.debug(`Cached response for key: ${key}`);
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [childKey, item] of Object.entries(value)) {
+        result[childKey] = this.redact(item, childKey);
+      }
+      return result;
+    }
+    
+    return value;
   },
   
   /**
-   * Generate a cache key from a request
-   * @param {Object} request - Request object
-   * @returns {string} - Cache key
+   * Start an audit record for a request. Arguments are captured now, before
+   * later stages rewrite them.
+   * @param {Object} request - JSON-RPC request from the client
+   * @returns {Object|null} - Partial record, or null if the request isn't audited
    */
-  createKey(request) {
-    // Don't cache stateful operations
-    if (this.isUncacheable(request)) {
+  begin(request) {
+    if (!this.stream || request.method !== 'tools/call') {
       return null;
     }
     
-    return `${request.method}:${JSON.stringify(request.params)}`;
+    return {
+      time: new Date().toISOString(),
+      server: currentServer(),
+      method: request.method,
+      id: request.id,
+      tool: request.params?.name,
+      arguments: this.redact(request.params?.arguments || {}),
+      startedAt: Date.now(),
+    };
   },
   
   /**
-   * Check if a request is cacheable
-   * @param {Object} request - Request object
-   * @returns {boolean} - True if uncacheable, false if cacheable
+   * Complete and write an audit record
+   * @param {Object|null} record - Partial record from begin()
+   * @param {Object|null} response - Response sent to the client, if any
+   * @param {Object} [tracked] - In-flight entry for the request
    */
-  isUncacheable(request) {
-    // Don't cache state-modifying operations
-    const writeOperations = [
-      'write_file', 'edit_file', 'create_directory', 'move_file', 'delete',
-      'create_entities', 'delete_entities', 'create_relations', 'delete_relations',
-      'add_observations', 'delete_observations',
-    ];
+  finish(record, response, tracked) {
+    if (!record) {
+      return;
+    }
     
-    // Check if it's a tools call with a modifying operation
-    if (request.method === 'tools/call' && 
-        typeof request.params?.name === 'string') {
-      return writeOperations.some(op => request.params.name.includes(op));
+    const { startedAt, ...entry } = record;
+    entry.latencyMs = Date.now() - startedAt;
+    entry.cache = tracked?.cache || 'bypass';
+    
+    if (tracked?.cancelled) {
+      entry.outcome = 'cancelled';
+    } else if (!response) {
+      entry.outcome = 'no-response';
+    } else if (response.error) {
+      entry.outcome = tracked?.denied ? 'denied' : 'error';
+      entry.errorCode = response.error.code;
+      entry.error = this.redact(response.error.message);
+      if (response.error.data?.rule) {
+        entry.rule = response.error.data.rule;
+      }
+    } else {
+      entry.outcome = response.result?.isError ? 'tool-error' : 'success';
+      entry.resultBytes = Buffer.byteLength(JSON.stringify(response.result ?? null), 'utf8');
     }
     
-    return false;
+    this.write(entry);
+  },
+  
+  /**
+   * Append an entry, rotating the file when it grows past the size limit
+   * @param {Object} entry - Audit entry
+   */
+  write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.stream.write(line);
+    this.size += Buffer.byteLength(line, 'utf8');
+    
+    if (this.size > CONFIG.auditMaxSize) {
+      this.stream = logger.rotateLog(CONFIG.auditFile, this.stream, CONFIG.auditRetention, 0o600);
+      this.size = 0;
+    }
+  },
+  
+  /**
+   * Close the audit file
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
   }
 };
 
 // =============================================================================
-// Rate Limiting
+// Metrics
 // =============================================================================
 
-const rateLimit = {
-  requests: [],
+const metrics = {
+  registry: metricsLib.createRegistry(),
+  
+  // HTTP server for /metrics and /status, when MCP_METRICS_PORT is set
+  server: null,
+  
+  startedAt: Date.now(),
+  
+  /**
+   * Register the shim's metrics
+   */
+  define() {
+    const { registry } = this;
+    this.requests = registry.counter('mcp_shim_requests_total', 'Requests from clients, by outcome', ['server', 'method', 'tool', 'outcome']);
+    this.requestDuration = registry.histogram('mcp_shim_request_duration_seconds', 'Time to answer a client request', ['server', 'method', 'tool']);
+    this.upstreamDuration = registry.histogram('mcp_shim_upstream_duration_seconds', 'Time taken by each attempt to reach the proxy', ['server', 'method', 'outcome']);
+    this.retries = registry.counter('mcp_shim_retries_total', 'Requests sent to the proxy again after a failed attempt', ['server', 'method']);
+    this.timeouts = registry.counter('mcp_shim_timeouts_total', 'Requests that timed out waiting for the proxy', ['server', 'method']);
+    this.cacheLookups = registry.counter('mcp_shim_cache_lookups_total', 'Response cache lookups, by store and result', ['store', 'result']);
+    this.rateLimited = registry.counter('mcp_shim_rate_limited_total', 'Requests rejected by a rate limit', ['scope']);
+    this.rateDelayed = registry.counter('mcp_shim_rate_limit_delays_total', 'Requests delayed by a rate limit', ['scope']);
+    this.blocked = registry.counter('mcp_shim_blocked_requests_total', 'Requests blocked by path security or the tool policy', ['server', 'source']);
+    
+    registry.gauge('mcp_shim_in_flight_requests', 'Requests awaiting a response', [], () => this.inFlight().length);
+    registry.gauge('mcp_shim_cache_entries', 'Responses in the memory cache', [], () => cache.entries.size);
+    registry.gauge('mcp_shim_cache_bytes', 'Size of the responses in the memory cache', [], () => cache.bytes);
+    registry.gauge('mcp_shim_circuit_state', 'Circuit breaker state of each proxy endpoint (1 for the current state)', ['endpoint', 'state'], () =>
+      endpoints.list.flatMap(endpoint => ['closed', 'half-open', 'open'].map(state => ({
+        labels: { endpoint: endpoint.url, state },
+        value: endpoint.breaker.state === state ? 1 : 0,
+      }))));
+    registry.gauge('mcp_shim_start_time_seconds', 'When the shim started, in seconds since the epoch', [], () => this.startedAt / 1000);
+  },
+  
+  /**
+   * Record a request the shim has answered, or given up on
+   * @param {Object} request - JSON-RPC request from the client
+   * @param {Object|null} response - Response sent to the client, if any
+   * @param {Object} tracked - In-flight entry for the request
+   */
+  finish(request, response, tracked) {
+    const labels = { server: currentServer(), method: request.method, tool: this.toolName(request) };
+    this.requests.inc({ ...labels, outcome: this.outcome(response, tracked) });
+    this.requestDuration.observe(labels, (Date.now() - tracked.startedAt) / 1000);
+  },
+  
+  /**
+   * Classify how a request ended, as the audit log does
+   * @param {Object|null} response - Response sent to the client, if any
+   * @param {Object} tracked - In-flight entry for the request
+   * @returns {string} - success, tool-error, error, denied, cancelled or no-response
+   */
+  outcome(response, tracked) {
+    if (tracked.cancelled) {
+      return 'cancelled';
+    }
+    if (!response) {
+      return 'no-response';
+    }
+    if (response.error) {
+      return tracked.denied ? 'denied' : 'error';
+    }
+    return response.result?.isError ? 'tool-error' : 'success';
+  },
+  
+  /**
+   * Start timing one attempt to send a request to the proxy
+   * @param {Object} request - JSON-RPC message being sent
+   * @returns {Object} - Timer whose end(outcome) records the attempt once
+   */
+  startAttempt(request) {
+    const startedAt = Date.now();
+    let ended = false;
+    return {
+      end: (outcome) => {
+        if (!ended) {
+          ended = true;
+          this.upstreamDuration.observe({ server: currentServer(), method: request.method || 'response', outcome }, (Date.now() - startedAt) / 1000);
+        }
+      },
+    };
+  },
+  
+  /**
+   * Classify a failed attempt to reach the proxy
+   * @param {Error} error - Error from postMessage
+   * @param {Object} [tracked] - In-flight entry for the request
+   * @returns {string} - cancelled, timeout, http-error or network-error
+   */
+  attemptOutcome(error, tracked) {
+    if (tracked?.cancelled) {
+      return 'cancelled';
+    }
+    if (error.name === 'AbortError') {
+      return 'timeout';
+    }
+    return error.status ? 'http-error' : 'network-error';
+  },
   
   /**
-   * Check if the current request would exceed the rate limit
-   * @returns {boolean} - True if rate limit is exceeded
+   * Get the tool a request calls, for the "tool" label
+   * @param {Object} request - JSON-RPC request
+   * @returns {string} - Tool name, or '' if the request isn't a tool call
    */
-  isLimitExceeded() {
+  toolName(request) {
+    return request.method === 'tools/call' && typeof request.params?.name === 'string' ? request.params.name : '';
+  },
+  
+  /**
+   * List the requests in flight for every client, including the aggregate
+   * gateway's connections to each server
+   * @returns {Object[]} - { client, server, entry }
+   */
+  inFlight() {
+    const collect = (client, server) => {
+      const own = Array.from(client.inFlight.requests.values(), entry => ({ client, server, entry }));
+      const backends = client.gateway ? Array.from(client.gateway.backends.values()) : [];
+      return own.concat(...backends.map(backend => collect(backend, backend.server)));
+    };
+    return [stdioClient, ...localServer.clients.values()]
+      .flatMap(client => collect(client, client.server || (gateway.enabled() ? CONFIG.aggregateName : CONFIG.serverName)));
+  },
+  
+  /**
+   * Summarize the shim's configuration and state for /status. Secrets such
+   * as the API key are left out.
+   * @returns {Object} - Status
+   */
+  status() {
+    // Disk lookups only follow memory misses, so each store has its own ratio
+    const lookups = (store) => {
+      const total = this.cacheLookups.sum(labels => labels.store === store);
+      const hits = this.cacheLookups.sum(labels => labels.store === store && labels.result === 'hit');
+      return { hits, misses: total - hits, hitRatio: total > 0 ? hits / total : null };
+    };
     const now = Date.now();
     
-    // Remove requests older than 1 minute
-    this.requests = this.requests.filter(time => now - time < 60000);
+    return {
+      server: gateway.enabled() ? CONFIG.aggregateName : CONFIG.serverName,
+      version: PACKAGE_VERSION,
+      pid: process.pid,
+      nodeVersion: process.version,
+      transport: localServer.server ? 'http' : 'stdio',
+      startedAt: new Date(this.startedAt).toISOString(),
+      uptimeSeconds: Math.round((now - this.startedAt) / 1000),
+      config: {
+        proxyPolicy: endpoints.policy,
+        endpoints: endpoints.list.map(({ url, weight, breaker }) => ({ url, weight, circuit: breaker.state })),
+        auth: auth.provider.type,
+        aggregateServers: CONFIG.aggregateServers,
+        timeoutMs: CONFIG.timeout,
+        maxRetries: CONFIG.maxRetries,
+        maxConcurrentRequests: CONFIG.maxConcurrentRequests,
+        rateLimitPerMinute: CONFIG.rateLimitPerMinute,
+        rateLimits: CONFIG.rateLimits,
+        cache: CONFIG.responseCache,
+        cacheDir: cache.store ? CONFIG.cacheDir : null,
+        allowedPaths: pathSecurity.roots,
+        denyPaths: CONFIG.denyPaths,
+        pathMappings: CONFIG.pathMappings,
+        policyFile: toolPolicy.policy ? CONFIG.policyFile : null,
+        auditLog: audit.stream ? CONFIG.auditFile : null,
+        cassette: cassette.mode,
+      },
+      requests: {
+        total: this.requests.sum(),
+        errors: this.requests.sum(labels => labels.outcome === 'error'),
+        blocked: this.blocked.sum(),
+        rateLimited: this.rateLimited.sum(),
+        retries: this.retries.sum(),
+        timeouts: this.timeouts.sum(),
+      },
+      cache: {
+        entries: cache.entries.size,
+        bytes: cache.bytes,
+        ...lookups('memory'),
+        disk: cache.store ? lookups('disk') : null,
+      },
+      inFlight: this.inFlight().map(({ client, server, entry }) => ({
+        id: entry.id,
+        method: entry.method,
+        ...(entry.tool && { tool: entry.tool }),
+        server,
+        ...(client.id && { session: client.id }),
+        ageMs: now - entry.startedAt,
+      })),
+    };
+  },
+  
+  /**
+   * Serve /metrics and /status on localhost. The server doesn't keep the
+   * process running once the client has gone.
+   * @param {number} port - Port to listen on (0 for any free port)
+   * @returns {Promise<number>} - The port listened on
+   */
+  start(port) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.unref();
+        resolve(this.server.address().port);
+      });
+    });
+  },
+  
+  /**
+   * Answer a request to the metrics server
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    // Scrapes are short and rare; closing the connection after each lets
+    // the process exit without waiting for idle connections
+    res.setHeader('Connection', 'close');
+    
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (!localServer.isLocal(req)) {
+      return localServer.sendStatus(res, 403, 'Forbidden');
+    }
+    if (pathname !== '/metrics' && pathname !== '/status') {
+      return localServer.sendStatus(res, 404, 'Not found');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return localServer.sendStatus(res, 405, 'Method not allowed');
+    }
     
-    // Check if we've exceeded the limit
-    return this.requests.length >= CONFIG.rateLimitPerMinute;
+    const [type, body] = pathname === '/metrics'
+      ? [metricsLib.CONTENT_TYPE, this.registry.render()]
+      : ['application/json', JSON.stringify(this.status(), null, 2)];
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(req.method === 'HEAD' ? undefined : body);
   },
   
   /**
-   * Record a new request
+   * Stop serving metrics
    */
-  addRequest() {
-    this.requests.push(Date.now());
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
   }
 };
 
+metrics.define();
+
 // =============================================================================
-// Path Security
+// Tracing
 // =============================================================================
 
-const pathSecurity = {
+const tracing = {
+  // Tracer, when MCP_TRACE_FILE or MCP_OTLP_ENDPOINT is set
+  tracer: null,
+  
+  // Span of the attempt being sent to the proxy, whose context goes in the
+  // traceparent header
+  attemptContext: new AsyncLocalStorage(),
+  
   /**
-   * Sanitize a file path to prevent traversal attacks
-   * @param {string} filePath - File path to sanitize
-   * @returns {string|null} - Sanitized path or null if invalid
+   * Set up the exporters
+   * @param {Object} options - Options
+   * @param {string} [options.traceFile] - JSON Lines file for finished spans
+   * @param {string} [options.otlpEndpoint] - OTLP/HTTP traces endpoint
+   * @param {string} [options.otlpHeaders] - Extra headers for the endpoint, as name=value pairs
+   * @throws {Error} - If the file can't be opened or a setting is invalid
    */
-  sanitizePath(filePath) {
-    if (!filePath || typeof filePath !== 'string') {
-      return null;
-    }
+  configure({ traceFile, otlpEndpoint, otlpHeaders }) {
+    this.tracer = null;
+    const exporters = [];
     
-    try {
-      // Normalize the path to resolve .. and . segments
-      const normalizedPath = path.normalize(filePath);
-      
-      // Check if this is an absolute path
-      if (path.isAbsolute(normalizedPath)) {
-        // Check if path is in allowed paths when they're specified
-        if (CONFIG.allowedPaths.length > 0) {
-          const isAllowed = CONFIG.allowedPaths.some(allowedPath => 
-            normalizedPath === allowedPath || 
-            normalizedPath.startsWith(allowedPath + path.sep)
-          );
-          
-          if (!isAllowed) {
-            logger.warn(`Access to path outside allowed directories: ${normalizedPath}`);
-            return null;
-          }
-        }
-        
-        return normalizedPath;
+    if (traceFile) {
+      exporters.push(tracingLib.createFileExporter(traceFile));
+    }
+    if (otlpEndpoint) {
+      if (!/^https?:\/\//.test(otlpEndpoint)) {
+        throw new Error(`Invalid MCP_OTLP_ENDPOINT "${otlpEndpoint}" (expected an http or https URL)`);
       }
-      
-      // For relative paths, always return null as they're relative to unknown base
-      logger.warn(`Rejected relative path: ${filePath}`);
-      return null;
-    } catch (error) {
-      logger.error(`Path sanitization error: ${error.message}`, { path: filePath });
+      let headers;
+      try {
+        headers = tracingLib.parseHeaders(otlpHeaders || '');
+      } catch (error) {
+        throw new Error(`Invalid MCP_OTLP_HEADERS: ${error.message}`);
+      }
+      exporters.push(tracingLib.createOtlpExporter({
+        url: otlpEndpoint,
+        headers,
+        version: PACKAGE_VERSION,
+        onError: error => logger.warn(error.message),
+      }));
+    }
+    
+    if (exporters.length > 0) {
+      this.tracer = tracingLib.createTracer({
+        service: 'mcp-shim',
+        resource: {
+          'service.version': PACKAGE_VERSION,
+          'process.pid': process.pid,
+          'mcp_shim.server': gateway.enabled() ? CONFIG.aggregateName : CONFIG.serverName,
+        },
+        exporters,
+      });
+    }
+  },
+  
+  /**
+   * Start the span for a request from the client. A trace the client began,
+   * given in params._meta.traceparent, is continued.
+   * @param {Object} request - JSON-RPC request
+   * @returns {Object|null} - Span, or null if tracing is off
+   */
+  startRequest(request) {
+    if (!this.tracer) {
       return null;
     }
+    
+    const tool = metrics.toolName(request);
+    return this.tracer.startSpan(tool ? `${request.method} ${tool}` : request.method, {
+      parent: tracingLib.parseTraceparent(request.params?._meta?.traceparent),
+      kind: tracingLib.SPAN_KIND.SERVER,
+      attributes: {
+        'mcp.method.name': request.method,
+        'jsonrpc.request.id': String(request.id),
+        'gen_ai.tool.name': tool || undefined,
+        'mcp_shim.server': currentServer(),
+        'mcp.session.id': currentClient().session.id,
+      },
+    });
   },
   
   /**
-   * Process filesystem-related requests to ensure path security
-   * @param {Object} request - Request object
-   * @returns {Object} - Modified request
+   * End a request's span with how it went
+   * @param {Object|null} span - Span from startRequest()
+   * @param {Object|null} response - Response sent to the client, if any
+   * @param {Object} tracked - In-flight entry for the request
    */
-  processRequest(request) {
-    // Skip if not a filesystem request
-    if (CONFIG.serverName !== 'filesystem') {
-      return request;
+  finishRequest(span, response, tracked) {
+    if (!span) {
+      return;
     }
     
-    try {
-      // For tools/call to filesystem
-      if (request.method === 'tools/call' && 
-          typeof request.params?.arguments === 'object') {
-        
-        const args = request.params.arguments;
-        
-        // Check for path parameter
-        if (typeof args?.path === 'string') {
-          const sanitizedPath = this.sanitizePath(args.path);
-          if (sanitizedPath === null) {
-            // Path was disallowed - return an error
-            logger.warn(`Blocked access to path: ${args.path}`);
-            return {
-              ...request,
-              // Add a flag so the forwarder knows to return an error 
-              // instead of forwarding the request
-              __securityViolation: true,
-              __errorMessage: `Access denied to path: ${args.path}`
-            };
-          }
-          
-          args.path = sanitizedPath;
-        }
-        
-        // Check for paths array parameter
-        if (Array.isArray(args?.paths)) {
-          const sanitizedPaths = [];
-          let hasInvalidPath = false;
-          
-          for (const p of args.paths) {
-            const sanitized = this.sanitizePath(p);
-            if (sanitized === null) {
-              hasInvalidPath = true;
-              break;
-            }
-            sanitizedPaths.push(sanitized);
-          }
-          
-          if (hasInvalidPath) {
-            logger.warn(`Blocked access to one or more paths in: ${args.paths.join(', ')}`);
-            return {
-              ...request,
-              __securityViolation: true,
-              __errorMessage: `Access denied to one or more requested paths`
-            };
-          }
-          
-          args.paths = sanitizedPaths;
-        }
-        
-        // Check for source/destination parameters
-        if (typeof args?.source === 'string') {
-          args.source = this.sanitizePath(args.source);
-          if (args.source === null) {
-            return {
-              ...request,
-              __securityViolation: true,
-              __errorMessage: `Access denied to source path`
-            };
-          }
-        }
-        
-        if (typeof args?.destination === 'string') {
-          args.destination = this.sanitizePath(args.destination);
-          if (args.destination === null) {
-            return {
-              ...request,
-              __securityViolation: true,
-              __errorMessage: `Access denied to destination path`
-            };
-          }
-        }
-      }
-    } catch (error) {
-      logger.error(`Error in path security processing: ${error.message}`, { request });
+    span.setAttributes({
+      'mcp_shim.outcome': metrics.outcome(response, tracked),
+      'mcp_shim.cache': tracked.cache,
+    });
+    if (response?.error) {
+      span.setAttributes({ 'error.type': String(response.error.code), 'rpc.jsonrpc.error_code': response.error.code });
+      span.setStatus(tracingLib.STATUS_CODE.ERROR, response.error.message);
+    } else if (response?.result?.isError) {
+      span.setAttributes({ 'error.type': 'tool_error' });
+    }
+    span.end();
+  },
+  
+  /**
+   * Start the span for one attempt to send a request to the proxy
+   * @param {Object|null} parent - The request's span
+   * @param {string} url - Proxy endpoint URL
+   * @param {number} resends - Attempts already made
+   * @returns {Object|null} - Span, or null if the request isn't traced
+   */
+  startAttempt(parent, url, resends) {
+    if (!this.tracer || !parent) {
+      return null;
     }
     
-    return request;
-  }
-};
-
-// =============================================================================
+    return this.tracer.startSpan('POST', {
+      parent,
+      kind: tracingLib.SPAN_KIND.CLIENT,
+      attributes: {
+        'http.request.method': 'POST',
+        'url.full': url,
+        'http.request.resend_count': resends > 0 ? resends : undefined,
+      },
+    });
+  },
+  
+  /**
+   * End an attempt's span. Later calls do nothing.
+   * @param {Object|null} span - Span from startAttempt()
+   * @param {Error} [error] - Why the attempt failed, if it did
+   * @param {Object} [tracked] - In-flight entry for the request
+   */
+  endAttempt(span, error, tracked) {
+    if (!span || span.endTime !== null) {
+      return;
+    }
+    
+    if (error) {
+      span.setAttributes({ 'error.type': metrics.attemptOutcome(error, tracked), 'http.response.status_code': error.status });
+      span.setStatus(tracingLib.STATUS_CODE.ERROR, error.message);
+    }
+    span.end();
+  },
+  
+  /**
+   * Run an attempt with its span as the one sent upstream
+   * @param {Object|null} span - Span from startAttempt()
+   * @param {Function} fn - () => Promise
+   * @returns {Promise<*>} - What fn returns
+   */
+  runAttempt(span, fn) {
+    return span ? this.attemptContext.run(span, fn) : fn();
+  },
+  
+  /**
+   * Add the running attempt's trace context to the headers of a request to
+   * the proxy
+   * @param {Object} headers - Request headers, modified in place
+   */
+  injectHeaders(headers) {
+    const span = this.attemptContext.getStore();
+    if (span) {
+      headers['traceparent'] = tracingLib.formatTraceparent(span);
+    }
+  },
+  
+  /**
+   * Note the HTTP status of the running attempt
+   * @param {number} status - HTTP status
+   */
+  recordStatus(status) {
+    this.attemptContext.getStore()?.setAttributes({ 'http.response.status_code': status });
+  },
+  
+  /**
+   * Add a request span's trace context to params._meta, for servers that
+   * read it there rather than from HTTP headers
+   * @param {Object} request - JSON-RPC request
+   * @param {Object|null} span - The request's span
+   * @returns {Object} - The request, or a copy with the trace context
+   */
+  injectMeta(request, span) {
+    if (!span || Array.isArray(request.params)) {
+      return request;
+    }
+    
+    const params = request.params || {};
+    return {
+      ...request,
+      params: { ...params, _meta: { ...params._meta, traceparent: tracingLib.formatTraceparent(span) } },
+    };
+  },
+  
+  /**
+   * Send the spans still held by the exporters
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.tracer) {
+      await this.tracer.close();
+    }
+  }
+};
+
+// =============================================================================
+// Cache System
+// =============================================================================
+
+const cache = {
+  // Entries in least- to most-recently-used order (Map keeps insertion order)
+  entries: new Map(),
+  
+  // Total size of the cached responses in bytes
+  bytes: 0,
+  
+  // Bumped on every invalidation, so a response fetched before a write
+  // finished isn't cached after it
+  generation: 0,
+  
+  // Disk store shared with other shim processes, if MCP_CACHE_DIR is set
+  store: null,
+  
+  // Disk writes since the last garbage collection
+  writesSinceCollection: 0,
+  
+  // Methods whose responses stay cached until the server says they changed,
+  // exempt from TTL expiry and LRU eviction
+  pinnedMethods: ['initialize', 'tools/list'],
+  
+  // Methods never answered from memory, as each request sets up state
+  // upstream (initialize opens the client's session). Their responses are
+  // kept for cold starts from disk and for outages.
+  handshakeMethods: ['initialize'],
+  
+  // Methods answered straight from disk on a cold start, then fetched again
+  // in the background
+  revalidateMethods: ['initialize', 'tools/list', 'resources/list', 'prompts/list'],
+  
+  // Notifications that drop cached list responses
+  listChanges: {
+    'notifications/tools/list_changed': ['tools/list'],
+    'notifications/resources/list_changed': ['resources/list', 'resources/templates/list'],
+    'notifications/prompts/list_changed': ['prompts/list'],
+  },
+  
+  // Tools that modify state. Names are matched as substrings, so e.g.
+  // "delete" covers "delete_file".
+  writeOperations: [
+    'write_file', 'edit_file', 'create_directory', 'move_file', 'delete',
+    'create_entities', 'delete_entities', 'create_relations', 'delete_relations',
+    'add_observations', 'delete_observations',
+  ],
+  
+  // Filesystem tool arguments that name paths
+  pathArguments: ['path', 'paths', 'source', 'destination'],
+  
+  /**
+   * Open the disk store if MCP_CACHE_DIR is set, and tidy it in the background
+   */
+  openStore() {
+    if (!CONFIG.responseCache || !CONFIG.cacheDir) {
+      return;
+    }
+    
+    // Servers of the same name behind different proxies get separate namespaces
+    const proxyHash = crypto.createHash('sha256').update(CONFIG.proxyUrl).digest('hex').slice(0, 12);
+    this.store = diskCache.createStore({
+      dir: CONFIG.cacheDir,
+      namespace: `${CONFIG.serverName}-${proxyHash}`,
+      maxBytes: CONFIG.cacheDirMaxBytes,
+    });
+    
+    logger.info(`Disk cache enabled`, { dir: this.store.root });
+    this.collectGarbage();
+  },
+  
+  /**
+   * Run a disk store operation without waiting for it, logging failures
+   * @param {Promise} operation - Pending store operation
+   * @param {string} description - What the operation does, for the log
+   */
+  background(operation, description) {
+    operation.catch((error) => {
+      logger.warn(`Disk cache: failed to ${description}: ${error.message}`);
+    });
+  },
+  
+  /**
+   * Remove expired and excess entries from the disk store
+   */
+  collectGarbage() {
+    this.writesSinceCollection = 0;
+    this.background(this.store.collectGarbage().then(({ removed, bytes }) => {
+      logger.debug(`Disk cache garbage collection removed ${removed} entries`, { bytes });
+    }), 'collect garbage');
+  },
+  
+  /**
+   * Load an entry from the disk store into memory
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} - Cached value, or undefined if not on disk
+   */
+  async restore(key) {
+    if (!this.store || !CONFIG.responseCache) {
+      return undefined;
+    }
+    
+    let stored;
+    try {
+      stored = await this.store.get(key);
+    } catch (error) {
+      logger.warn(`Disk cache: failed to read entry: ${error.message}`);
+      return undefined;
+    }
+    metrics.cacheLookups.inc({ store: 'disk', result: stored ? 'hit' : 'miss' });
+    if (!stored) {
+      return undefined;
+    }
+    
+    this.insert(key, { ...stored.meta, value: stored.value, expiry: stored.expiry });
+    logger.debug(`Disk cache hit for key: ${key}`);
+    return stored.value;
+  },
+  
+  /**
+   * Get a cached entry if valid
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} - Cached entry or undefined if not found or expired
+   */
+  get(key) {
+    if (!CONFIG.responseCache) {
+      return undefined;
+    }
+    
+    const entry = this.entries.get(key);
+    if (!entry) {
+      metrics.cacheLookups.inc({ store: 'memory', result: 'miss' });
+      return undefined;
+    }
+    
+    // Check if entry is expired. Expired lists are kept so they can still be
+    // served while the proxy is unreachable.
+    if (this.handshakeMethods.includes(entry.method) || (!entry.pinned && Date.now() > entry.expiry)) {
+      if (!this.revalidateMethods.includes(entry.method)) {
+        this.delete(key);
+      }
+      metrics.cacheLookups.inc({ store: 'memory', result: 'miss' });
+      return undefined;
+    }
+    
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    metrics.cacheLookups.inc({ store: 'memory', result: 'hit' });
+    logger.debug(`Cache hit for key: ${key}`);
+    return entry.value;
+  },
+  
+  /**
+   * Get an entry even if it has expired, from memory or disk. Used to keep
+   * the client working while the proxy is unreachable.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} - Cached value, or undefined if there is none
+   */
+  async getStale(key) {
+    if (!CONFIG.responseCache) {
+      return undefined;
+    }
+    
+    const entry = this.entries.get(key);
+    if (entry) {
+      return entry.value;
+    }
+    
+    if (!this.store) {
+      return undefined;
+    }
+    
+    try {
+      const stored = await this.store.get(key, { allowExpired: true });
+      return stored ? stored.value : undefined;
+    } catch (error) {
+      logger.warn(`Disk cache: failed to read entry: ${error.message}`);
+      return undefined;
+    }
+  },
+  
+  /**
+   * Set a cache entry, evicting least recently used entries to stay within
+   * the entry and byte limits
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to cache
+   * @param {Object} request - Request the value answers
+   * @param {number} generation - Cache generation when the request was sent
+   */
+  set(key, value, request, generation) {
+    if (!CONFIG.responseCache) {
+      return;
+    }
+    
+    // Something was invalidated while the request was in flight, so the
+    // response may already be stale
+    if (generation !== this.generation) {
+      logger.debug(`Not caching response invalidated in flight: ${key}`);
+      return;
+    }
+    
+    const size = Buffer.byteLength(JSON.stringify(value), 'utf8');
+    if (size > CONFIG.cacheMaxBytes) {
+      logger.debug(`Response too large to cache (${size} bytes): ${key}`);
+      return;
+    }
+    
+    const entry = {
+      value,
+      expiry: Date.now() + CONFIG.cacheTTLMs,
+      pinned: this.pinnedMethods.includes(request.method),
+      method: request.method,
+      server: currentServer(),
+      paths: this.requestPaths(request),
+    };
+    this.insert(key, entry, size);
+    logger.debug(`Cached response for key: ${key}`);
+    
+    if (this.store) {
+      const meta = { pinned: entry.pinned, method: entry.method, server: entry.server, paths: entry.paths };
+      const diskExpiry = entry.pinned ? Date.now() + CONFIG.cacheDirPinnedTTLMs : entry.expiry;
+      this.background(this.store.set(key, value, diskExpiry, meta), 'write entry');
+      if (++this.writesSinceCollection >= 100) {
+        this.collectGarbage();
+      }
+    }
+  },
+  
+  /**
+   * Add an entry to memory as the most recently used, then evict to fit
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with value, expiry, pinned, method and paths
+   * @param {number} [size] - Size of the value in bytes, if already known
+   */
+  insert(key, entry, size = Buffer.byteLength(JSON.stringify(entry.value), 'utf8')) {
+    this.delete(key);
+    this.entries.set(key, { ...entry, size });
+    this.bytes += size;
+    this.evict();
+  },
+  
+  /**
+   * Remove a cache entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  },
+  
+  /**
+   * Evict least recently used entries until the cache fits its limits.
+   * Pinned entries are never evicted.
+   */
+  evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= CONFIG.cacheMaxEntries && this.bytes <= CONFIG.cacheMaxBytes) {
+        break;
+      }
+      if (!entry.pinned) {
+        this.delete(key);
+      }
+    }
+  },
+  
+  /**
+   * Drop cached responses a state-modifying request may have made stale.
+   * On the filesystem server only entries for affected paths go: the paths
+   * themselves, anything beneath them, and listings of their parent
+   * directories. On other servers (e.g. any memory mutation, which changes
+   * what read_graph and search_nodes return) every cached tool result goes.
+   * Entries of other servers behind an aggregate gateway are left alone.
+   * @param {Object} request - The state-modifying request
+   */
+  invalidate(request) {
+    this.generation++;
+    
+    const changed = this.requestPaths(request);
+    const server = currentServer();
+    let dropped = 0;
+    
+    for (const [key, entry] of this.entries) {
+      if (this.isAffected(entry, changed, server)) {
+        this.delete(key);
+        dropped++;
+      }
+    }
+    
+    if (this.store) {
+      this.background(this.store.deleteWhere(({ meta }) => this.isAffected(meta, changed, server)), 'invalidate entries');
+    }
+    
+    logger.debug(`Invalidated ${dropped} cached responses after ${request.params?.name}`, { paths: changed });
+  },
+  
+  /**
+   * Check whether a write to some paths makes a cached entry stale
+   * @param {Object} entry - Cached entry (or its stored metadata)
+   * @param {string[]} changed - Paths the write touched
+   * @param {string} server - Server the write went to
+   * @returns {boolean} - True if the entry must be dropped
+   */
+  isAffected(entry, changed, server) {
+    if (entry.method !== 'tools/call' || (entry.server && entry.server !== server)) {
+      return false;
+    }
+    
+    return server !== 'filesystem' || changed.length === 0 ||
+      (entry.paths || []).some(cachedPath => changed.some(changedPath => this.pathsOverlap(cachedPath, changedPath)));
+  },
+  
+  /**
+   * Drop cached responses a server notification says are out of date
+   * @param {Object} notification - Notification from the server
+   */
+  handleNotification(notification) {
+    const methods = this.listChanges[notification.method] || [];
+    const updatedResource = notification.method === 'notifications/resources/updated'
+      ? this.createKey({ id: 0, method: 'resources/read', params: { uri: notification.params?.uri } })
+      : null;
+    if (methods.length === 0 && !updatedResource) {
+      return;
+    }
+    
+    const server = currentServer();
+    const isStale = (key, entry) => (methods.includes(entry.method) && (!entry.server || entry.server === server)) ||
+      key === updatedResource;
+    for (const [key, entry] of this.entries) {
+      if (isStale(key, entry)) {
+        this.delete(key);
+      }
+    }
+    
+    if (this.store) {
+      this.background(this.store.deleteWhere(({ key, meta }) => isStale(key, meta)), 'drop changed lists');
+    }
+    
+    logger.debug(`Dropped cached responses after ${notification.method}`);
+  },
+  
+  /**
+   * Find the notification that tells the client a list method's result changed
+   * @param {string} method - List method, e.g. "tools/list"
+   * @returns {string|undefined} - Notification method, if there is one
+   */
+  changeNotification(method) {
+    return Object.keys(this.listChanges).find(notification => this.listChanges[notification][0] === method);
+  },
+  
+  /**
+   * Collect the paths a filesystem tool call refers to
+   * @param {Object} request - Request object
+   * @returns {string[]} - Paths without trailing separators
+   */
+  requestPaths(request) {
+    const args = request.method === 'tools/call' ? request.params?.arguments : undefined;
+    if (!args || typeof args !== 'object') {
+      return [];
+    }
+    
+    return this.pathArguments
+      .flatMap(name => args[name] === undefined ? [] : [].concat(args[name]))
+      .filter(value => typeof value === 'string' && value.length > 0)
+      .map(value => value.length > 1 ? value.replace(/\/+$/, '') : value);
+  },
+  
+  /**
+   * Check whether two paths are the same or one contains the other
+   * @param {string} a - First path
+   * @param {string} b - Second path
+   * @returns {boolean} - True if a change to one can affect the other
+   */
+  pathsOverlap(a, b) {
+    const within = (child, parent) => child === parent ||
+      child.startsWith(parent.endsWith('/') ? parent : `${parent}/`);
+    return within(a, b) || within(b, a);
+  },
+  
+  /**
+   * Serialize a value with object keys in sorted order, so equal requests
+   * produce equal keys whatever order the client wrote their properties in
+   * @param {*} value - Value to serialize
+   * @returns {string} - Canonical JSON
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+      const members = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${members.join(',')}}`;
+    }
+    
+    return JSON.stringify(value === undefined ? null : value);
+  },
+  
+  /**
+   * Generate a cache key from a request
+   * @param {Object} request - Request object
+   * @returns {string|null} - Cache key, or null if the request isn't cacheable
+   */
+  createKey(request) {
+    // Don't cache notifications or stateful operations
+    if (request.id === undefined || this.isUncacheable(request)) {
+      return null;
+    }
+    
+    // Per-request metadata such as progress tokens doesn't affect the result.
+    // The server name keeps the servers behind an aggregate gateway apart.
+    const { _meta, ...params } = request.params || {};
+    return `${currentServer()}/${request.method}:${this.canonicalize(params)}`;
+  },
+  
+  /**
+   * Check if a request is cacheable
+   * @param {Object} request - Request object
+   * @returns {boolean} - True if uncacheable, false if cacheable
+   */
+  isUncacheable(request) {
+    // Don't cache state-modifying tool calls
+    return request.method === 'tools/call' &&
+      typeof request.params?.name === 'string' &&
+      this.writeOperations.some(op => request.params.name.includes(op));
+  }
+};
+
+// =============================================================================
+// Rate Limiting
+// =============================================================================
+
+const rateLimit = {
+  // Token buckets by scope: "server", "method:<name>" and "tool:<name>"
+  buckets: new Map(),
+  
+  // Requests currently waiting for tokens
+  waiting: 0,
+  
+  // Units accepted in MCP_RATE_LIMITS, in milliseconds
+  units: { s: 1000, sec: 1000, second: 1000, m: 60000, min: 60000, minute: 60000, h: 3600000, hour: 3600000 },
+  
+  /**
+   * Set up the server-wide bucket and any per-method or per-tool buckets.
+   * Extra budgets are given as comma-separated "<scope>=<count>/<unit>"
+   * entries with an optional ":burst=<n>", e.g.
+   * "tool:read_file=600/min:burst=100,method:resources/read=30/min".
+   * @param {string} spec - Extra budgets (MCP_RATE_LIMITS)
+   */
+  configure(spec) {
+    this.buckets = new Map();
+    this.waiting = 0;
+    this.addBucket('server', CONFIG.rateLimitPerMinute, 60000, CONFIG.rateLimitBurst);
+    
+    for (const entry of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+      const match = /^((?:method|tool):[^=]+)=(\d+)\/([a-z]+)(?::burst=(\d+))?$/.exec(entry);
+      if (!match || !this.units[match[3]] || parseInt(match[2], 10) < 1) {
+        throw new Error(`Invalid rate limit "${entry}" (expected e.g. "tool:read_file=600/min:burst=100")`);
+      }
+      
+      const [, scope, count, unit, burst] = match;
+      this.addBucket(scope, parseInt(count, 10), this.units[unit], burst && parseInt(burst, 10));
+    }
+  },
+  
+  /**
+   * Create a full token bucket
+   * @param {string} scope - Bucket scope
+   * @param {number} count - Tokens added per period
+   * @param {number} periodMs - Refill period
+   * @param {number} [burst] - Bucket capacity (defaults to count)
+   */
+  addBucket(scope, count, periodMs, burst) {
+    const capacity = burst || count;
+    this.buckets.set(scope, {
+      scope,
+      capacity,
+      ratePerMs: count / periodMs,
+      tokens: capacity,
+      updatedAt: Date.now(),
+    });
+  },
+  
+  /**
+   * Add the tokens a bucket has earned since it was last used
+   * @param {Object} bucket - Token bucket
+   * @param {number} now - Current time
+   */
+  refill(bucket, now) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+    bucket.updatedAt = now;
+  },
+  
+  /**
+   * Find the buckets a request draws from
+   * @param {Object} request - JSON-RPC request
+   * @returns {Object[]} - Applicable buckets
+   */
+  bucketsFor(request) {
+    const scopes = ['server', `method:${request.method}`];
+    if (request.method === 'tools/call' && typeof request.params?.name === 'string') {
+      scopes.push(`tool:${request.params.name}`);
+    }
+    return scopes.map(scope => this.buckets.get(scope)).filter(Boolean);
+  },
+  
+  /**
+   * Take a token from every bucket that applies to a request, waiting in
+   * line if one is empty. Tokens are reserved up front (buckets may go
+   * negative), so waiting requests are served in arrival order.
+   * @param {Object} request - JSON-RPC request
+   * @param {Object} [tracked] - In-flight entry, to stop waiting on cancellation
+   * @returns {Promise<Object|null>} - { ok: true }, { ok: false, retryAfterMs, scope }
+   *   if the wait would be too long or the queue is full, or null if cancelled
+   */
+  async acquire(request, tracked) {
+    const now = Date.now();
+    const buckets = this.bucketsFor(request);
+    
+    let waitMs = 0;
+    let limiting = null;
+    for (const bucket of buckets) {
+      this.refill(bucket, now);
+      const bucketWait = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / bucket.ratePerMs;
+      if (bucketWait > waitMs) {
+        waitMs = bucketWait;
+        limiting = bucket;
+      }
+    }
+    
+    if (waitMs > 0 && (waitMs > CONFIG.rateLimitMaxWaitMs || this.waiting >= CONFIG.rateLimitQueueSize)) {
+      metrics.rateLimited.inc({ scope: limiting.scope });
+      return { ok: false, retryAfterMs: Math.ceil(waitMs), scope: limiting.scope };
+    }
+    
+    for (const bucket of buckets) {
+      bucket.tokens -= 1;
+    }
+    
+    if (waitMs === 0) {
+      return { ok: true };
+    }
+    
+    logger.debug(`Rate limit ${limiting.scope} reached, delaying request by ${Math.ceil(waitMs)}ms`, { id: request.id });
+    metrics.rateDelayed.inc({ scope: limiting.scope });
+    this.waiting++;
+    try {
+      const completed = await wait(waitMs, tracked?.controller.signal);
+      if (!completed) {
+        // Give the reserved tokens back to the requests behind this one
+        for (const bucket of buckets) {
+          bucket.tokens += 1;
+        }
+        return null;
+      }
+      return { ok: true };
+    } finally {
+      this.waiting--;
+    }
+  }
+};
+
+const concurrency = {
+  // Requests currently being sent upstream
+  active: 0,
+  
+  // Callbacks for requests waiting for a free slot, in arrival order
+  queue: [],
+  
+  /**
+   * Wait for a free upstream slot
+   * @param {Object} [tracked] - In-flight entry, to stop waiting on cancellation
+   * @returns {Promise<boolean>} - True once a slot is held, false if cancelled
+   */
+  acquire(tracked) {
+    if (this.active < CONFIG.maxConcurrentRequests) {
+      this.active++;
+      return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve) => {
+      const signal = tracked?.controller.signal;
+      const onAbort = () => {
+        this.queue = this.queue.filter(waiter => waiter !== grant);
+        resolve(false);
+      };
+      const grant = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(true);
+      };
+      
+      signal?.addEventListener('abort', onAbort);
+      this.queue.push(grant);
+    });
+  },
+  
+  /**
+   * Release a slot, handing it straight to the next waiting request
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+};
+
+/**
+ * Sleep, waking early if a signal aborts
+ * @param {number} ms - How long to sleep
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<boolean>} - True if the full time passed, false if aborted
+ */
+function wait(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.resolve(false);
+  }
+  
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve(false);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
+
+// =============================================================================
+// Circuit Breaker
+// =============================================================================
+
+/**
+ * Create a circuit breaker for one proxy endpoint
+ * @param {string} url - Endpoint base URL, probed while the circuit is open
+ * @returns {Object} - Breaker tracking the endpoint's health
+ */
+function createCircuitBreaker(url) {
+  return {
+    url,
+    
+    // "closed" lets requests through, "open" fails them fast, and "half-open"
+    // lets a single trial request decide which way to go
+    state: 'closed',
+    
+    // Consecutive failed attempts to reach the endpoint
+    failures: 0,
+    
+    // When the circuit last opened
+    openedAt: 0,
+    
+    // Whether the half-open trial request is still running
+    trialInFlight: false,
+    
+    // Timer for the background health probe, running while not closed
+    probeTimer: null,
+    probing: false,
+    
+    /**
+     * Check whether a request could be sent, without claiming the half-open
+     * trial
+     * @returns {boolean} - False if requests to the endpoint should fail fast
+     */
+    isAvailable() {
+      if (!CONFIG.circuitBreaker || this.state === 'closed') {
+        return true;
+      }
+      if (this.state === 'open') {
+        return Date.now() - this.openedAt >= CONFIG.circuitResetMs;
+      }
+      return !this.trialInFlight;
+    },
+    
+    /**
+     * Check whether a request may be sent to the endpoint, claiming the
+     * half-open trial if it's due
+     * @returns {boolean} - False if the request should fail fast
+     */
+    allowRequest() {
+      if (!CONFIG.circuitBreaker || this.state === 'closed') {
+        return true;
+      }
+      
+      if (this.state === 'open' && Date.now() - this.openedAt >= CONFIG.circuitResetMs) {
+        logger.info(`Circuit half-open, sending a trial request to ${this.url}`);
+        this.state = 'half-open';
+        this.trialInFlight = false;
+      }
+      
+      if (this.state === 'half-open' && !this.trialInFlight) {
+        this.trialInFlight = true;
+        return true;
+      }
+      
+      return false;
+    },
+    
+    /**
+     * Time until requests are let through again
+     * @returns {number} - Milliseconds until the circuit half-opens
+     */
+    retryAfterMs() {
+      if (this.state === 'closed') {
+        return 0;
+      }
+      return Math.max(0, this.openedAt + CONFIG.circuitResetMs - Date.now());
+    },
+    
+    /**
+     * Record that the endpoint answered
+     */
+    recordSuccess() {
+      this.failures = 0;
+      
+      if (this.state !== 'closed') {
+        logger.info(`Proxy at ${this.url} reachable again, circuit closed`);
+        this.state = 'closed';
+        this.trialInFlight = false;
+        this.stop();
+      }
+    },
+    
+    /**
+     * Record a failed attempt to reach the endpoint, opening the circuit once
+     * failures reach the threshold or the half-open trial fails
+     * @param {Error} error - What went wrong
+     */
+    recordFailure(error) {
+      this.failures++;
+      
+      if (!CONFIG.circuitBreaker) {
+        return;
+      }
+      
+      if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= CONFIG.circuitFailureThreshold)) {
+        this.open(error);
+      }
+    },
+    
+    /**
+     * Open the circuit and start probing the endpoint in the background
+     * @param {Error} error - The failure that opened it
+     */
+    open(error) {
+      logger.warn(`Proxy at ${this.url} unreachable, circuit open for ${CONFIG.circuitResetMs}ms`, {
+        failures: this.failures,
+        error: error?.message
+      });
+      
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+      
+      if (!this.probeTimer) {
+        this.probeTimer = setInterval(() => this.probe(), CONFIG.circuitProbeIntervalMs);
+        // The probe alone shouldn't keep the process alive
+        this.probeTimer.unref();
+      }
+    },
+    
+    /**
+     * Check whether the endpoint answers at all. Any response below 500
+     * counts, as the root URL needn't serve anything in particular.
+     * @returns {Promise<void>}
+     */
+    async probe() {
+      if (this.probing || this.state === 'closed' || cassette.replaying()) {
+        return;
+      }
+      this.probing = true;
+      
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+      try {
+        const response = await fetch(this.url, { method: 'HEAD', agent: auth.agent, signal: controller.signal });
+        if (response.status < 500) {
+          this.recordSuccess();
+        } else {
+          logger.debug(`Health probe of ${this.url} got HTTP ${response.status}`);
+        }
+      } catch (error) {
+        logger.debug(`Health probe of ${this.url} failed: ${error.message}`);
+        if (this.state === 'half-open') {
+          this.open(error);
+        }
+      } finally {
+        clearTimeout(timeoutId);
+        this.probing = false;
+      }
+    },
+    
+    /**
+     * Stop probing, e.g. on shutdown
+     */
+    stop() {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  };
+}
+
+// =============================================================================
+// Proxy Endpoints
+// =============================================================================
+
+const endpoints = {
+  // Endpoints in configured order: { url, weight, currentWeight, breaker }
+  list: [],
+  
+  // "failover" always prefers the first healthy endpoint; "round-robin"
+  // spreads load over healthy endpoints in proportion to their weights
+  policy: 'failover',
+  
+  /**
+   * Set up the endpoint pool
+   * @param {string} spec - Proxy URL setting (see routes.parseProxyUrls)
+   * @param {string} policy - "failover" or "round-robin"
+   */
+  configure(spec, policy) {
+    if (policy !== 'failover' && policy !== 'round-robin') {
+      throw new Error(`Invalid MCP_PROXY_POLICY "${policy}" (use failover or round-robin)`);
+    }
+    
+    let parsed;
+    try {
+      parsed = routes.parseProxyUrls(spec);
+    } catch (error) {
+      throw new Error(`Invalid MCP_PROXY_URL: ${error.message}`);
+    }
+    
+    this.stop();
+    this.policy = policy;
+    this.list = parsed.map(({ url, weight }) => ({
+      url,
+      weight,
+      currentWeight: 0,
+      breaker: createCircuitBreaker(url),
+    }));
+    
+    // Each shim process starts the rotation at a random point, so processes
+    // started together don't all pick the same endpoint first
+    if (policy === 'round-robin') {
+      const totalWeight = this.list.reduce((total, endpoint) => total + endpoint.weight, 0);
+      for (let i = Math.floor(Math.random() * totalWeight); i > 0; i--) {
+        this.rotate(this.list);
+      }
+    }
+  },
+  
+  /**
+   * Advance smooth weighted round-robin over some endpoints
+   * @param {Object[]} candidates - Endpoints to choose from
+   * @returns {Object} - The chosen endpoint
+   */
+  rotate(candidates) {
+    const totalWeight = candidates.reduce((total, endpoint) => total + endpoint.weight, 0);
+    let best = candidates[0];
+    
+    for (const endpoint of candidates) {
+      endpoint.currentWeight += endpoint.weight;
+      if (endpoint.currentWeight > best.currentWeight) {
+        best = endpoint;
+      }
+    }
+    
+    best.currentWeight -= totalWeight;
+    return best;
+  },
+  
+  /**
+   * Choose the endpoint for the next attempt at a request. Session traffic
+   * stays on the session's endpoint until a request to it fails; otherwise
+   * endpoints not yet tried for the request are preferred, by policy.
+   * @param {Object[]} [tried] - Endpoints this request already failed on
+   * @returns {Object|null} - Endpoint to use, or null if every circuit is open
+   */
+  select(tried = []) {
+    const pinned = currentClient().session.endpoint;
+    if (pinned && !tried.includes(pinned) && pinned.breaker.allowRequest()) {
+      return pinned;
+    }
+    
+    const available = this.list.filter(endpoint => endpoint.breaker.isAvailable());
+    const untried = available.filter(endpoint => !tried.includes(endpoint));
+    const candidates = untried.length > 0 ? untried : available;
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    const chosen = this.policy === 'round-robin' ? this.rotate(candidates) : candidates[0];
+    return chosen.breaker.allowRequest() ? chosen : null;
+  },
+  
+  /**
+   * Check whether a request could still move to an endpoint it hasn't failed on
+   * @param {Object[]} tried - Endpoints the request already failed on
+   * @returns {boolean} - True if an untried endpoint is available
+   */
+  hasUntried(tried) {
+    return this.list.some(endpoint => !tried.includes(endpoint) && endpoint.breaker.isAvailable());
+  },
+  
+  /**
+   * Endpoint for session-level traffic (event stream, responses to server
+   * requests, session termination)
+   * @returns {Object} - The session's endpoint, or the first available one
+   */
+  current() {
+    return currentClient().session.endpoint || this.list.find(endpoint => endpoint.breaker.isAvailable()) || this.list[0];
+  },
+  
+  /**
+   * URL of the server being served on an endpoint
+   * @param {Object} endpoint - Proxy endpoint
+   * @returns {string} - Server URL
+   */
+  serverUrl(endpoint) {
+    return `${endpoint.url}/${currentServer()}`;
+  },
+  
+  /**
+   * Time until any endpoint accepts requests again
+   * @returns {number} - Milliseconds
+   */
+  retryAfterMs() {
+    return Math.min(...this.list.map(endpoint => endpoint.breaker.retryAfterMs()));
+  },
+  
+  /**
+   * Stop all health probes
+   */
+  stop() {
+    for (const endpoint of this.list) {
+      endpoint.breaker.stop();
+    }
+  }
+};
+
+// =============================================================================
+// Path Security
+// =============================================================================
+
+const pathSecurity = {
+  // Allowed roots: { path, realPath, readOnly }
+  roots: [],
+  
+  // Compiled deny-list patterns
+  denyPatterns: [],
+  
+  // Whether the host filesystem ignores case when comparing names
+  caseInsensitive: false,
+  
+  // Tools that modify the paths they are given
+  writeTools: ['write_file', 'edit_file', 'create_directory', 'move_file'],
+  
+  /**
+   * Set up allowed roots and deny patterns
+   * @param {Object} options - Security options
+   * @param {string[]} options.allowedPaths - Allowed roots, optionally suffixed
+   *   with ":ro" (read-only) or ":rw" (read-write, the default)
+   * @param {string[]} options.denyPaths - Glob patterns that are always denied
+   * @param {boolean} options.caseInsensitive - Compare paths ignoring case
+   */
+  configure({ allowedPaths, denyPaths, caseInsensitive }) {
+    this.caseInsensitive = caseInsensitive;
+    
+    this.roots = allowedPaths.map((spec) => {
+      const mode = /:(ro|rw)$/.exec(spec);
+      const rootPath = path.normalize(mode ? spec.slice(0, -3) : spec).normalize('NFC');
+      const trimmed = rootPath.length > 1 ? rootPath.replace(/[\\/]+$/, '') : rootPath;
+      return {
+        path: trimmed,
+        realPath: this.resolveReal(trimmed) || trimmed,
+        readOnly: mode?.[1] === 'ro',
+      };
+    });
+    
+    this.denyPatterns = denyPaths.map(glob => ({ glob, regex: this.globToRegExp(glob) }));
+  },
+  
+  /**
+   * Convert a glob to a regular expression. "**" matches across directories,
+   * "*" and "?" within one. Patterns without a slash match the file name in
+   * any directory, like .gitignore.
+   * @param {string} glob - Glob pattern
+   * @returns {RegExp} - Pattern matching absolute paths
+   */
+  globToRegExp(glob) {
+    let pattern = glob.includes('/') ? glob : `**/${glob}`;
+    
+    // Absolute patterns are anchored at the root, others match at any depth
+    const prefix = pattern.startsWith('/') ? '^' : '^(?:.*/)?';
+    if (pattern.startsWith('**/')) {
+      pattern = pattern.slice(3);
+    }
+    
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '/' && pattern.slice(i + 1) === '**') {
+        // A trailing "/**" covers the directory itself as well as its contents
+        source += '(?:/.*)?';
+        break;
+      } else if (char === '*' && pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`${prefix}${source}$`, this.caseInsensitive ? 'i' : '');
+  },
+  
+  /**
+   * Resolve symlinks in a path. For paths that don't exist yet, the nearest
+   * existing parent is resolved and the rest appended.
+   * @param {string} filePath - Absolute, normalized path
+   * @returns {string|null} - Real path, or null if it cannot be resolved
+   */
+  resolveReal(filePath) {
+    let existing = filePath;
+    const rest = [];
+    
+    for (;;) {
+      try {
+        const real = fs.realpathSync.native(existing);
+        return path.join(real, ...rest.reverse()).normalize('NFC');
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          return null;
+        }
+        
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+          return null;
+        }
+        rest.push(path.basename(existing));
+        existing = parent;
+      }
+    }
+  },
+  
+  /**
+   * Check whether a path is a root or lies beneath it
+   * @param {string} filePath - Path to check
+   * @param {string} root - Root directory
+   * @returns {boolean} - True if inside the root
+   */
+  isInside(filePath, root) {
+    const a = this.caseInsensitive ? filePath.toLowerCase() : filePath;
+    const b = this.caseInsensitive ? root.toLowerCase() : root;
+    return a === b || a.startsWith(b.endsWith(path.sep) ? b : b + path.sep);
+  },
+  
+  /**
+   * Check a path against the allowed roots, deny list and access mode
+   * @param {string} filePath - Path from the request
+   * @param {string} [access] - "read" or "write"
+   * @returns {Object} - { path } with the normalized path, or { error } with the reason it was refused
+   */
+  checkPath(filePath, access = 'read') {
+    if (!filePath || typeof filePath !== 'string' || filePath.includes('\0')) {
+      return { error: 'invalid path' };
+    }
+    
+    // Normalize the path to resolve .. and . segments, and the unicode form
+    // so composed and decomposed names compare equal
+    const normalizedPath = path.normalize(filePath).normalize('NFC');
+    
+    // Relative paths are relative to an unknown base
+    if (!path.isAbsolute(normalizedPath)) {
+      return { error: 'relative paths are not allowed' };
+    }
+    
+    // Follow symlinks so a link inside an allowed directory can't point out of it
+    const realPath = this.resolveReal(normalizedPath);
+    if (realPath === null) {
+      return { error: 'path cannot be resolved' };
+    }
+    
+    const unixPath = p => p.split(path.sep).join('/');
+    const denied = this.denyPatterns.find(({ regex }) =>
+      regex.test(unixPath(normalizedPath)) || regex.test(unixPath(realPath))
+    );
+    if (denied) {
+      return { error: `matches deny pattern ${denied.glob}` };
+    }
+    
+    if (this.roots.length === 0) {
+      return { path: normalizedPath };
+    }
+    
+    // Both the path as given and its target must be inside the same root
+    const root = this.roots.find(r =>
+      this.isInside(normalizedPath, r.path) && this.isInside(realPath, r.realPath)
+    );
+    if (!root) {
+      const escapes = this.roots.some(r => this.isInside(normalizedPath, r.path));
+      return { error: escapes ? 'symlink target is outside allowed directories' : 'outside allowed directories' };
+    }
+    
+    if (access === 'write' && root.readOnly) {
+      return { error: `${root.path} is read-only` };
+    }
+    
+    return { path: normalizedPath };
+  },
+  
+  /**
+   * Sanitize a file path to prevent traversal attacks
+   * @param {string} filePath - File path to sanitize
+   * @param {string} [access] - "read" or "write"
+   * @returns {string|null} - Sanitized path or null if invalid
+   */
+  sanitizePath(filePath, access = 'read') {
+    try {
+      const result = this.checkPath(filePath, access);
+      if (result.error) {
+        logger.warn(`Rejected path ${filePath}: ${result.error}`);
+        return null;
+      }
+      return result.path;
+    } catch (error) {
+      logger.error(`Path sanitization error: ${error.message}`, { path: filePath });
+      return null;
+    }
+  },
+  
+  /**
+   * Process filesystem-related requests to ensure path security
+   * @param {Object} request - Request object
+   * @returns {Object} - Modified request
+   */
+  processRequest(request) {
+    // Skip if not a filesystem request
+    if (currentServer() !== 'filesystem') {
+      return request;
+    }
+    
+    try {
+      // For tools/call to filesystem
+      if (request.method === 'tools/call' && 
+          typeof request.params?.arguments === 'object') {
+        
+        const args = request.params.arguments;
+        const access = this.writeTools.includes(request.params.name) ? 'write' : 'read';
+        
+        const deny = (message, reason) => {
+          logger.warn(`Blocked ${access} access: ${message}`, { reason });
+          return {
+            ...request,
+            // Add a flag so the forwarder knows to return an error 
+            // instead of forwarding the request
+            __violation: {
+              source: 'path-security',
+              message: `${message} (${reason})`
+            }
+          };
+        };
+        
+        // Check for path parameter
+        if (typeof args?.path === 'string') {
+          const result = this.checkPath(args.path, access);
+          if (result.error) {
+            return deny(`Access denied to path: ${args.path}`, result.error);
+          }
+          args.path = result.path;
+        }
+        
+        // Check for paths array parameter
+        if (Array.isArray(args?.paths)) {
+          const sanitizedPaths = [];
+          
+          for (const p of args.paths) {
+            const result = this.checkPath(p, access);
+            if (result.error) {
+              return deny(`Access denied to one or more requested paths`, `${p}: ${result.error}`);
+            }
+            sanitizedPaths.push(result.path);
+          }
+          
+          args.paths = sanitizedPaths;
+        }
+        
+        // Check for source/destination parameters
+        for (const key of ['source', 'destination']) {
+          if (typeof args?.[key] === 'string') {
+            const result = this.checkPath(args[key], access);
+            if (result.error) {
+              return deny(`Access denied to ${key} path`, result.error);
+            }
+            args[key] = result.path;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Error in path security processing: ${error.message}`, { request });
+    }
+    
+    return request;
+  }
+};
+
+// =============================================================================
+// Tool Policy
+// =============================================================================
+
+const toolPolicy = {
+  // Compiled policy from the policy file, or null if there is none
+  policy: null,
+  
+  /**
+   * Load the policy file
+   * @throws {PolicyConfigError} - If the file exists but is invalid
+   */
+  load() {
+    this.policy = policy.loadPolicy(CONFIG.policyFile);
+    if (this.policy) {
+      logger.info(`Tool policy loaded`, { file: this.policy.file, servers: Object.keys(this.policy.servers) });
+    }
+  },
+  
+  /**
+   * Build a request that the forwarder will refuse with a policy error
+   * @param {Object} request - Request object
+   * @param {Object} decision - Policy decision
+   * @param {string} reason - Why the request is refused
+   * @returns {Object} - Request flagged with the violation
+   */
+  reject(request, decision, reason) {
+    logger.warn(`Policy denied ${request.params?.name}`, { rule: decision.rule, reason });
+    return {
+      ...request,
+      __violation: {
+        source: 'policy',
+        rule: decision.rule,
+        message: `Denied by policy rule ${decision.rule}: ${reason}`
+      }
+    };
+  },
+  
+  /**
+   * Apply the policy to a request before it is forwarded. The decision is
+   * kept on the tracked request, so the response is judged by the arguments
+   * the client sent rather than those forwarded.
+   * @param {Object} request - Request object
+   * @param {Object} [tracked] - In-flight entry for the request
+   * @returns {Promise<Object>} - Request to forward, possibly flagged as a violation
+   */
+  async processRequest(request, tracked) {
+    if (!this.policy || request.__violation || request.method !== 'tools/call') {
+      return request;
+    }
+    
+    const name = request.params?.name;
+    const args = request.params?.arguments || {};
+    const decision = policy.evaluate(this.policy, currentServer(), name, args);
+    if (tracked) {
+      tracked.policyDecision = decision;
+    }
+    
+    if (decision.action === 'deny') {
+      return this.reject(request, decision, decision.reason);
+    }
+    
+    if (decision.action === 'confirm') {
+      const refusal = await this.confirm(request, decision);
+      if (refusal) {
+        return this.reject(request, decision, refusal);
+      }
+    }
+    
+    if (decision.dryRun) {
+      logger.info(`Policy forcing dry run for ${name}`, { rule: decision.rule });
+      return { ...request, params: { ...request.params, arguments: { ...args, dryRun: true } } };
+    }
+    
+    return request;
+  },
+  
+  /**
+   * Ask the user to approve a tool call through the client's elicitation support
+   * @param {Object} request - The tools/call request
+   * @param {Object} decision - Policy decision
+   * @returns {Promise<string|null>} - Why the call was not approved, or null if it was
+   */
+  async confirm(request, decision) {
+    const { session, downstream } = currentClient();
+    const clientCapabilities = session.initializeRequest?.params?.capabilities || {};
+    if (!clientCapabilities.elicitation) {
+      return `${decision.reason}, but the client does not support confirmation prompts`;
+    }
+    
+    try {
+      const response = await downstream.askClient('elicitation/create', {
+        message: `${decision.reason}. Allow this call?\n\n${request.params.name} ${JSON.stringify(request.params.arguments || {}, null, 2)}`,
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            approve: { type: 'boolean', title: 'Allow this tool call' }
+          },
+          required: ['approve']
+        }
+      }, CONFIG.confirmTimeoutMs);
+      
+      if (response.result?.action === 'accept' && response.result.content?.approve !== false) {
+        logger.info(`User approved ${request.params.name}`, { rule: decision.rule });
+        return null;
+      }
+      return `${decision.reason} and was not approved`;
+    } catch (error) {
+      return `${decision.reason}, but confirmation failed: ${error.message}`;
+    }
+  },
+  
+  /**
+   * Apply the policy to a response before it reaches the client: hide denied
+   * tools from tools/list and enforce response size caps
+   * @param {Object} request - The request that was answered
+   * @param {Object} response - Response from the proxy
+   * @param {Object} [tracked] - In-flight entry holding the request's decision
+   * @returns {Object} - Response to send
+   */
+  processResponse(request, response, tracked) {
+    if (!this.policy || !response?.result) {
+      return response;
+    }
+    
+    if (request.method === 'tools/list' && Array.isArray(response.result.tools)) {
+      const tools = response.result.tools.filter(tool =>
+        policy.isToolVisible(this.policy, currentServer(), tool.name)
+      );
+      if (tools.length !== response.result.tools.length) {
+        logger.debug(`Policy hid ${response.result.tools.length - tools.length} tool(s) from tools/list`);
+      }
+      return { ...response, result: { ...response.result, tools } };
+    }
+    
+    const decision = tracked?.policyDecision;
+    if (request.method === 'tools/call' && decision) {
+      const size = Buffer.byteLength(JSON.stringify(response.result), 'utf8');
+      if (decision.maxResponseBytes && size > decision.maxResponseBytes) {
+        logger.warn(`Policy blocked oversized response from ${request.params?.name}`, { rule: decision.limitRule, size });
+        return createErrorResponse(
+          response.id,
+          ERROR_CODES.RESPONSE_TOO_LARGE,
+          `Response of ${size} bytes exceeds the ${decision.maxResponseBytes} byte limit set by policy rule ${decision.limitRule}`,
+          { source: 'policy', rule: decision.limitRule }
+        );
+      }
+    }
+    
+    return response;
+  }
+};
+
+// =============================================================================
+// Path Mapping
+// =============================================================================
+
+const pathMapping = {
+  // Host/container directory pairs, longest paths first so nested mounts win
+  mappings: [],
+  
+  // Tools whose results are file contents rather than paths, and so are
+  // passed back untouched
+  contentTools: ['read_file', 'read_text_file', 'read_media_file', 'read_multiple_files'],
+  
+  /**
+   * Parse mount mappings from "host=container" pairs
+   * @param {string[]} pairs - Mapping specifications
+   */
+  configure(pairs) {
+    this.mappings = [];
+    
+    for (const pair of pairs) {
+      const separator = pair.indexOf('=');
+      const host = separator > 0 ? path.normalize(pair.slice(0, separator)).replace(/(.)\/+$/, '$1') : '';
+      const container = separator > 0 ? path.posix.normalize(pair.slice(separator + 1)).replace(/(.)\/+$/, '$1') : '';
+      
+      if (!path.isAbsolute(host) || !path.posix.isAbsolute(container)) {
+        logger.warn(`Ignoring invalid path mapping "${pair}" (expected /host/path=/container/path)`);
+        continue;
+      }
+      
+      this.mappings.push({ host, container });
+    }
+    
+    this.mappings.sort((a, b) => b.host.length - a.host.length);
+    this.hostPattern = this.buildPattern(this.mappings.map(m => m.host));
+    this.containerPattern = this.buildPattern(this.mappings.map(m => m.container));
+  },
+  
+  /**
+   * Build a regex matching any of the given directory prefixes where they
+   * start a path inside free text
+   * @param {string[]} prefixes - Directory paths
+   * @returns {RegExp|null} - Pattern, or null when there are no prefixes
+   */
+  buildPattern(prefixes) {
+    if (prefixes.length === 0) {
+      return null;
+    }
+    
+    const alternatives = prefixes
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    
+    // Not preceded by a path character (so "/data/projects" doesn't match
+    // "/projects") and followed by a separator or the end of the path
+    return new RegExp(`(?<![\\w.-])(${alternatives.join('|')})(?=[/\\\\]|$|[^\\w.-])`, 'g');
+  },
+  
+  /**
+   * Rewrite a single host path to the matching container path
+   * @param {string} hostPath - Sanitized absolute host path
+   * @returns {string} - Container path, or the input if no mapping applies
+   */
+  toContainer(hostPath) {
+    for (const { host, container } of this.mappings) {
+      if (hostPath === host) {
+        return container;
+      }
+      if (hostPath.startsWith(host + path.sep)) {
+        return path.posix.join(container, hostPath.slice(host.length + 1).split(path.sep).join('/'));
+      }
+    }
+    return hostPath;
+  },
+  
+  /**
+   * Rewrite container paths appearing anywhere in a string to host paths
+   * @param {string} text - Text from the server
+   * @returns {string} - Text with host paths
+   */
+  textToHost(text) {
+    if (!this.containerPattern) {
+      return text;
+    }
+    
+    return text.replace(this.containerPattern, (match) => {
+      const mapping = this.mappings.find(m => m.container === match);
+      return mapping ? mapping.host : match;
+    });
+  },
+  
+  /**
+   * Recursively rewrite every string in a value to use host paths
+   * @param {*} value - JSON value
+   * @returns {*} - Rewritten copy
+   */
+  valueToHost(value) {
+    if (typeof value === 'string') {
+      return this.textToHost(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.valueToHost(item));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.valueToHost(item);
+      }
+      return result;
+    }
+    return value;
+  },
+  
+  /**
+   * Check whether mapping applies to this server
+   * @returns {boolean} - True if the filesystem server has mappings configured
+   */
+  isActive() {
+    return currentServer() === 'filesystem' && this.mappings.length > 0;
+  },
+  
+  /**
+   * Rewrite the path arguments of a tool call from host to container paths.
+   * Arguments are expected to have passed path security checks already.
+   * @param {Object} args - Tool call arguments
+   * @returns {Object} - Copy of the arguments with container paths
+   */
+  translateArguments(args) {
+    const translated = { ...args };
+    
+    for (const key of ['path', 'source', 'destination']) {
+      if (typeof args[key] === 'string') {
+        translated[key] = this.toContainer(args[key]);
+      }
+    }
+    
+    if (Array.isArray(args.paths)) {
+      translated.paths = args.paths.map(p => (typeof p === 'string' ? this.toContainer(p) : p));
+    }
+    
+    return translated;
+  },
+  
+  /**
+   * Rewrite the host paths in a vetted tools/call request for the container.
+   * The client's request is left as it is, as its response is matched
+   * against the host paths it sent.
+   * @param {Object} request - Request object
+   * @returns {Object} - Copy of the request with container paths
+   */
+  processRequest(request) {
+    if (!this.isActive() || request.__violation || request.method !== 'tools/call' ||
+        !request.params?.arguments || typeof request.params.arguments !== 'object') {
+      return request;
+    }
+    return {
+      ...request,
+      params: { ...request.params, arguments: this.translateArguments(request.params.arguments) },
+    };
+  },
+  
+  /**
+   * Rewrite container paths in a response so the client only sees host paths
+   * @param {Object} request - The request that was answered
+   * @param {Object} response - Response from the proxy
+   * @returns {Object} - Response with host paths
+   */
+  translateResponse(request, response) {
+    if (!this.isActive() || !response) {
+      return response;
+    }
+    
+    const rewritten = { ...response };
+    
+    if (response.error) {
+      rewritten.error = this.valueToHost(response.error);
+    }
+    
+    const isContentTool = request.method === 'tools/call' &&
+      this.contentTools.includes(request.params?.name);
+    if (response.result && !isContentTool) {
+      rewritten.result = this.valueToHost(response.result);
+    }
+    
+    return rewritten;
+  }
+};
+
+// =============================================================================
+// Protocol Negotiation
+// =============================================================================
+
+// The shim takes part in the initialize handshake: the client is offered a
+// protocol version the shim can translate, capabilities are limited to what
+// the connection to the proxy can deliver, and messages from a server on a
+// newer revision than the client's are rewritten for the client.
+const protocol = {
+  /**
+   * Describe what, besides responses, the connection to the proxy can carry
+   * to the client
+   * @param {Object} session - The client's session
+   * @returns {Object} - { serverRequests, notifications }
+   */
+  channels(session) {
+    return {
+      // Messages sent while one of the client's requests is open, on the
+      // event stream answering it, or at any time on the GET stream
+      serverRequests: session.sseSupported || CONFIG.serverEvents,
+      
+      // Messages the server sends on its own, which only the GET stream carries
+      notifications: CONFIG.serverEvents && !cassette.replaying(),
+    };
+  },
+  
+  /**
+   * Negotiate on the client's behalf: ask the server for a version the shim
+   * knows and leave out client capabilities the server couldn't use
+   * @param {Object} request - JSON-RPC request
+   * @returns {Object} - The request, rewritten if it is an initialize
+   */
+  processRequest(request) {
+    if (request.method !== 'initialize' || !request.params || typeof request.params !== 'object') {
+      return request;
+    }
+    
+    const { session } = currentClient();
+    const requested = request.params.protocolVersion;
+    const version = protocolLib.negotiateVersion(requested);
+    if (version !== requested) {
+      logger.info(`Client asked for protocol version ${requested}, offering ${version}`);
+    }
+    session.clientProtocolVersion = version;
+    
+    return {
+      ...request,
+      params: {
+        ...request.params,
+        protocolVersion: version,
+        capabilities: protocolLib.clientCapabilities(request.params.capabilities, {
+          version,
+          serverRequests: this.channels(session).serverRequests,
+        }),
+      },
+    };
+  },
+  
+  /**
+   * Give the client the negotiated version and the capabilities it can use,
+   * or rewrite another response for the client's revision
+   * @param {Object} request - The client's original request
+   * @param {Object|null} response - Response from the proxy
+   * @returns {Object|null} - Response for the client
+   */
+  processResponse(request, response) {
+    const { session } = currentClient();
+    if (!response?.result || !session.clientProtocolVersion) {
+      return response;
+    }
+    
+    if (request.method === 'initialize') {
+      return { ...response, result: this.negotiate(session, response.result) };
+    }
+    if (this.translating(session)) {
+      return { ...response, result: protocolLib.downgradeResult(request.method, response.result, session.clientProtocolVersion) };
+    }
+    return response;
+  },
+  
+  /**
+   * Rewrite a message the server sent on its own for the client's revision
+   * @param {Object} session - The client's session
+   * @param {Object} message - Notification or request from the server
+   * @returns {Object} - Message for the client
+   */
+  toClient(session, message) {
+    if (message.method !== undefined && message.id !== undefined && this.translating(session)) {
+      return protocolLib.downgradeRequest(message, session.clientProtocolVersion);
+    }
+    return message;
+  },
+  
+  /**
+   * Check whether the server speaks a newer revision than the one the client
+   * was given, so its messages need rewriting
+   * @param {Object} session - The client's session
+   * @returns {boolean} - True if messages are translated
+   */
+  translating(session) {
+    return Boolean(session.clientProtocolVersion) &&
+      protocolLib.isSupported(session.protocolVersion) &&
+      session.protocolVersion > session.clientProtocolVersion;
+  },
+  
+  /**
+   * Settle the handshake from the server's initialize result
+   * @param {Object} session - The client's session
+   * @param {Object} result - Server's initialize result
+   * @returns {Object} - initialize result for the client
+   */
+  negotiate(session, result) {
+    const serverVersion = result.protocolVersion;
+    
+    // Answered from the cache, so the session hasn't seen the server's version
+    if (!session.protocolVersion && typeof serverVersion === 'string') {
+      session.protocolVersion = serverVersion;
+    }
+    
+    // A revision the shim doesn't know can't be translated; the client gets
+    // the server's answer and decides
+    let version = session.clientProtocolVersion;
+    if (serverVersion !== version && !protocolLib.isSupported(serverVersion)) {
+      logger.warn(`Server answered with unknown protocol version ${serverVersion}, passing it to the client`);
+      version = serverVersion;
+    } else if (serverVersion !== version) {
+      logger.info(`Server speaks protocol version ${serverVersion}, translating for the client's ${version}`);
+    }
+    
+    const channels = this.channels(session);
+    return {
+      ...result,
+      protocolVersion: version,
+      capabilities: protocolLib.serverCapabilities(result.capabilities, {
+        version,
+        notifications: channels.notifications,
+        serverMessages: channels.serverRequests,
+      }),
+      serverInfo: {
+        ...result.serverInfo,
+        shim: { name: 'mcp-compose-proxy-shim', version: PACKAGE_VERSION, serverProtocolVersion: serverVersion },
+      },
+    };
+  }
+};
+
+// =============================================================================
+// Authentication
+// =============================================================================
+
+const auth = {
+  // Credentials sent to the proxy. Until configure() runs, just the API key.
+  provider: authLib.createStaticProvider(CONFIG.apiKey),
+  
+  // HTTPS agent presenting the client certificate, if mutual TLS is set up
+  tlsAgent: null,
+  
+  /**
+   * Set up the provider and client certificate. Secrets are read here, not
+   * at startup, so a slow or failing key command is reported like any other
+   * configuration error.
+   * @throws {authLib.AuthError} - If the settings are invalid or a secret can't be read
+   */
+  configure() {
+    this.tlsAgent = authLib.createTlsAgent({
+      cert: CONFIG.tlsCert,
+      key: CONFIG.tlsKey,
+      ca: CONFIG.tlsCa,
+      passphrase: authLib.readSecret(process.env, 'MCP_TLS_KEY_PASSPHRASE'),
+    });
+    
+    const oauth = CONFIG.oauthClientId ? {
+      resource: endpoints.list[0].url,
+      clientId: CONFIG.oauthClientId,
+      clientSecret: authLib.readSecret(process.env, 'MCP_OAUTH_CLIENT_SECRET'),
+      tokenUrl: CONFIG.oauthTokenUrl,
+      scope: CONFIG.oauthScope,
+      agent: this.tlsAgent,
+      timeout: CONFIG.timeout,
+    } : {};
+    
+    this.provider = authLib.createProvider({
+      type: CONFIG.authType,
+      apiKey: CONFIG.apiKey || authLib.readSecret(process.env, 'MCP_API_KEY'),
+      oauth,
+    });
+  },
+  
+  /**
+   * Pick the agent for a request, for use as node-fetch's agent option
+   * @param {URL} url - Request URL
+   * @returns {https.Agent|undefined} - Agent with the client certificate, for HTTPS
+   */
+  agent(url) {
+    return url.protocol === 'https:' && auth.tlsAgent ? auth.tlsAgent : undefined;
+  },
+  
+  /**
+   * Make sure the provider holds a valid token before a request is sent
+   * @returns {Promise<string|null>} - The token that will be sent
+   */
+  prepare() {
+    return this.provider.ensureToken();
+  },
+  
+  /**
+   * Handle a 401 from the proxy by getting new credentials
+   * @param {Error} error - HTTP error with the token sent and the WWW-Authenticate challenge
+   * @returns {Promise<boolean>} - True if the request should be retried
+   */
+  async handleUnauthorized(error) {
+    try {
+      const refreshed = await this.provider.refresh(error.token, error.authenticate);
+      if (refreshed) {
+        logger.info(`Proxy rejected the access token, retrying with a new one`);
+      }
+      return refreshed;
+    } catch (refreshError) {
+      logger.error(`Failed to renew credentials: ${refreshError.message}`);
+      return false;
+    }
+  }
+};
+
+// =============================================================================
+// Record and Replay
+// =============================================================================
+
+const cassette = {
+  // 'record' with MCP_RECORD_FILE, 'replay' with MCP_REPLAY_FILE, else null
+  mode: null,
+  
+  // Writes interactions to the cassette while recording
+  recorder: null,
+  
+  // Answers requests from the cassette while replaying
+  player: null,
+  
+  /**
+   * Start recording to, or replaying from, a cassette
+   * @param {Object} files - Cassette files
+   * @param {string} [files.recordFile] - Cassette to record to
+   * @param {string} [files.replayFile] - Cassette to replay from
+   * @throws {Error} - If both are given
+   * @throws {cassetteLib.CassetteError} - If the cassette to replay is invalid
+   */
+  configure({ recordFile, replayFile }) {
+    if (recordFile && replayFile) {
+      throw new Error('MCP_RECORD_FILE and MCP_REPLAY_FILE can\'t be used together');
+    }
+    
+    this.mode = null;
+    this.recorder = null;
+    this.player = null;
+    if (recordFile) {
+      this.recorder = cassetteLib.createRecorder(recordFile);
+      this.mode = 'record';
+    } else if (replayFile) {
+      this.player = cassetteLib.createPlayer(cassetteLib.loadCassette(replayFile), (server, request) => this.key(server, request));
+      this.mode = 'replay';
+    }
+  },
+  
+  /**
+   * Check whether requests are answered from a cassette, in which case
+   * nothing may touch the network
+   * @returns {boolean} - True while replaying
+   */
+  replaying() {
+    return this.mode === 'replay';
+  },
+  
+  /**
+   * Key a request is matched on: its server, method and parameters, leaving
+   * out the id and the per-request _meta
+   * @param {string} server - Server name
+   * @param {Object} request - JSON-RPC request
+   * @returns {string} - Key
+   */
+  key(server, request) {
+    const { _meta, ...params } = request.params || {};
+    return `${server}/${request.method}:${cache.canonicalize(params)}`;
+  },
+  
+  /**
+   * Run one exchange with the proxy, recording it, or answer it from the
+   * cassette instead. Only requests are recorded; notifications and answers
+   * to server requests are sent as usual, or dropped while replaying.
+   * @param {Object} message - JSON-RPC message for the proxy
+   * @param {Function} relay - Passes streamed server messages on to the client
+   * @param {Function} send - (relay) => Promise of the proxy's response
+   * @returns {Promise<Object|null>} - Response message, or null if there is none
+   */
+  async exchange(message, relay, send) {
+    const isRequest = message.id !== undefined && message.method !== undefined;
+    if (this.mode === 'replay') {
+      return isRequest ? this.replay(message, relay) : null;
+    }
+    if (this.mode !== 'record' || !isRequest) {
+      return send(relay);
+    }
+    
+    const interaction = { server: currentServer(), request: message };
+    const events = [];
+    try {
+      interaction.response = await send((item) => {
+        events.push(item);
+        relay(item);
+      });
+      return interaction.response;
+    } catch (error) {
+      interaction.error = {
+        message: error.message,
+        ...(error.status && { status: error.status }),
+        ...(error.name === 'AbortError' && { name: error.name }),
+      };
+      throw error;
+    } finally {
+      if (events.length > 0) {
+        interaction.events = events;
+      }
+      this.recorder.write(interaction);
+    }
+  },
+  
+  /**
+   * Answer a request from the cassette: relay what the server streamed
+   * before its response, then return the response or throw the error
+   * @param {Object} request - JSON-RPC request
+   * @param {Function} relay - Passes streamed server messages on to the client
+   * @returns {Object} - Response, with the request's id
+   * @throws {Error} - The recorded error, with its HTTP status
+   */
+  replay(request, relay) {
+    const interaction = this.player.take(currentServer(), request);
+    if (!interaction) {
+      logger.warn(`No recorded response to ${request.method}`, { id: request.id, cassette: CONFIG.replayFile });
+      return createErrorResponse(request.id, ERROR_CODES.NOT_RECORDED, `No recorded response to ${request.method} in ${CONFIG.replayFile}`);
+    }
+    
+    // Progress notifications refer to the token the client sent this time
+    const progressToken = request.params?._meta?.progressToken;
+    for (const event of interaction.events || []) {
+      if (event.method === 'notifications/progress' && progressToken !== undefined) {
+        relay({ ...event, params: { ...event.params, progressToken } });
+      } else {
+        relay(event);
+      }
+    }
+    
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      error.status = interaction.error.status;
+      if (interaction.error.name) {
+        error.name = interaction.error.name;
+      }
+      throw error;
+    }
+    return interaction.response && { ...interaction.response, id: request.id };
+  }
+};
+
+// =============================================================================
+// Streamable HTTP Session
+// =============================================================================
+
+/**
+ * Create the state of one MCP session with the proxy
+ * @returns {Object} - Session
+ */
+function createSession() {
+  return {
+    // Session ID assigned by the server through the Mcp-Session-Id header
+    id: null,
+    
+    // Proxy endpoint the session lives on; all session traffic goes there
+    endpoint: null,
+    
+    // Protocol version agreed with the server during initialize, sent back on
+    // later requests
+    protocolVersion: null,
+    
+    // Protocol version the client was given, which may be older than the
+    // server's; see protocol
+    clientProtocolVersion: null,
+    
+    // Whether to offer text/event-stream responses. Cleared if the server
+    // rejects the Accept header, after which only plain JSON is requested.
+    sseSupported: CONFIG.streamableHttp,
+    
+    // Whether to gzip large request bodies. Cleared if the server rejects a
+    // compressed body.
+    compressRequests: CONFIG.compressRequests,
+    
+    // The client's initialize request, replayed if the server expires the session
+    initializeRequest: null,
+    
+    // Counter for IDs of requests the shim makes on its own behalf
+    internalRequestId: 0,
+    
+    // Live initialize running in the background after the client was answered
+    // from the disk cache; later requests wait for it so they join its session
+    initializing: null,
+    
+    // Set when the client was answered from the cache but the server never saw
+    // the handshake, because the proxy was unreachable
+    handshakePending: false,
+    
+    // Handshake being replayed, shared by requests that arrive meanwhile
+    handshake: null,
+    
+    /**
+     * Build the HTTP headers for a request to the proxy
+     * @param {Object} message - The JSON-RPC message being sent
+     * @returns {Object} - Request headers
+     */
+    headers(message) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': this.sseSupported ? 'application/json, text/event-stream' : 'application/json',
+      };
+      
+      if (auth.provider.token) {
+        headers['Authorization'] = `Bearer ${auth.provider.token}`;
+      }
+      
+      if (this.id) {
+        headers['Mcp-Session-Id'] = this.id;
+      }
+      
+      if (this.protocolVersion && message.method !== 'initialize') {
+        headers['MCP-Protocol-Version'] = this.protocolVersion;
+      }
+      
+      return headers;
+    },
+    
+    /**
+     * Record session state from a proxy response
+     * @param {Response} response - HTTP response
+     */
+    captureHeaders(response) {
+      const sessionId = response.headers.get('mcp-session-id');
+      if (sessionId && sessionId !== this.id) {
+        logger.debug(`Session established: ${sessionId}`);
+        this.id = sessionId;
+      }
+    },
+    
+    /**
+     * Record the negotiated protocol version from an initialize exchange, and
+     * keep the session on the endpoint that answered it
+     * @param {Object} request - The initialize request
+     * @param {Object} response - The initialize response
+     * @param {Object} endpoint - Proxy endpoint that answered
+     */
+    captureInitialize(request, response, endpoint) {
+      this.initializeRequest = request;
+      this.endpoint = endpoint;
+      this.handshakePending = false;
+      if (typeof response.result?.protocolVersion === 'string') {
+        this.protocolVersion = response.result.protocolVersion;
+      }
+    },
+    
+    /**
+     * Remember a handshake the client completed against the cache, so it can
+     * be replayed once the proxy is reachable
+     * @param {Object} request - The client's initialize request
+     */
+    deferHandshake(request) {
+      this.initializeRequest = request;
+      this.handshakePending = true;
+    },
+    
+    /**
+     * Replay a deferred handshake. Concurrent callers share one attempt.
+     * @param {Object} endpoint - Proxy endpoint to start the session on
+     * @returns {Promise<void>}
+     */
+    completeHandshake(endpoint) {
+      if (!this.handshake) {
+        logger.info(`Proxy reachable, sending the deferred initialize handshake`);
+        this.handshake = this.reinitialize(endpoint)
+          .then(() => {
+            this.handshakePending = false;
+          })
+          .finally(() => {
+            this.handshake = null;
+          });
+      }
+      return this.handshake;
+    },
+    
+    /**
+     * Move the session to another endpoint after its own stopped answering.
+     * Server-side session state doesn't carry over, so the handshake is
+     * replayed there.
+     * @param {Object} endpoint - Proxy endpoint to move to
+     * @returns {Promise<void>}
+     */
+    async moveTo(endpoint) {
+      logger.warn(`Moving session from ${this.endpoint.url} to ${endpoint.url}`);
+      await this.reinitialize(endpoint);
+    },
+    
+    /**
+     * Start a new session, replaying the client's original initialize
+     * handshake, e.g. after the server reported the old one as expired
+     * @param {Object} [endpoint] - Proxy endpoint to start it on
+     * @returns {Promise<void>}
+     */
+    async reinitialize(endpoint = endpoints.current()) {
+      this.id = null;
+      this.endpoint = endpoint;
+      
+      if (!this.initializeRequest) {
+        return;
+      }
+      
+      const url = endpoints.serverUrl(endpoint);
+      const initialize = { ...this.initializeRequest, id: `shim-${++this.internalRequestId}` };
+      const response = await postMessage(url, initialize);
+      if (response?.error) {
+        throw new Error(`Re-initialize failed: ${response.error.message}`);
+      }
+      
+      await postMessage(url, { jsonrpc: "2.0", method: "notifications/initialized" });
+    },
+    
+    /**
+     * Tell the server the session is over so it can release resources
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+      if (!this.id) {
+        return;
+      }
+      
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 1000);
+      try {
+        await fetch(endpoints.serverUrl(endpoints.current()), {
+          method: 'DELETE',
+          headers: this.headers({}),
+          agent: auth.agent,
+          signal: controller.signal
+        });
+      } catch (error) {
+        logger.debug(`Failed to terminate session: ${error.message}`);
+      } finally {
+        clearTimeout(timeoutId);
+        this.id = null;
+      }
+    }
+  };
+}
+
+// =============================================================================
+// Server-Initiated Messages
+// =============================================================================
+
+/**
+ * Create the server-to-client message channel of one client
+ * @param {Object} client - Client the messages are for
+ * @returns {Object} - Downstream channel
+ */
+function createDownstream(client) {
+  return {
+    // Abort controller for the open GET stream, if any
+    controller: null,
+    
+    // Whether the listen loop should keep the stream open
+    running: false,
+    
+    // ID of the last event received, sent back when reconnecting so the server
+    // can replay anything we missed
+    lastEventId: null,
+    
+    // Server-initiated requests relayed to the client and awaiting its response,
+    // keyed by JSON-RPC id, with the time they were relayed. Forgotten after
+    // MCP_TIMEOUT_MS or when the server cancels them.
+    pendingRequests: new Map(),
+    
+    // Requests the shim itself sent to the client, keyed by JSON-RPC id
+    shimRequests: new Map(),
+    
+    /**
+     * Send a request of the shim's own to the client and wait for the answer
+     * @param {string} method - JSON-RPC method
+     * @param {Object} params - Request parameters
+     * @param {number} timeoutMs - How long to wait for the client
+     * @returns {Promise<Object>} - The client's response message
+     */
+    askClient(method, params, timeoutMs) {
+      const id = `shim-${++client.session.internalRequestId}`;
+      
+      return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          this.shimRequests.delete(id);
+          reject(new Error(`No answer from client after ${timeoutMs}ms`));
+        }, timeoutMs);
+        
+        this.shimRequests.set(id, (response) => {
+          clearTimeout(timeoutId);
+          resolve(response);
+        });
+        
+        sendToClient({ jsonrpc: "2.0", id, method, params });
+      });
+    },
+    
+    /**
+     * Relay a message the server sent on its own initiative to the client.
+     * Requests are remembered so the client's response can be routed back.
+     * @param {Object} message - Notification or request from the server
+     */
+    relay(message) {
+      this.prunePending();
+      if (message.method !== undefined && message.id !== undefined) {
+        this.pendingRequests.set(message.id, Date.now());
+      } else if (message.method !== undefined) {
+        if (message.method === 'notifications/cancelled') {
+          this.pendingRequests.delete(message.params?.requestId);
+        }
+        cache.handleNotification(message);
+      }
+      
+      logger.debug(`Relaying server message to client`, { method: message.method, id: message.id });
+      sendToClient(protocol.toClient(client.session, message));
+    },
+    
+    /**
+     * Forget server requests the client hasn't answered within MCP_TIMEOUT_MS
+     */
+    prunePending() {
+      const cutoff = Date.now() - CONFIG.timeout;
+      for (const [id, relayedAt] of this.pendingRequests) {
+        if (relayedAt < cutoff) {
+          this.pendingRequests.delete(id);
+        }
+      }
+    },
+    
+    /**
+     * Send the client's response to a server-initiated request back upstream,
+     * or hand it to the shim if the shim asked
+     * @param {Object} response - JSON-RPC response from the client
+     * @returns {Promise<void>}
+     */
+    async forwardResponse(response) {
+      const resolveShimRequest = this.shimRequests.get(response.id);
+      if (resolveShimRequest) {
+        this.shimRequests.delete(response.id);
+        resolveShimRequest(response);
+        return;
+      }
+      
+      this.prunePending();
+      if (!this.pendingRequests.has(response.id)) {
+        logger.warn(`Dropping response to unknown server request: ${response.id}`);
+        return;
+      }
+      this.pendingRequests.delete(response.id);
+      
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+      try {
+        await postMessage(endpoints.serverUrl(endpoints.current()), response, controller.signal);
+      } catch (error) {
+        logger.error(`Failed to forward response to server request ${response.id}: ${error.message}`);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+    
+    /**
+     * Open the server-to-client event stream in the background
+     */
+    start() {
+      if (!CONFIG.serverEvents || this.running || cassette.replaying()) {
+        return;
+      }
+      
+      this.running = true;
+      clientContext.run({ client }, () => this.listen()).catch((error) => {
+        logger.error(`Server event stream failed: ${error.message}`);
+        this.running = false;
+      });
+    },
+    
+    /**
+     * Close the event stream and stop reconnecting
+     */
+    stop() {
+      this.running = false;
+      if (this.controller) {
+        this.controller.abort();
+      }
+    },
+    
+    /**
+     * Keep a GET event stream open to the proxy, reconnecting with backoff
+     * when it drops, until stopped or the server says it has no stream to offer
+     * @returns {Promise<void>}
+     */
+    async listen() {
+      let delay = CONFIG.serverEventsReconnectMs;
+      let reauthorized = false;
+      let renewed = false;
+      
+      while (this.running) {
+        this.controller = new AbortController();
+        
+        // Looked up on every connect, as the session may have moved
+        const endpoint = endpoints.current();
+        const url = endpoints.serverUrl(endpoint);
+        const sessionId = client.session.id;
+        
+        try {
+          const token = await auth.prepare();
+          const headers = client.session.headers({});
+          headers['Accept'] = 'text/event-stream';
+          delete headers['Content-Type'];
+          if (this.lastEventId !== null) {
+            headers['Last-Event-ID'] = this.lastEventId;
+          }
+          
+          const response = await fetch(url, {
+            method: 'GET',
+            headers: headers,
+            agent: auth.agent,
+            signal: this.controller.signal
+          });
+          
+          const contentType = response.headers.get('content-type') || '';
+          const unsupported = response.status === 405 ||
+            (response.status === 404 && !sessionId) ||
+            (response.ok && !contentType.includes('text/event-stream'));
+          
+          if (unsupported) {
+            logger.info(`Proxy does not offer a server event stream (HTTP ${response.status})`);
+            this.running = false;
+            return;
+          }
+          
+          // A 404 for the session the shim holds means the server expired it.
+          // Start a new one, as for any other request, and connect to its
+          // stream; if that is refused too, wait for the client's next
+          // handshake.
+          if (response.status === 404) {
+            if (renewed) {
+              logger.warn(`Server event stream refused for the new session, stopping until the next handshake`);
+              this.running = false;
+              return;
+            }
+            renewed = true;
+            if (client.session.id === sessionId) {
+              logger.info(`Session expired, re-initializing`);
+              await client.session.reinitialize(endpoint);
+            }
+            continue;
+          }
+          
+          // Reconnect straight away if the token was renewed
+          if (response.status === 401 && !reauthorized &&
+              await auth.handleUnauthorized({ token, authenticate: response.headers.get('www-authenticate') })) {
+            reauthorized = true;
+            continue;
+          }
+          
+          if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}`);
+          }
+          
+          logger.debug(`Server event stream connected`);
+          delay = CONFIG.serverEventsReconnectMs;
+          reauthorized = false;
+          renewed = false;
+          
+          await sse.readEventStream(response.body, (event) => {
+            if (event.id !== undefined) {
+              this.lastEventId = event.id;
+            }
+            // The server may ask for a different reconnection delay, but
+            // not one that would reconnect in a tight loop
+            if (Number.isFinite(event.retry)) {
+              delay = Math.min(30000, Math.max(CONFIG.serverEventsReconnectMs, event.retry));
+            }
+            if (!event.data) {
+              return false;
+            }
+            
+            try {
+              const payload = JSON.parse(event.data);
+              for (const message of Array.isArray(payload) ? payload : [payload]) {
+                this.relay(message);
+              }
+            } catch (error) {
+              logger.warn(`Ignoring malformed server event: ${error.message}`);
+            }
+            return false;
+          });
+          
+          logger.debug(`Server event stream closed, reconnecting in ${delay}ms`);
+        } catch (error) {
+          if (!this.running) {
+            return;
+          }
+          
+          logger.warn(`Server event stream error, reconnecting in ${delay}ms`, { error: error.message });
+          delay = Math.min(30000, delay * 2);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+}
+
+// =============================================================================
+// In-Flight Requests
+// =============================================================================
+
+/**
+ * Create the table of one client's requests awaiting a response
+ * @returns {Object} - In-flight table
+ */
+function createInFlight() {
+  return {
+    // Requests awaiting a response from the proxy, keyed by JSON-RPC id
+    requests: new Map(),
+    
+    /**
+     * Start tracking a request
+     * @param {Object} request - JSON-RPC request with an id
+     * @returns {Object} - Tracking entry with an AbortController for cancellation
+     */
+    add(request) {
+      if (this.requests.has(request.id)) {
+        logger.warn(`Request id ${request.id} reused while still in flight`);
+      }
+      
+      const entry = {
+        id: request.id,
+        method: request.method,
+        tool: metrics.toolName(request) || undefined,
+        startedAt: Date.now(),
+        controller: new AbortController(),
+        cancelled: false,
+      };
+      this.requests.set(request.id, entry);
+      return entry;
+    },
+    
+    /**
+     * Stop tracking a request
+     * @param {Object} entry - Tracking entry from add()
+     */
+    remove(entry) {
+      if (this.requests.get(entry.id) === entry) {
+        this.requests.delete(entry.id);
+      }
+    },
+    
+    /**
+     * Cancel an in-flight request, aborting its HTTP exchange. Its response,
+     * if one still arrives, is suppressed.
+     * @param {number|string} id - JSON-RPC id of the request
+     * @param {string} [reason] - Reason given by the client
+     * @returns {boolean} - True if a matching request was in flight
+     */
+    cancel(id, reason) {
+      const entry = this.requests.get(id);
+      if (!entry) {
+        return false;
+      }
+      
+      logger.info(`Cancelling request ${id} (${entry.method})`, reason ? { reason } : undefined);
+      entry.cancelled = true;
+      entry.controller.abort();
+      this.requests.delete(id);
+      return true;
+    },
+    
+    /**
+     * Wait for in-flight requests to finish, cancelling any still running after
+     * the timeout and telling the server about them. The cancellations go
+     * straight to the proxy, past rate limits and circuit breakers, and are
+     * given up on after a second so they can't hold up the exit.
+     * @param {number} timeoutMs - Maximum time to wait
+     * @returns {Promise<void>}
+     */
+    async drain(timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      
+      if (this.requests.size > 0) {
+        logger.info(`Waiting for ${this.requests.size} in-flight request(s) to finish`);
+      }
+      
+      while (this.requests.size > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      
+      const remaining = Array.from(this.requests.keys());
+      if (remaining.length === 0) {
+        return;
+      }
+      
+      const reason = 'Shim shutting down';
+      const url = endpoints.serverUrl(endpoints.current());
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 1000);
+      try {
+        await Promise.all(remaining.map((id) => {
+          this.cancel(id, reason);
+          return postMessage(url, {
+            jsonrpc: "2.0",
+            method: "notifications/cancelled",
+            params: { requestId: id, reason }
+          }, controller.signal).catch((error) => {
+            logger.debug(`Failed to send cancellation of request ${id}: ${error.message}`);
+          });
+        }));
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+// =============================================================================
+// Clients
+// =============================================================================
+
+// Client whose message is being handled, plus a way to reply on the HTTP
+// response for that message if there is one. Work started on a client's
+// behalf, such as its server event stream, runs in its context too.
+const clientContext = new AsyncLocalStorage();
+
+/**
+ * Create the state of one client of the shim: its session with the proxy,
+ * its server event stream and its requests in flight
+ * @param {Function} send - Delivers a message to the client
+ * @param {string} [id] - Local session ID, for clients of the HTTP server
+ * @param {string} [server] - Server the client talks to, for the aggregate
+ *   gateway's connections to each of its servers; MCP_SERVER_NAME if not set
+ * @returns {Object} - Client
+ */
+function createClient(send, id = null, server = null) {
+  const client = { id, send, server, lastActiveAt: Date.now() };
+  client.session = createSession();
+  client.downstream = createDownstream(client);
+  client.inFlight = createInFlight();
+  return client;
+}
+
+// The client on stdio, which is also used outside any client's context
+const stdioClient = createClient(message => process.stdout.write(JSON.stringify(message) + '\n'));
+
+/**
+ * Get the client being served
+ * @returns {Object} - Client
+ */
+function currentClient() {
+  return clientContext.getStore()?.client || stdioClient;
+}
+
+/**
+ * Get the name of the server the current client's requests go to
+ * @returns {string} - Server name on the proxy
+ */
+function currentServer() {
+  return currentClient().server || CONFIG.serverName;
+}
+
+/**
+ * End a client's session: stop its event stream, let its requests finish,
+ * then end the session upstream. Gateway clients close their connections to
+ * each aggregated server the same way.
+ * @param {Object} client - Client to close
+ * @param {number} [drainTimeoutMs] - Time to let its requests finish
+ * @returns {Promise<void>}
+ */
+async function closeClient(client, drainTimeoutMs = 0) {
+  await clientContext.run({ client }, async () => {
+    client.downstream.stop();
+    await client.inFlight.drain(drainTimeoutMs);
+    await client.session.terminate();
+  });
+  
+  if (client.gateway) {
+    await Promise.all(Array.from(client.gateway.backends.values(), backend => closeClient(backend, drainTimeoutMs)));
+  }
+}
+
+// =============================================================================
 // MCP Request Processing
 // =============================================================================
 
+// JSON-RPC error codes, standard and shim-specific
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  TIMEOUT: -32000,
+  UNAUTHORIZED: -32001,
+  PROXY_UNAVAILABLE: -32003,
+  RESPONSE_TOO_LARGE: -32004,
+  NOT_RECORDED: -32005,
+  RATE_LIMITED: -32029,
+};
+
+/**
+ * Send a JSON-RPC message to the client being served: on stdout, or to an
+ * HTTP client on the response it is waiting for or its event stream
+ * @param {Object} message - Message to send
+ */
+function sendToClient(message) {
+  const reply = clientContext.getStore()?.reply;
+  if (reply && reply(message)) {
+    return;
+  }
+  currentClient().send(message);
+}
+
+/**
+ * Send a single JSON-RPC message to the proxy and read the reply, or take
+ * the reply from the cassette when recording or replaying
+ * @param {string} url - Proxy endpoint URL
+ * @param {Object} message - JSON-RPC message to send
+ * @param {AbortSignal} [signal] - Signal to abort the exchange
+ * @param {string} [body] - The message already serialized, if it was
+ * @param {Object} [received] - Set to { bytes } if the response's text was
+ *   cut while it was read
+ * @returns {Promise<Object|null>} - Response message, or null if the proxy
+ *   accepted a message that has no response (HTTP 202)
+ * @throws {payloads.ResponseTooLargeError} - If the response is too large
+ */
+async function postMessage(url, message, signal, body = JSON.stringify(message), received = {}) {
+  const { downstream } = currentClient();
+  return cassette.exchange(message, item => downstream.relay(item), relay => sendMessage(url, message, signal, body, relay, received));
+}
+
+/**
+ * POST a single JSON-RPC message to the proxy and read the reply. Handles both
+ * plain JSON replies and Streamable HTTP event streams; messages in a stream
+ * other than the response to this request are relayed to the client.
+ * Bodies are parsed as they arrive and abandoned once they pass
+ * MCP_MAX_RESPONSE_SIZE, except plain JSON tool results when truncation is
+ * on, whose text past the limit is dropped instead.
+ * @param {string} url - Proxy endpoint URL
+ * @param {Object} message - JSON-RPC message to send
+ * @param {AbortSignal} [signal] - Signal to abort the exchange
+ * @param {string} body - The message serialized
+ * @param {Function} relay - Passes other messages in the stream on to the client
+ * @param {Object} received - Set to { bytes } if the response's text was cut
+ * @returns {Promise<Object|null>} - Response message, or null if the proxy
+ *   accepted a message that has no response (HTTP 202)
+ * @throws {payloads.ResponseTooLargeError} - If the response is too large
+ */
+async function sendMessage(url, message, signal, body, relay, received) {
+  const { session } = currentClient();
+  const token = await auth.prepare();
+  const headers = session.headers(message);
+  tracing.injectHeaders(headers);
+  const encoded = await payloads.encodeBody(body, session.compressRequests ? CONFIG.compressMinBytes : 0);
+  if (encoded.encoding) {
+    headers['Content-Encoding'] = encoded.encoding;
+  }
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: headers,
+    body: encoded.body,
+    compress: CONFIG.compression,
+    agent: auth.agent,
+    signal: signal
+  });
+  
+  session.captureHeaders(response);
+  tracing.recordStatus(response.status);
+  
+  if (response.status === 202) {
+    return null;
+  }
+  
+  if (!response.ok) {
+    const errorText = await payloads.readText(response.body, 4096);
+    const error = new Error(`HTTP error ${response.status}: ${errorText}`);
+    error.status = response.status;
+    error.compressed = encoded.encoding !== null;
+    error.token = token;
+    error.authenticate = response.headers.get('www-authenticate');
+    throw error;
+  }
+  
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    if (!CONFIG.truncateResponseSize || message.method !== 'tools/call') {
+      return payloads.readJson(response.body, CONFIG.maxResponseSize);
+    }
+    const { value, bytes, dropped } = await payloads.readJsonTruncated(response.body, CONFIG.maxResponseSize);
+    if (dropped > 0) {
+      received.bytes = bytes;
+    }
+    return value;
+  }
+  
+  // Streamable HTTP: the response arrives as one event in a stream that may
+  // also carry notifications and requests from the server
+  let result = null;
+  await sse.readEventStream(payloads.limitBytes(response.body, CONFIG.maxResponseSize), (event) => {
+    if (!event.data) {
+      return false;
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (error) {
+      logger.warn(`Ignoring malformed event from proxy: ${error.message}`);
+      return false;
+    }
+    
+    for (const item of Array.isArray(payload) ? payload : [payload]) {
+      const isResponse = item.method === undefined && ('result' in item || 'error' in item);
+      if (isResponse && item.id === message.id) {
+        result = item;
+      } else {
+        relay(item);
+      }
+    }
+    
+    return result !== null;
+  });
+  
+  if (result === null && message.id !== undefined) {
+    throw new Error(`Event stream ended without a response to request ${message.id}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Forward an MCP request to the proxy
+ * @param {Object} request - The MCP request to forward
+ * @param {Object} [tracked] - In-flight entry, used to cancel the request
+ * @returns {Promise<Object|null>} - The response from the proxy, or null for
+ *   notifications and cancelled requests
+ */
+async function forwardToProxy(request, tracked, options = {}) {
+  const { session, downstream } = currentClient();
+  
+  // Security checks
+  if (request.__violation) {
+    const { message, ...details } = request.__violation;
+    if (tracked) {
+      tracked.denied = true;
+    }
+    metrics.blocked.inc({ server: currentServer(), source: details.source || 'unknown' });
+    return createErrorResponse(request.id, ERROR_CODES.INVALID_REQUEST, message || "Security violation detected", details);
+  }
+
+  // Check request size. The serialized request is reused for every attempt.
+  const body = JSON.stringify(request);
+  const requestSize = Buffer.byteLength(body, 'utf8');
+  if (requestSize > CONFIG.maxRequestSize) {
+    logger.warn(`Request size (${requestSize} bytes) exceeds maximum (${CONFIG.maxRequestSize} bytes)`);
+    return createErrorResponse(request.id, ERROR_CODES.INVALID_REQUEST, `Request too large (${requestSize} bytes)`);
+  }
+  
+  // Check if we have a cached response
+  const cacheKey = cache.createKey(request);
+  if (cacheKey && !options.refresh) {
+    let cachedResponse = cache.get(cacheKey);
+    if (!cachedResponse) {
+      cachedResponse = await cache.restore(cacheKey);
+      
+      // Answer list requests from disk straight away, but fetch the live
+      // response too in case the server changed since it was stored
+      if (cachedResponse && cache.revalidateMethods.includes(request.method)) {
+        revalidate(request, cachedResponse);
+      }
+    }
+    if (tracked) {
+      tracked.cache = cachedResponse ? 'hit' : 'miss';
+    }
+    if (cachedResponse) {
+      // Ensure the cached response has the same ID as the request
+      return { ...cachedResponse, id: request.id };
+    }
+  }
+  
+  // Rate limiting. Cache hits and notifications are free; other requests
+  // wait for a token, up to a point, rather than failing outright.
+  if (request.id !== undefined && !options.refresh) {
+    const allowed = await rateLimit.acquire(request, tracked);
+    if (!allowed) {
+      return null;
+    }
+    if (!allowed.ok) {
+      logger.warn(`Rate limit ${allowed.scope} exceeded, retry after ${allowed.retryAfterMs}ms`, { id: request.id });
+      return createErrorResponse(request.id, ERROR_CODES.RATE_LIMITED, `Rate limit exceeded (${allowed.scope})`, {
+        limit: allowed.scope,
+        retryAfterMs: allowed.retryAfterMs,
+      });
+    }
+  }
+  
+  // Writes drop the cached responses they affect, both now and once they
+  // complete, so reads that overlap the write aren't cached either
+  const isWrite = cache.isUncacheable(request);
+  if (isWrite) {
+    cache.invalidate(request);
+  }
+  const cacheGeneration = cache.generation;
+  
+  if (session.initializing && request.method !== 'initialize') {
+    await session.initializing;
+  }
+  
+  // While every proxy endpoint is known to be down, fail fast instead of retrying
+  let endpoint = endpoints.select();
+  if (!endpoint) {
+    return respondWhileCircuitOpen(request, cacheKey, tracked, options);
+  }
+  
+  if (session.handshakePending && request.method !== 'initialize') {
+    try {
+      await session.completeHandshake(endpoint);
+    } catch (error) {
+      logger.warn(`Deferred initialize failed: ${error.message}`);
+    }
+    
+    // The replayed handshake already told the server the client is ready
+    if (request.method === 'notifications/initialized') {
+      return null;
+    }
+  }
+  
+  // Retry logic with exponential backoff, moving on to the next healthy
+  // endpoint after a failure
+  const tried = [];
+  let lastError = null;
+  let reinitialized = false;
+  let reauthorized = false;
+  let resends = 0;
+  for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
+    if (attempt > 0) {
+      endpoint = endpoints.select(tried);
+      if (!endpoint) {
+        return respondWhileCircuitOpen(request, cacheKey, tracked, options);
+      }
+    }
+    
+    // A session can't be split across endpoints, so it follows the request
+    if (session.endpoint && endpoint !== session.endpoint && request.method !== 'initialize') {
+      try {
+        await session.moveTo(endpoint);
+      } catch (error) {
+        lastError = error;
+        endpoint.breaker.recordFailure(error);
+        tried.push(endpoint);
+        continue;
+      }
+    }
+    
+    const proxyUrl = endpoints.serverUrl(endpoint);
+    logger.debug(`Forwarding request to proxy: ${proxyUrl}`, { 
+      method: request.method,
+      id: request.id
+    });
+    
+    // Wait for a free upstream slot. It is held only while the proxy is
+    // being asked, not while waiting to retry or starting a new session.
+    if (!await concurrency.acquire(tracked)) {
+      return null;
+    }
+    
+    // Create abort controller for timeout and client cancellation
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+    const abortAttempt = () => controller.abort();
+    tracked?.controller.signal.addEventListener('abort', abortAttempt);
+    const sentSessionId = session.id;
+    const attemptTimer = metrics.startAttempt(request);
+    const attemptSpan = tracing.startAttempt(tracked?.span, proxyUrl, resends++);
+    
+    try {
+      const received = {};
+      let responseData;
+      try {
+        responseData = await tracing.runAttempt(attemptSpan, () => postMessage(proxyUrl, request, controller.signal, body, received));
+      } finally {
+        concurrency.release();
+      }
+      attemptTimer.end('success');
+      tracing.endAttempt(attemptSpan);
+      endpoint.breaker.recordSuccess();
+      
+      // Notifications are accepted without a response. Once the handshake
+      // is complete, open the stream for server-initiated messages.
+      if (responseData === null) {
+        if (request.method === 'notifications/initialized') {
+          downstream.start();
+        }
+        return null;
+      }
+      
+      logger.debug(`Response from proxy:`, {
+        id: responseData.id,
+        status: responseData.error ? 'error' : 'success',
+        error: responseData.error
+      });
+      
+      // Results over MCP_MAX_RESPONSE_SIZE arrive already cut, and always get
+      // the note saying so
+      if (CONFIG.truncateResponseSize && request.method === 'tools/call' && responseData.result) {
+        const limit = Math.min(CONFIG.truncateResponseSize, CONFIG.maxResponseSize);
+        const truncated = payloads.truncateResult(responseData.result, limit, received.bytes);
+        if (truncated) {
+          logger.warn(`Truncated oversized response from ${request.params?.name}`, { limit, size: received.bytes });
+          responseData = { ...responseData, result: truncated };
+        }
+      }
+      
+      if (request.method === 'initialize' && !responseData.error) {
+        session.captureInitialize(request, responseData, endpoint);
+      }
+      
+      // Cache successful responses
+      if (!responseData.error && cacheKey) {
+        cache.set(cacheKey, responseData, request, cacheGeneration);
+      }
+      if (isWrite) {
+        cache.invalidate(request);
+      }
+      
+      return responseData;
+    } catch (error) {
+      lastError = error;
+      attemptTimer.end(metrics.attemptOutcome(error, tracked));
+      tracing.endAttempt(attemptSpan, error, tracked);
+      
+      // The client cancelled the request; it gets no response
+      if (tracked?.cancelled) {
+        return null;
+      }
+      
+      // Credentials couldn't be obtained, e.g. the token endpoint is down;
+      // the proxy itself wasn't contacted
+      if (error instanceof authLib.AuthError) {
+        logger.error(`Authentication failed: ${error.message}`);
+        return createErrorResponse(request.id, ERROR_CODES.UNAUTHORIZED, error.message);
+      }
+      
+      // The proxy answered, but with more than the shim will hold in memory
+      if (error instanceof payloads.ResponseTooLargeError) {
+        endpoint.breaker.recordSuccess();
+        logger.warn(`Discarded oversized response from proxy`, { method: request.method, limit: error.limit });
+        return createErrorResponse(request.id, ERROR_CODES.RESPONSE_TOO_LARGE, error.message, {
+          source: 'shim',
+          limit: error.limit
+        });
+      }
+      
+      // Any HTTP answer below 500 shows the proxy is up; no answer at all,
+      // a timeout or a server error counts against it. Behind the aggregate
+      // gateway any HTTP answer does, so one failing server can't open the
+      // circuit for the others on the same proxy.
+      if (error.status && (error.status < 500 || gateway.enabled())) {
+        endpoint.breaker.recordSuccess();
+      } else {
+        endpoint.breaker.recordFailure(error);
+        if (!tried.includes(endpoint)) {
+          tried.push(endpoint);
+        }
+      }
+      
+      // A timeout isn't retried on the same endpoint, but another endpoint
+      // that hasn't been tried yet may still answer in time
+      if (error.name === 'AbortError') {
+        metrics.timeouts.inc({ server: currentServer(), method: request.method });
+        if (attempt >= CONFIG.maxRetries || !endpoints.hasUntried(tried)) {
+          logger.error(`Request timed out after ${CONFIG.timeout}ms`);
+          return createErrorResponse(request.id, ERROR_CODES.TIMEOUT, `Request timed out after ${CONFIG.timeout}ms`);
+        }
+        logger.warn(`Request timed out after ${CONFIG.timeout}ms, trying another endpoint`, { url: proxyUrl });
+        continue;
+      }
+      
+      // Servers that can't read gzip-compressed request bodies answer 415;
+      // send uncompressed requests from now on
+      if (error.status === 415 && error.compressed) {
+        logger.info(`Proxy rejected a compressed request body, sending uncompressed requests`);
+        session.compressRequests = false;
+        attempt--;
+        continue;
+      }
+      
+      // Servers without Streamable HTTP support may reject the Accept header;
+      // fall back to plain JSON and try again straight away
+      if ((error.status === 406 || error.status === 415) && session.sseSupported) {
+        logger.info(`Proxy rejected event-stream responses, falling back to plain JSON`);
+        session.sseSupported = false;
+        attempt--;
+        continue;
+      }
+      
+      // HTTP 401 means the token was rejected: renew it once and try again,
+      // as retrying with the same credentials can't help
+      if (error.status === 401) {
+        if (!reauthorized && await auth.handleUnauthorized(error)) {
+          reauthorized = true;
+          attempt--;
+          continue;
+        }
+        return createErrorResponse(request.id, ERROR_CODES.UNAUTHORIZED, `Proxy rejected the credentials (HTTP 401)`);
+      }
+      
+      // HTTP 404 for a request carrying a session ID means the session has
+      // expired and a new one must be started before trying again
+      if (error.status === 404 && sentSessionId && !reinitialized && request.method !== 'initialize') {
+        reinitialized = true;
+        logger.info(`Session expired, re-initializing`);
+        try {
+          await session.reinitialize(endpoint);
+          attempt--;
+          continue;
+        } catch (reinitError) {
+          lastError = reinitError;
+          break;
+        }
+      }
+      
+      // Don't retry if this was the last attempt
+      if (attempt >= CONFIG.maxRetries) {
+        break;
+      }
+      
+      // Calculate backoff delay with jitter. Another endpoint can be tried
+      // straight away.
+      const delay = endpoints.hasUntried(tried) ? 0 : Math.min(
+        CONFIG.retryMaxDelayMs,
+        CONFIG.retryInitialDelayMs * Math.pow(2, attempt) * (0.9 + Math.random() * 0.2)
+      );
+      
+      metrics.retries.inc({ server: currentServer(), method: request.method });
+      logger.warn(`Request failed (attempt ${attempt + 1}/${CONFIG.maxRetries + 1}). Retrying in ${Math.round(delay)}ms`, { 
+        error: lastError.message,
+        url: proxyUrl
+      });
+      
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (tracked?.cancelled) {
+        return null;
+      }
+    } finally {
+      clearTimeout(timeoutId);
+      tracked?.controller.signal.removeEventListener('abort', abortAttempt);
+    }
+  }
+  
+  logger.error(`Request failed after ${CONFIG.maxRetries + 1} attempts:`, { 
+    error: lastError?.message,
+    endpoints: tried.map(failed => failed.url)
+  });
+  
+  // Return error response
+  return createErrorResponse(
+    request.id, 
+    ERROR_CODES.PROXY_UNAVAILABLE, 
+    `Failed to communicate with MCP proxy: ${lastError?.message || "Unknown error"}`
+  );
+}
+
+/**
+ * Answer a request without contacting the proxy while the circuit is open.
+ * Lists and the initialize handshake come from the cache, however stale, so
+ * the client can still start; everything else fails straight away.
+ * @param {Object} request - Request that can't be sent
+ * @param {string|null} cacheKey - Cache key for the request
+ * @param {Object} [tracked] - In-flight entry for the request
+ * @param {Object} options - Options passed to forwardToProxy
+ * @returns {Promise<Object|null>} - Response for the client
+ */
+async function respondWhileCircuitOpen(request, cacheKey, tracked, options) {
+  const { session } = currentClient();
+  
+  if (isNotification(request)) {
+    logger.warn(`Proxy unavailable, dropping ${request.method}`);
+    return null;
+  }
+  
+  if (cacheKey && !options.refresh && cache.revalidateMethods.includes(request.method)) {
+    const staleResponse = await cache.getStale(cacheKey);
+    if (staleResponse) {
+      logger.warn(`Proxy unavailable, answering ${request.method} from the cache`);
+      if (tracked) {
+        tracked.cache = 'stale';
+      }
+      if (request.method === 'initialize') {
+        session.deferHandshake(request);
+      }
+      return { ...staleResponse, id: request.id };
+    }
+  }
+  
+  const retryAfterMs = endpoints.retryAfterMs();
+  return createErrorResponse(
+    request.id,
+    ERROR_CODES.PROXY_UNAVAILABLE,
+    `MCP proxy is unavailable, retrying in ${Math.ceil(retryAfterMs / 1000)}s`,
+    { circuit: 'open', retryAfterMs }
+  );
+}
+
+/**
+ * Fetch the live response to a request that was answered from the disk cache
+ * and store it. If a list changed meanwhile, tell the client to fetch it again.
+ * @param {Object} request - Request answered from the cache
+ * @param {Object} cachedResponse - Response the client received
+ */
+function revalidate(request, cachedResponse) {
+  const { session } = currentClient();
+  const refresh = forwardToProxy({ ...request, id: `shim-${++session.internalRequestId}` }, null, { refresh: true })
+    .then((response) => {
+      if (!response || response.error) {
+        logger.warn(`Could not refresh cached ${request.method}: ${response?.error?.message || 'no response'}`);
+        if (request.method === 'initialize') {
+          session.deferHandshake(request);
+        }
+        return;
+      }
+      
+      if (cache.canonicalize(response.result) === cache.canonicalize(cachedResponse.result)) {
+        return;
+      }
+      
+      const notification = cache.changeNotification(request.method);
+      if (notification) {
+        logger.info(`Cached ${request.method} was out of date, notifying client`);
+        sendToClient({ jsonrpc: "2.0", method: notification });
+      } else {
+        logger.warn(`Cached ${request.method} response differs from the live one`);
+      }
+    })
+    .catch((error) => {
+      logger.warn(`Could not refresh cached ${request.method}: ${error.message}`);
+    });
+  
+  if (request.method === 'initialize') {
+    session.initializing = refresh.then(() => {
+      session.initializing = null;
+    });
+  }
+}
+
 /**
- * Forward an MCP request to the proxy
- * @param {Object} request - The MCP request to forward
- * @returns {Promise<Object>} - The response from the proxy
+ * Create a standardized error response
+ * @param {number|string} id - Request ID
+ * @param {number} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} [data] - Additional error details
+ * @returns {Object} - Error response
  */
-async function forwardToProxy(request) {
-  // Security checks
-  if (request.__securityViolation) {
-    return createErrorResponse(request.id, -32600, request.__errorMessage || "Security violation detected");
+function createErrorResponse(id, code, message, data) {
+  return {
+    jsonrpc: "2.0",
+    id: id,
+    error: {
+      code: code,
+      message: message,
+      ...(data && Object.keys(data).length > 0 && { data })
+    }
+  };
+}
+
+/**
+ * Check whether a message is a response (to a server-initiated request)
+ * @param {Object} message - JSON-RPC message
+ * @returns {boolean} - True if the message carries a result or error
+ */
+function isResponse(message) {
+  return message.method === undefined && ('result' in message || 'error' in message);
+}
+
+/**
+ * Check whether a message is a notification, which must never be answered
+ * @param {Object} message - JSON-RPC message
+ * @returns {boolean} - True if the message has a method but no id
+ */
+function isNotification(message) {
+  return typeof message.method === 'string' && !('id' in message);
+}
+
+/**
+ * Validate the shape of a single JSON-RPC message from the client
+ * @param {*} message - Parsed message
+ * @returns {string|null} - Description of the problem, or null if valid
+ */
+function validateMessage(message) {
+  if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Message must be an object';
+  }
+  if (message.jsonrpc !== '2.0') {
+    return 'Missing or unsupported "jsonrpc" version';
+  }
+  if ('id' in message && typeof message.id !== 'string' && typeof message.id !== 'number' && message.id !== null) {
+    return 'Request id must be a string or number';
+  }
+  if (isResponse(message)) {
+    return null;
   }
+  if (typeof message.method !== 'string') {
+    return 'Missing method name';
+  }
+  if ('params' in message && (message.params === null || typeof message.params !== 'object')) {
+    return 'Params must be an object or array';
+  }
+  return null;
+}
 
-  // Check request size
-  const requestSize = Buffer.byteLength(JSON.stringify(request), 'utf8');
-  if (requestSize > CONFIG.maxRequestSize) {
-    logger.warn(`Request size (${requestSize} bytes) exceeds maximum (${CONFIG.maxRequestSize} bytes)`);
-    return createErrorResponse(request.id, -32600, `Request too large (${requestSize} bytes)`);
+/**
+ * Handle a single JSON-RPC message from the client
+ * @param {*} message - Parsed message
+ * @returns {Promise<Object|null>} - Response to send, or null if none is due
+ */
+async function handleMessage(message) {
+  const { downstream, inFlight } = currentClient();
+  const problem = validateMessage(message);
+  if (problem) {
+    // Notifications are never answered, even when malformed
+    if (message && typeof message === 'object' && isNotification(message)) {
+      logger.warn(`Dropping invalid notification: ${problem}`);
+      return null;
+    }
+    const id = (typeof message?.id === 'string' || typeof message?.id === 'number') ? message.id : null;
+    return createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, `Invalid request: ${problem}`);
   }
   
-  // Rate limiting
-  if (rateLimit.isLimitExceeded()) {
-    logger.warn(`Rate limit exceeded: ${CONFIG.rateLimitPerMinute} requests per minute`);
-    return createErrorResponse(request.id, -32029, "Rate limit exceeded");
+  // Clients of the aggregate gateway are served by its connections to each
+  // server, which come back through here
+  if (gateway.enabled() && !currentClient().server) {
+    return gateway.handle(message);
   }
   
-  // Record this request for rate limiting
-  rateLimit.addRequest();
+  // Responses from the client answer requests the server sent it
+  if (isResponse(message)) {
+    await downstream.forwardResponse(message);
+    return null;
+  }
   
-  // Check if we have a cached response
-  const cacheKey = cache.createKey(request);
-  if (cacheKey) {
-    const cachedResponse = cache.get(cacheKey);
-    if (cachedResponse) {
-      // Ensure the cached response has the same ID as the request
-      return { ...cachedResponse, id: request.id };
+  // The client gave up on a request: abort it here, then let the
+  // notification continue upstream so the server can stop work too
+  if (message.method === 'notifications/cancelled') {
+    inFlight.cancel(message.params?.requestId, message.params?.reason);
+  }
+  
+  const tracked = isNotification(message) ? null : inFlight.add(message);
+  if (tracked) {
+    tracked.span = tracing.startRequest(message);
+  }
+  
+  // Snapshot tool arguments for the audit log before anything rewrites them
+  const auditRecord = audit.begin(message);
+  let response = null;
+  
+  try {
+    // Process paths for security if it's a filesystem server, then apply the
+    // tool policy, rewrite the vetted host paths for the container, and
+    // finally take part in the initialize handshake
+    let secureRequest = pathSecurity.processRequest(message);
+    secureRequest = await toolPolicy.processRequest(secureRequest, tracked);
+    secureRequest = pathMapping.processRequest(secureRequest);
+    secureRequest = protocol.processRequest(secureRequest);
+    secureRequest = tracing.injectMeta(secureRequest, tracked?.span);
+    
+    // Forward to the proxy, rewriting the reply for the client's protocol
+    // version and mapping container paths in it back to the host
+    response = await forwardToProxy(secureRequest, tracked);
+    response = protocol.processResponse(message, response);
+    response = toolPolicy.processResponse(message, response, tracked);
+    response = pathMapping.translateResponse(message, response);
+    
+    // Suppress responses to notifications and to cancelled requests
+    if (!tracked || tracked.cancelled) {
+      return null;
+    }
+    return response;
+  } catch (error) {
+    logger.error(`Error processing request: ${error.message}`, { stack: error.stack });
+    
+    if (!tracked || tracked.cancelled) {
+      return null;
+    }
+    response = createErrorResponse(message.id, ERROR_CODES.INTERNAL_ERROR, `Internal error: ${error.message}`);
+    return response;
+  } finally {
+    if (tracked) {
+      inFlight.remove(tracked);
+      metrics.finish(message, response, tracked);
+      tracing.finishRequest(tracked.span, response, tracked);
+    }
+    audit.finish(auditRecord, response, tracked);
+  }
+}
+
+/**
+ * Handle one line of client input: a single message or a batch
+ * @param {string} line - Raw input line
+ * @returns {Promise<Object|Object[]|null>} - Response(s) to send, or null if none are due
+ */
+async function handleLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (error) {
+    logger.error(`Failed to parse request: ${error.message}`);
+    return createErrorResponse(null, ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`);
+  }
+  
+  // Check size as a basic security measure, answering with the request's own
+  // id where there is one
+  if (line.length > CONFIG.maxRequestSize) {
+    logger.warn(`Request line too large (${line.length} bytes)`);
+    if (!Array.isArray(payload) && payload && typeof payload === 'object') {
+      if (isNotification(payload)) {
+        return null;
+      }
+      return createErrorResponse(payload.id ?? null, ERROR_CODES.INVALID_REQUEST, "Request too large");
+    }
+    return createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, "Request too large");
+  }
+  
+  return handlePayload(payload);
+}
+
+/**
+ * Handle a parsed message or batch
+ * @param {*} payload - Parsed JSON-RPC message or batch
+ * @returns {Promise<Object|Object[]|null>} - Response(s) to send, or null if none are due
+ */
+async function handlePayload(payload) {
+  if (!Array.isArray(payload)) {
+    return handleMessage(payload);
+  }
+  
+  // Batch: handle each message concurrently and reassemble the responses in
+  // request order, leaving out notifications
+  if (payload.length === 0) {
+    return createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, "Invalid request: empty batch");
+  }
+  
+  const responses = await Promise.all(payload.map(message => handleMessage(message)));
+  const replies = responses.filter(Boolean);
+  return replies.length > 0 ? replies : null;
+}
+
+// =============================================================================
+// Aggregate Gateway
+// =============================================================================
+
+// With MCP_AGGREGATE_SERVERS the shim fronts several servers as one. Each
+// client of the shim gets its own connection to every server, made with the
+// same client machinery as everything else, so sessions, caching, policy and
+// path checks all apply per server. Tools, prompts and resources are listed
+// under names prefixed with their server, e.g. filesystem__read_file.
+const gateway = {
+  // Servers fronted, in the order their lists are merged
+  servers: [],
+  
+  // Joins a server name to the name of one of its tools, prompts or resources
+  separator: '__',
+  
+  // List methods: the result field holding their items, and the capability
+  // a server must advertise to be asked
+  lists: {
+    'tools/list': { field: 'tools', capability: 'tools' },
+    'prompts/list': { field: 'prompts', capability: 'prompts' },
+    'resources/list': { field: 'resources', capability: 'resources' },
+    'resources/templates/list': { field: 'resourceTemplates', capability: 'resources' },
+  },
+  
+  /**
+   * Set the servers to front
+   * @param {string[]} names - Server names on the proxy
+   * @throws {Error} - If a name can't be used as a prefix or appears twice
+   */
+  configure(names) {
+    for (const name of names) {
+      if (!/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(name) || name.includes(this.separator)) {
+        throw new Error(`Invalid server name "${name}" in MCP_AGGREGATE_SERVERS`);
+      }
+    }
+    
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Server "${duplicate}" is listed twice in MCP_AGGREGATE_SERVERS`);
+    }
+    this.servers = names;
+  },
+  
+  /**
+   * Check whether the shim is running as an aggregate gateway
+   * @returns {boolean} - True if servers are configured
+   */
+  enabled() {
+    return this.servers.length > 0;
+  },
+  
+  /**
+   * Get the gateway state of a client, creating it on first use
+   * @param {Object} front - Client of the gateway
+   * @returns {Object} - State
+   */
+  state(front) {
+    if (!front.gateway) {
+      front.gateway = {
+        // Connection to each server, by name
+        backends: new Map(),
+        
+        // The client's initialize request, sent to each server as it connects
+        initializeRequest: null,
+        
+        // Whether the client has sent notifications/initialized
+        initialized: false,
+        
+        // Server requests relayed to the client, keyed by the id the client
+        // saw: { backend, id }
+        requests: new Map(),
+        
+        // Server each listed resource came from, keyed by URI
+        resources: new Map(),
+      };
+    }
+    return front.gateway;
+  },
+  
+  /**
+   * Get a client's connection to a server, creating it on first use
+   * @param {Object} front - Client of the gateway
+   * @param {string} name - Server name
+   * @returns {Object} - Connection, a client of its own for that server
+   */
+  backend(front, name) {
+    const { backends } = this.state(front);
+    let backend = backends.get(name);
+    if (!backend) {
+      backend = createClient(message => front.send(this.toClient(front, backend, message)), null, name);
+      backend.ready = false;
+      backend.connecting = null;
+      backend.initializeResult = null;
+      backend.lastError = null;
+      backend.retryAt = 0;
+      backends.set(name, backend);
+    }
+    return backend;
+  },
+  
+  /**
+   * Handle a message on a server connection, replying on the client's HTTP
+   * response if it has one
+   * @param {Object} front - Client of the gateway
+   * @param {Object} backend - Connection to the server
+   * @param {Object} message - Message for the server
+   * @returns {Promise<Object|null>} - Response from the server
+   */
+  dispatch(front, backend, message) {
+    const reply = clientContext.getStore()?.reply;
+    const store = { client: backend, reply: reply && (item => reply(this.toClient(front, backend, item))) };
+    return clientContext.run(store, () => handleMessage(message));
+  },
+  
+  /**
+   * Prepare a server's message for the client. Requests get an id naming
+   * their server, so the client's response can be routed back.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} backend - Connection the message came from
+   * @param {Object} message - Message from the server
+   * @returns {Object} - Message to send
+   */
+  toClient(front, backend, message) {
+    if (message.method === undefined || message.id === undefined) {
+      return message;
+    }
+    
+    const id = `${backend.server}${this.separator}${message.id}`;
+    this.state(front).requests.set(id, { backend, id: message.id });
+    return { ...message, id };
+  },
+  
+  /**
+   * Make sure a server connection has completed the handshake, starting it
+   * if needed. A server that failed isn't tried again until
+   * MCP_CIRCUIT_RESET_MS has passed.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} backend - Connection to the server
+   * @returns {Promise<boolean>} - True if the server is ready
+   */
+  async connect(front, backend) {
+    if (backend.ready) {
+      return true;
+    }
+    if (!this.state(front).initializeRequest) {
+      backend.lastError = 'client has not initialized';
+      return false;
+    }
+    if (Date.now() < backend.retryAt) {
+      return false;
+    }
+    
+    if (!backend.connecting) {
+      backend.connecting = this.initializeBackend(front, backend).finally(() => {
+        backend.connecting = null;
+      });
+    }
+    return backend.connecting;
+  },
+  
+  /**
+   * Send the client's handshake to a server. When a server joins after the
+   * client started, the client is told its lists changed.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} backend - Connection to the server
+   * @returns {Promise<boolean>} - True if the server is ready
+   */
+  async initializeBackend(front, backend) {
+    const state = this.state(front);
+    const response = await this.dispatch(front, backend, state.initializeRequest);
+    if (!response || response.error) {
+      backend.lastError = response?.error?.message || 'no response';
+      backend.retryAt = Date.now() + CONFIG.circuitResetMs;
+      logger.warn(`Aggregated server ${backend.server} is unavailable: ${backend.lastError}`);
+      return false;
+    }
+    
+    backend.ready = true;
+    backend.initializeResult = response.result || {};
+    backend.lastError = null;
+    
+    if (state.initialized) {
+      await this.dispatch(front, backend, { jsonrpc: "2.0", method: "notifications/initialized" });
+      logger.info(`Aggregated server ${backend.server} is available again`);
+      const capabilities = backend.initializeResult.capabilities || {};
+      for (const [method, { capability }] of Object.entries(this.lists)) {
+        const notification = cache.changeNotification(method);
+        if (capabilities[capability] && notification && method !== 'resources/templates/list') {
+          sendToClient({ jsonrpc: "2.0", method: notification });
+        }
+      }
+    }
+    return true;
+  },
+  
+  /**
+   * Handle a message from a client of the gateway
+   * @param {Object} message - Valid JSON-RPC message
+   * @returns {Promise<Object|null>} - Response to send, or null if none is due
+   */
+  async handle(message) {
+    const front = currentClient();
+    const state = this.state(front);
+    
+    if (isResponse(message)) {
+      const pending = state.requests.get(message.id);
+      if (!pending) {
+        logger.warn(`Dropping response to unknown server request: ${message.id}`);
+        return null;
+      }
+      state.requests.delete(message.id);
+      await this.dispatch(front, pending.backend, { ...message, id: pending.id });
+      return null;
+    }
+    
+    if (isNotification(message)) {
+      await this.notify(front, message);
+      return null;
+    }
+    
+    const params = message.params || {};
+    switch (message.method) {
+      case 'initialize':
+        return this.initialize(front, message);
+      case 'ping':
+        return { jsonrpc: "2.0", id: message.id, result: {} };
+      case 'tools/list':
+      case 'prompts/list':
+      case 'resources/list':
+      case 'resources/templates/list':
+        return this.list(front, message);
+      case 'tools/call':
+      case 'prompts/get':
+        return this.route(front, message, params.name, name => ({ ...params, name }));
+      case 'resources/read':
+      case 'resources/subscribe':
+      case 'resources/unsubscribe':
+        return this.routeResource(front, message, params.uri);
+      case 'completion/complete':
+        if (params.ref?.type === 'ref/prompt') {
+          return this.route(front, message, params.ref.name, name => ({ ...params, ref: { ...params.ref, name } }));
+        }
+        return this.routeResource(front, message, params.ref?.uri);
+      case 'logging/setLevel':
+        await Promise.all(this.connected(front).map(backend => this.dispatch(front, backend, message)));
+        return { jsonrpc: "2.0", id: message.id, result: {} };
+      default:
+        return createErrorResponse(message.id, ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+  },
+  
+  /**
+   * Get the servers a client is connected to
+   * @param {Object} front - Client of the gateway
+   * @returns {Object[]} - Ready connections
+   */
+  connected(front) {
+    return Array.from(this.state(front).backends.values()).filter(backend => backend.ready);
+  },
+  
+  /**
+   * Pass a client notification on. Cancellations go to the servers working
+   * on the request; everything else goes to every connected server.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} notification - Notification from the client
+   * @returns {Promise<void>}
+   */
+  async notify(front, notification) {
+    let backends = this.connected(front);
+    if (notification.method === 'notifications/initialized') {
+      this.state(front).initialized = true;
+    } else if (notification.method === 'notifications/cancelled') {
+      backends = backends.filter(backend => backend.inFlight.requests.has(notification.params?.requestId));
+    }
+    await Promise.all(backends.map(backend => this.dispatch(front, backend, notification)));
+  },
+  
+  /**
+   * Start a session with every server and answer with their combined
+   * capabilities. Servers that fail are left out, and the gateway only fails
+   * if all of them do.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} request - initialize request
+   * @returns {Promise<Object>} - Response
+   */
+  async initialize(front, request) {
+    const state = this.state(front);
+    state.initializeRequest = request;
+    state.initialized = false;
+    
+    const backends = this.servers.map(name => this.backend(front, name));
+    for (const backend of backends) {
+      backend.ready = false;
+      backend.retryAt = 0;
+    }
+    await Promise.all(backends.map(backend => this.connect(front, backend)));
+    
+    const ready = backends.filter(backend => backend.ready);
+    if (ready.length === 0) {
+      const reasons = backends.map(backend => `${backend.server}: ${backend.lastError}`).join('; ');
+      return createErrorResponse(request.id, ERROR_CODES.PROXY_UNAVAILABLE, `No aggregated server is available (${reasons})`);
+    }
+    if (ready.length < backends.length) {
+      logger.warn(`Starting without ${backends.length - ready.length} aggregated server(s)`, {
+        unavailable: backends.filter(backend => !backend.ready).map(backend => backend.server),
+      });
+    }
+    
+    return { jsonrpc: "2.0", id: request.id, result: this.mergeInitialize(ready) };
+  },
+  
+  /**
+   * Combine the initialize results of several servers. The oldest protocol
+   * version wins, capabilities are merged, and list changes are always
+   * announced since servers can join later.
+   * @param {Object[]} backends - Ready connections
+   * @returns {Object} - initialize result
+   */
+  mergeInitialize(backends) {
+    const versions = backends
+      .map(backend => backend.initializeResult.protocolVersion)
+      .filter(version => typeof version === 'string')
+      .sort();
+    
+    const capabilities = {};
+    for (const backend of backends) {
+      for (const [key, value] of Object.entries(backend.initializeResult.capabilities || {})) {
+        if (!value || typeof value !== 'object') {
+          continue;
+        }
+        const merged = capabilities[key] || {};
+        for (const [flag, setting] of Object.entries(value)) {
+          merged[flag] = typeof setting === 'boolean' ? merged[flag] === true || setting : setting;
+        }
+        capabilities[key] = merged;
+      }
+    }
+    for (const key of ['tools', 'prompts', 'resources']) {
+      if (capabilities[key]) {
+        capabilities[key].listChanged = true;
+      }
+    }
+    
+    const instructions = backends
+      .filter(backend => backend.initializeResult.instructions)
+      .map(backend => `## ${backend.server}\n\n${backend.initializeResult.instructions}`)
+      .join('\n\n');
+    
+    return {
+      protocolVersion: versions[0],
+      capabilities,
+      serverInfo: { name: CONFIG.aggregateName, version: PACKAGE_VERSION },
+      ...(instructions && { instructions }),
+    };
+  },
+  
+  /**
+   * Answer a list request with the items of every server, renamed with their
+   * server's prefix. Servers that fail are left out. The cursor for the next
+   * page holds the cursor of each server that has more.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} request - List request
+   * @returns {Promise<Object|null>} - Response, or null if the request was cancelled
+   */
+  async list(front, request) {
+    const { field, capability } = this.lists[request.method];
+    const { cursor, ...params } = request.params || {};
+    
+    let cursors = null;
+    if (cursor !== undefined) {
+      cursors = this.decodeCursor(cursor);
+      if (!cursors) {
+        return createErrorResponse(request.id, ERROR_CODES.INVALID_PARAMS, `Invalid cursor`);
+      }
+    }
+    
+    const names = cursors ? this.servers.filter(name => name in cursors) : this.servers;
+    const pages = await Promise.all(names.map(async (name) => {
+      const backend = this.backend(front, name);
+      if (!await this.connect(front, backend) || !backend.initializeResult.capabilities?.[capability]) {
+        return null;
+      }
+      const page = { ...request, params: cursors ? { ...params, cursor: cursors[name] } : params };
+      return { name, response: await this.dispatch(front, backend, page) };
+    }));
+    
+    const asked = pages.filter(Boolean);
+    if (asked.some(page => page.response === null)) {
+      return null;
+    }
+    
+    const items = [];
+    const next = {};
+    const failed = [];
+    for (const { name, response } of asked) {
+      if (response.error) {
+        logger.warn(`Leaving ${name} out of ${request.method}: ${response.error.message}`);
+        failed.push(`${name}: ${response.error.message}`);
+        continue;
+      }
+      for (const item of response.result?.[field] || []) {
+        items.push(this.namespaceItem(front, name, field, item));
+      }
+      if (response.result?.nextCursor) {
+        next[name] = response.result.nextCursor;
+      }
+    }
+    
+    if (asked.length > 0 && failed.length === asked.length) {
+      return createErrorResponse(request.id, ERROR_CODES.PROXY_UNAVAILABLE, `No aggregated server answered ${request.method} (${failed.join('; ')})`);
+    }
+    
+    const result = { [field]: items };
+    if (Object.keys(next).length > 0) {
+      result.nextCursor = Buffer.from(JSON.stringify(next)).toString('base64');
+    }
+    return { jsonrpc: "2.0", id: request.id, result };
+  },
+  
+  /**
+   * Rename a listed item with its server's prefix. Resource URIs are kept,
+   * and remembered so reads can be routed.
+   * @param {Object} front - Client of the gateway
+   * @param {string} server - Server the item came from
+   * @param {string} field - List field, e.g. "tools"
+   * @param {Object} item - Listed item
+   * @returns {Object} - Item for the client
+   */
+  namespaceItem(front, server, field, item) {
+    if (field === 'resources' && typeof item.uri === 'string') {
+      this.state(front).resources.set(item.uri, server);
+    }
+    return { ...item, name: `${server}${this.separator}${item.name}` };
+  },
+  
+  /**
+   * Read a gateway cursor
+   * @param {*} cursor - Cursor from the client
+   * @returns {Object|null} - Cursor of each server, or null if it isn't one of ours
+   */
+  decodeCursor(cursor) {
+    try {
+      const cursors = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+      const valid = cursors && typeof cursors === 'object' && !Array.isArray(cursors) &&
+        Object.values(cursors).every(value => typeof value === 'string');
+      return valid ? cursors : null;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Send a request for a prefixed tool or prompt to its server, without the prefix
+   * @param {Object} front - Client of the gateway
+   * @param {Object} request - Request naming the tool or prompt
+   * @param {string} fullName - Prefixed name
+   * @param {Function} withName - Builds the server's params from the plain name
+   * @returns {Promise<Object|null>} - Response
+   */
+  async route(front, request, fullName, withName) {
+    const index = typeof fullName === 'string' ? fullName.indexOf(this.separator) : -1;
+    const server = index > 0 ? fullName.slice(0, index) : null;
+    if (!this.servers.includes(server)) {
+      return createErrorResponse(request.id, ERROR_CODES.INVALID_PARAMS, `Unknown name "${fullName}" (expected <server>${this.separator}<name>)`);
+    }
+    
+    const backend = this.backend(front, server);
+    if (!await this.connect(front, backend)) {
+      return createErrorResponse(request.id, ERROR_CODES.PROXY_UNAVAILABLE, `Server ${server} is unavailable: ${backend.lastError}`);
+    }
+    const name = fullName.slice(index + this.separator.length);
+    return this.dispatch(front, backend, { ...request, params: withName(name) });
+  },
+  
+  /**
+   * Send a request about a resource to the server that listed it. Unlisted
+   * URIs are tried on each server that has resources until one accepts it.
+   * @param {Object} front - Client of the gateway
+   * @param {Object} request - Request naming the resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object|null>} - Response
+   */
+  async routeResource(front, request, uri) {
+    const { resources } = this.state(front);
+    const known = resources.get(uri);
+    
+    let response = null;
+    for (const name of known ? [known] : this.servers) {
+      const backend = this.backend(front, name);
+      if (!await this.connect(front, backend) || !backend.initializeResult.capabilities?.resources) {
+        continue;
+      }
+      response = await this.dispatch(front, backend, request);
+      if (!response || !response.error) {
+        if (response) {
+          resources.set(uri, name);
+        }
+        return response;
+      }
+    }
+    return response || createErrorResponse(request.id, ERROR_CODES.INVALID_PARAMS, `Unknown resource: ${uri}`);
+  },
+  
+  /**
+   * Close the server event streams of a client's connections
+   * @param {Object} front - Client of the gateway
+   */
+  stop(front) {
+    for (const backend of this.state(front).backends.values()) {
+      backend.downstream.stop();
     }
   }
+};
+
+// =============================================================================
+// Local HTTP Server
+// =============================================================================
+
+const localServer = {
+  // HTTP server, when started with --listen
+  server: null,
   
-  const proxyUrl = `${CONFIG.proxyUrl}/${CONFIG.serverName}`;
+  // Clients by the session ID the shim gave them
+  clients: new Map(),
   
-  logger.debug(`Forwarding request to proxy: ${proxyUrl}`, { 
-    method: request.method,
-    id: request.id
-  });
+  // Timer closing sessions abandoned by their clients
+  sweepTimer: null,
   
-  const headers = {
-    'Content-Type': 'application/json',
-  };
+  /**
+   * Serve the MCP Streamable HTTP transport on localhost
+   * @param {number} port - Port to listen on (0 for any free port)
+   * @returns {Promise<number>} - The port listened on
+   */
+  start(port) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        logger.error(`Error serving local HTTP request: ${error.message}`, { stack: error.stack });
+        if (!res.headersSent) {
+          res.writeHead(500);
+        }
+        res.end();
+      });
+    });
+    
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(CONFIG.listenSessionTTLMs, 60 * 1000));
+    this.sweepTimer.unref();
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  },
   
-  if (CONFIG.apiKey) {
-    headers['Authorization'] = `Bearer ${CONFIG.apiKey}`;
-  }
+  /**
+   * Check that a request comes from this machine. Browsers send an Origin
+   * header, and a page from elsewhere could otherwise reach the server
+   * through DNS rebinding.
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} - True if the request may be served
+   */
+  isLocal(req) {
+    const local = ['localhost', '127.0.0.1', '[::1]'];
+    const hostname = (value) => {
+      try {
+        return new URL(value.includes('://') ? value : `http://${value}`).hostname;
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    if (!local.includes(hostname(req.headers.host || ''))) {
+      return false;
+    }
+    return !req.headers.origin || local.includes(hostname(req.headers.origin));
+  },
   
-  // Retry logic with exponential backoff
-  let lastError = null;
-  for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
+  /**
+   * Route a request by method
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    if (new URL(req.url, 'http://localhost').pathname !== CONFIG.listenPath) {
+      return this.sendStatus(res, 404, 'Not found');
+    }
+    if (!this.isLocal(req)) {
+      logger.warn(`Refused request from origin ${req.headers.origin || req.headers.host}`);
+      return this.sendStatus(res, 403, 'Forbidden');
+    }
+    
+    switch (req.method) {
+      case 'POST':
+        return this.handlePost(req, res);
+      case 'GET':
+        return this.handleGet(req, res);
+      case 'DELETE':
+        return this.handleDelete(req, res);
+      default:
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        return this.sendStatus(res, 405, 'Method not allowed');
+    }
+  },
+  
+  /**
+   * Handle a message or batch from a client. Responses go back as JSON, or
+   * as an event stream that also carries server messages about the request
+   * if the client accepts one.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handlePost(req, res) {
+    if (!(req.headers['content-type'] || '').includes('application/json')) {
+      return this.sendStatus(res, 415, 'Content-Type must be application/json');
+    }
+    
+    const body = await this.readBody(req);
+    if (body === null) {
+      return this.sendJson(res, 413, createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, "Request too large"));
+    }
+    
+    let payload;
     try {
-      // Create abort controller for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-      
-      const response = await fetch(proxyUrl, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(request),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP error ${response.status}: ${errorText}`);
+      payload = JSON.parse(body);
+    } catch (error) {
+      return this.sendJson(res, 400, createErrorResponse(null, ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`));
+    }
+    
+    // initialize starts a new session; everything else must name one
+    let client;
+    const headers = {};
+    if (!Array.isArray(payload) && payload?.method === 'initialize') {
+      client = this.createClient();
+      headers['Mcp-Session-Id'] = client.id;
+    } else {
+      if (!req.headers['mcp-session-id']) {
+        return this.sendJson(res, 400, createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, "Missing Mcp-Session-Id header"));
       }
-      
-      const responseData = await response.json();
-      
-      logger.debug(`Response from proxy:`, {
-        id: responseData.id,
-        status: responseData.error ? 'error' : 'success',
-        error: responseData.error
-      });
-      
-      // Cache successful responses
-      if (!responseData.error && cacheKey) {
-        cache.set(cacheKey, responseData);
+      client = this.clients.get(req.headers['mcp-session-id']);
+      if (!client) {
+        return this.sendJson(res, 404, createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, "Unknown or expired session"));
       }
-      
-      return responseData;
-    } catch (error) {
-      lastError = error;
-      
-      // Don't retry if we explicitly aborted due to timeout
-      if (error.name === 'AbortError') {
-        logger.error(`Request timed out after ${CONFIG.timeout}ms`);
-        return createErrorResponse(request.id, -32000, `Request timed out after ${CONFIG.timeout}ms`);
+    }
+    client.lastActiveAt = Date.now();
+    
+    // Notifications and responses are only acknowledged
+    const messages = Array.isArray(payload) ? payload : [payload];
+    if (messages.every(message => message && typeof message === 'object' && (isNotification(message) || isResponse(message)))) {
+      await clientContext.run({ client }, () => handlePayload(payload));
+      res.writeHead(202, headers);
+      return res.end();
+    }
+    
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      const response = await clientContext.run({ client }, () => handlePayload(payload));
+      return this.sendJson(res, 200, response, headers);
+    }
+    
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    let open = true;
+    res.on('close', () => {
+      open = false;
+    });
+    const reply = (message) => {
+      if (open) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
       }
-      
-      // Don't retry if this was the last attempt
-      if (attempt >= CONFIG.maxRetries) {
-        break;
+      return open;
+    };
+    
+    const response = await clientContext.run({ client, reply }, () => handlePayload(payload));
+    if (response) {
+      reply(response);
+    }
+    open = false;
+    res.end();
+  },
+  
+  /**
+   * Open the stream a client receives server-initiated messages on. A new
+   * stream replaces the client's previous one.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleGet(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      return this.sendStatus(res, 406, 'Accept must include text/event-stream');
+    }
+    const client = this.clients.get(req.headers['mcp-session-id']);
+    if (!client) {
+      return this.sendStatus(res, req.headers['mcp-session-id'] ? 404 : 400, 'Unknown or missing session');
+    }
+    
+    if (client.stream) {
+      client.stream.end();
+    }
+    client.stream = res;
+    client.lastActiveAt = Date.now();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write(': connected\n\n');
+    
+    // Keep idle connections from being dropped by the client
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    keepAlive.unref();
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      if (client.stream === res) {
+        client.stream = null;
+        client.lastActiveAt = Date.now();
       }
-      
-      // Calculate backoff delay with jitter
-      const delay = Math.min(
-        CONFIG.retryMaxDelayMs,
-        CONFIG.retryInitialDelayMs * Math.pow(2, attempt) * (0.9 + Math.random() * 0.2)
-      );
-      
-      logger.warn(`Request failed (attempt ${attempt + 1}/${CONFIG.maxRetries + 1}). Retrying in ${Math.round(delay)}ms`, { 
-        error: lastError.message 
-      });
-      
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, delay));
+    });
+    
+    // Deliver whatever arrived while the client had no stream open
+    for (const message of client.backlog.splice(0)) {
+      client.send(message);
     }
-  }
+  },
   
-  logger.error(`Request failed after ${CONFIG.maxRetries + 1} attempts:`, { 
-    error: lastError?.message,
-    url: proxyUrl
-  });
+  /**
+   * End a client's session at its request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleDelete(req, res) {
+    const client = this.clients.get(req.headers['mcp-session-id']);
+    if (!client) {
+      return this.sendStatus(res, req.headers['mcp-session-id'] ? 404 : 400, 'Unknown or missing session');
+    }
+    await this.closeClient(client);
+    res.writeHead(204);
+    res.end();
+  },
   
-  // Return error response
-  return createErrorResponse(
-    request.id, 
-    -32003, 
-    `Failed to communicate with MCP proxy: ${lastError?.message || "Unknown error"}`
-  );
-}
-
-/**
- * Create a standardized error response
- * @param {number|string} id - Request ID
- * @param {number} code - Error code
- * @param {string} message - Error message
- * @returns {Object} - Error response
- */
-function createErrorResponse(id, code, message) {
-  return {
-    jsonrpc: "2.0",
-    id: id,
-    error: {
-      code: code,
-      message: message
+  /**
+   * Register a client with a new session ID. Messages for it go to its
+   * event stream, or wait in a short backlog until it opens one.
+   * @returns {Object} - Client
+   */
+  createClient() {
+    const client = createClient((message) => {
+      if (client.stream) {
+        client.stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+      } else if (client.backlog.length < 100) {
+        client.backlog.push(message);
+      } else {
+        logger.warn(`Dropping message for client ${client.id} with no event stream`, { method: message.method });
+      }
+    }, crypto.randomBytes(16).toString('hex'));
+    client.stream = null;
+    client.backlog = [];
+    
+    this.clients.set(client.id, client);
+    logger.info(`Local client connected`, { session: client.id, clients: this.clients.size });
+    return client;
+  },
+  
+  /**
+   * End a client's session here and upstream
+   * @param {Object} client - Client to close
+   * @param {number} [drainTimeoutMs] - Time to let its requests finish
+   * @returns {Promise<void>}
+   */
+  async closeClient(client, drainTimeoutMs = 0) {
+    this.clients.delete(client.id);
+    if (client.stream) {
+      client.stream.end();
     }
-  };
-}
+    await closeClient(client, drainTimeoutMs);
+    logger.info(`Local client disconnected`, { session: client.id, clients: this.clients.size });
+  },
+  
+  /**
+   * Close sessions that have been idle longer than MCP_LISTEN_SESSION_TTL_MS
+   */
+  sweep() {
+    const cutoff = Date.now() - CONFIG.listenSessionTTLMs;
+    for (const client of this.clients.values()) {
+      if (!client.stream && client.inFlight.requests.size === 0 && client.lastActiveAt < cutoff) {
+        logger.info(`Closing idle local session ${client.id}`);
+        this.closeClient(client).catch(error => logger.warn(`Failed to close idle session: ${error.message}`));
+      }
+    }
+  },
+  
+  /**
+   * Read a request body, giving up past MCP_MAX_REQUEST_SIZE
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string|null>} - Body, or null if it was too large
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > CONFIG.maxRequestSize) {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  },
+  
+  /**
+   * Send a JSON body, or 202 if there is nothing to send
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object|Object[]|null} body - Body
+   * @param {Object} [headers] - Extra headers
+   */
+  sendJson(res, status, body, headers = {}) {
+    if (body === null) {
+      res.writeHead(202, headers);
+      return res.end();
+    }
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  },
+  
+  /**
+   * Send a plain-text status response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {string} message - Body
+   */
+  sendStatus(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(message);
+  },
+  
+  /**
+   * Stop accepting connections and close every client's session
+   * @param {number} drainTimeoutMs - Time to let requests in flight finish
+   * @returns {Promise<void>}
+   */
+  async close(drainTimeoutMs) {
+    clearInterval(this.sweepTimer);
+    if (this.server) {
+      this.server.close();
+    }
+    await Promise.all(Array.from(this.clients.values()).map(client => this.closeClient(client, drainTimeoutMs)));
+  }
+};
 
 // =============================================================================
 // Runtime Initialization
 // =============================================================================
 
-// Create readline interface for stdio communication
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false
-});
-
-// Log startup information
-logger.info(`MCP Shim started`, {
-  serverName: CONFIG.serverName,
-  proxyUrl: CONFIG.proxyUrl,
-  pid: process.pid,
-  nodeVersion: process.version
-});
-
-// Sanitize allowed paths
-if (CONFIG.allowedPaths.length > 0) {
-  CONFIG.allowedPaths = CONFIG.allowedPaths.map(p => path.normalize(p));
-  logger.info(`Allowed paths configured`, { paths: CONFIG.allowedPaths });
-}
+/**
+ * Start the shim: apply configuration, then serve JSON-RPC over stdio, or
+ * over HTTP with --listen <port>
+ */
+function main() {
+  // Check the port before doing anything else
+  if (CONFIG.listenPort !== null && !(/^\d+$/.test(CONFIG.listenPort) && Number(CONFIG.listenPort) <= 65535)) {
+    console.error(`ERROR: --listen needs a port number, got "${CONFIG.listenPort}"`);
+    process.exit(1);
+  }
+  const listenPort = CONFIG.listenPort === null ? null : Number(CONFIG.listenPort);
+  if (CONFIG.metricsPort && !(/^\d+$/.test(CONFIG.metricsPort) && Number(CONFIG.metricsPort) <= 65535)) {
+    console.error(`ERROR: MCP_METRICS_PORT needs a port number, got "${CONFIG.metricsPort}"`);
+    process.exit(1);
+  }
 
-// Process each line of input as a JSON-RPC request
-rl.on('line', async (line) => {
+  // Fill in the connection settings from the routes file if needed
   try {
-    logger.debug(`Received request: ${line.length > 1000 ? line.substring(0, 1000) + '...' : line}`);
-    
-    // Check line length as a basic security measure
-    if (line.length > CONFIG.maxRequestSize) {
-      logger.warn(`Request line too large (${line.length} bytes)`);
-      console.log(JSON.stringify(createErrorResponse(null, -32600, "Request too large")));
-      return;
-    }
-    
-    // Parse the request
-    const request = JSON.parse(line);
-    
-    // Process paths for security if it's a filesystem server
-    const secureRequest = pathSecurity.processRequest(request);
-    
-    // Forward to the proxy
-    const response = await forwardToProxy(secureRequest);
-    
-    // Send the response back
-    console.log(JSON.stringify(response));
+    applyServerRoute();
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Log startup information
+  logger.info(`MCP Shim started`, {
+    serverName: CONFIG.serverName,
+    proxyUrl: CONFIG.proxyUrl,
+    pid: process.pid,
+    nodeVersion: process.version
+  });
+
+  // Set up allowed paths and the deny list
+  pathSecurity.configure({
+    allowedPaths: CONFIG.allowedPaths,
+    denyPaths: CONFIG.denyPaths,
+    caseInsensitive: CONFIG.caseInsensitivePaths,
+  });
+  if (pathSecurity.roots.length > 0 || pathSecurity.denyPatterns.length > 0) {
+    logger.info(`Path security configured`, {
+      roots: pathSecurity.roots,
+      deny: CONFIG.denyPaths,
+      caseInsensitive: CONFIG.caseInsensitivePaths,
+    });
+  }
+
+  // Load the tool policy
+  try {
+    toolPolicy.load();
   } catch (error) {
-    logger.error(`Error processing request: ${error.message}`);
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Set up the proxy endpoint pool
+  try {
+    endpoints.configure(CONFIG.proxyUrl, CONFIG.proxyPolicy);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (endpoints.list.length > 1) {
+    logger.info(`Proxy endpoints configured`, {
+      policy: endpoints.policy,
+      endpoints: endpoints.list.map(({ url, weight }) => ({ url, weight }))
+    });
+  }
+  
+  // Set up authentication, reading any secrets from files or commands
+  try {
+    auth.configure();
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  logger.debug(`Authentication: ${auth.provider.type}${auth.tlsAgent ? ' with client certificate' : ''}`);
+  
+  // Set up the rate limit budgets
+  try {
+    rateLimit.configure(CONFIG.rateLimits);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Front several servers as one
+  try {
+    gateway.configure(CONFIG.aggregateServers);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  if (gateway.enabled()) {
+    logger.info(`Aggregating servers`, { name: CONFIG.aggregateName, servers: gateway.servers });
+  }
+  
+  // Record the session to a cassette, or replay one without the network
+  try {
+    cassette.configure({ recordFile: CONFIG.recordFile, replayFile: CONFIG.replayFile });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  if (cassette.mode === 'record') {
+    logger.info(`Recording the session`, { cassette: CONFIG.recordFile });
+  } else if (cassette.mode === 'replay') {
+    logger.info(`Replaying the session, the proxy won't be contacted`, { cassette: CONFIG.replayFile });
+  }
+  
+  // Export spans for each request
+  try {
+    tracing.configure({ traceFile: CONFIG.traceFile, otlpEndpoint: CONFIG.otlpEndpoint, otlpHeaders: CONFIG.otlpHeaders });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  if (tracing.tracer) {
+    logger.info(`Tracing enabled`, { file: CONFIG.traceFile || undefined, otlp: CONFIG.otlpEndpoint || undefined });
     
-    // Return a standard JSON-RPC parse error
-    console.log(JSON.stringify({
-      jsonrpc: "2.0",
-      id: null,
-      error: {
-        code: -32700,
-        message: `Parse error: ${error.message}`
+    // Send the last spans before the process exits on its own
+    process.on('beforeExit', () => {
+      if (tracing.tracer.pending()) {
+        tracing.tracer.flush();
       }
-    }));
+    });
+  }
+  
+  // Open the audit log and the disk cache
+  audit.open();
+  cache.openStore();
+  
+  // Set up host-to-container path mappings
+  if (CONFIG.pathMappings.length > 0) {
+    pathMapping.configure(CONFIG.pathMappings);
+    logger.info(`Path mappings configured`, { mappings: pathMapping.mappings });
   }
-});
 
-// Handle process termination
-function handleShutdown() {
-  logger.info(`MCP Shim shutting down`);
-  logger.close();
-  rl.close();
-  process.exit(0);
-}
+  // Serve metrics and status on localhost. They are optional, so the shim
+  // carries on without them if the port is taken.
+  if (CONFIG.metricsPort) {
+    metrics.start(Number(CONFIG.metricsPort)).then((port) => {
+      logger.info(`Serving metrics on http://127.0.0.1:${port}/metrics`);
+    }).catch((error) => {
+      logger.warn(`Cannot serve metrics on port ${CONFIG.metricsPort}: ${error.message}`);
+    });
+  }
+
+  let rl = null;
+  if (listenPort !== null) {
+    // Serve local HTTP clients, each with its own session
+    localServer.start(listenPort).then((port) => {
+      logger.info(`Listening on http://127.0.0.1:${port}${CONFIG.listenPath}`);
+    }).catch((error) => {
+      console.error(`ERROR: Cannot listen on port ${listenPort}: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    // Create readline interface for stdio communication
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: false
+    });
+
+    // Process each line of input as a JSON-RPC message or batch
+    rl.on('line', async (line) => {
+      logger.debug(`Received request: ${line.length > 1000 ? line.substring(0, 1000) + '...' : line}`);
+
+      const response = await handleLine(line);
+
+      // Send the response back
+      if (response) {
+        sendToClient(response);
+      }
+    });
+
+    // When the client closes stdin, stop listening for server events so the
+    // process can exit once outstanding requests finish
+    rl.on('close', () => {
+      stdioClient.downstream.stop();
+      if (gateway.enabled()) {
+        gateway.stop(stdioClient);
+      }
+    });
+  }
+
+  // Handle process termination: stop taking input, give in-flight requests a
+  // chance to finish, cancel the rest upstream, then exit. A second signal
+  // exits immediately.
+  let shuttingDown = false;
+  async function handleShutdown() {
+    if (shuttingDown) {
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    logger.info(`MCP Shim shutting down`);
+    if (rl) {
+      rl.close();
+    }
+    endpoints.stop();
+    metrics.close();
+    await Promise.all([
+      localServer.close(CONFIG.shutdownTimeoutMs),
+      closeClient(stdioClient, CONFIG.shutdownTimeoutMs),
+    ]);
+    await tracing.close();
+    audit.close();
+    logger.close();
+    process.exit(0);
+  }
+
+  // Set up signal handlers for graceful shutdown
+  process.on('SIGTERM', handleShutdown);
+  process.on('SIGINT', handleShutdown);
 
-// Set up signal handlers for graceful shutdown
-process.on('SIGTERM', handleShutdown);
-process.on('SIGINT', handleShutdown);
+  // Handle unhandled errors
+  process.on('uncaughtException', (error) => {
+    logger.error(`Uncaught exception: ${error.message}`, { 
+      stack: error.stack, 
+      name: error.name
+    });
 
-// Handle unhandled errors
-process.on('uncaughtException', (error) => {
-  logger.error(`Uncaught exception: ${error.message}`, { 
-    stack: error.stack, 
-    name: error.name
+    // For critical errors, exit after logging
+    process.exit(1);
   });
-  
-  // For critical errors, exit after logging
-  process.exit(1);
-});
 
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error(`Unhandled rejection at: ${promise}, reason: ${reason}`);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error(`Unhandled rejection at: ${promise}, reason: ${reason}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG,
+  applyServerRoute,
+  ERROR_CODES,
+  pathSecurity,
+  pathMapping,
+  toolPolicy,
+  audit,
+  metrics,
+  tracing,
+  cache,
+  createCircuitBreaker,
+  endpoints,
+  auth,
+  rateLimit,
+  concurrency,
+  gateway,
+  cassette,
+  protocol,
+  localServer,
+  session: stdioClient.session,
+  handleLine,
+  handleMessage,
+};
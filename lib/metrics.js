@@ -0,0 +1,325 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small registry of counters, histograms and gauges for the shim, rendered
+ * in the Prometheus text exposition format (version 0.0.4):
+ *
+ *   const registry = createRegistry();
+ *   const requests = registry.counter('mcp_shim_requests_total', 'Requests handled', ['method']);
+ *   requests.inc({ method: 'tools/list' });
+ *   registry.render();
+ *
+ *   # HELP mcp_shim_requests_total Requests handled
+ *   # TYPE mcp_shim_requests_total counter
+ *   mcp_shim_requests_total{method="tools/list"} 1
+ *
+ * Gauges are read when the metrics are rendered, from a function that
+ * returns their current values, so nothing has to keep them up to date.
+ */
+
+// Histogram bucket bounds in seconds, from 5ms to a minute
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Content type of the text format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+/**
+ * Escape a label value: backslash, double quote and newline
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value, including the special floating-point values
+ * @param {number} value - Sample value
+ * @returns {string} - Formatted value
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Format a label set as {name="value",...}, or nothing if it is empty
+ * @param {string[]} names - Label names, in order
+ * @param {Object} labels - Label values by name
+ * @returns {string} - Formatted labels
+ */
+function formatLabels(names, labels) {
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+// =============================================================================
+// Metrics
+// =============================================================================
+
+/**
+ * Create the series table shared by counters and histograms: one entry per
+ * distinct label set, keyed by the label values
+ * @param {string[]} labelNames - Label names
+ * @param {Function} create - () => initial series state
+ * @returns {Object} - Series table with get(labels) and entries()
+ */
+function createSeries(labelNames, create) {
+  const series = new Map();
+
+  return {
+    /**
+     * Get the series for a label set, creating it if it is new
+     * @param {Object} labels - Label values by name
+     * @returns {Object} - Series state
+     */
+    get(labels = {}) {
+      const values = {};
+      for (const name of labelNames) {
+        values[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+      }
+      const key = JSON.stringify(labelNames.map(name => values[name]));
+      if (!series.has(key)) {
+        series.set(key, { labels: values, ...create() });
+      }
+      return series.get(key);
+    },
+
+    /**
+     * List every series
+     * @returns {Object[]} - Series states, each with its labels
+     */
+    entries() {
+      return Array.from(series.values());
+    },
+  };
+}
+
+/**
+ * Create a counter, a value that only goes up
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @returns {Object} - Counter with inc(labels, amount), sum(filter) and render()
+ */
+function createCounter(name, help, labelNames) {
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+
+  return {
+    name,
+    type: 'counter',
+
+    /**
+     * Add to the counter
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount] - Amount to add
+     */
+    inc(labels, amount = 1) {
+      series.get(labels).value += amount;
+    },
+
+    /**
+     * Total the counter over the series a filter accepts
+     * @param {Function} [filter] - (labels) => boolean; all series if not given
+     * @returns {number} - Total
+     */
+    sum(filter = () => true) {
+      return series.entries().filter(entry => filter(entry.labels)).reduce((total, entry) => total + entry.value, 0);
+    },
+
+    /**
+     * Render the counter's samples
+     * @returns {string[]} - Sample lines
+     */
+    render() {
+      return series.entries().map(entry => `${name}${formatLabels(labelNames, entry.labels)} ${formatValue(entry.value)}`);
+    },
+  };
+}
+
+/**
+ * Create a histogram, counting observations into cumulative buckets
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} [buckets] - Upper bounds of the buckets, ascending
+ * @returns {Object} - Histogram with observe(labels, value), count(filter) and render()
+ */
+function createHistogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+  const bounds = buckets.slice().sort((a, b) => a - b);
+  const series = createSeries(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+
+  return {
+    name,
+    type: 'histogram',
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value, e.g. a duration in seconds
+     */
+    observe(labels, value) {
+      const entry = series.get(labels);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    /**
+     * Count the observations in the series a filter accepts
+     * @param {Function} [filter] - (labels) => boolean; all series if not given
+     * @returns {number} - Number of observations
+     */
+    count(filter = () => true) {
+      return series.entries().filter(entry => filter(entry.labels)).reduce((total, entry) => total + entry.count, 0);
+    },
+
+    /**
+     * Render the bucket, sum and count samples of every series
+     * @returns {string[]} - Sample lines
+     */
+    render() {
+      const bucketLabels = labelNames.concat('le');
+      const lines = [];
+      for (const entry of series.entries()) {
+        bounds.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(bucketLabels, { ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(bucketLabels, { ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, entry.labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Create a gauge, whose values are read when the metrics are rendered
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {Function} collect - () => number, or [{ labels, value }] for a gauge with labels
+ * @returns {Object} - Gauge with render()
+ */
+function createGauge(name, help, labelNames, collect) {
+  return {
+    name,
+    type: 'gauge',
+
+    /**
+     * Render the gauge's current values
+     * @returns {string[]} - Sample lines
+     */
+    render() {
+      const collected = collect();
+      const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      return samples.map(({ labels, value }) => `${name}${formatLabels(labelNames, labels)} ${formatValue(value)}`);
+    },
+  };
+}
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+/**
+ * Create a registry of metrics
+ * @returns {Object} - Registry with counter, histogram, gauge and render
+ */
+function createRegistry() {
+  const metrics = [];
+
+  /**
+   * Add a metric, refusing a name already taken
+   * @param {string} help - Description
+   * @param {Object} metric - Metric
+   * @returns {Object} - The metric
+   */
+  function register(help, metric) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) {
+      throw new Error(`Invalid metric name "${metric.name}"`);
+    }
+    if (metrics.some(registered => registered.metric.name === metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.push({ help, metric });
+    return metric;
+  }
+
+  return {
+    /**
+     * Register a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames] - Label names
+     * @returns {Object} - Counter
+     */
+    counter(name, help, labelNames = []) {
+      return register(help, createCounter(name, help, labelNames));
+    },
+
+    /**
+     * Register a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames] - Label names
+     * @param {number[]} [buckets] - Bucket upper bounds
+     * @returns {Object} - Histogram
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      return register(help, createHistogram(name, help, labelNames, buckets));
+    },
+
+    /**
+     * Register a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Label names
+     * @param {Function} collect - Reads the current values, see createGauge
+     * @returns {Object} - Gauge
+     */
+    gauge(name, help, labelNames, collect) {
+      return register(help, createGauge(name, help, labelNames, collect));
+    },
+
+    /**
+     * Render every metric in the text exposition format
+     * @returns {string} - Metrics text
+     */
+    render() {
+      const lines = [];
+      for (const { help, metric } of metrics) {
+        lines.push(`# HELP ${metric.name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.render());
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  CONTENT_TYPE,
+  escapeLabel,
+  createRegistry,
+};
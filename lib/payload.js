@@ -0,0 +1,544 @@
+/**
+ * Payload Handling
+ *
+ * Helpers for moving large JSON-RPC messages between the shim and the proxy
+ * without holding more of them in memory than necessary:
+ *
+ * - Response bodies are parsed chunk by chunk as they arrive, against a
+ *   byte limit, and the download is abandoned as soon as the limit is
+ *   passed. The limit applies to decompressed bytes, so a small compressed
+ *   body can't expand unchecked
+ * - Request bodies can be gzip-compressed before they are sent
+ * - Oversized `tools/call` results can be cut down to a byte budget instead
+ *   of being rejected outright, including bodies over the limit, whose text
+ *   is cut while they are read
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const gzip = promisify(zlib.gzip);
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Raised when a response body is larger than the configured limit
+ */
+class ResponseTooLargeError extends Error {
+  /**
+   * @param {number} limit - Maximum size in bytes
+   * @param {number} received - Bytes read before giving up
+   */
+  constructor(limit, received) {
+    super(`Response exceeds the ${limit} byte limit (more than ${received} bytes received)`);
+    this.name = 'ResponseTooLargeError';
+    this.limit = limit;
+    this.received = received;
+  }
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+// Bytes with a meaning in JSON syntax
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const WHITESPACE = [0x20, 0x09, 0x0a, 0x0d];
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Check whether a byte can be part of a number or literal
+ * @param {number} byte - Byte
+ * @returns {boolean} - True for digits, letters, "+", "-" and "."
+ */
+function isWordByte(byte) {
+  return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x61 && byte <= 0x7a) || (byte >= 0x41 && byte <= 0x5a) ||
+    byte === 0x2b || byte === 0x2d || byte === 0x2e;
+}
+
+/**
+ * Find where a cut-off run of string bytes can end without splitting an
+ * escape sequence or a UTF-8 character
+ * @param {Buffer} raw - String bytes as they appear in the JSON text
+ * @returns {number} - Length of the longest whole prefix
+ */
+function wholePrefix(raw) {
+  let index = 0;
+  while (index < raw.length) {
+    const byte = raw[index];
+    let length = 1;
+    if (byte === BACKSLASH) {
+      length = raw[index + 1] === 0x75 ? 6 : 2;
+    } else if (byte >= 0xf0) {
+      length = 4;
+    } else if (byte >= 0xe0) {
+      length = 3;
+    } else if (byte >= 0xc0) {
+      length = 2;
+    }
+    if (index + length > raw.length) {
+      break;
+    }
+    index += length;
+  }
+  return index;
+}
+
+/**
+ * Create a parser that builds a JSON value from chunks as they arrive, so a
+ * body is never held whole as bytes and as text at the same time. Strings
+ * are kept as bytes until they close.
+ *
+ * Once keepBytes of string values are held, the rest of every string value
+ * is dropped while the parse goes on, which leaves a value of the same
+ * shape with shortened text.
+ * @param {Object} [options] - Options
+ * @param {number} [options.keepBytes] - Bytes of string values to hold (default: all)
+ * @returns {Object} - Parser with write(chunk), end() returning the value,
+ *   and the bytes `held` (all), `kept` (of string values) and `dropped` so far
+ * @throws {SyntaxError} - From write() or end(), if the body isn't JSON
+ */
+function createJsonParser({ keepBytes = Infinity } = {}) {
+  // Open objects and arrays, innermost last. Objects move through the
+  // states key, colon, value and next; arrays through value and next.
+  const stack = [];
+  let token = null;
+  let root;
+  let done = false;
+  let position = 0;
+  let kept = 0;
+  let dropped = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} in JSON at position ${position}`);
+  };
+
+  const valueAllowed = () => {
+    const frame = stack[stack.length - 1];
+    if (!frame) {
+      return !done;
+    }
+    return frame.state === 'value' || (Array.isArray(frame.container) && frame.state === 'first');
+  };
+
+  const emit = (value) => {
+    const frame = stack[stack.length - 1];
+    if (!frame) {
+      root = value;
+      done = true;
+    } else if (Array.isArray(frame.container)) {
+      frame.container.push(value);
+      frame.state = 'next';
+    } else if (frame.state !== 'value') {
+      frame.key = value;
+      frame.state = 'colon';
+    } else {
+      if (frame.key === '__proto__') {
+        Object.defineProperty(frame.container, frame.key, { value, enumerable: true, writable: true, configurable: true });
+      } else {
+        frame.container[frame.key] = value;
+      }
+      frame.state = 'next';
+    }
+  };
+
+  // Keep string bytes start..end of a chunk, as far as the budget allows.
+  // Keys are always kept whole, only values are cut.
+  const keep = (chunk, start, end) => {
+    if (token.cut) {
+      dropped += end - start;
+      return;
+    }
+    if (!token.key) {
+      const room = keepBytes - kept;
+      if (end - start > room) {
+        dropped += end - start - room;
+        token.cut = true;
+        end = start + room;
+      }
+      kept += end - start;
+    }
+    token.pieces.push(chunk, start, end);
+  };
+
+  const finishString = () => {
+    const { pieces, cut, escapes } = token;
+    token = null;
+
+    // Most strings lie in one chunk and can be decoded straight from it
+    let text;
+    if (pieces.length === 3 && !cut) {
+      text = pieces[0].toString('utf8', pieces[1], pieces[2]);
+    } else {
+      const parts = [];
+      for (let index = 0; index < pieces.length; index += 3) {
+        parts.push(pieces[index].subarray(pieces[index + 1], pieces[index + 2]));
+      }
+      const raw = Buffer.concat(parts);
+      text = raw.toString('utf8', 0, cut ? wholePrefix(raw) : raw.length);
+    }
+
+    if (!escapes) {
+      emit(text);
+      return;
+    }
+    try {
+      emit(JSON.parse(`"${text}"`));
+    } catch (error) {
+      fail('Invalid string');
+    }
+  };
+
+  const finishToken = () => {
+    const { type, text } = token;
+    token = null;
+    if (type === 'number' && NUMBER.test(text)) {
+      emit(Number(text));
+    } else if (type === 'literal' && text in LITERALS) {
+      emit(LITERALS[text]);
+    } else {
+      fail(`Unexpected token ${text}`);
+    }
+  };
+
+  // Where the next quote and backslash are in the chunk being read, so each
+  // string doesn't search the rest of the chunk again
+  let nextQuote = -1;
+  let nextBackslash = -1;
+
+  // Read string bytes up to the closing quote or the end of the chunk
+  const readString = (chunk, start) => {
+    let index = start;
+    while (index < chunk.length) {
+      if (token.escaped) {
+        token.escaped = false;
+        index++;
+        continue;
+      }
+      if (nextQuote !== -1 && nextQuote < index) {
+        nextQuote = chunk.indexOf(QUOTE, index);
+      }
+      if (nextBackslash !== -1 && nextBackslash < index) {
+        nextBackslash = chunk.indexOf(BACKSLASH, index);
+      }
+      if (nextBackslash !== -1 && (nextQuote === -1 || nextBackslash < nextQuote)) {
+        token.escaped = true;
+        token.escapes = true;
+        index = nextBackslash + 1;
+        continue;
+      }
+      if (nextQuote === -1) {
+        break;
+      }
+      const end = nextQuote;
+      keep(chunk, start, end);
+      position += end + 1 - start;
+      finishString();
+      return end + 1;
+    }
+    keep(chunk, start, chunk.length);
+    position += chunk.length - start;
+    return chunk.length;
+  };
+
+  // Read the bytes of a number or literal up to the end of the chunk or
+  // the first byte that can't be part of one
+  const readWord = (chunk, start) => {
+    let index = start;
+    while (index < chunk.length && isWordByte(chunk[index])) {
+      index++;
+    }
+    token.text += chunk.toString('latin1', start, index);
+    position += index - start;
+    if (index < chunk.length) {
+      finishToken();
+    }
+    return index;
+  };
+
+  // Handle a byte outside any token. Returns true if it starts a number or
+  // literal, which then reads the byte itself.
+  const structural = (byte) => {
+    const frame = stack[stack.length - 1];
+    const inArray = frame && Array.isArray(frame.container);
+    const char = String.fromCharCode(byte);
+
+    if (WHITESPACE.includes(byte)) {
+      return false;
+    }
+    if (byte === QUOTE) {
+      const key = Boolean(frame) && !inArray && (frame.state === 'first' || frame.state === 'key');
+      if (!key && !valueAllowed()) {
+        fail('Unexpected string');
+      }
+      // Pieces are kept as (chunk, start, end) triples
+      token = { type: 'string', key, pieces: [], cut: false, escaped: false, escapes: false };
+    } else if (char === '{' || char === '[') {
+      if (!valueAllowed()) {
+        fail(`Unexpected token ${char}`);
+      }
+      stack.push({ container: char === '{' ? {} : [], key: null, state: 'first' });
+    } else if ((char === '}' && frame && !inArray) || (char === ']' && inArray)) {
+      if (frame.state !== 'first' && frame.state !== 'next') {
+        fail(`Unexpected token ${char}`);
+      }
+      stack.pop();
+      emit(frame.container);
+    } else if (char === ',' && frame?.state === 'next') {
+      frame.state = inArray ? 'value' : 'key';
+    } else if (char === ':' && frame?.state === 'colon') {
+      frame.state = 'value';
+    } else if ((byte === 0x2d || (byte >= 0x30 && byte <= 0x39)) && valueAllowed()) {
+      token = { type: 'number', text: '' };
+      return true;
+    } else if (byte >= 0x61 && byte <= 0x7a && valueAllowed()) {
+      token = { type: 'literal', text: '' };
+      return true;
+    } else {
+      fail(`Unexpected token ${char}`);
+    }
+    return false;
+  };
+
+  return {
+    get held() {
+      return position - dropped;
+    },
+
+    get kept() {
+      return kept;
+    },
+
+    get dropped() {
+      return dropped;
+    },
+
+    /**
+     * Parse the next part of the body
+     * @param {Buffer|string} chunk - Body bytes
+     */
+    write(chunk) {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+      nextQuote = buffer.indexOf(QUOTE);
+      nextBackslash = buffer.indexOf(BACKSLASH);
+      let index = 0;
+      while (index < buffer.length) {
+        if (token?.type === 'string') {
+          index = readString(buffer, index);
+        } else if (token) {
+          index = readWord(buffer, index);
+        } else if (!structural(buffer[index])) {
+          index++;
+          position++;
+        }
+      }
+    },
+
+    /**
+     * Finish parsing once the body has ended
+     * @returns {*} - Parsed value
+     */
+    end() {
+      if (token && token.type !== 'string') {
+        finishToken();
+      }
+      if (token || stack.length > 0 || !done) {
+        fail('Unexpected end of JSON input');
+      }
+      return root;
+    },
+  };
+}
+
+// =============================================================================
+// Reading
+// =============================================================================
+
+/**
+ * Iterate over a body stream, failing once more than maxBytes have arrived.
+ * Stopping early destroys the stream, which aborts the download.
+ * @param {stream.Readable} stream - Response body
+ * @param {number} maxBytes - Byte limit (0 for none)
+ * @returns {AsyncGenerator<Buffer|string>} - Body chunks
+ */
+async function* limitBytes(stream, maxBytes) {
+  let received = 0;
+  for await (const chunk of stream) {
+    received += typeof chunk === 'string' ? Buffer.byteLength(chunk, 'utf8') : chunk.length;
+    if (maxBytes && received > maxBytes) {
+      throw new ResponseTooLargeError(maxBytes, received);
+    }
+    yield chunk;
+  }
+}
+
+/**
+ * Read and parse a JSON body as it arrives
+ * @param {stream.Readable} stream - Response body
+ * @param {number} maxBytes - Byte limit (0 for none)
+ * @returns {Promise<*>} - Parsed body
+ * @throws {ResponseTooLargeError} - If the body passes the limit
+ */
+async function readJson(stream, maxBytes) {
+  const parser = createJsonParser();
+  for await (const chunk of limitBytes(stream, maxBytes)) {
+    parser.write(chunk);
+  }
+  return parser.end();
+}
+
+/**
+ * Read and parse a JSON body as it arrives, holding no more than maxBytes of
+ * its string values. A body over the limit is read to the end with the rest
+ * of its strings dropped, so it still parses; only one whose other data
+ * alone passes the limit is abandoned.
+ * @param {stream.Readable} stream - Response body
+ * @param {number} maxBytes - Bytes to hold
+ * @returns {Promise<Object>} - { value, bytes, dropped }: the parsed body,
+ *   the bytes received and the string bytes dropped from it
+ * @throws {ResponseTooLargeError} - If the body can't be held within the limit
+ */
+async function readJsonTruncated(stream, maxBytes) {
+  const parser = createJsonParser({ keepBytes: maxBytes });
+  let bytes = 0;
+  for await (const chunk of stream) {
+    bytes += typeof chunk === 'string' ? Buffer.byteLength(chunk, 'utf8') : chunk.length;
+    parser.write(chunk);
+    if (parser.held - parser.kept > maxBytes) {
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+      throw new ResponseTooLargeError(maxBytes, bytes);
+    }
+  }
+  return { value: parser.end(), bytes, dropped: parser.dropped };
+}
+
+/**
+ * Read the start of a body as text, discarding the rest. Used for error
+ * pages, which only end up in log and error messages.
+ * @param {stream.Readable} stream - Response body
+ * @param {number} maxBytes - Bytes to keep
+ * @returns {Promise<string>} - Body text, with "..." if it was cut short
+ */
+async function readText(stream, maxBytes) {
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  let received = 0;
+
+  for await (const chunk of stream) {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    if (received + buffer.length > maxBytes) {
+      text += decoder.write(buffer.subarray(0, maxBytes - received));
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+      return `${text}...`;
+    }
+    received += buffer.length;
+    text += decoder.write(buffer);
+  }
+
+  return text + decoder.end();
+}
+
+// =============================================================================
+// Compression
+// =============================================================================
+
+/**
+ * Prepare a request body, gzip-compressing it if it is large enough to be
+ * worth it
+ * @param {string} body - Serialized JSON-RPC message
+ * @param {number} minBytes - Smallest body to compress (0 to never compress)
+ * @returns {Promise<Object>} - { body, encoding }, where encoding is 'gzip' or null
+ */
+async function encodeBody(body, minBytes) {
+  if (!minBytes || Buffer.byteLength(body, 'utf8') < minBytes) {
+    return { body, encoding: null };
+  }
+  return { body: await gzip(body), encoding: 'gzip' };
+}
+
+// =============================================================================
+// Truncation
+// =============================================================================
+
+/**
+ * Cut a string to at most maxBytes of UTF-8 without splitting a character
+ * @param {string} text - Text to cut
+ * @param {number} maxBytes - Byte budget
+ * @returns {string} - Text that fits the budget
+ */
+function truncateText(text, maxBytes) {
+  const buffer = Buffer.from(text, 'utf8');
+  if (buffer.length <= maxBytes) {
+    return text;
+  }
+
+  const decoder = new StringDecoder('utf8');
+  return decoder.write(buffer.subarray(0, maxBytes));
+}
+
+/**
+ * Cut a tools/call result down to a byte budget. Text content is shortened
+ * and other content (images, embedded resources) is dropped once the budget
+ * is spent, and a final text item says what was removed.
+ * @param {Object} result - tools/call result
+ * @param {number} maxBytes - Budget for the content
+ * @param {number} [receivedBytes] - Size of the response as received, if its
+ *   text was already cut while it was read
+ * @returns {Object|null} - Truncated result, or null if it already fits
+ */
+function truncateResult(result, maxBytes, receivedBytes) {
+  if (!Array.isArray(result?.content)) {
+    return null;
+  }
+
+  const size = receivedBytes || Buffer.byteLength(JSON.stringify(result.content), 'utf8');
+  if (size <= maxBytes) {
+    return null;
+  }
+
+  let budget = maxBytes;
+  let dropped = 0;
+  const content = [];
+  for (const item of result.content) {
+    const itemSize = Buffer.byteLength(JSON.stringify(item), 'utf8');
+    if (itemSize <= budget) {
+      content.push(item);
+      budget -= itemSize;
+    } else if (item.type === 'text' && typeof item.text === 'string' && itemSize - item.text.length < budget) {
+      // Leave room for the rest of the item, roughly (escaping is ignored)
+      content.push({ ...item, text: truncateText(item.text, budget - (itemSize - item.text.length)) });
+      budget = 0;
+    } else {
+      dropped++;
+    }
+  }
+
+  const note = dropped > 0 ? ` and ${dropped} content item(s) omitted` : '';
+  content.push({
+    type: 'text',
+    text: `[Response truncated: ${size} bytes exceeds the ${maxBytes} byte limit${note}]`,
+  });
+
+  return { ...result, content };
+}
+
+module.exports = {
+  ResponseTooLargeError,
+  createJsonParser,
+  limitBytes,
+  readJson,
+  readJsonTruncated,
+  readText,
+  encodeBody,
+  truncateText,
+  truncateResult,
+};
@@ -0,0 +1,412 @@
+/**
+ * MCP Tool Policy
+ *
+ * Evaluates `tools/call` requests against a policy file so administrators can
+ * allow, deny or require confirmation for individual tools per server,
+ * constrain argument values, cap response sizes and force tools into dry-run
+ * mode. Every decision names the rule that produced it so denials can be
+ * traced back to the policy file.
+ *
+ * Example policy file (~/.config/mcp-shim/policy.json):
+ *
+ *   {
+ *     "version": 1,
+ *     "servers": {
+ *       "*": { "maxResponseBytes": 1048576 },
+ *       "filesystem": {
+ *         "default": "allow",
+ *         "tools": {
+ *           "write_file": "deny",
+ *           "move_file": "confirm",
+ *           "edit_file": { "dryRun": true },
+ *           "read_*": { "arguments": { "path": { "pattern": "^/Users/me/" } } }
+ *         }
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const ACTIONS = ['allow', 'deny', 'confirm'];
+const FILE_KEYS = ['version', 'servers'];
+const SERVER_KEYS = ['default', 'tools', 'maxResponseBytes'];
+const RULE_KEYS = ['action', 'arguments', 'maxResponseBytes', 'dryRun', 'message'];
+const CONSTRAINT_KEYS = ['pattern', 'values', 'maxLength', 'message'];
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Raised when the policy file cannot be read or fails validation
+ */
+class PolicyConfigError extends Error {
+  /**
+   * @param {string} file - Policy file path
+   * @param {string} location - Location within the file
+   * @param {string} message - What is wrong
+   */
+  constructor(file, location, message) {
+    super(`Invalid policy file ${file}${location ? ` at ${location}` : ''}: ${message}`);
+    this.name = 'PolicyConfigError';
+    this.file = file;
+    this.location = location;
+  }
+}
+
+// =============================================================================
+// Loading and Validation
+// =============================================================================
+
+/**
+ * Get the policy file path
+ * @param {Object} [env] - Environment variables
+ * @returns {string} - Path to the policy file
+ */
+function getPolicyFile(env = process.env) {
+  if (env.MCP_POLICY_FILE) {
+    return env.MCP_POLICY_FILE;
+  }
+
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'mcp-shim', 'policy.json');
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reject keys that are not part of the schema
+ * @param {Object} obj - Object to check
+ * @param {string[]} allowed - Allowed keys
+ * @param {string} file - Policy file path
+ * @param {string} location - Location of the object
+ */
+function checkKeys(obj, allowed, file, location) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      throw new PolicyConfigError(file, location, `unknown property "${key}" (expected one of: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Validate a byte limit
+ * @param {*} value - Value to check
+ * @param {string} file - Policy file path
+ * @param {string} location - Location of the value
+ */
+function checkByteLimit(value, file, location) {
+  if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+    throw new PolicyConfigError(file, location, 'must be a positive integer number of bytes');
+  }
+}
+
+/**
+ * Convert a tool name pattern with "*" wildcards to a regex
+ * @param {string} pattern - Tool name or pattern
+ * @returns {RegExp} - Anchored regex
+ */
+function toolPattern(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate and compile a tool rule
+ * @param {string|Object} rule - Rule as written in the file
+ * @param {string} file - Policy file path
+ * @param {string} location - Location of the rule
+ * @returns {Object} - Compiled rule
+ */
+function compileRule(rule, file, location) {
+  const shorthand = typeof rule === 'string';
+  if (shorthand) {
+    rule = { action: rule };
+  }
+  if (!isPlainObject(rule)) {
+    throw new PolicyConfigError(file, location, `must be one of ${ACTIONS.join(', ')} or an object`);
+  }
+  checkKeys(rule, RULE_KEYS, file, location);
+
+  const action = rule.action === undefined ? 'allow' : rule.action;
+  if (!ACTIONS.includes(action)) {
+    throw new PolicyConfigError(file, shorthand ? location : `${location}.action`, `must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  checkByteLimit(rule.maxResponseBytes, file, `${location}.maxResponseBytes`);
+
+  if (rule.dryRun !== undefined && typeof rule.dryRun !== 'boolean') {
+    throw new PolicyConfigError(file, `${location}.dryRun`, 'must be true or false');
+  }
+  if (rule.message !== undefined && typeof rule.message !== 'string') {
+    throw new PolicyConfigError(file, `${location}.message`, 'must be a string');
+  }
+
+  const constraints = [];
+  if (rule.arguments !== undefined) {
+    if (!isPlainObject(rule.arguments)) {
+      throw new PolicyConfigError(file, `${location}.arguments`, 'must map argument names to constraints');
+    }
+
+    for (const [name, constraint] of Object.entries(rule.arguments)) {
+      const where = `${location}.arguments.${name}`;
+      if (!isPlainObject(constraint)) {
+        throw new PolicyConfigError(file, where, 'must be an object');
+      }
+      checkKeys(constraint, CONSTRAINT_KEYS, file, where);
+
+      let regex = null;
+      if (constraint.pattern !== undefined) {
+        try {
+          regex = new RegExp(constraint.pattern);
+        } catch (error) {
+          throw new PolicyConfigError(file, `${where}.pattern`, error.message);
+        }
+      }
+      if (constraint.values !== undefined && !Array.isArray(constraint.values)) {
+        throw new PolicyConfigError(file, `${where}.values`, 'must be an array of allowed values');
+      }
+      if (constraint.maxLength !== undefined && (!Number.isInteger(constraint.maxLength) || constraint.maxLength < 0)) {
+        throw new PolicyConfigError(file, `${where}.maxLength`, 'must be a non-negative integer');
+      }
+
+      constraints.push({ name, regex, values: constraint.values, maxLength: constraint.maxLength, message: constraint.message, location: where });
+    }
+  }
+
+  return {
+    action,
+    constraints,
+    maxResponseBytes: rule.maxResponseBytes,
+    dryRun: rule.dryRun === true,
+    message: rule.message,
+    location,
+  };
+}
+
+/**
+ * Load, validate and compile a policy file
+ * @param {string} [file] - Policy file path (defaults to getPolicyFile())
+ * @returns {Object|null} - Compiled policy, or null if there is no policy file
+ * @throws {PolicyConfigError} - If the file exists but is invalid
+ */
+function loadPolicy(file = getPolicyFile()) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new PolicyConfigError(file, '', error.message);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new PolicyConfigError(file, '', `malformed JSON: ${error.message}`);
+  }
+
+  if (!isPlainObject(data)) {
+    throw new PolicyConfigError(file, '', 'top level must be an object');
+  }
+  checkKeys(data, FILE_KEYS, file, '');
+
+  if (data.version !== undefined && data.version !== 1) {
+    throw new PolicyConfigError(file, 'version', `unsupported version ${JSON.stringify(data.version)} (expected 1)`);
+  }
+  if (!isPlainObject(data.servers)) {
+    throw new PolicyConfigError(file, 'servers', 'must map server names (or "*") to server policies');
+  }
+
+  const servers = {};
+  for (const [name, server] of Object.entries(data.servers)) {
+    const location = `servers.${name}`;
+    if (!isPlainObject(server)) {
+      throw new PolicyConfigError(file, location, 'must be an object');
+    }
+    checkKeys(server, SERVER_KEYS, file, location);
+
+    if (server.default !== undefined && !ACTIONS.includes(server.default)) {
+      throw new PolicyConfigError(file, `${location}.default`, `must be one of ${ACTIONS.join(', ')}`);
+    }
+    checkByteLimit(server.maxResponseBytes, file, `${location}.maxResponseBytes`);
+
+    if (server.tools !== undefined && !isPlainObject(server.tools)) {
+      throw new PolicyConfigError(file, `${location}.tools`, 'must map tool names to rules');
+    }
+
+    // Exact names are checked before wildcard patterns
+    const tools = Object.entries(server.tools || {})
+      .map(([tool, rule]) => ({
+        tool,
+        pattern: tool.includes('*') ? toolPattern(tool) : null,
+        rule: compileRule(rule, file, `${location}.tools.${tool}`),
+      }))
+      .sort((a, b) => (a.pattern === null ? 0 : 1) - (b.pattern === null ? 0 : 1));
+
+    servers[name] = {
+      default: server.default,
+      maxResponseBytes: server.maxResponseBytes,
+      tools,
+      location,
+    };
+  }
+
+  return { file, servers };
+}
+
+// =============================================================================
+// Evaluation
+// =============================================================================
+
+/**
+ * Find the rule for a tool, preferring the server's own policy over "*"
+ * @param {Object} policy - Compiled policy
+ * @param {string} server - Server name
+ * @param {string} tool - Tool name
+ * @returns {Object|null} - { rule, serverPolicies } or null when nothing applies
+ */
+function findRule(policy, server, tool) {
+  const serverPolicies = [policy.servers[server], policy.servers['*']].filter(Boolean);
+
+  for (const serverPolicy of serverPolicies) {
+    const entry = serverPolicy.tools.find(t => (t.pattern ? t.pattern.test(tool) : t.tool === tool));
+    if (entry) {
+      return { rule: entry.rule, serverPolicies };
+    }
+  }
+
+  for (const serverPolicy of serverPolicies) {
+    if (serverPolicy.default) {
+      return {
+        rule: { action: serverPolicy.default, constraints: [], dryRun: false, location: `${serverPolicy.location}.default` },
+        serverPolicies,
+      };
+    }
+  }
+
+  return { rule: null, serverPolicies };
+}
+
+/**
+ * Check a single argument value against a constraint
+ * @param {Object} constraint - Compiled constraint
+ * @param {*} value - Argument value
+ * @returns {string|null} - Why the value is refused, or null if it passes
+ */
+function checkConstraint(constraint, value) {
+  const items = Array.isArray(value) ? value : [value];
+
+  for (const item of items) {
+    if (constraint.values && !constraint.values.some(v => v === item)) {
+      return `must be one of ${JSON.stringify(constraint.values)}`;
+    }
+
+    const text = typeof item === 'string' ? item : JSON.stringify(item);
+    if (constraint.maxLength !== undefined && text.length > constraint.maxLength) {
+      return `must be at most ${constraint.maxLength} characters`;
+    }
+    if (constraint.regex && !constraint.regex.test(text)) {
+      return `must match ${constraint.regex}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a tool call against the policy
+ * @param {Object|null} policy - Compiled policy
+ * @param {string} server - Server name
+ * @param {string} tool - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Object} - Decision: { action, rule, reason, dryRun, maxResponseBytes, limitRule }
+ */
+function evaluate(policy, server, tool, args = {}) {
+  if (!policy) {
+    return { action: 'allow', rule: null, reason: null, dryRun: false, maxResponseBytes: undefined, limitRule: null };
+  }
+
+  const { rule, serverPolicies } = findRule(policy, server, tool);
+
+  // The tool's own size cap wins over the server-wide one
+  const limitSource = rule?.maxResponseBytes ? rule : serverPolicies.find(p => p.maxResponseBytes);
+  const maxResponseBytes = limitSource?.maxResponseBytes;
+  const limitRule = limitSource ? `${limitSource.location}.maxResponseBytes` : null;
+
+  if (!rule) {
+    return { action: 'allow', rule: null, reason: null, dryRun: false, maxResponseBytes, limitRule };
+  }
+
+  const decision = {
+    action: rule.action,
+    rule: rule.location,
+    reason: null,
+    dryRun: rule.dryRun,
+    maxResponseBytes,
+    limitRule,
+  };
+
+  if (rule.action === 'deny') {
+    decision.reason = rule.message || `tool "${tool}" is not allowed on server "${server}"`;
+    return decision;
+  }
+
+  for (const constraint of rule.constraints) {
+    if (args[constraint.name] === undefined) {
+      continue;
+    }
+
+    const problem = checkConstraint(constraint, args[constraint.name]);
+    if (problem) {
+      return {
+        ...decision,
+        action: 'deny',
+        rule: constraint.location,
+        reason: constraint.message || `argument "${constraint.name}" ${problem}`,
+      };
+    }
+  }
+
+  if (rule.action === 'confirm') {
+    decision.reason = rule.message || `tool "${tool}" on server "${server}" requires confirmation`;
+  }
+
+  return decision;
+}
+
+/**
+ * Check whether a tool should be listed to the client at all
+ * @param {Object|null} policy - Compiled policy
+ * @param {string} server - Server name
+ * @param {string} tool - Tool name
+ * @returns {boolean} - False if the tool is denied outright
+ */
+function isToolVisible(policy, server, tool) {
+  if (!policy) {
+    return true;
+  }
+
+  const { rule } = findRule(policy, server, tool);
+  return rule?.action !== 'deny';
+}
+
+module.exports = {
+  PolicyConfigError,
+  getPolicyFile,
+  loadPolicy,
+  evaluate,
+  isToolVisible,
+};
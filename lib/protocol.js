@@ -0,0 +1,227 @@
+/**
+ * MCP Protocol Revisions
+ *
+ * What the shim knows about the revisions of the Model Context Protocol, so
+ * a client and a server that speak different ones can still work together:
+ *
+ * - Picking the version to offer when the client asks for one the shim
+ *   doesn't know
+ * - Dropping capabilities the other side's revision doesn't define, or that
+ *   the connection to the proxy can't deliver
+ * - Rewriting messages from a newer server into shapes an older client
+ *   understands. Messages from older servers need no change, as later
+ *   revisions only add to them.
+ *
+ * Revisions are named by date, so they compare as strings.
+ */
+
+// Revisions the shim can translate between, newest first
+const SUPPORTED_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Server capabilities by the revision that introduced them
+const SERVER_CAPABILITIES_SINCE = {
+  completions: '2025-03-26',
+};
+
+// Client capabilities by the revision that introduced them
+const CLIENT_CAPABILITIES_SINCE = {
+  elicitation: '2025-06-18',
+};
+
+// Client capabilities that need the server to send requests to the client
+const CLIENT_REQUEST_CAPABILITIES = ['sampling', 'roots', 'elicitation'];
+
+// =============================================================================
+// Versions
+// =============================================================================
+
+/**
+ * Check whether the shim can translate a revision
+ * @param {*} version - Protocol version
+ * @returns {boolean} - True if it is one of SUPPORTED_VERSIONS
+ */
+function isSupported(version) {
+  return SUPPORTED_VERSIONS.includes(version);
+}
+
+/**
+ * Choose the version to ask the server for on the client's behalf: the
+ * client's own if the shim knows it, otherwise the newest the shim knows
+ * @param {*} requested - Version in the client's initialize request
+ * @returns {string} - Version to negotiate
+ */
+function negotiateVersion(requested) {
+  return isSupported(requested) ? requested : SUPPORTED_VERSIONS[0];
+}
+
+// =============================================================================
+// Capabilities
+// =============================================================================
+
+/**
+ * Copy a capabilities object without some of its members
+ * @param {Object} capabilities - Capabilities
+ * @param {Function} drop - (name) => boolean
+ * @returns {Object} - Copy
+ */
+function without(capabilities, drop) {
+  const result = {};
+  for (const [name, value] of Object.entries(capabilities || {})) {
+    if (!drop(name)) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Adjust the capabilities a client declares before they reach the server
+ * @param {Object} capabilities - Client capabilities from initialize
+ * @param {Object} options - Options
+ * @param {string} options.version - Negotiated protocol version
+ * @param {boolean} options.serverRequests - Whether the server's requests can reach the client
+ * @returns {Object} - Capabilities to send upstream
+ */
+function clientCapabilities(capabilities, { version, serverRequests }) {
+  return without(capabilities, name =>
+    (!serverRequests && CLIENT_REQUEST_CAPABILITIES.includes(name)) ||
+    (CLIENT_CAPABILITIES_SINCE[name] && CLIENT_CAPABILITIES_SINCE[name] > version));
+}
+
+/**
+ * Adjust the capabilities a server declares before they reach the client
+ * @param {Object} capabilities - Server capabilities from initialize
+ * @param {Object} options - Options
+ * @param {string} options.version - Protocol version the client was given
+ * @param {boolean} options.notifications - Whether notifications the server
+ *   sends on its own (list changes, resource updates) can reach the client
+ * @param {boolean} options.serverMessages - Whether any message other than a
+ *   response can reach the client
+ * @returns {Object} - Capabilities to give the client
+ */
+function serverCapabilities(capabilities, { version, notifications, serverMessages }) {
+  const result = without(capabilities, name =>
+    (!serverMessages && name === 'logging') ||
+    (SERVER_CAPABILITIES_SINCE[name] && SERVER_CAPABILITIES_SINCE[name] > version));
+
+  if (!notifications) {
+    for (const name of ['tools', 'prompts', 'resources']) {
+      if (result[name] && typeof result[name] === 'object') {
+        result[name] = without(result[name], flag => flag === 'listChanged' || (name === 'resources' && flag === 'subscribe'));
+      }
+    }
+  }
+  return result;
+}
+
+// =============================================================================
+// Messages
+// =============================================================================
+
+/**
+ * Rewrite a content block an older client doesn't know as text
+ * @param {Object} block - Content block
+ * @param {string} version - Client's protocol version
+ * @returns {Object} - Block the client understands
+ */
+function downgradeContent(block, version) {
+  if (!block || typeof block !== 'object') {
+    return block;
+  }
+  if (block.type === 'resource_link' && version < '2025-06-18') {
+    return { type: 'text', text: `[${block.title || block.name || block.uri}](${block.uri})` };
+  }
+  if (block.type === 'audio' && version < '2025-03-26') {
+    const bytes = typeof block.data === 'string' ? Math.floor(block.data.length * 3 / 4) : 0;
+    return { type: 'text', text: `[${block.mimeType || 'audio'} audio, ${bytes} bytes]` };
+  }
+  return block;
+}
+
+/**
+ * Rewrite the content of some messages, each with a single content block
+ * @param {Object[]} messages - Prompt or sampling messages
+ * @param {string} version - Client's protocol version
+ * @returns {Object[]} - Rewritten messages
+ */
+function downgradeMessages(messages, version) {
+  return messages.map(message => message && message.content
+    ? { ...message, content: downgradeContent(message.content, version) }
+    : message);
+}
+
+/**
+ * Rewrite a tool result for an older client. Structured results arrive as
+ * JSON text, as later revisions ask servers to send them anyway.
+ * @param {Object} result - tools/call result
+ * @param {string} version - Client's protocol version
+ * @returns {Object} - Rewritten result
+ */
+function downgradeToolResult(result, version) {
+  let content = Array.isArray(result.content) ? result.content.map(block => downgradeContent(block, version)) : result.content;
+  if (version >= '2025-06-18' || result.structuredContent === undefined) {
+    return { ...result, content };
+  }
+
+  const { structuredContent, ...rest } = result;
+  if (!Array.isArray(content) || !content.some(block => block && block.type === 'text')) {
+    content = (content || []).concat({ type: 'text', text: JSON.stringify(structuredContent) });
+  }
+  return { ...rest, content };
+}
+
+/**
+ * Rewrite the result of a request into the shape a client's revision
+ * defines
+ * @param {string} method - Method of the request answered
+ * @param {Object} result - Result from the server
+ * @param {string} version - Client's protocol version
+ * @returns {Object} - Rewritten result
+ */
+function downgradeResult(method, result, version) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+
+  switch (method) {
+    case 'tools/call':
+      return downgradeToolResult(result, version);
+    case 'tools/list':
+      if (version < '2025-06-18' && Array.isArray(result.tools)) {
+        return { ...result, tools: result.tools.map(tool => without(tool, name => name === 'outputSchema')) };
+      }
+      return result;
+    case 'prompts/get':
+      if (Array.isArray(result.messages)) {
+        return { ...result, messages: downgradeMessages(result.messages, version) };
+      }
+      return result;
+    default:
+      return result;
+  }
+}
+
+/**
+ * Rewrite a request from the server into the shape a client's revision
+ * defines
+ * @param {Object} request - Request the server sent
+ * @param {string} version - Client's protocol version
+ * @returns {Object} - Rewritten request
+ */
+function downgradeRequest(request, version) {
+  if (request.method === 'sampling/createMessage' && Array.isArray(request.params?.messages)) {
+    return { ...request, params: { ...request.params, messages: downgradeMessages(request.params.messages, version) } };
+  }
+  return request;
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  isSupported,
+  negotiateVersion,
+  clientCapabilities,
+  serverCapabilities,
+  downgradeContent,
+  downgradeResult,
+  downgradeRequest,
+};
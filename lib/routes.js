@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Route Resolution
+ *
+ * Maps the command line an MCP client would use to start a local server
+ * (e.g. `npx -y @modelcontextprotocol/server-filesystem /tmp`) onto a remote
+ * MCP-Compose server. Routes are read from a JSON file so new servers can be
+ * added without touching the `bin/npx` wrapper.
+ *
+ * The module is shared by `bin/npx`, which calls the `resolve` subcommand to
+ * decide whether to start the shim, and by `lib/mcp-shim.js`, which uses it to
+ * look up per-server settings.
+ *
+ * Example routes file (~/.config/mcp-shim/routes.json):
+ *
+ *   {
+ *     "defaults": { "proxyUrl": "http://mcp-host:9876", "apiKeyEnv": "MCP_COMPOSE_KEY" },
+ *     "routes": [
+ *       { "server": "github", "match": { "command": "docker", "pattern": "^ghcr\\.io/github/github-mcp-server" } },
+ *       { "server": "fetch", "match": { "command": "uvx", "package": "mcp-server-fetch" } },
+ *       {
+ *         "server": "filesystem",
+ *         "match": { "package": "@modelcontextprotocol/server-filesystem" },
+ *         "proxyUrl": ["http://files-host:9876", "http://files-backup:9876"],
+ *         "extract": { "allowedPaths": "positional" },
+ *         "pathMappings": { "/Users/me/Documents": "/projects/Documents" }
+ *       }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// =============================================================================
+// Defaults
+// =============================================================================
+
+const DEFAULT_PROXY_URL = 'http://localhost:9876';
+
+/**
+ * Built-in routes, evaluated after any routes from the file unless the file
+ * sets `"includeDefaults": false`.
+ */
+const DEFAULT_ROUTES = [
+  {
+    server: 'filesystem',
+    match: { pattern: 'server-filesystem' },
+    extract: { allowedPaths: 'positional' },
+  },
+  {
+    server: 'memory',
+    match: { pattern: 'server-memory' },
+  },
+  {
+    server: 'weather',
+    match: { pattern: 'server-weather' },
+  },
+];
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const ROUTE_KEYS = ['server', 'match', 'proxyUrl', 'apiKey', 'apiKeyEnv', 'extract', 'pathMappings'];
+const MATCH_KEYS = ['command', 'package', 'pattern'];
+const DEFAULTS_KEYS = ['proxyUrl', 'apiKey', 'apiKeyEnv'];
+const FILE_KEYS = ['version', 'defaults', 'routes', 'includeDefaults'];
+
+// =============================================================================
+// Proxy URLs
+// =============================================================================
+
+/**
+ * Parse a proxy URL setting into a list of endpoints. The setting is either
+ * a string of comma-separated URLs, each optionally followed by
+ * ";weight=<n>", or an array of URL strings and { url, weight } objects.
+ *
+ *   "http://a:9876, http://b:9876;weight=2"
+ *
+ * @param {string|Array} spec - Proxy URL setting
+ * @returns {Object[]} - [{ url, weight }] in the given order, without trailing slashes
+ * @throws {Error} - If an entry is not a valid http(s) URL or has a bad weight
+ */
+function parseProxyUrls(spec) {
+  const entries = typeof spec === 'string'
+    ? spec.split(',').map(entry => entry.trim()).filter(Boolean)
+    : spec;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('must be a URL, a comma-separated list of URLs or an array of URLs');
+  }
+
+  return entries.map((entry) => {
+    let raw = entry;
+    let weight = 1;
+
+    if (typeof entry === 'string') {
+      const [address, ...params] = entry.split(';').map(part => part.trim());
+      raw = address;
+      for (const param of params) {
+        const match = /^weight=(\d+)$/.exec(param);
+        if (!match) {
+          throw new Error(`unknown option "${param}" for ${address} (expected weight=<n>)`);
+        }
+        weight = parseInt(match[1], 10);
+      }
+    } else if (isPlainObject(entry) && typeof entry.url === 'string') {
+      raw = entry.url;
+      weight = entry.weight === undefined ? 1 : entry.weight;
+    } else {
+      throw new Error('entries must be URL strings or { "url", "weight" } objects');
+    }
+
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(`weight for ${raw} must be a positive integer`);
+    }
+
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      throw new Error(`"${raw}" is not a valid URL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`unsupported protocol "${url.protocol}" (use http or https)`);
+    }
+
+    return { url: raw.replace(/\/+$/, ''), weight };
+  });
+}
+
+/**
+ * Turn a list of endpoints back into the string form of the setting
+ * @param {Object[]} endpoints - [{ url, weight }]
+ * @returns {string} - Comma-separated URLs with weights where not 1
+ */
+function formatProxyUrls(endpoints) {
+  return endpoints.map(({ url, weight }) => (weight === 1 ? url : `${url};weight=${weight}`)).join(',');
+}
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+/**
+ * Raised when the routes file cannot be read or fails validation
+ */
+class RouteConfigError extends Error {
+  /**
+   * @param {string} file - Routes file path
+   * @param {string} location - Location within the file (e.g. "routes[2].match")
+   * @param {string} message - What is wrong
+   */
+  constructor(file, location, message) {
+    super(`Invalid routes file ${file}${location ? ` at ${location}` : ''}: ${message}`);
+    this.name = 'RouteConfigError';
+    this.file = file;
+    this.location = location;
+  }
+}
+
+// =============================================================================
+// Loading and Validation
+// =============================================================================
+
+/**
+ * Get the routes file path
+ * @param {Object} [env] - Environment variables
+ * @returns {string} - Path to the routes file
+ */
+function getRoutesFile(env = process.env) {
+  if (env.MCP_ROUTES_FILE) {
+    return env.MCP_ROUTES_FILE;
+  }
+
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'mcp-shim', 'routes.json');
+}
+
+/**
+ * Reject keys that are not part of the schema so typos don't go unnoticed
+ * @param {Object} obj - Object to check
+ * @param {string[]} allowed - Allowed keys
+ * @param {string} file - Routes file path
+ * @param {string} location - Location of the object
+ */
+function checkKeys(obj, allowed, file, location) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      throw new RouteConfigError(file, location, `unknown property "${key}" (expected one of: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the shared connection settings of a route or the defaults block
+ * @param {Object} obj - Route or defaults object
+ * @param {string} file - Routes file path
+ * @param {string} location - Location of the object
+ */
+function validateConnection(obj, file, location) {
+  if (obj.proxyUrl !== undefined) {
+    try {
+      parseProxyUrls(obj.proxyUrl);
+    } catch (error) {
+      throw new RouteConfigError(file, `${location}.proxyUrl`, error.message);
+    }
+  }
+
+  for (const key of ['apiKey', 'apiKeyEnv']) {
+    if (obj[key] !== undefined && typeof obj[key] !== 'string') {
+      throw new RouteConfigError(file, `${location}.${key}`, 'must be a string');
+    }
+  }
+
+  if (obj.apiKey !== undefined && obj.apiKeyEnv !== undefined) {
+    throw new RouteConfigError(file, location, 'set either "apiKey" or "apiKeyEnv", not both');
+  }
+}
+
+/**
+ * Validate and compile a single route
+ * @param {Object} route - Route definition
+ * @param {string} file - Routes file path
+ * @param {string} location - Location of the route
+ * @returns {Object} - Route with compiled matchers
+ */
+function compileRoute(route, file, location) {
+  if (!isPlainObject(route)) {
+    throw new RouteConfigError(file, location, 'must be an object');
+  }
+  checkKeys(route, ROUTE_KEYS, file, location);
+
+  if (typeof route.server !== 'string' || !SERVER_NAME_PATTERN.test(route.server)) {
+    throw new RouteConfigError(file, `${location}.server`, 'must be a server name made of letters, digits, ".", "_" or "-"');
+  }
+
+  if (!isPlainObject(route.match)) {
+    throw new RouteConfigError(file, `${location}.match`, 'must be an object');
+  }
+  checkKeys(route.match, MATCH_KEYS, file, `${location}.match`);
+
+  const { command, package: pkg, pattern } = route.match;
+  if (pkg === undefined && pattern === undefined) {
+    throw new RouteConfigError(file, `${location}.match`, 'needs a "package" or "pattern"');
+  }
+  if (pkg !== undefined && (typeof pkg !== 'string' || !pkg)) {
+    throw new RouteConfigError(file, `${location}.match.package`, 'must be a non-empty string');
+  }
+
+  let regex = null;
+  if (pattern !== undefined) {
+    if (typeof pattern !== 'string') {
+      throw new RouteConfigError(file, `${location}.match.pattern`, 'must be a string');
+    }
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      throw new RouteConfigError(file, `${location}.match.pattern`, error.message);
+    }
+  }
+
+  let commands = ['npx'];
+  if (command !== undefined) {
+    commands = Array.isArray(command) ? command : [command];
+    if (commands.length === 0 || commands.some(c => typeof c !== 'string' || !c)) {
+      throw new RouteConfigError(file, `${location}.match.command`, 'must be a command name or a list of command names');
+    }
+  }
+
+  validateConnection(route, file, location);
+
+  if (route.extract !== undefined) {
+    if (!isPlainObject(route.extract)) {
+      throw new RouteConfigError(file, `${location}.extract`, 'must be an object');
+    }
+    checkKeys(route.extract, ['allowedPaths'], file, `${location}.extract`);
+
+    const rule = route.extract.allowedPaths;
+    const validRule = rule === 'positional' ||
+      (isPlainObject(rule) && Object.keys(rule).length === 1 && typeof rule.option === 'string' && rule.option.startsWith('-'));
+    if (rule !== undefined && !validRule) {
+      throw new RouteConfigError(file, `${location}.extract.allowedPaths`, 'must be "positional" or { "option": "--flag" }');
+    }
+  }
+
+  if (route.pathMappings !== undefined) {
+    if (!isPlainObject(route.pathMappings)) {
+      throw new RouteConfigError(file, `${location}.pathMappings`, 'must map host paths to container paths');
+    }
+    for (const [host, container] of Object.entries(route.pathMappings)) {
+      if (!path.isAbsolute(host) || host.includes(',') || host.includes('=')) {
+        throw new RouteConfigError(file, `${location}.pathMappings`, `"${host}" must be an absolute host path without "," or "="`);
+      }
+      if (typeof container !== 'string' || !path.posix.isAbsolute(container) || container.includes(',')) {
+        throw new RouteConfigError(file, `${location}.pathMappings["${host}"]`, 'must be an absolute container path without ","');
+      }
+    }
+  }
+
+  return { ...route, commands, regex };
+}
+
+/**
+ * Load, validate and compile a routes file
+ * @param {string} [file] - Routes file path (defaults to getRoutesFile())
+ * @returns {Object} - Compiled route table: { file, defaults, routes }
+ * @throws {RouteConfigError} - If the file exists but is invalid
+ */
+function loadRoutes(file = getRoutesFile()) {
+  const builtIn = DEFAULT_ROUTES.map((route, i) => compileRoute(route, '<built-in>', `routes[${i}]`));
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { file: null, defaults: {}, routes: builtIn };
+    }
+    throw new RouteConfigError(file, '', error.message);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new RouteConfigError(file, '', `malformed JSON: ${error.message}`);
+  }
+
+  if (!isPlainObject(data)) {
+    throw new RouteConfigError(file, '', 'top level must be an object');
+  }
+  checkKeys(data, FILE_KEYS, file, '');
+
+  if (data.version !== undefined && data.version !== 1) {
+    throw new RouteConfigError(file, 'version', `unsupported version ${JSON.stringify(data.version)} (expected 1)`);
+  }
+
+  const defaults = data.defaults === undefined ? {} : data.defaults;
+  if (!isPlainObject(defaults)) {
+    throw new RouteConfigError(file, 'defaults', 'must be an object');
+  }
+  checkKeys(defaults, DEFAULTS_KEYS, file, 'defaults');
+  validateConnection(defaults, file, 'defaults');
+
+  const routes = data.routes === undefined ? [] : data.routes;
+  if (!Array.isArray(routes)) {
+    throw new RouteConfigError(file, 'routes', 'must be an array');
+  }
+
+  if (data.includeDefaults !== undefined && typeof data.includeDefaults !== 'boolean') {
+    throw new RouteConfigError(file, 'includeDefaults', 'must be true or false');
+  }
+
+  const compiled = routes.map((route, i) => compileRoute(route, file, `routes[${i}]`));
+
+  return {
+    file,
+    defaults,
+    routes: data.includeDefaults === false ? compiled : compiled.concat(builtIn),
+  };
+}
+
+// =============================================================================
+// Matching
+// =============================================================================
+
+/**
+ * Check whether a command-line argument names an npm/PyPI package,
+ * with or without a version suffix
+ * @param {string} arg - Command-line argument
+ * @param {string} pkg - Package name
+ * @returns {boolean} - True if the argument refers to the package
+ */
+function isPackageArg(arg, pkg) {
+  return arg === pkg || arg.startsWith(`${pkg}@`) || arg.startsWith(`${pkg}==`);
+}
+
+/**
+ * Extract allowed paths from the arguments following the matched one
+ * @param {Object} rule - Extraction rule ("positional" or { option })
+ * @param {string[]} rest - Arguments after the matched argument
+ * @returns {string[]} - Extracted paths
+ */
+function extractPaths(rule, rest) {
+  if (rule === 'positional') {
+    return rest.filter(arg => !arg.startsWith('-'));
+  }
+
+  const paths = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === rule.option && i + 1 < rest.length) {
+      paths.push(rest[++i]);
+    } else if (rest[i].startsWith(`${rule.option}=`)) {
+      paths.push(rest[i].slice(rule.option.length + 1));
+    }
+  }
+  return paths;
+}
+
+/**
+ * Resolve a connection setting, preferring the route, then the environment,
+ * then the file defaults
+ * @param {Object} route - Matched route
+ * @param {Object} defaults - File defaults
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { proxyUrl, apiKey }
+ */
+function resolveConnection(route, defaults, env) {
+  const keyFrom = (obj) => {
+    if (obj.apiKey !== undefined) {
+      return obj.apiKey;
+    }
+    if (obj.apiKeyEnv !== undefined) {
+      return env[obj.apiKeyEnv] || '';
+    }
+    return undefined;
+  };
+
+  const routeKey = keyFrom(route);
+  const defaultKey = keyFrom(defaults);
+  const proxyUrl = route.proxyUrl || env.MCP_PROXY_URL || defaults.proxyUrl || DEFAULT_PROXY_URL;
+
+  return {
+    proxyUrl: typeof proxyUrl === 'string' ? proxyUrl.replace(/\/+$/, '') : formatProxyUrls(parseProxyUrls(proxyUrl)),
+    apiKey: routeKey !== undefined ? routeKey : (env.MCP_API_KEY || defaultKey || ''),
+  };
+}
+
+/**
+ * Flatten a route's path mappings into "host=container" pairs
+ * @param {Object} route - Matched route
+ * @returns {string[]} - Mapping specifications
+ */
+function mappingPairs(route) {
+  return Object.entries(route.pathMappings || {}).map(([host, container]) => `${host}=${container}`);
+}
+
+/**
+ * Find the route for an intercepted command line
+ * @param {Object} table - Compiled route table from loadRoutes()
+ * @param {string} command - Name the wrapper was invoked as (npx, uvx, docker...)
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [env] - Environment variables
+ * @returns {Object|null} - { server, proxyUrl, apiKey, allowedPaths, pathMappings } or null if nothing matches
+ */
+function resolveRoute(table, command, args, env = process.env) {
+  const commandName = command === 'mcp-npx' ? 'npx' : command;
+
+  for (const route of table.routes) {
+    if (!route.commands.includes(commandName)) {
+      continue;
+    }
+
+    const index = args.findIndex(arg =>
+      (route.match.package === undefined || isPackageArg(arg, route.match.package)) &&
+      (route.regex === null || route.regex.test(arg))
+    );
+    if (index === -1) {
+      continue;
+    }
+
+    const rule = route.extract?.allowedPaths;
+    return {
+      server: route.server,
+      ...resolveConnection(route, table.defaults, env),
+      allowedPaths: rule ? extractPaths(rule, args.slice(index + 1)) : [],
+      pathMappings: mappingPairs(route),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find the route for a server by name, for processes started without a
+ * command line to match against
+ * @param {Object} table - Compiled route table from loadRoutes()
+ * @param {string} server - Server name
+ * @param {Object} [env] - Environment variables
+ * @returns {Object|null} - { server, proxyUrl, apiKey, pathMappings } or null if not routed
+ */
+function findServerRoute(table, server, env = process.env) {
+  const route = table.routes.find(r => r.server === server);
+  if (!route) {
+    return null;
+  }
+
+  return {
+    server: route.server,
+    ...resolveConnection(route, table.defaults, env),
+    pathMappings: mappingPairs(route),
+  };
+}
+
+// =============================================================================
+// Command Line Interface
+// =============================================================================
+
+/**
+ * Quote a value for safe use with the shell's `eval`
+ * @param {string} value - Value to quote
+ * @returns {string} - Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Entry point for `node lib/routes.js <subcommand>`.
+ *
+ *   resolve <command> [args...]  Print shell assignments for a matching route.
+ *                                Exit 0 on match, 1 if nothing matches.
+ *   check                        Validate the routes file.
+ *
+ * Exits with status 2 if the routes file is invalid.
+ * @param {string[]} argv - Arguments after the script name
+ */
+function main(argv) {
+  const [subcommand, ...rest] = argv;
+
+  let table;
+  try {
+    table = loadRoutes();
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (subcommand === 'check') {
+    console.error(`Routes OK (${table.file || 'built-in defaults only'}): ${table.routes.map(r => r.server).join(', ')}`);
+    process.exit(0);
+  }
+
+  if (subcommand !== 'resolve' || rest.length === 0) {
+    console.error('Usage: routes.js resolve <command> [args...] | routes.js check');
+    process.exit(2);
+  }
+
+  const [command, ...args] = rest;
+  const resolved = resolveRoute(table, command, args);
+  if (!resolved) {
+    process.exit(1);
+  }
+
+  const assignments = {
+    MCP_SERVER_NAME: resolved.server,
+    MCP_PROXY_URL: resolved.proxyUrl,
+    MCP_API_KEY: resolved.apiKey,
+    MCP_ALLOWED_PATHS: resolved.allowedPaths.join(','),
+    MCP_PATH_MAPPINGS: process.env.MCP_PATH_MAPPINGS || resolved.pathMappings.join(','),
+  };
+
+  for (const [name, value] of Object.entries(assignments)) {
+    console.log(`${name}=${shellQuote(value)}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  RouteConfigError,
+  getRoutesFile,
+  loadRoutes,
+  parseProxyUrls,
+  formatProxyUrls,
+  resolveRoute,
+  findServerRoute,
+};
@@ -0,0 +1,153 @@
+/**
+ * Server-Sent Events Parser
+ *
+ * Incremental parser for `text/event-stream` bodies as used by the MCP
+ * Streamable HTTP transport. Works on any Node.js readable stream, such as a
+ * node-fetch response body, and dispatches events as soon as they complete
+ * so large streams never have to be buffered in full.
+ *
+ * See https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Create a stateful parser that turns text chunks into events
+ * @param {Function} onEvent - Called with { id, event, data, retry } per event
+ * @returns {Object} - Parser with push(chunk) and end() methods
+ */
+function createParser(onEvent) {
+  let buffer = '';
+  let data = [];
+  let eventType = '';
+  let eventId;
+  let retry;
+  let hasData = false;
+
+  function dispatch() {
+    if (hasData) {
+      onEvent({
+        id: eventId,
+        event: eventType || 'message',
+        data: data.join('\n'),
+        retry,
+      });
+    }
+    data = [];
+    eventType = '';
+    retry = undefined;
+    hasData = false;
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Lines starting with a colon are comments (often used as keep-alives)
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        data.push(value);
+        hasData = true;
+        break;
+      case 'event':
+        eventType = value;
+        break;
+      case 'id':
+        // The last event ID persists across events until changed
+        if (!value.includes('\0')) {
+          eventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored per the specification
+        break;
+    }
+  }
+
+  return {
+    /**
+     * Feed a chunk of the stream into the parser
+     * @param {string} chunk - Decoded text
+     */
+    push(chunk) {
+      buffer += chunk;
+
+      let match;
+      const lineBreak = /\r\n|\r|\n/g;
+      let start = 0;
+      while ((match = lineBreak.exec(buffer)) !== null) {
+        // A trailing \r may be the first half of \r\n; wait for more input
+        if (match[0] === '\r' && match.index === buffer.length - 1) {
+          break;
+        }
+        processLine(buffer.slice(start, match.index));
+        start = match.index + match[0].length;
+      }
+      buffer = buffer.slice(start);
+    },
+
+    /**
+     * Flush the parser at end of stream. An incomplete trailing event is
+     * discarded, as required by the specification.
+     */
+    end() {
+      buffer = '';
+      data = [];
+      hasData = false;
+    },
+  };
+}
+
+/**
+ * Read an event stream to completion, or until the callback returns true
+ * @param {stream.Readable} stream - Readable stream of the response body
+ * @param {Function} onEvent - Called per event; return true to stop reading
+ * @returns {Promise<boolean>} - True if stopped early by the callback
+ */
+async function readEventStream(stream, onEvent) {
+  let stopped = false;
+  const parser = createParser((event) => {
+    if (!stopped && onEvent(event) === true) {
+      stopped = true;
+    }
+  });
+
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    parser.push(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    if (stopped) {
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+      return true;
+    }
+  }
+
+  parser.push(decoder.end());
+  parser.end();
+  return stopped;
+}
+
+module.exports = {
+  createParser,
+  readEventStream,
+};
@@ -0,0 +1,422 @@
+/**
+ * Request Tracing
+ *
+ * Minimal OpenTelemetry-compatible tracing for the shim: spans with W3C
+ * trace context (https://www.w3.org/TR/trace-context/), exported to an
+ * OTLP/HTTP collector as JSON or appended to a local JSON Lines file.
+ *
+ *   const tracer = createTracer({ service: 'mcp-shim', exporters: [createFileExporter(file)] });
+ *   const span = tracer.startSpan('tools/call read_file', { kind: SPAN_KIND.SERVER });
+ *   const attempt = tracer.startSpan('POST', { parent: span, kind: SPAN_KIND.CLIENT });
+ *   headers.traceparent = formatTraceparent(attempt);
+ *   attempt.end();
+ *   span.end();
+ *
+ * A file holds one finished span per line, with times as ISO strings:
+ *
+ *   {"traceId":"4bf9...","spanId":"00f0...","parentSpanId":"a3ce...","name":"POST","kind":"client",
+ *    "start":"2025-01-01T12:00:00.000Z","durationMs":41.7,"attributes":{...},"status":{"code":"ok"},"service":"mcp-shim"}
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const fs = require('fs');
+
+// Span kinds, as numbered by OTLP
+const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+// Span status codes, as numbered by OTLP
+const STATUS_CODE = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+// Spans the OTLP exporter holds before dropping the oldest
+const MAX_QUEUE_SIZE = 2048;
+
+// =============================================================================
+// Trace Context
+// =============================================================================
+
+/**
+ * Parse a W3C traceparent value
+ * @param {string} value - e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ * @returns {Object|null} - { traceId, spanId, sampled }, or null if the value isn't valid
+ */
+function parseTraceparent(value) {
+  const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match || match[1] === 'ff' || (match[1] === '00' && match[5])) {
+    return null;
+  }
+
+  const [, , traceId, spanId, flags] = match;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format the traceparent value identifying a span
+ * @param {Object} span - Span, or any { traceId, spanId, sampled }
+ * @returns {string} - traceparent value
+ */
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+}
+
+/**
+ * Parse exporter headers given as comma-separated "name=value" pairs, the
+ * format of OTEL_EXPORTER_OTLP_HEADERS. Values may be URL-encoded.
+ * @param {string} spec - e.g. "Authorization=Bearer%20abc,X-Team=tools"
+ * @returns {Object} - Headers by name
+ * @throws {Error} - If a pair has no "="
+ */
+function parseHeaders(spec) {
+  const headers = {};
+  for (const pair of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new Error(`Invalid header "${pair}" (expected name=value)`);
+    }
+    headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+// =============================================================================
+// Spans
+// =============================================================================
+
+/**
+ * Create a tracer
+ * @param {Object} options - Options
+ * @param {string} options.service - service.name of the spans
+ * @param {Object} [options.resource] - Further attributes describing the process
+ * @param {Object[]} [options.exporters] - Exporters receiving finished spans
+ * @returns {Object} - Tracer with startSpan, flush and close
+ */
+function createTracer({ service, resource = {}, exporters = [] }) {
+  // Wall-clock time in nanoseconds, with the monotonic clock's precision
+  const origin = { ns: BigInt(Date.now()) * 1000000n, hrtime: process.hrtime.bigint() };
+  const now = () => origin.ns + (process.hrtime.bigint() - origin.hrtime);
+
+  const tracer = {
+    service,
+    resource: { 'service.name': service, ...resource },
+
+    /**
+     * Start a span
+     * @param {string} name - Span name
+     * @param {Object} [options] - Options
+     * @param {Object} [options.parent] - Parent span or remote { traceId, spanId, sampled }
+     * @param {number} [options.kind] - SPAN_KIND value
+     * @param {Object} [options.attributes] - Initial attributes
+     * @returns {Object} - Span
+     */
+    startSpan(name, { parent = null, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+      const span = {
+        traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+        spanId: crypto.randomBytes(8).toString('hex'),
+        parentSpanId: parent ? parent.spanId : null,
+        sampled: parent ? parent.sampled !== false : true,
+        name,
+        kind,
+        attributes: {},
+        status: { code: STATUS_CODE.UNSET },
+        startTime: now(),
+        endTime: null,
+
+        /**
+         * Set attributes, ignoring undefined and null values
+         * @param {Object} values - Attributes by key
+         * @returns {Object} - The span
+         */
+        setAttributes(values) {
+          for (const [key, value] of Object.entries(values)) {
+            if (value !== undefined && value !== null) {
+              this.attributes[key] = value;
+            }
+          }
+          return this;
+        },
+
+        /**
+         * Set the span's status
+         * @param {number} code - STATUS_CODE value
+         * @param {string} [message] - Description, for errors
+         * @returns {Object} - The span
+         */
+        setStatus(code, message) {
+          this.status = { code, ...(message && { message }) };
+          return this;
+        },
+
+        /**
+         * End the span and hand it to the exporters. Later calls do nothing.
+         */
+        end() {
+          if (this.endTime !== null) {
+            return;
+          }
+          this.endTime = now();
+          if (this.sampled) {
+            for (const exporter of exporters) {
+              exporter.export(this, tracer);
+            }
+          }
+        },
+      };
+      return span.setAttributes(attributes);
+    },
+
+    /**
+     * Whether any exporter holds spans not yet sent
+     * @returns {boolean} - True if flush() has work to do
+     */
+    pending() {
+      return exporters.some(exporter => exporter.pending());
+    },
+
+    /**
+     * Send the spans the exporters hold
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await Promise.all(exporters.map(exporter => exporter.flush()));
+    },
+
+    /**
+     * Send what is left and stop the exporters
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await Promise.all(exporters.map(exporter => exporter.close()));
+    },
+  };
+  return tracer;
+}
+
+// =============================================================================
+// Exporters
+// =============================================================================
+
+/**
+ * Convert an attribute value to an OTLP AnyValue
+ * @param {*} value - Attribute value
+ * @returns {Object} - AnyValue
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert attributes to OTLP key-value pairs
+ * @param {Object} attributes - Attributes by key
+ * @returns {Object[]} - KeyValue list
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Convert a finished span to its OTLP JSON form
+ * @param {Object} span - Span
+ * @returns {Object} - OTLP Span
+ */
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: toKeyValues(span.attributes),
+    status: span.status,
+  };
+}
+
+/**
+ * Create an exporter sending spans to an OTLP/HTTP collector as JSON, in
+ * batches every few seconds and when the shim stops
+ * @param {Object} options - Options
+ * @param {string} options.url - Traces endpoint, e.g. http://localhost:4318/v1/traces
+ * @param {Object} [options.headers] - Extra request headers, e.g. for authentication
+ * @param {string} [options.scope] - Instrumentation scope name
+ * @param {string} [options.version] - Instrumentation scope version
+ * @param {number} [options.intervalMs] - Time between batches
+ * @param {number} [options.timeoutMs] - Time allowed for each export request
+ * @param {Function} [options.onError] - (error) => void, for failed exports
+ * @returns {Object} - Exporter
+ */
+function createOtlpExporter({ url, headers = {}, scope = 'mcp-shim', version, intervalMs = 5000, timeoutMs = 10000, onError = () => {} }) {
+  let queue = [];
+  let resource = {};
+  let sending = Promise.resolve();
+
+  const timer = setInterval(() => exporter.flush(), intervalMs);
+  timer.unref();
+
+  const exporter = {
+    url,
+
+    /**
+     * Queue a finished span
+     * @param {Object} span - Span
+     * @param {Object} tracer - Tracer that made it
+     */
+    export(span, tracer) {
+      resource = tracer.resource;
+      queue.push(toOtlpSpan(span));
+      if (queue.length > MAX_QUEUE_SIZE) {
+        queue.shift();
+      }
+    },
+
+    /**
+     * Send the queued spans. Batches go one at a time; a batch that fails is
+     * reported and dropped.
+     * @returns {Promise<void>}
+     */
+    flush() {
+      if (queue.length === 0) {
+        return sending;
+      }
+
+      const spans = queue;
+      queue = [];
+      const body = JSON.stringify({
+        resourceSpans: [{
+          resource: { attributes: toKeyValues(resource) },
+          scopeSpans: [{ scope: { name: scope, ...(version && { version }) }, spans }],
+        }],
+      });
+
+      sending = sending.then(async () => {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+          const response = await fetch(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body,
+            signal: controller.signal,
+          });
+          if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}: ${(await response.text()).slice(0, 200)}`);
+          }
+        } catch (error) {
+          onError(new Error(`Failed to export ${spans.length} span(s) to ${url}: ${error.message}`));
+        } finally {
+          clearTimeout(timeout);
+        }
+      });
+      return sending;
+    },
+
+    /**
+     * Whether spans are waiting to be sent
+     * @returns {boolean} - True if flush() has work to do
+     */
+    pending() {
+      return queue.length > 0;
+    },
+
+    /**
+     * Send what is left and stop the batch timer
+     * @returns {Promise<void>}
+     */
+    close() {
+      clearInterval(timer);
+      return this.flush();
+    },
+  };
+  return exporter;
+}
+
+/**
+ * Create an exporter appending each finished span to a JSON Lines file
+ * @param {string} file - File path; created with mode 0600 if missing
+ * @returns {Object} - Exporter
+ */
+function createFileExporter(file) {
+  fs.closeSync(fs.openSync(file, 'a', 0o600));
+
+  return {
+    file,
+
+    /**
+     * Append a finished span
+     * @param {Object} span - Span
+     * @param {Object} tracer - Tracer that made it
+     */
+    export(span, tracer) {
+      const kinds = { [SPAN_KIND.INTERNAL]: 'internal', [SPAN_KIND.SERVER]: 'server', [SPAN_KIND.CLIENT]: 'client' };
+      const statuses = { [STATUS_CODE.UNSET]: 'unset', [STATUS_CODE.OK]: 'ok', [STATUS_CODE.ERROR]: 'error' };
+      fs.appendFileSync(file, `${JSON.stringify({
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        name: span.name,
+        kind: kinds[span.kind],
+        start: new Date(Number(span.startTime / 1000000n)).toISOString(),
+        durationMs: Number(span.endTime - span.startTime) / 1e6,
+        attributes: span.attributes,
+        status: { ...span.status, code: statuses[span.status.code] },
+        service: tracer.service,
+      })}\n`);
+    },
+
+    /**
+     * Nothing to send: spans are written as they end
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return Promise.resolve();
+    },
+
+    /**
+     * Whether spans are waiting to be written
+     * @returns {boolean} - Always false
+     */
+    pending() {
+      return false;
+    },
+
+    /**
+     * Nothing to close: the file is opened for each span
+     * @returns {Promise<void>}
+     */
+    close() {
+      return Promise.resolve();
+    },
+  };
+}
+
+module.exports = {
+  SPAN_KIND,
+  STATUS_CODE,
+  parseTraceparent,
+  formatTraceparent,
+  parseHeaders,
+  createTracer,
+  toOtlpSpan,
+  createOtlpExporter,
+  createFileExporter,
+};
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ *
+ * Runs each test/test-*.js file in its own Node.js process, one after the
+ * other, and reports which failed. Used by `npm test`:
+ *
+ *   npm test                Run every test file
+ *   npm test -- cache e2e   Run the files whose names contain "cache" or "e2e"
+ *
+ * A file fails if it exits with a non-zero status or runs longer than
+ * MCP_TEST_TIMEOUT_MS (default 2 minutes).
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const TIMEOUT_MS = parseInt(process.env.MCP_TEST_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+/**
+ * Find the test files to run
+ * @param {string[]} filters - Substrings of the file names to run; all if empty
+ * @returns {string[]} - File names, sorted
+ */
+function findTests(filters) {
+  return fs.readdirSync(__dirname)
+    .filter(name => /^test-.*\.js$/.test(name))
+    .filter(name => filters.length === 0 || filters.some(filter => name.includes(filter)))
+    .sort();
+}
+
+/**
+ * Run the tests
+ * @param {string[]} argv - Filters
+ * @returns {number} - Exit status
+ */
+function main(argv) {
+  const files = findTests(argv);
+  if (files.length === 0) {
+    console.error(`No test files match ${argv.join(', ')}`);
+    return 1;
+  }
+
+  const failed = [];
+  for (const name of files) {
+    const start = Date.now();
+    const result = spawnSync(process.execPath, [path.join(__dirname, name)], {
+      encoding: 'utf8',
+      timeout: TIMEOUT_MS,
+      killSignal: 'SIGKILL',
+    });
+    const seconds = ((Date.now() - start) / 1000).toFixed(1);
+
+    if (result.status === 0) {
+      console.log(`ok    ${name} (${seconds}s)`);
+      continue;
+    }
+
+    failed.push(name);
+    const reason = result.error?.code === 'ETIMEDOUT' ? `timed out after ${TIMEOUT_MS}ms` : `exit status ${result.status ?? result.signal}`;
+    console.log(`FAIL  ${name} (${reason})`);
+    const output = `${result.stdout || ''}${result.stderr || ''}`.trim();
+    if (output) {
+      console.log(output.split('\n').slice(-40).map(line => `      ${line}`).join('\n'));
+    }
+  }
+
+  console.log(`\n${files.length - failed.length} of ${files.length} test files passed`);
+  return failed.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = {
+  findTests,
+  main,
+};
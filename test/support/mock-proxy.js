@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Mock MCP-Compose Proxy
+ *
+ * A small stand-in for the MCP-Compose proxy for tests: each server answers
+ * `POST /<server>` with canned MCP responses, and the next requests can be
+ * scripted to misbehave.
+ *
+ *   const proxy = createMockProxy({ apiKey: 'key' });
+ *   const url = await proxy.start();
+ *   proxy.script('memory', { status: 502, times: 2 });         // fail twice
+ *   proxy.script('memory', { method: 'tools/call', delayMs: 500 });
+ *   ...
+ *   await proxy.close();
+ *
+ * Scripted behaviors, applied in the order they were added to the first
+ * request they match and then dropped (after `times` requests, default 1):
+ *
+ *   method, tool  Only match requests for this method, or tools/call of this tool
+ *   delayMs       Wait this long before answering
+ *   status        Answer with this HTTP status and `body` (default "Error")
+ *   malformed     Answer 200 with a body that isn't JSON
+ *   sse           Answer as an event stream, sending `events` before the response
+ *   bytes         Answer with a tool result whose text is this many bytes long
+ *   result        Answer with this result
+ *   error         Answer with this JSON-RPC error
+ *
+ * The proxy also lists its servers at `GET /api/servers`, answers `HEAD /`,
+ * ends sessions on `DELETE` and has no GET event stream (HTTP 405).
+ *
+ * Run it on its own with `node test/support/mock-proxy.js [port]` to point a
+ * shim, `mcp-npx discover` or `mcp-npx doctor` at it.
+ */
+
+const http = require('http');
+
+// Servers served when none are given
+const DEFAULT_SERVERS = {
+  filesystem: {
+    tools: [
+      { name: 'read_file', description: 'Read a file', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } },
+      { name: 'write_file', description: 'Write a file', inputSchema: { type: 'object', properties: { path: { type: 'string' }, content: { type: 'string' } } } },
+    ],
+  },
+  memory: {
+    tools: [
+      { name: 'read_graph', description: 'Read the knowledge graph', inputSchema: { type: 'object', properties: {} } },
+    ],
+  },
+};
+
+/**
+ * Create a mock proxy
+ * @param {Object} [options] - Options
+ * @param {Object} [options.servers] - Server name to { tools, capabilities, instructions }
+ * @param {string} [options.apiKey] - Bearer token required on every request, if set
+ * @returns {Object} - Proxy with start, close, script and the requests it received
+ */
+function createMockProxy({ servers = DEFAULT_SERVERS, apiKey = '' } = {}) {
+  const behaviors = [];
+  let sessions = 0;
+
+  const proxy = {
+    // Every request received: { server, method, headers, message }
+    requests: [],
+
+    // The HTTP server, once started
+    server: null,
+
+    // Base URL, once started
+    url: null,
+
+    /**
+     * Script how the next matching requests to a server are answered
+     * @param {string} server - Server name, or '*' for any
+     * @param {Object} behavior - Behavior, see the module comment
+     * @returns {Object} - The proxy, for chaining
+     */
+    script(server, behavior) {
+      behaviors.push({ server, times: 1, ...behavior });
+      return this;
+    },
+
+    /**
+     * Requests received for a server, optionally only those of one method
+     * @param {string} server - Server name
+     * @param {string} [method] - JSON-RPC method
+     * @returns {Object[]} - Requests
+     */
+    received(server, method) {
+      return this.requests.filter(request => request.server === server && (!method || request.method === method));
+    },
+
+    /**
+     * Forget the requests received and any scripted behaviors left
+     */
+    reset() {
+      this.requests.length = 0;
+      behaviors.length = 0;
+    },
+
+    /**
+     * Start listening on localhost
+     * @param {number} [port] - Port, or 0 for any free one
+     * @returns {Promise<string>} - Base URL of the proxy
+     */
+    start(port = 0) {
+      this.server = http.createServer((req, res) => handle(req, res));
+      return new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(port, '127.0.0.1', () => {
+          this.url = `http://127.0.0.1:${this.server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    /**
+     * Stop listening and drop open connections
+     * @returns {Promise<void>}
+     */
+    close() {
+      if (!this.server) {
+        return Promise.resolve();
+      }
+      if (typeof this.server.closeAllConnections === 'function') {
+        this.server.closeAllConnections();
+      }
+      return new Promise(resolve => this.server.close(() => resolve()));
+    },
+  };
+
+  /**
+   * Take the first scripted behavior matching a request
+   * @param {string} server - Server name
+   * @param {Object} message - JSON-RPC message
+   * @returns {Object|null} - Behavior, or null to answer normally
+   */
+  function takeBehavior(server, message) {
+    const index = behaviors.findIndex(behavior =>
+      (behavior.server === '*' || behavior.server === server) &&
+      (!behavior.method || behavior.method === message.method) &&
+      (!behavior.tool || (message.method === 'tools/call' && message.params?.name === behavior.tool)));
+    if (index === -1) {
+      return null;
+    }
+
+    const behavior = behaviors[index];
+    if (--behavior.times <= 0) {
+      behaviors.splice(index, 1);
+    }
+    return behavior;
+  }
+
+  /**
+   * Answer a request the way a working server would
+   * @param {string} server - Server name
+   * @param {Object} message - JSON-RPC request
+   * @returns {Object} - Result or error member of the response
+   */
+  function defaultAnswer(server, message) {
+    const config = servers[server];
+    switch (message.method) {
+      case 'initialize':
+        return {
+          result: {
+            protocolVersion: message.params?.protocolVersion || '2025-06-18',
+            capabilities: config.capabilities || { tools: {} },
+            serverInfo: { name: server, version: '1.0.0' },
+            ...(config.instructions && { instructions: config.instructions }),
+          },
+        };
+      case 'ping':
+        return { result: {} };
+      case 'tools/list':
+        return { result: { tools: config.tools || [] } };
+      case 'tools/call':
+        return {
+          result: {
+            content: [{ type: 'text', text: `${message.params?.name} ${JSON.stringify(message.params?.arguments || {})}` }],
+          },
+        };
+      default:
+        return { error: { code: -32601, message: `Method not found: ${message.method}` } };
+    }
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  function handle(req, res) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', async () => {
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+        return res.end('Unauthorized');
+      }
+
+      if (req.url === '/' && req.method === 'HEAD') {
+        res.writeHead(200);
+        return res.end();
+      }
+      if (req.url === '/api/servers' && req.method === 'GET') {
+        const listing = {};
+        for (const name of Object.keys(servers)) {
+          listing[name] = { status: 'running' };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(listing));
+      }
+
+      const server = decodeURIComponent(req.url.slice(1));
+      if (!servers[server]) {
+        res.writeHead(404);
+        return res.end(`Unknown server ${server}`);
+      }
+      if (req.method === 'DELETE') {
+        res.writeHead(200);
+        return res.end();
+      }
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+      }
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400);
+        return res.end(`Invalid JSON: ${error.message}`);
+      }
+      proxy.requests.push({ server, method: message.method, headers: req.headers, message });
+
+      const behavior = takeBehavior(server, message);
+      if (behavior?.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, behavior.delayMs));
+        if (res.destroyed) {
+          return;
+        }
+      }
+
+      if (behavior?.status) {
+        res.writeHead(behavior.status);
+        return res.end(behavior.body ?? 'Error');
+      }
+      if (behavior?.malformed) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end('{"jsonrpc": "2.0", "result": ');
+      }
+
+      // Notifications and answers to server requests
+      if (message.id === undefined || message.method === undefined) {
+        res.writeHead(202);
+        return res.end();
+      }
+
+      let answer = defaultAnswer(server, message);
+      if (behavior?.result) {
+        answer = { result: behavior.result };
+      } else if (behavior?.error) {
+        answer = { error: behavior.error };
+      } else if (behavior?.bytes) {
+        answer = { result: { content: [{ type: 'text', text: 'x'.repeat(behavior.bytes) }] } };
+      }
+      const response = { jsonrpc: '2.0', id: message.id, ...answer };
+
+      const headers = {};
+      if (message.method === 'initialize') {
+        headers['Mcp-Session-Id'] = `${server}-${++sessions}`;
+      }
+
+      if (behavior?.sse) {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+        for (const event of behavior.events || []) {
+          res.write(`event: message\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+        return res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      }
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  }
+
+  return proxy;
+}
+
+if (require.main === module) {
+  const proxy = createMockProxy({ apiKey: process.env.MCP_API_KEY || '' });
+  proxy.start(parseInt(process.argv[2], 10) || 9876).then((url) => {
+    console.error(`Mock MCP-Compose proxy listening on ${url} (servers: ${Object.keys(DEFAULT_SERVERS).join(', ')})`);
+  });
+}
+
+module.exports = {
+  DEFAULT_SERVERS,
+  createMockProxy,
+};
@@ -0,0 +1,187 @@
+/**
+ * Shim Test Harness
+ *
+ * Runs `lib/mcp-shim.js` as Claude Desktop does, as a child process spoken
+ * to over stdio, so tests can assert on the JSON-RPC messages it writes:
+ *
+ *   const shim = startShim({ MCP_PROXY_URL: proxy.url, MCP_SERVER_NAME: 'memory' });
+ *   const response = await shim.request('tools/list', {});
+ *   const progress = await shim.waitFor(message => message.method === 'notifications/progress');
+ *   await shim.close();
+ *
+ * The shim's settings come only from the environment given here and a few
+ * test defaults, not from the developer's routes, policy or cache.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+
+const SHIM_PATH = path.resolve(__dirname, '../../lib/mcp-shim.js');
+
+// Settings every test shim starts with, unless the test overrides them
+const TEST_ENV = {
+  MCP_LOG_LEVEL: 'error',
+  MCP_LOG_FILE: 'false',
+  MCP_AUDIT_LOG: 'false',
+  MCP_API_KEY: '',
+  MCP_API_KEY_FILE: '',
+  MCP_API_KEY_COMMAND: '',
+  MCP_CACHE_DIR: '',
+  MCP_RECORD_FILE: '',
+  MCP_REPLAY_FILE: '',
+  MCP_METRICS_PORT: '',
+  MCP_TRACE_FILE: '',
+  MCP_OTLP_ENDPOINT: '',
+  MCP_AGGREGATE_SERVERS: '',
+  MCP_ROUTES_FILE: path.join(__dirname, 'no-routes.json'),
+  MCP_POLICY_FILE: path.join(__dirname, 'no-policy.json'),
+  MCP_RETRY_INITIAL_DELAY_MS: '10',
+};
+
+/**
+ * Start a shim
+ * @param {Object} env - Environment variables for the shim, on top of the test defaults
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.args] - Command-line arguments
+ * @param {number} [options.timeoutMs] - How long to wait for each response
+ * @returns {Object} - Running shim
+ */
+function startShim(env, { args = [], timeoutMs = 10000 } = {}) {
+  const child = spawn(process.execPath, [SHIM_PATH, ...args], {
+    env: { ...process.env, ...TEST_ENV, ...env },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+
+  const waiters = [];
+  const shim = {
+    child,
+
+    // Every message the shim wrote to stdout, in order
+    messages: [],
+
+    // Everything it wrote to stderr
+    stderr: '',
+
+    // Id of the next request
+    nextId: 1,
+
+    /**
+     * Send a raw line, e.g. to test malformed input
+     * @param {string} line - Line without the newline
+     */
+    write(line) {
+      child.stdin.write(`${line}\n`);
+    },
+
+    /**
+     * Send a message
+     * @param {Object} message - JSON-RPC message
+     */
+    send(message) {
+      this.write(JSON.stringify(message));
+    },
+
+    /**
+     * Send a request and wait for its response
+     * @param {string} method - Method
+     * @param {Object} [params] - Parameters
+     * @returns {Promise<Object>} - Response
+     */
+    request(method, params = {}) {
+      const id = this.nextId++;
+      const response = this.waitFor(message => message.id === id && message.method === undefined, `response to ${method} (id ${id})`);
+      this.send({ jsonrpc: '2.0', id, method, params });
+      return response;
+    },
+
+    /**
+     * Send a notification
+     * @param {string} method - Method
+     * @param {Object} [params] - Parameters
+     */
+    notify(method, params = {}) {
+      this.send({ jsonrpc: '2.0', method, params });
+    },
+
+    /**
+     * Initialize the session, as a client does first
+     * @param {Object} [params] - initialize parameters
+     * @returns {Promise<Object>} - The initialize response
+     */
+    async initialize(params = {}) {
+      const response = await this.request('initialize', {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'shim-harness', version: '1.0.0' },
+        ...params,
+      });
+      this.notify('notifications/initialized');
+      return response;
+    },
+
+    /**
+     * Wait for a message from the shim, including one already received
+     * @param {Function} predicate - (message) => boolean
+     * @param {string} [description] - What is awaited, for the timeout error
+     * @returns {Promise<Object>} - The first matching message
+     */
+    waitFor(predicate, description = 'message') {
+      const found = this.messages.find(predicate);
+      if (found) {
+        return Promise.resolve(found);
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          predicate,
+          resolve,
+          timer: setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new Error(`Timed out waiting for ${description}. Shim stderr:\n${this.stderr}`));
+          }, timeoutMs),
+        };
+        waiters.push(waiter);
+      });
+    },
+
+    /**
+     * Close stdin and wait for the shim to exit
+     * @returns {Promise<number>} - Exit status
+     */
+    close() {
+      if (child.exitCode !== null) {
+        return Promise.resolve(child.exitCode);
+      }
+      const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+      child.stdin.end();
+      const timer = setTimeout(() => child.kill(), timeoutMs);
+      return exited.finally(() => clearTimeout(timer));
+    },
+  };
+
+  child.stderr.on('data', chunk => shim.stderr += chunk);
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Shim wrote a line that isn't JSON: ${line}`);
+    }
+
+    shim.messages.push(message);
+    for (const waiter of waiters.slice()) {
+      if (waiter.predicate(message)) {
+        clearTimeout(waiter.timer);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      }
+    }
+  });
+
+  return shim;
+}
+
+module.exports = {
+  startShim,
+};
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+process.env.MCP_CACHE = 'false';
+process.env.MCP_MAX_RETRIES = '1';
+process.env.MCP_RETRY_INITIAL_DELAY_MS = '10';
+process.env.MCP_CIRCUIT_RESET_MS = '1000';
+process.env.MCP_AGGREGATE_SERVERS = 'filesystem,memory,broken';
+process.env.MCP_AGGREGATE_NAME = 'workstation';
+
+const { CONFIG, endpoints, gateway, handleMessage } = require('../lib/mcp-shim');
+
+// Messages the gateway sends to the client on its own go to stdout
+const sent = [];
+const write = process.stdout.write.bind(process.stdout);
+process.stdout.write = (chunk, ...rest) => {
+  try {
+    sent.push(JSON.parse(chunk));
+    return true;
+  } catch (error) {
+    return write(chunk, ...rest);
+  }
+};
+
+// A proxy fronting three servers: filesystem and memory work, and broken
+// answers every request with a server error until it is fixed
+const servers = {
+  filesystem: {
+    initialize: {
+      protocolVersion: '2025-06-18',
+      capabilities: { tools: {}, resources: { subscribe: true } },
+      serverInfo: { name: 'filesystem', version: '1' },
+    },
+    'tools/list': () => ({ tools: [{ name: 'read_file', inputSchema: {} }, { name: 'write_file', inputSchema: {} }] }),
+    'resources/list': () => ({ resources: [{ uri: 'file:///tmp/notes.txt', name: 'notes' }] }),
+  },
+  memory: {
+    initialize: {
+      protocolVersion: '2025-03-26',
+      capabilities: { tools: { listChanged: false }, prompts: {}, logging: {} },
+      serverInfo: { name: 'memory', version: '1' },
+      instructions: 'Remember things.',
+    },
+    // Tools come in two pages
+    'tools/list': params => params.cursor === 'page-2'
+      ? { tools: [{ name: 'search_nodes', inputSchema: {} }] }
+      : { tools: [{ name: 'read_graph', inputSchema: {} }], nextCursor: 'page-2' },
+    'prompts/list': () => ({ prompts: [{ name: 'summarize' }] }),
+  },
+  broken: {
+    initialize: { protocolVersion: '2025-06-18', capabilities: { tools: {} } },
+    'tools/list': () => ({ tools: [{ name: 'fixed' }] }),
+  },
+};
+const upstream = { received: [], brokenUntilFixed: true };
+
+const proxy = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const server = req.url.slice(1);
+    const message = JSON.parse(body);
+    upstream.received.push({ server, message });
+
+    if (server === 'broken' && upstream.brokenUntilFixed) {
+      res.writeHead(502);
+      return res.end('Server exited');
+    }
+    if (message.id === undefined || message.method === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+
+    const headers = { 'Content-Type': 'application/json', 'Mcp-Session-Id': `${server}-session` };
+    const handler = servers[server][message.method];
+    let result;
+    if (message.method === 'initialize') {
+      result = servers[server].initialize;
+    } else if (message.method === 'tools/call') {
+      result = { content: [{ type: 'text', text: `${server} ran ${message.params.name}` }] };
+    } else if (handler) {
+      result = handler(message.params || {});
+    }
+
+    const response = result
+      ? { jsonrpc: '2.0', id: message.id, result }
+      : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+
+    // Asking the client something while working on a call
+    if (message.params?.name === 'ask') {
+      const question = { jsonrpc: '2.0', id: 7, method: 'sampling/createMessage', params: { messages: [] } };
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+      return res.end(`data: ${JSON.stringify(question)}\n\ndata: ${JSON.stringify(response)}\n\n`);
+    }
+    res.writeHead(200, headers);
+    res.end(JSON.stringify(response));
+  });
+});
+
+(async () => {
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  endpoints.configure(`http://127.0.0.1:${proxy.address().port}`, 'failover');
+  gateway.configure(CONFIG.aggregateServers);
+  let id = 0;
+  const request = (method, params) => handleMessage({ jsonrpc: '2.0', id: ++id, method, params });
+  const brokenRequests = () => upstream.received.filter(({ server }) => server === 'broken').length;
+
+  // Server names must work as prefixes
+  assert.throws(() => gateway.configure(['file__system']), /Invalid server name/);
+  assert.throws(() => gateway.configure(['a', 'a']), /listed twice/);
+  gateway.configure(CONFIG.aggregateServers);
+
+  // initialize combines the servers that answered, leaving the broken one out.
+  // The older server is translated for, so the client keeps its version;
+  // without server events, resource updates couldn't reach the client.
+  const initialized = await request('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+  assert.deepStrictEqual(initialized.result, {
+    protocolVersion: '2025-06-18',
+    capabilities: {
+      tools: { listChanged: true },
+      resources: { listChanged: true },
+      prompts: { listChanged: true },
+      logging: {},
+    },
+    serverInfo: { name: 'workstation', version: require('../package.json').version },
+    instructions: '## memory\n\nRemember things.',
+  });
+  await handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  assert.deepStrictEqual(
+    upstream.received.filter(({ message }) => message.method === 'notifications/initialized').map(({ server }) => server).sort(),
+    ['filesystem', 'memory']
+  );
+
+  // The failing server doesn't open the circuit for the others, and isn't
+  // asked again until it is due a retry
+  assert.strictEqual(endpoints.list[0].breaker.state, 'closed');
+  const failedAttempts = brokenRequests();
+
+  // Lists are merged under prefixed names and paged per server
+  const tools = await request('tools/list', {});
+  assert.deepStrictEqual(tools.result.tools.map(tool => tool.name), ['filesystem__read_file', 'filesystem__write_file', 'memory__read_graph']);
+  const nextPage = await request('tools/list', { cursor: tools.result.nextCursor });
+  assert.deepStrictEqual(nextPage.result.tools.map(tool => tool.name), ['memory__search_nodes']);
+  assert.strictEqual(nextPage.result.nextCursor, undefined);
+  assert.strictEqual((await request('tools/list', { cursor: 'nonsense' })).error.code, -32602);
+  assert.deepStrictEqual((await request('prompts/list', {})).result.prompts, [{ name: 'memory__summarize' }]);
+  assert.deepStrictEqual((await request('resources/list', {})).result.resources, [{ uri: 'file:///tmp/notes.txt', name: 'filesystem__notes' }]);
+  assert.strictEqual(brokenRequests(), failedAttempts);
+
+  // Calls go to the named server without the prefix
+  const called = await request('tools/call', { name: 'memory__read_graph', arguments: {} });
+  assert.strictEqual(called.result.content[0].text, 'memory ran read_graph');
+  assert.deepStrictEqual(upstream.received[upstream.received.length - 1].message.params, { name: 'read_graph', arguments: {} });
+  assert.strictEqual((await request('tools/call', { name: 'nowhere__tool', arguments: {} })).error.code, -32602);
+  assert.match((await request('tools/call', { name: 'broken__fixed', arguments: {} })).error.message, /Server broken is unavailable/);
+
+  // Resources are read from the server that listed them
+  await request('resources/read', { uri: 'file:///tmp/notes.txt' });
+  assert.strictEqual(upstream.received[upstream.received.length - 1].server, 'filesystem');
+
+  // Server requests reach the client with an id naming their server, and
+  // the answer goes back to that server with its own id
+  const asked = await request('tools/call', { name: 'memory__ask', arguments: {} });
+  assert.strictEqual(asked.result.content[0].text, 'memory ran ask');
+  const question = sent.find(message => message.method === 'sampling/createMessage');
+  assert.strictEqual(question.id, 'memory__7');
+  await handleMessage({ jsonrpc: '2.0', id: question.id, result: { content: { type: 'text', text: 'yes' } } });
+  const answer = upstream.received[upstream.received.length - 1];
+  assert.strictEqual(answer.server, 'memory');
+  assert.strictEqual(answer.message.id, 7);
+
+  // Local methods
+  assert.deepStrictEqual((await request('ping', {})).result, {});
+  assert.strictEqual((await request('sampling/createMessage', {})).error.code, -32601);
+
+  // Once the failing server recovers it joins in, and the client is told
+  // the tool list changed
+  upstream.brokenUntilFixed = false;
+  await new Promise(resolve => setTimeout(resolve, CONFIG.circuitResetMs));
+  sent.length = 0;
+  const recovered = await request('tools/list', {});
+  assert.ok(recovered.result.tools.some(tool => tool.name === 'broken__fixed'));
+  assert.ok(sent.some(message => message.method === 'notifications/tools/list_changed'));
+  assert.ok(upstream.received.some(({ server, message }) => server === 'broken' && message.method === 'notifications/initialized'));
+
+  console.log('Aggregate gateway tests passed');
+  process.stdout.write = write;
+  endpoints.stop();
+  proxy.close();
+})().catch((error) => {
+  process.stdout.write = write;
+  console.error(error);
+  process.exit(1);
+});
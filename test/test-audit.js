@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-test-')));
+const auditFile = path.join(tmpDir, 'audit.jsonl');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_AUDIT_LOG = 'true';
+process.env.MCP_AUDIT_LOG_PATH = auditFile;
+process.env.MCP_AUDIT_MAX_SIZE = '2000';
+process.env.MCP_AUDIT_RETENTION = '2';
+process.env.MCP_AUDIT_REDACT_KEYS = 'passphrase';
+process.env.MCP_AUDIT_REDACT_PATTERNS = 'internal-[0-9]+';
+
+const { audit, pathSecurity, handleMessage } = require('../lib/mcp-shim');
+
+// Secrets are redacted by argument name and by value pattern
+audit.open();
+assert.deepStrictEqual(audit.redact({
+  path: '/a',
+  apiKey: 'abc',
+  options: { GITHUB_TOKEN: 'x', passphrase: 'y', header: 'Bearer abc.def' },
+  list: ['ghp_abcdefghijklmnopqrstuvwxyz', 'ticket internal-42'],
+  content: 'x'.repeat(5000),
+  count: 3,
+}), {
+  path: '/a',
+  apiKey: '[REDACTED]',
+  options: { GITHUB_TOKEN: '[REDACTED]', passphrase: '[REDACTED]', header: '[REDACTED]' },
+  list: ['[REDACTED]', 'ticket [REDACTED]'],
+  content: '[5000 bytes]',
+  count: 3,
+});
+
+const call = (id, args) => handleMessage({
+  jsonrpc: '2.0',
+  id,
+  method: 'tools/call',
+  params: { name: 'read_file', arguments: args },
+});
+
+// Entries are written through a stream; wait until one has reached the file
+async function readEntries() {
+  for (let waited = 0; waited < 2000; waited += 10) {
+    const text = fs.existsSync(auditFile) ? fs.readFileSync(auditFile, 'utf8') : '';
+    if (text.endsWith('\n')) {
+      return text.trim().split('\n').map(line => JSON.parse(line));
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('No audit entries written');
+}
+
+(async () => {
+  pathSecurity.configure({ allowedPaths: [tmpDir], denyPaths: [], caseInsensitive: false });
+
+  // A denied call is recorded with the original (redacted) arguments
+  const response = await call(1, { path: '/etc/passwd', token: 'hunter2' });
+  assert.ok(response.error);
+
+  const [entry] = await readEntries();
+  assert.strictEqual(entry.server, 'filesystem');
+  assert.strictEqual(entry.tool, 'read_file');
+  assert.strictEqual(entry.id, 1);
+  assert.deepStrictEqual(entry.arguments, { path: '/etc/passwd', token: '[REDACTED]' });
+  assert.strictEqual(entry.outcome, 'denied');
+  assert.strictEqual(entry.cache, 'bypass');
+  assert.strictEqual(entry.errorCode, response.error.code);
+  assert.strictEqual(typeof entry.latencyMs, 'number');
+  assert.ok(!JSON.stringify(entry).includes('hunter2'));
+
+  // The file rotates past the size limit, keeping only the newest rotated copies
+  for (let id = 3; id < 60; id++) {
+    await call(id, { path: `/outside/${id}` });
+    // Rotated names carry a millisecond timestamp
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  const { stream } = audit;
+  audit.close();
+  await once(stream, 'close');
+
+  const rotated = fs.readdirSync(tmpDir).filter(name => name.startsWith('audit.jsonl.'));
+  assert.strictEqual(rotated.length, 2);
+  assert.ok(fs.statSync(auditFile).size < 2000);
+  for (const line of fs.readFileSync(auditFile, 'utf8').trim().split('\n')) {
+    assert.strictEqual(JSON.parse(line).method, 'tools/call');
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Audit tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.MCP_SERVER_NAME = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+process.env.MCP_CACHE = 'false';
+process.env.MCP_RETRY_INITIAL_DELAY_MS = '10';
+
+const authLib = require('../lib/auth');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auth-test-'));
+
+// Secrets come from the variable, a file or a command, in that order
+const secretFile = path.join(tmpDir, 'secret');
+fs.writeFileSync(secretFile, 's3cret\n');
+assert.strictEqual(authLib.readSecret({ KEY: 'direct', KEY_FILE: secretFile }, 'KEY'), 'direct');
+assert.strictEqual(authLib.readSecret({ KEY_FILE: secretFile, KEY_COMMAND: 'echo other' }, 'KEY'), 's3cret');
+assert.strictEqual(authLib.readSecret({ KEY_COMMAND: 'echo from-command' }, 'KEY'), 'from-command');
+assert.strictEqual(authLib.readSecret({}, 'KEY'), '');
+assert.throws(() => authLib.readSecret({ KEY_FILE: path.join(tmpDir, 'missing') }, 'KEY'), /Cannot read KEY_FILE/);
+assert.throws(() => authLib.readSecret({ KEY_COMMAND: 'echo nope >&2; exit 3' }, 'KEY'), /KEY_COMMAND failed: nope/);
+
+// Provider choice and validation
+assert.strictEqual(authLib.createProvider({}).type, 'none');
+assert.strictEqual(authLib.createProvider({ apiKey: 'k' }).type, 'bearer');
+assert.throws(() => authLib.createProvider({ type: 'bearer' }), /needs MCP_API_KEY/);
+assert.throws(() => authLib.createProvider({ type: 'oauth' }), /MCP_OAUTH_CLIENT_ID/);
+assert.throws(() => authLib.createProvider({ type: 'magic' }), /Invalid MCP_AUTH/);
+assert.throws(() => authLib.createTlsAgent({ cert: secretFile }), /must be set together/);
+
+// A stand-in for the proxy and its authorization server: metadata for
+// discovery, a token endpoint, and an MCP endpoint that only accepts the
+// latest token it issued
+const state = { issued: 0, valid: null, tokenRequests: [], expiresIn: 3600, tokenError: false };
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (req.url === '/.well-known/oauth-protected-resource') {
+      return json(res, 200, { resource: base, authorization_servers: [`${base}/auth`] });
+    }
+    if (req.url === '/.well-known/oauth-authorization-server') {
+      return json(res, 200, { issuer: `${base}/auth`, token_endpoint: `${base}/auth/token` });
+    }
+    if (req.url === '/auth/token') {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      state.tokenRequests.push({ ...params, authorization: req.headers.authorization });
+      if (state.tokenError) {
+        return json(res, 400, { error: 'invalid_client', error_description: 'client disabled' });
+      }
+      state.valid = `token-${++state.issued}`;
+      return json(res, 200, { access_token: state.valid, token_type: 'Bearer', expires_in: state.expiresIn });
+    }
+
+    if (req.headers.authorization !== `Bearer ${state.valid}`) {
+      return json(res, 401, { error: 'invalid_token' }, {
+        'WWW-Authenticate': `Bearer resource_metadata="${base}/.well-known/oauth-protected-resource"`,
+      });
+    }
+    const message = JSON.parse(body);
+    if (message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+    json(res, 200, { jsonrpc: '2.0', id: message.id, result: { token: state.valid } });
+  });
+});
+
+(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const proxyUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.MCP_PROXY_URL = proxyUrl;
+  process.env.MCP_OAUTH_CLIENT_ID = 'shim';
+  process.env.MCP_OAUTH_CLIENT_SECRET_FILE = secretFile;
+  process.env.MCP_OAUTH_SCOPE = 'mcp:tools';
+  process.env.MCP_CIRCUIT_FAILURE_THRESHOLD = '2';
+  const { auth, endpoints, handleMessage } = require('../lib/mcp-shim');
+  endpoints.configure(proxyUrl, 'failover');
+  auth.configure();
+  assert.strictEqual(auth.provider.type, 'oauth');
+
+  const call = id => handleMessage({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'read_graph', arguments: {} } });
+
+  // The token endpoint is discovered, and the token is requested with the
+  // client's credentials and cached for later requests
+  assert.strictEqual((await call(1)).result.token, 'token-1');
+  assert.strictEqual((await call(2)).result.token, 'token-1');
+  assert.strictEqual(state.tokenRequests.length, 1);
+  const [first] = state.tokenRequests;
+  assert.strictEqual(first.grant_type, 'client_credentials');
+  assert.strictEqual(first.scope, 'mcp:tools');
+  assert.strictEqual(first.resource, proxyUrl);
+  assert.strictEqual(first.authorization, `Basic ${Buffer.from('shim:s3cret').toString('base64')}`);
+
+  // A revoked token is replaced on the 401 and the request retried, once
+  // for all the requests that were rejected together
+  state.valid = null;
+  const results = await Promise.all([call(3), call(4), call(5)]);
+  assert.deepStrictEqual(results.map(response => response.result.token), ['token-2', 'token-2', 'token-2']);
+  assert.strictEqual(state.tokenRequests.length, 2);
+
+  // Tokens about to expire are renewed before they are used, so a token
+  // that is issued with only 10 seconds left is replaced on every request
+  state.expiresIn = 10;
+  state.valid = null;
+  assert.strictEqual((await call(6)).result.token, 'token-4');
+  assert.strictEqual((await call(7)).result.token, 'token-5');
+
+  // When no new token can be had, the client gets an authentication error
+  state.expiresIn = 3600;
+  state.tokenError = true;
+  state.valid = null;
+  const failed = await call(8);
+  assert.strictEqual(failed.error.code, -32001);
+  assert.match(failed.error.message, /client disabled/);
+  assert.strictEqual(endpoints.list[0].breaker.state, 'closed');
+
+  // So does an authorization server that can't be reached, which says
+  // nothing about the proxy
+  Object.assign(auth.provider, { token: null, refreshToken: null, tokenUrl: 'http://127.0.0.1:1/token' });
+  for (const id of [9, 10, 11]) {
+    const unreachable = await call(id);
+    assert.strictEqual(unreachable.error.code, -32001);
+    assert.match(unreachable.error.message, /OAuth request to http:\/\/127\.0\.0\.1:1\/token failed/);
+  }
+  assert.strictEqual(endpoints.list[0].breaker.state, 'closed');
+
+  endpoints.stop();
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Auth tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+
+const { CONFIG, cache } = require('../lib/mcp-shim');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+let nextId = 1;
+const request = (method, params) => ({ jsonrpc: '2.0', id: nextId++, method, params });
+const call = (name, args) => request('tools/call', { name, arguments: args });
+
+// Store a response for a request, as the forwarder does
+function store(req, result = {}) {
+  const key = cache.createKey(req);
+  cache.set(key, { jsonrpc: '2.0', id: req.id, result }, req, cache.generation);
+  return key;
+}
+
+function reset() {
+  cache.entries.clear();
+  cache.bytes = 0;
+}
+
+// Keys don't depend on property order, ids or per-request metadata
+assert.strictEqual(
+  cache.createKey(call('search_files', { path: '/a', pattern: 'x', excludePatterns: ['b', 'c'] })),
+  cache.createKey(request('tools/call', {
+    _meta: { progressToken: 9 },
+    arguments: { excludePatterns: ['b', 'c'], pattern: 'x', path: '/a' },
+    name: 'search_files',
+  }))
+);
+assert.notStrictEqual(
+  cache.createKey(call('search_files', { excludePatterns: ['b', 'c'] })),
+  cache.createKey(call('search_files', { excludePatterns: ['c', 'b'] }))
+);
+
+// Writes and notifications are never cached
+assert.strictEqual(cache.createKey(call('write_file', { path: '/a' })), null);
+assert.strictEqual(cache.createKey({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+// Filesystem writes drop reads of the path, anything beneath it and listings above it
+reset();
+const readA = store(call('read_file', { path: '/data/a.txt' }));
+const readB = store(call('read_file', { path: '/data/b.txt' }));
+const listData = store(call('list_directory', { path: '/data/' }));
+const listOther = store(call('list_directory', { path: '/data-other' }));
+const tree = store(call('directory_tree', { path: '/' }));
+const multi = store(call('read_multiple_files', { paths: ['/x', '/data/a.txt'] }));
+const tools = store(request('tools/list', {}));
+
+cache.invalidate(call('write_file', { path: '/data/a.txt', content: 'new' }));
+assert.deepStrictEqual([...cache.entries.keys()].sort(), [readB, listOther, tools].sort());
+assert.ok(!cache.entries.has(readA) && !cache.entries.has(listData) && !cache.entries.has(tree) && !cache.entries.has(multi));
+
+// Moving a directory drops everything under both the source and the destination
+const inOld = store(call('read_file', { path: '/old/dir/f' }));
+const inNew = store(call('read_file', { path: '/new/f' }));
+cache.invalidate(call('move_file', { source: '/old/dir', destination: '/new' }));
+assert.ok(!cache.entries.has(inOld) && !cache.entries.has(inNew));
+
+// Responses fetched while a write was in flight are not cached
+const generation = cache.generation;
+cache.invalidate(call('edit_file', { path: '/elsewhere' }));
+const late = call('read_file', { path: '/late' });
+cache.set(cache.createKey(late), { result: {} }, late, generation);
+assert.strictEqual(cache.get(cache.createKey(late)), undefined);
+
+// Other servers drop every cached tool result on any mutation
+reset();
+CONFIG.serverName = 'memory';
+store(call('read_graph', {}));
+store(call('search_nodes', { query: 'x' }));
+store(request('tools/list', {}));
+cache.invalidate(call('add_observations', { observations: [] }));
+assert.deepStrictEqual([...cache.entries.values()].map(entry => entry.method), ['tools/list']);
+CONFIG.serverName = 'filesystem';
+
+// list_changed drops the matching list; resources/updated drops that resource
+reset();
+const prompts = store(request('prompts/list', {}));
+store(request('tools/list', {}));
+const resourceA = store(request('resources/read', { uri: 'file:///a' }));
+const resourceB = store(request('resources/read', { uri: 'file:///b' }));
+cache.handleNotification({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+cache.handleNotification({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'file:///a' } });
+assert.deepStrictEqual([...cache.entries.keys()].sort(), [prompts, resourceB].sort());
+assert.ok(!cache.entries.has(resourceA));
+
+// LRU eviction by entry count and by bytes; pinned entries survive both and never expire
+reset();
+CONFIG.cacheMaxEntries = 3;
+const pinned = store(request('tools/list'));
+const first = store(call('read_file', { path: '/1' }));
+const second = store(call('read_file', { path: '/2' }));
+assert.ok(cache.get(first));
+store(call('read_file', { path: '/3' }));
+assert.ok(cache.entries.has(first) && !cache.entries.has(second) && cache.entries.has(pinned));
+
+CONFIG.cacheMaxEntries = 500;
+CONFIG.cacheMaxBytes = 300;
+const big = store(call('read_file', { path: '/big' }), { text: 'x'.repeat(200) });
+assert.ok(cache.entries.has(big) && !cache.entries.has(first));
+assert.ok(cache.bytes <= CONFIG.cacheMaxBytes);
+store(call('read_file', { path: '/huge' }), { text: 'x'.repeat(400) });
+assert.strictEqual(cache.get(cache.createKey(call('read_file', { path: '/huge' }))), undefined);
+
+cache.entries.get(pinned).expiry = 0;
+cache.entries.get(big).expiry = 0;
+assert.ok(cache.get(pinned));
+assert.strictEqual(cache.get(big), undefined);
+assert.strictEqual(cache.bytes, cache.entries.get(pinned).size);
+
+// The handshake is kept for outages but never answered from memory, as it
+// opens the client's upstream session
+(async () => {
+  reset();
+  const handshake = store(request('initialize', { protocolVersion: '2025-06-18' }), { protocolVersion: '2025-06-18' });
+  assert.strictEqual(cache.get(handshake), undefined);
+  assert.deepStrictEqual((await cache.getStale(handshake)).result, { protocolVersion: '2025-06-18' });
+
+  // A client that initializes again gets a new upstream session
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const shim = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory' });
+  try {
+    await shim.initialize();
+    await shim.initialize();
+    await shim.request('ping');
+    assert.strictEqual(proxy.received('memory', 'initialize').length, 2);
+    assert.strictEqual(proxy.received('memory', 'ping')[0].headers['mcp-session-id'], 'memory-2');
+    assert.strictEqual(await shim.close(), 0, shim.stderr);
+  } finally {
+    shim.child.kill();
+    await proxy.close();
+  }
+
+
+  console.log('Cache tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.MCP_SERVER_NAME = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+process.env.MCP_CACHE = 'false';
+process.env.MCP_MAX_RETRIES = '1';
+process.env.MCP_RETRY_INITIAL_DELAY_MS = '10';
+
+const { CassetteError, loadCassette } = require('../lib/cassette');
+const { cassette, endpoints, handleMessage } = require('../lib/mcp-shim');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cassette-test-'));
+const file = path.join(tmpDir, 'session.jsonl');
+
+// Messages relayed to the client on their own go to stdout
+const sent = [];
+const write = process.stdout.write.bind(process.stdout);
+process.stdout.write = (chunk, ...rest) => {
+  try {
+    sent.push(JSON.parse(chunk));
+    return true;
+  } catch (error) {
+    return write(chunk, ...rest);
+  }
+};
+
+// Upstream proxy: counts tool calls, streams progress before "slow" answers
+// and fails "broken" with a server error
+const upstream = { requests: 0, calls: 0 };
+const proxy = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    upstream.requests++;
+    const message = JSON.parse(body);
+    if (message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+
+    const name = message.params?.name;
+    if (name === 'broken') {
+      res.writeHead(502);
+      return res.end('Server exited');
+    }
+
+    let result;
+    if (message.method === 'initialize') {
+      result = { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'memory', version: '1' } };
+    } else if (message.method === 'tools/list') {
+      result = { tools: [{ name: 'read_graph', inputSchema: {} }] };
+    } else {
+      result = { content: [{ type: 'text', text: `call ${++upstream.calls}` }] };
+    }
+    const response = { jsonrpc: '2.0', id: message.id, result };
+
+    if (name === 'slow') {
+      const progress = { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: message.params._meta.progressToken, progress: 50 } };
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.end(`data: ${JSON.stringify(progress)}\n\ndata: ${JSON.stringify(response)}\n\n`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+    res.end(JSON.stringify(response));
+  });
+});
+
+/**
+ * Run the same session in record and in replay mode
+ * @param {number} firstId - Id of the first request, to show ids don't matter
+ * @returns {Promise<Object[]>} - Responses
+ */
+async function session(firstId) {
+  let id = firstId;
+  const request = (method, params) => handleMessage({ jsonrpc: '2.0', id: id++, method, params });
+  const call = (name, meta) => request('tools/call', { name, arguments: {}, ...(meta && { _meta: meta }) });
+
+  const responses = [];
+  responses.push(await request('initialize', { protocolVersion: '2025-06-18', capabilities: {} }));
+  assert.strictEqual(await handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  responses.push(await request('tools/list', {}));
+  responses.push(await call('read_graph'));
+  responses.push(await call('read_graph'));
+  responses.push(await call('slow', { progressToken: `progress-${firstId}` }));
+  responses.push(await call('broken'));
+  return responses;
+}
+
+(async () => {
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  endpoints.configure(`http://127.0.0.1:${proxy.address().port}`, 'failover');
+
+  // Record a session against the proxy
+  cassette.configure({ recordFile: file });
+  const recorded = await session(1);
+  assert.strictEqual(recorded[2].result.content[0].text, 'call 1');
+  assert.strictEqual(recorded[3].result.content[0].text, 'call 2');
+  assert.match(recorded[5].error.message, /HTTP error 502/);
+  assert.deepStrictEqual(sent.map(message => message.params.progressToken), ['progress-1']);
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  // Each request is on its own line, failed attempts included, and
+  // notifications aren't recorded
+  const interactions = loadCassette(file);
+  assert.deepStrictEqual(interactions.map(({ request }) => request.params.name || request.method),
+    ['initialize', 'tools/list', 'read_graph', 'read_graph', 'slow', 'broken', 'broken']);
+  assert.ok(interactions.every(({ server }) => server === 'memory'));
+  assert.strictEqual(interactions[4].events.length, 1);
+  assert.deepStrictEqual(interactions[5].error, { message: 'HTTP error 502: Server exited', status: 502 });
+
+  // Replaying gives the same answers with no network, whatever the ids,
+  // with progress reported against the new token
+  proxy.close();
+  const requestsBefore = upstream.requests;
+  sent.length = 0;
+  cassette.configure({ replayFile: file });
+  const replayed = await session(100);
+  assert.strictEqual(upstream.requests, requestsBefore);
+  assert.deepStrictEqual(replayed.map(response => response.id), [100, 101, 102, 103, 104, 105]);
+  assert.deepStrictEqual(
+    replayed.map(({ id, ...rest }) => rest),
+    recorded.map(({ id, ...rest }) => rest)
+  );
+  assert.deepStrictEqual(sent.map(message => message.params.progressToken), ['progress-100']);
+
+  // Once the recorded answers run out, the last is repeated
+  const again = await handleMessage({ jsonrpc: '2.0', id: 200, method: 'tools/call', params: { name: 'read_graph', arguments: {} } });
+  assert.strictEqual(again.result.content[0].text, 'call 2');
+
+  // Requests that weren't recorded get an error rather than going upstream
+  const missing = await handleMessage({ jsonrpc: '2.0', id: 201, method: 'tools/call', params: { name: 'search_nodes', arguments: {} } });
+  assert.strictEqual(missing.error.code, -32005);
+  assert.match(missing.error.message, /No recorded response to tools\/call/);
+
+  // Invalid cassettes and settings
+  const invalid = path.join(tmpDir, 'invalid.jsonl');
+  fs.writeFileSync(invalid, '{"cassette":1}\n{"server":"memory"}\n');
+  assert.throws(() => loadCassette(invalid), (error) => error instanceof CassetteError && /at line 2/.test(error.message));
+  fs.writeFileSync(invalid, '{"cassette":2}\n');
+  assert.throws(() => loadCassette(invalid), /unsupported version 2/);
+  assert.throws(() => loadCassette(path.join(tmpDir, 'missing.jsonl')), /ENOENT/);
+  assert.throws(() => cassette.configure({ recordFile: file, replayFile: file }), /can't be used together/);
+
+  process.stdout.write = write;
+  endpoints.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Cassette tests passed');
+})().catch((error) => {
+  process.stdout.write = write;
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+
+process.env.MCP_SERVER_NAME = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_CIRCUIT_FAILURE_THRESHOLD = '3';
+process.env.MCP_CIRCUIT_RESET_MS = '100';
+process.env.MCP_CIRCUIT_PROBE_INTERVAL_MS = '20';
+
+const { createCircuitBreaker } = require('../lib/mcp-shim');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const failure = new Error('connect ECONNREFUSED');
+
+(async () => {
+  // Nothing listens here, so the probe fails
+  const breaker = createCircuitBreaker('http://127.0.0.1:9');
+
+  // Closed until the threshold of consecutive failures is reached
+  breaker.recordFailure(failure);
+  breaker.recordFailure(failure);
+  breaker.recordSuccess();
+  breaker.recordFailure(failure);
+  breaker.recordFailure(failure);
+  assert.strictEqual(breaker.state, 'closed');
+  assert.ok(breaker.allowRequest());
+
+  // Open: requests fail fast until the reset time has passed
+  breaker.recordFailure(failure);
+  assert.strictEqual(breaker.state, 'open');
+  assert.ok(!breaker.isAvailable());
+  assert.ok(!breaker.allowRequest());
+  assert.ok(breaker.retryAfterMs() > 0);
+
+  // Half-open: exactly one trial request goes through, and its failure
+  // opens the circuit again
+  await sleep(120);
+  assert.ok(breaker.isAvailable());
+  assert.strictEqual(breaker.state, 'open');
+  assert.ok(breaker.allowRequest());
+  assert.strictEqual(breaker.state, 'half-open');
+  assert.ok(!breaker.isAvailable());
+  assert.ok(!breaker.allowRequest());
+  breaker.recordFailure(failure);
+  assert.strictEqual(breaker.state, 'open');
+
+  // A successful trial closes it
+  await sleep(120);
+  assert.ok(breaker.allowRequest());
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.probeTimer, null);
+
+  // The background probe closes the circuit once the endpoint answers, even
+  // with an HTTP error below 500
+  const server = http.createServer((req, res) => {
+    res.writeHead(req.method === 'HEAD' ? 404 : 405);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const probed = createCircuitBreaker(`http://127.0.0.1:${server.address().port}`);
+  for (let i = 0; i < 3; i++) {
+    probed.recordFailure(failure);
+  }
+  assert.strictEqual(probed.state, 'open');
+  await sleep(100);
+  assert.strictEqual(probed.state, 'closed');
+  assert.ok(probed.allowRequest());
+
+  breaker.stop();
+  server.close();
+  console.log('Circuit breaker tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
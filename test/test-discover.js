@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_API_KEY = 'compose-key';
+process.env.MCP_API_KEY_FILE = '';
+process.env.MCP_API_KEY_COMMAND = '';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-discover-test-'));
+
+// A proxy listing its servers to clients with the right key
+const listing = {
+  filesystem: { status: 'running' },
+  memory: { status: 'running' },
+  weather: { status: 'stopped' },
+};
+const server = http.createServer((req, res) => {
+  if (req.headers.authorization !== 'Bearer compose-key') {
+    res.writeHead(401);
+    return res.end();
+  }
+  if (req.url !== '/api/servers') {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(listing));
+});
+
+// Run mcp-npx (bin/npx under that name) and collect its output
+function mcpNpx(args, env) {
+  const link = path.join(tmpDir, 'mcp-npx');
+  if (!fs.existsSync(link)) {
+    fs.symlinkSync(path.resolve(__dirname, '../bin/npx'), link);
+  }
+  return new Promise((resolve) => {
+    execFile(link, args, { env: { ...process.env, ...env }, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const proxyUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.MCP_PROXY_URL = proxyUrl;
+  const discover = require('../lib/discover');
+
+  // Listings come in a few shapes; stopped servers are left out
+  assert.deepStrictEqual(discover.parseServerList(['b', 'a']), ['a', 'b']);
+  assert.deepStrictEqual(discover.parseServerList({ servers: [{ name: 'x', status: 'Running' }, { name: 'y', status: 'exited' }] }), ['x']);
+  assert.deepStrictEqual(discover.parseServerList({ servers: [{ name: 'y', status: 'exited' }] }, { all: true }), ['y']);
+  assert.deepStrictEqual(discover.parseServerList({ ok: {}, 'bad name': {} }), ['ok']);
+  assert.throws(() => discover.parseServerList('nope'), /not a list or object/);
+
+  // The listing is fetched with the shim's credentials
+  assert.deepStrictEqual(await discover.fetchServers(), ['filesystem', 'memory']);
+  await assert.rejects(discover.fetchServers({ endpoint: '/missing' }), /returned HTTP 404/);
+
+  // Entries start the shim for their server, with references to secrets
+  // but not the secrets themselves
+  const entry = discover.buildEntry('memory', { proxyUrl, env: { MCP_API_KEY: 'k', MCP_API_KEY_FILE: '/keys/compose' } });
+  assert.strictEqual(entry.command, process.execPath);
+  assert.deepStrictEqual(entry.args, [path.resolve(__dirname, '../lib/mcp-shim.js')]);
+  assert.deepStrictEqual(entry.env, { MCP_SERVER_NAME: 'memory', MCP_PROXY_URL: proxyUrl, MCP_API_KEY_FILE: '/keys/compose' });
+  assert.strictEqual(discover.buildEntry('memory', { proxyUrl, env: { MCP_API_KEY: 'k' }, withSecrets: true }).env.MCP_API_KEY, 'k');
+  assert.strictEqual(discover.buildEntry('memory', { proxyUrl, env: { MCP_TLS_KEY_PASSPHRASE_FILE: '/keys/pass' } }).env.MCP_TLS_KEY_PASSPHRASE_FILE, '/keys/pass');
+  assert.strictEqual(discover.buildEntry('filesystem', { proxyUrl, env: {}, allowedPaths: ['/a', '/b:ro'] }).env.MCP_ALLOWED_PATHS, '/a,/b:ro');
+  assert.ok(discover.isManaged(entry));
+  assert.ok(discover.needsAllowedPaths('filesystem'));
+  assert.ok(!discover.needsAllowedPaths('memory'));
+
+  // Merging keeps hand-written entries, and drops discovered ones whose
+  // server is gone from this proxy but not those of other proxies
+  const handWritten = { command: '/opt/shim/bin/npx', args: ['-y', '@modelcontextprotocol/server-filesystem', '/Users/me'] };
+  const config = {
+    globalShortcut: 'Ctrl+Space',
+    mcpServers: {
+      filesystem: handWritten,
+      weather: discover.buildEntry('weather', { proxyUrl, env: {} }),
+      github: discover.buildEntry('github', { proxyUrl: 'http://elsewhere:9876', env: {} }),
+    },
+  };
+  const entries = {
+    filesystem: discover.buildEntry('filesystem', { proxyUrl, env: {} }),
+    memory: discover.buildEntry('memory', { proxyUrl, env: {} }),
+  };
+  const merged = discover.mergeServers(config, entries, { proxyUrl });
+  assert.deepStrictEqual(merged.skipped, ['filesystem']);
+  assert.deepStrictEqual(merged.added, ['memory']);
+  assert.deepStrictEqual(merged.removed, ['weather']);
+  assert.deepStrictEqual(Object.keys(merged.config.mcpServers).sort(), ['filesystem', 'github', 'memory']);
+  assert.strictEqual(merged.config.mcpServers.filesystem, handWritten);
+  assert.strictEqual(merged.config.globalShortcut, 'Ctrl+Space');
+  assert.deepStrictEqual(discover.mergeServers(config, entries, { proxyUrl, force: true }).config.mcpServers.filesystem, entries.filesystem);
+  assert.strictEqual(discover.mergeServers(config, {}, { proxyUrl, keep: ['weather'] }).config.mcpServers.weather, config.mcpServers.weather);
+
+  // Rewritten entries keep their path restrictions, unless new ones are given
+  const restricted = discover.buildEntry('filesystem', { proxyUrl, env: {}, allowedPaths: ['/projects'] });
+  restricted.env.MCP_DENY_PATHS = '**/.env';
+  const rediscovered = discover.mergeServers({ mcpServers: { filesystem: restricted } }, { filesystem: discover.buildEntry('filesystem', { proxyUrl, env: {} }) }, { proxyUrl });
+  assert.deepStrictEqual(rediscovered.config.mcpServers.filesystem, restricted);
+  assert.deepStrictEqual(rediscovered.updated, []);
+  const reallowed = discover.mergeServers({ mcpServers: { filesystem: restricted } }, { filesystem: discover.buildEntry('filesystem', { proxyUrl, env: {}, allowedPaths: ['/other'] }) }, { proxyUrl });
+  assert.strictEqual(reallowed.config.mcpServers.filesystem.env.MCP_ALLOWED_PATHS, '/other');
+  assert.strictEqual(reallowed.config.mcpServers.filesystem.env.MCP_DENY_PATHS, '**/.env');
+
+  // Diffs show changed lines with context
+  const diff = discover.formatDiff(discover.diffLines('a\nb\nc\nd\ne\nf\ng\nh\ni', 'a\nb\nc\nd\nE\nf\ng\nh\ni'), 1);
+  assert.strictEqual(diff, '  ...\n  d\n- e\n+ E\n  f\n  ...');
+  assert.strictEqual(discover.formatDiff(discover.diffLines('same', 'same')), '');
+
+  // End to end through mcp-npx: print, dry run, then merge with a backup
+  const configFile = path.join(tmpDir, 'claude_desktop_config.json');
+  fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+  const env = { MCP_PROXY_URL: proxyUrl, MCP_API_KEY: 'compose-key' };
+
+  // Filesystem servers are left out until they are given allowed paths
+  const printed = await mcpNpx(['discover'], env);
+  assert.strictEqual(printed.status, 0, printed.stderr);
+  assert.deepStrictEqual(Object.keys(JSON.parse(printed.stdout).mcpServers), ['memory']);
+  assert.match(printed.stderr, /Skipping "filesystem": give the paths it may use with --allow <path>/);
+
+  const allowed = await mcpNpx(['discover', '--allow', tmpDir, '--allow', '/srv/data:ro'], env);
+  assert.strictEqual(allowed.status, 0, allowed.stderr);
+  const allowedServers = JSON.parse(allowed.stdout).mcpServers;
+  assert.strictEqual(allowedServers.filesystem.env.MCP_ALLOWED_PATHS, `${tmpDir},/srv/data:ro`);
+  assert.strictEqual(allowedServers.memory.env.MCP_ALLOWED_PATHS, undefined);
+
+  const dryRun = await mcpNpx(['discover', '--merge', '--dry-run', '--config', configFile], env);
+  assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+  assert.match(dryRun.stdout, /^\+\s+"MCP_SERVER_NAME": "memory",$/m);
+  assert.match(dryRun.stdout, /^-\s+"MCP_SERVER_NAME": "weather",$/m);
+  assert.match(dryRun.stderr, /Skipping "filesystem"/);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')), config);
+
+  const written = await mcpNpx(['discover', '--merge', '--config', configFile], env);
+  assert.strictEqual(written.status, 0, written.stderr);
+  assert.match(written.stderr, /1 added, 0 updated, 1 removed/);
+  const updated = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  assert.deepStrictEqual(Object.keys(updated.mcpServers).sort(), ['filesystem', 'github', 'memory']);
+  const backups = fs.readdirSync(tmpDir).filter(name => name.endsWith('.bak'));
+  assert.strictEqual(backups.length, 1);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmpDir, backups[0]), 'utf8')), config);
+
+  assert.strictEqual(updated.mcpServers.filesystem.command, handWritten.command);
+
+  // Running again changes nothing
+  const again = await mcpNpx(['discover', '--merge', '--config', configFile], env);
+  assert.match(again.stderr, /is up to date/);
+
+  // A discovered filesystem entry keeps its allowed paths on later runs
+  const forced = await mcpNpx(['discover', '--merge', '--force', '--allow', tmpDir, '--config', configFile], env);
+  assert.strictEqual(forced.status, 0, forced.stderr);
+  assert.strictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')).mcpServers.filesystem.env.MCP_ALLOWED_PATHS, tmpDir);
+  const kept = await mcpNpx(['discover', '--merge', '--config', configFile], env);
+  assert.strictEqual(kept.status, 0, kept.stderr);
+  assert.match(kept.stderr, /is up to date/);
+
+  // A wrong key is reported
+  const denied = await mcpNpx(['discover'], { ...env, MCP_API_KEY: 'wrong' });
+  assert.strictEqual(denied.status, 1);
+  assert.match(denied.stderr, /returned HTTP 401/);
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Discovery tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../lib/disk-cache');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-disk-cache-test-'));
+const hour = 60 * 60 * 1000;
+
+(async () => {
+  const store = createStore({ dir: tmpDir, namespace: 'memory-abc', maxBytes: 1000 });
+  const other = createStore({ dir: tmpDir, namespace: 'memory-abc', maxBytes: 1000 });
+
+  // Entries written by one process are visible to another
+  await store.set('tools/list:{}', { result: { tools: [] } }, Date.now() + hour, { method: 'tools/list', pinned: true });
+  const entry = await other.get('tools/list:{}');
+  assert.deepStrictEqual(entry.value, { result: { tools: [] } });
+  assert.deepStrictEqual(entry.meta, { method: 'tools/list', pinned: true });
+  assert.strictEqual(await store.get('missing'), null);
+
+  // Namespaces are separate
+  const weather = createStore({ dir: tmpDir, namespace: 'weather-abc', maxBytes: 1000 });
+  assert.strictEqual(await weather.get('tools/list:{}'), null);
+
+  // Concurrent writers to one key leave a complete entry and no temporary files
+  await Promise.all([1, 2, 3, 4, 5].map(n => (n % 2 ? store : other).set('race', { n }, Date.now() + hour)));
+  assert.ok([1, 2, 3, 4, 5].includes((await store.get('race')).value.n));
+  assert.deepStrictEqual(fs.readdirSync(store.root).filter(name => name.endsWith('.tmp')), []);
+
+  // Expired entries are misses unless asked for explicitly
+  await store.set('old', { n: 1 }, Date.now() - 1);
+  assert.strictEqual(await store.get('old'), null);
+  assert.deepStrictEqual((await store.get('old', { allowExpired: true })).value, { n: 1 });
+  await store.delete('old');
+
+  // Corrupt files are misses
+  await store.set('corrupt', { n: 1 }, Date.now() + hour);
+  const corruptFile = fs.readdirSync(store.root).map(name => path.join(store.root, name))
+    .find(file => JSON.parse(fs.readFileSync(file, 'utf8')).key === 'corrupt');
+  fs.writeFileSync(corruptFile, '{"key":');
+  assert.strictEqual(await store.get('corrupt'), null);
+  assert.ok(!fs.existsSync(corruptFile));
+
+  // Entries can be removed by metadata, and deleting twice is harmless
+  await store.set('read:/a', {}, Date.now() + hour, { method: 'tools/call', paths: ['/a'] });
+  await store.set('read:/b', {}, Date.now() + hour, { method: 'tools/call', paths: ['/b'] });
+  assert.strictEqual(await other.deleteWhere(({ meta }) => (meta.paths || []).includes('/a')), 1);
+  assert.strictEqual(await store.get('read:/a'), null);
+  assert.ok(await store.get('read:/b'));
+  await Promise.all([store.delete('read:/b'), other.delete('read:/b')]);
+
+  // Garbage collection drops expired entries, then the least recently used
+  // until the namespace fits its budget
+  const small = createStore({ dir: tmpDir, namespace: 'gc', maxBytes: 400 });
+  const padding = 'x'.repeat(100);
+  for (const key of ['a', 'b', 'c']) {
+    await small.set(key, { padding }, Date.now() + hour);
+  }
+  await small.set('expired', { padding }, Date.now() + hour);
+  const expiredFile = fs.readdirSync(small.root).map(name => path.join(small.root, name))
+    .find(file => JSON.parse(fs.readFileSync(file, 'utf8')).key === 'expired');
+  fs.writeFileSync(expiredFile, JSON.stringify({ key: 'expired', expiry: 0, value: {} }));
+
+  // Make "a" the oldest, then use it so "b" becomes the least recently used
+  for (const [key, age] of [['a', 30], ['b', 20], ['c', 10]]) {
+    const file = fs.readdirSync(small.root).map(name => path.join(small.root, name))
+      .find(candidate => JSON.parse(fs.readFileSync(candidate, 'utf8')).key === key);
+    const time = new Date(Date.now() - age * 1000);
+    fs.utimesSync(file, time, time);
+  }
+  await small.get('a');
+
+  const leftover = path.join(small.root, 'stale.json.123.abcd.tmp');
+  fs.writeFileSync(leftover, '{');
+  const old = new Date(Date.now() - 2 * 60 * 1000);
+  fs.utimesSync(leftover, old, old);
+
+  const { removed, bytes } = await small.collectGarbage();
+  assert.strictEqual(removed, 2);
+  assert.ok(bytes <= 400);
+  assert.strictEqual(await small.get('b'), null);
+  assert.ok(await small.get('a'));
+  assert.ok(await small.get('c'));
+  assert.ok(!fs.existsSync(leftover));
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Disk cache tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-doctor-test-'));
+
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_API_KEY = 'compose-key';
+process.env.MCP_API_KEY_FILE = '';
+process.env.MCP_API_KEY_COMMAND = '';
+process.env.MCP_ROUTES_FILE = path.join(tmpDir, 'routes.json');
+process.env.MCP_POLICY_FILE = path.join(tmpDir, 'policy.json');
+process.env.MCP_ALLOWED_PATHS = '';
+process.env.MCP_PATH_MAPPINGS = '';
+
+const doctor = require('../lib/doctor');
+
+// A proxy running memory, which works, and broken, which fails every request
+const proxy = http.createServer((req, res) => {
+  if (req.method === 'HEAD' && req.url === '/') {
+    res.writeHead(200);
+    return res.end();
+  }
+  if (req.headers.authorization !== 'Bearer compose-key') {
+    res.writeHead(401);
+    return res.end();
+  }
+  if (req.url === '/api/servers') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ memory: { status: 'running' }, broken: { status: 'running' } }));
+  }
+
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (req.url === '/broken') {
+      res.writeHead(502);
+      return res.end('Server exited');
+    }
+    const message = body ? JSON.parse(body) : {};
+    if (req.method !== 'POST' || message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+    const result = message.method === 'initialize'
+      ? { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'memory', version: '2' } }
+      : { tools: [{ name: 'read_graph', inputSchema: {} }, { name: 'search_nodes', inputSchema: {} }] };
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'memory-session' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+  });
+});
+
+// Run mcp-npx doctor (bin/npx under that name) and collect its output
+function mcpNpx(args, env) {
+  const link = path.join(tmpDir, 'mcp-npx');
+  if (!fs.existsSync(link)) {
+    fs.symlinkSync(path.resolve(__dirname, '../bin/npx'), link);
+  }
+  return new Promise((resolve) => {
+    execFile(link, ['doctor', ...args], { env: { ...process.env, ...env }, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+(async () => {
+  // Node.js versions
+  assert.strictEqual(doctor.checkNode('v12.22.0').status, 'fail');
+  assert.strictEqual(doctor.checkNode().status, 'pass');
+
+  // Pass-through finds the first npx that isn't the wrapper. Doctor asks the
+  // wrapper, so both agree on the same fixtures.
+  const wrapper = path.resolve(__dirname, '../bin/npx');
+  const wrapperDir = path.join(tmpDir, 'wrapper-bin');
+  const realDir = path.join(tmpDir, 'real-bin');
+  fs.mkdirSync(wrapperDir);
+  fs.mkdirSync(realDir);
+  fs.symlinkSync(wrapper, path.join(wrapperDir, 'npx'));
+  fs.symlinkSync(wrapper, path.join(wrapperDir, 'mcp-npx'));
+  fs.symlinkSync(wrapper, path.join(wrapperDir, 'no-such-tool'));
+  fs.writeFileSync(path.join(realDir, 'npx'), '#!/bin/sh\necho "real npx $*"\n', { mode: 0o755 });
+  const systemPath = path.dirname(process.execPath) + path.delimiter + '/usr/bin:/bin';
+  const env = { ...process.env, PATH: [wrapperDir, realDir, systemPath].join(path.delimiter) };
+  const options = { env, systemDirs: [], wrapper: path.join(wrapperDir, 'npx') };
+  assert.strictEqual(doctor.resolveRealCommand(options), path.join(realDir, 'npx'));
+  assert.strictEqual(doctor.resolveRealCommand({ ...options, wrapper: path.join(wrapperDir, 'mcp-npx') }), path.join(realDir, 'npx'));
+  assert.strictEqual(doctor.checkRealNpx(options).status, 'pass');
+  const passedThrough = await new Promise((resolve, reject) => {
+    execFile(options.wrapper, ['cowsay', 'hi'], { env: { ...env, MCP_SYSTEM_BIN_DIRS: '' }, timeout: 30000 }, (error, stdout) => error ? reject(error) : resolve(stdout));
+  });
+  assert.strictEqual(passedThrough, 'real npx cowsay hi\n');
+
+  const missingCommand = doctor.checkRealNpx({ ...options, wrapper: path.join(wrapperDir, 'no-such-tool') });
+  assert.strictEqual(missingCommand.status, 'fail');
+  assert.strictEqual(missingCommand.detail, 'not found');
+
+  // The system directories are tried first, so the wrapper installed there
+  // would run itself
+  const looping = doctor.checkRealNpx({ ...options, systemDirs: [wrapperDir] });
+  assert.strictEqual(looping.status, 'fail');
+  assert.match(looping.detail, /would loop/);
+
+  // Paths and log files
+  const missing = path.join(tmpDir, 'missing');
+  const paths = doctor.checkPaths({ CONFIG: { allowedPaths: [tmpDir, missing], pathMappings: [`${missing}=/data`] } });
+  assert.deepStrictEqual(paths.map(({ status }) => status), ['pass', 'fail', 'fail']);
+  assert.strictEqual(doctor.checkPaths({ CONFIG: { allowedPaths: [], pathMappings: [] } })[0].status, 'pass');
+  assert.strictEqual(doctor.checkWritable('Log file', path.join(tmpDir, 'shim.log'), true, 'MCP_LOG_FILE_PATH').status, 'pass');
+  const unwritable = doctor.checkWritable('Log file', path.join(missing, 'shim.log'), true, 'MCP_LOG_FILE_PATH');
+  assert.strictEqual(unwritable.status, 'fail');
+  assert.match(doctor.formatResult(unwritable), /^\[FAIL\] Log file: .* is not writable\n {7}hint: Set MCP_LOG_FILE_PATH/);
+
+  // An invalid routes file is reported before anything else is tried
+  fs.writeFileSync(process.env.MCP_ROUTES_FILE, '{ nope');
+  const [routesResult] = doctor.checkConfigFiles();
+  assert.strictEqual(routesResult.status, 'fail');
+  assert.match(routesResult.detail, /malformed JSON/);
+  fs.unlinkSync(process.env.MCP_ROUTES_FILE);
+
+  // End to end: every server the proxy lists is started through the shim
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+  const shimEnv = { MCP_PROXY_URL: proxyUrl, MCP_RETRY_INITIAL_DELAY_MS: '10', MCP_ALLOWED_PATHS: tmpDir };
+
+  const all = await mcpNpx([], shimEnv);
+  assert.strictEqual(all.status, 1, all.stderr);
+  assert.match(all.stdout, /^\[PASS\] Proxy http:\/\/127\.0\.0\.1:\d+: HTTP 200 in \d+ms$/m);
+  assert.match(all.stdout, /^\[PASS\] Authentication: bearer credentials accepted$/m);
+  assert.match(all.stdout, /^\[PASS\] Server memory: initialize \d+ms \(memory 2\), tools\/list \d+ms \(2 tools\)$/m);
+  assert.match(all.stdout, /^\[FAIL\] Server broken: initialize failed: .*502.*\n {7}hint: The server is failing on the proxy/m);
+  assert.match(all.stdout, /^\[PASS\] Allowed path: /m);
+  assert.match(all.stdout, /^\d+ checks: 1 failed, 0 warned$/m);
+
+  // Just the named servers
+  const one = await mcpNpx(['memory'], shimEnv);
+  assert.strictEqual(one.status, 0, one.stdout);
+  assert.doesNotMatch(one.stdout, /Server broken/);
+
+  // Wrong credentials, and no proxy at all
+  const denied = await mcpNpx(['memory'], { ...shimEnv, MCP_API_KEY: 'wrong' });
+  assert.strictEqual(denied.status, 1);
+  assert.match(denied.stdout, /^\[FAIL\] Authentication: bearer credentials rejected with HTTP 401$/m);
+  assert.match(denied.stdout, /^\[FAIL\] Server memory: .*\n {7}hint: Check MCP_API_KEY/m);
+
+  proxy.close();
+  const down = await mcpNpx(['memory'], shimEnv);
+  assert.strictEqual(down.status, 1);
+  assert.match(down.stdout, /^\[FAIL\] Proxy .*ECONNREFUSED.*\n {7}hint: Start MCP-Compose/m);
+
+  assert.strictEqual((await mcpNpx(['--verbose'], shimEnv)).status, 2);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('Doctor tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
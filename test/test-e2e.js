@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-e2e-test-'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const proxy = createMockProxy({ apiKey: 'test-key' });
+  const url = await proxy.start();
+  const base = { MCP_PROXY_URL: url, MCP_API_KEY: 'test-key' };
+  const shims = [];
+  const start = (env) => {
+    const shim = startShim({ ...base, ...env });
+    shims.push(shim);
+    return shim;
+  };
+
+  try {
+    const memory = start({
+      MCP_SERVER_NAME: 'memory',
+      MCP_TIMEOUT_MS: '1000',
+      MCP_MAX_RETRIES: '3',
+      MCP_MAX_RESPONSE_SIZE: '100000',
+      // Every failure below counts against the circuit, which would open
+      MCP_CIRCUIT_FAILURE_THRESHOLD: '100',
+    });
+
+    // Handshake, and the client's notifications are passed on
+    const initialized = await memory.initialize();
+    assert.strictEqual(initialized.result.serverInfo.name, 'memory');
+    await memory.request('ping');
+    assert.strictEqual(proxy.received('memory', 'notifications/initialized').length, 1);
+    assert.strictEqual(proxy.received('memory', 'initialize')[0].headers.authorization, 'Bearer test-key');
+
+    // Lists are cached: the second tools/list never reaches the proxy
+    const tools = await memory.request('tools/list');
+    assert.deepStrictEqual(tools.result.tools.map(tool => tool.name), ['read_graph']);
+    assert.deepStrictEqual(await memory.request('tools/list'), { ...tools, id: tools.id + 1 });
+    assert.strictEqual(proxy.received('memory', 'tools/list').length, 1);
+
+    // Server errors are retried with backoff until one succeeds...
+    proxy.script('memory', { tool: 'flaky', status: 502, times: 2 });
+    const retried = await memory.request('tools/call', { name: 'flaky', arguments: {} });
+    assert.strictEqual(retried.result.content[0].text, 'flaky {}');
+    assert.strictEqual(proxy.received('memory', 'tools/call').length, 3);
+
+    // ...or the retries run out
+    proxy.reset();
+    proxy.script('memory', { tool: 'failing', status: 503, times: 4 });
+    const exhausted = await memory.request('tools/call', { name: 'failing', arguments: {} });
+    assert.strictEqual(exhausted.error.code, -32003);
+    assert.match(exhausted.error.message, /HTTP error 503/);
+    assert.strictEqual(proxy.received('memory', 'tools/call').length, 4);
+
+    // A slow answer times out once, without retries
+    proxy.reset();
+    proxy.script('memory', { tool: 'slow', delayMs: 1500 });
+    const timedOut = await memory.request('tools/call', { name: 'slow', arguments: {} });
+    assert.strictEqual(timedOut.error.code, -32000);
+    assert.strictEqual(proxy.received('memory', 'tools/call').length, 1);
+
+    // Bodies that aren't JSON are an error
+    proxy.script('memory', { tool: 'garbled', malformed: true, times: 4 });
+    const garbled = await memory.request('tools/call', { name: 'garbled', arguments: {} });
+    assert.strictEqual(garbled.error.code, -32003);
+    assert.match(garbled.error.message, /JSON/);
+
+    // Bodies over MCP_MAX_RESPONSE_SIZE are dropped, not retried
+    proxy.reset();
+    proxy.script('memory', { tool: 'huge', bytes: 200000 });
+    const huge = await memory.request('tools/call', { name: 'huge', arguments: {} });
+    assert.strictEqual(huge.error.code, -32004);
+    assert.strictEqual(proxy.received('memory', 'tools/call').length, 1);
+
+    // Messages the server streams before its response reach the client first
+    const progress = { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'p1', progress: 1, total: 2 } };
+    proxy.script('memory', { tool: 'stream', sse: true, events: [progress] });
+    const streamed = await memory.request('tools/call', { name: 'stream', arguments: {}, _meta: { progressToken: 'p1' } });
+    assert.ok(streamed.result);
+    assert.ok(memory.messages.indexOf(streamed) > memory.messages.findIndex(message => message.method === 'notifications/progress'));
+
+    // The client's answers to the server's requests go back upstream, unless
+    // the server cancelled the request or it has waited past the timeout
+    proxy.reset();
+    const ask = id => ({ jsonrpc: '2.0', id, method: 'sampling/createMessage', params: { messages: [], maxTokens: 1 } });
+    const serverCancel = { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'q2' } };
+    proxy.script('memory', { tool: 'ask', sse: true, events: [ask('q1'), ask('q2'), serverCancel, ask('q3')] });
+    await memory.request('tools/call', { name: 'ask', arguments: {} });
+    memory.send({ jsonrpc: '2.0', id: 'q1', result: {} });
+    memory.send({ jsonrpc: '2.0', id: 'q2', result: {} });
+    await sleep(1100);
+    memory.send({ jsonrpc: '2.0', id: 'q3', result: {} });
+    await sleep(200);
+    const answered = proxy.received('memory').filter(item => item.method === undefined).map(item => item.message.id);
+    assert.deepStrictEqual(answered, ['q1']);
+
+    // A cancelled request gets no response, and the server is told
+    proxy.reset();
+    proxy.script('memory', { tool: 'slow', delayMs: 300 });
+    const cancelledId = memory.nextId++;
+    memory.send({ jsonrpc: '2.0', id: cancelledId, method: 'tools/call', params: { name: 'slow', arguments: {} } });
+    await sleep(100);
+    memory.notify('notifications/cancelled', { requestId: cancelledId, reason: 'test' });
+    await sleep(400);
+    await memory.request('ping');
+    assert.ok(!memory.messages.some(message => message.id === cancelledId));
+    assert.strictEqual(proxy.received('memory', 'notifications/cancelled')[0].message.params.requestId, cancelledId);
+
+    // Lines that aren't JSON-RPC are answered with a parse error
+    memory.write('{ not json');
+    const parseError = await memory.waitFor(message => message.error?.code === -32700, 'parse error');
+    assert.strictEqual(parseError.id, null);
+
+    // Paths outside the allowed directories never reach the proxy
+    const filesystem = start({ MCP_SERVER_NAME: 'filesystem', MCP_ALLOWED_PATHS: tmpDir });
+    await filesystem.initialize();
+    const denied = await filesystem.request('tools/call', { name: 'read_file', arguments: { path: '/etc/passwd' } });
+    assert.strictEqual(denied.error.code, -32600);
+    assert.strictEqual(denied.error.data.source, 'path-security');
+    const allowed = await filesystem.request('tools/call', { name: 'read_file', arguments: { path: path.join(tmpDir, 'notes.txt') } });
+    assert.ok(allowed.result);
+    assert.strictEqual(proxy.received('filesystem', 'tools/call').length, 1);
+
+    // Wrong credentials
+    const unauthorized = start({ MCP_SERVER_NAME: 'memory', MCP_API_KEY: 'wrong' });
+    assert.strictEqual((await unauthorized.initialize()).error.code, -32001);
+
+    // Requests over the rate limit are rejected once they have waited long enough
+    const limited = start({ MCP_SERVER_NAME: 'memory', MCP_RATE_LIMIT: '1', MCP_RATE_LIMIT_BURST: '2', MCP_RATE_LIMIT_MAX_WAIT_MS: '50' });
+    await limited.initialize();
+    assert.ok((await limited.request('tools/call', { name: 'read_graph', arguments: { page: 1 } })).result);
+    assert.strictEqual((await limited.request('tools/call', { name: 'read_graph', arguments: { page: 2 } })).error.code, -32029);
+
+    // Requests still running when the shim is stopped are cancelled upstream,
+    // without waiting long for the proxy to take the cancellation
+    proxy.reset();
+    const stopping = startShim({ ...base, MCP_SERVER_NAME: 'memory', MCP_TIMEOUT_MS: '30000', MCP_SHUTDOWN_TIMEOUT_MS: '100' });
+    shims.push(stopping);
+    await stopping.initialize();
+    proxy.script('memory', { tool: 'slow', delayMs: 3000 });
+    proxy.script('memory', { method: 'notifications/cancelled', delayMs: 3000 });
+    const stoppingId = stopping.nextId++;
+    stopping.send({ jsonrpc: '2.0', id: stoppingId, method: 'tools/call', params: { name: 'slow', arguments: {} } });
+    await sleep(100);
+    const stoppedAt = Date.now();
+    stopping.child.kill('SIGTERM');
+    assert.strictEqual(await stopping.close(), 0, stopping.stderr);
+    assert.ok(Date.now() - stoppedAt < 2500);
+    const [shutdownCancel] = proxy.received('memory', 'notifications/cancelled');
+    assert.deepStrictEqual(shutdownCancel.message.params, { requestId: stoppingId, reason: 'Shim shutting down' });
+
+    // The shim exits cleanly when the client goes away
+    for (const shim of shims) {
+      assert.strictEqual(await shim.close(), 0, shim.stderr);
+    }
+  } finally {
+    shims.forEach(shim => shim.child.kill());
+    await proxy.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('End-to-end tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
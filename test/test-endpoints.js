@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+
+process.env.MCP_SERVER_NAME = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+process.env.MCP_CACHE = 'false';
+process.env.MCP_RETRY_INITIAL_DELAY_MS = '10';
+process.env.MCP_TIMEOUT_MS = '500';
+
+const { endpoints, session, handleMessage } = require('../lib/mcp-shim');
+const { parseProxyUrls } = require('../lib/routes');
+
+// Proxy URL lists and weights
+assert.deepStrictEqual(parseProxyUrls('http://a:1/, https://b:2;weight=3'), [
+  { url: 'http://a:1', weight: 1 },
+  { url: 'https://b:2', weight: 3 },
+]);
+assert.deepStrictEqual(parseProxyUrls(['http://a:1', { url: 'http://b:2', weight: 2 }]).map(e => e.weight), [1, 2]);
+assert.throws(() => parseProxyUrls('http://a:1;weight=0'), /positive integer/);
+assert.throws(() => parseProxyUrls('http://a:1;priority=1'), /unknown option "priority=1"/);
+assert.throws(() => endpoints.configure('http://a:1', 'random'), /MCP_PROXY_POLICY/);
+
+// Round-robin follows the weights; failover sticks to the first endpoint
+endpoints.configure('http://a:1,http://b:1;weight=3', 'round-robin');
+const counts = { 'http://a:1': 0, 'http://b:1': 0 };
+for (let i = 0; i < 40; i++) {
+  counts[endpoints.select().url]++;
+}
+assert.deepStrictEqual(counts, { 'http://a:1': 10, 'http://b:1': 30 });
+
+endpoints.configure('http://a:1,http://b:1,http://c:1', 'failover');
+const [a, b, c] = endpoints.list;
+assert.strictEqual(endpoints.select(), a);
+
+// Retries move on to endpoints the request hasn't failed on
+assert.strictEqual(endpoints.select([a]), b);
+assert.strictEqual(endpoints.select([a, b]), c);
+assert.strictEqual(endpoints.select([a, b, c]), a);
+
+// Endpoints with an open circuit are skipped, and when all are open there is nothing to select
+for (let i = 0; i < 5; i++) {
+  a.breaker.recordFailure(new Error('down'));
+}
+assert.strictEqual(endpoints.select(), b);
+assert.ok(endpoints.hasUntried([b]));
+for (const endpoint of [b, c]) {
+  for (let i = 0; i < 5; i++) {
+    endpoint.breaker.recordFailure(new Error('down'));
+  }
+}
+assert.strictEqual(endpoints.select(), null);
+assert.ok(endpoints.retryAfterMs() > 0);
+endpoints.stop();
+
+// A proxy that answers initialize with a session and echoes the session it
+// sees; a stalled one never answers anything else
+function startProxy(name, { stalled = false } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      requests.push({ method: message.method, session: req.headers['mcp-session-id'] });
+      if (message.id === undefined) {
+        res.writeHead(202);
+        return res.end();
+      }
+      if (stalled && message.method !== 'initialize') {
+        return;
+      }
+      const result = message.method === 'initialize' ? { protocolVersion: '2025-06-18' } : { served: name };
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': `${name}-session` });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` })));
+}
+
+const call = id => handleMessage({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'read_graph', arguments: {} } });
+
+(async () => {
+  const primary = await startProxy('primary');
+  const secondary = await startProxy('secondary');
+
+  // Nothing listens on the first URL, so the request fails over without delay
+  endpoints.configure(`http://127.0.0.1:9,${primary.url},${secondary.url}`, 'failover');
+  const started = Date.now();
+  const initialized = await handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } });
+  assert.strictEqual(initialized.result.protocolVersion, '2025-06-18');
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(session.endpoint, endpoints.list[1]);
+
+  // Session traffic stays on the endpoint that answered initialize, though
+  // the first endpoint is preferred and its circuit is still closed
+  assert.strictEqual(endpoints.list[0].breaker.state, 'closed');
+  for (let id = 2; id < 5; id++) {
+    assert.strictEqual((await call(id)).result.served, 'primary');
+  }
+  assert.ok(primary.requests.slice(1).every(request => request.session === 'primary-session'));
+  assert.strictEqual(secondary.requests.length, 0);
+
+  // When that endpoint goes away, the session moves: the handshake is
+  // replayed on the next endpoint that answers and the request completes there
+  primary.server.close();
+  if (primary.server.closeAllConnections) {
+    primary.server.closeAllConnections();
+  }
+  const moved = await call(5);
+  assert.strictEqual(moved.result.served, 'secondary');
+  assert.deepStrictEqual(secondary.requests.map(request => request.method), ['initialize', 'notifications/initialized', 'tools/call']);
+  assert.strictEqual(secondary.requests[2].session, 'secondary-session');
+  assert.strictEqual(session.endpoint, endpoints.list[2]);
+
+  // A request that times out on one endpoint is tried on the next,
+  // rather than failing while that one is still healthy
+  const stalled = await startProxy('stalled', { stalled: true });
+  endpoints.configure(`${stalled.url},${secondary.url}`, 'failover');
+  session.endpoint = null;
+  await handleMessage({ jsonrpc: '2.0', id: 6, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } });
+  assert.strictEqual(session.endpoint, endpoints.list[0]);
+  const timedOut = Date.now();
+  const rescued = await call(7);
+  assert.strictEqual(rescued.result.served, 'secondary');
+  assert.ok(Date.now() - timedOut < 1000);
+  assert.strictEqual(session.endpoint, endpoints.list[1]);
+
+  endpoints.stop();
+  secondary.server.close();
+  stalled.server.close();
+  if (stalled.server.closeAllConnections) {
+    stalled.server.closeAllConnections();
+  }
+  console.log('Endpoint tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fetch = require('node-fetch');
+const http = require('http');
+
+process.env.MCP_SERVER_NAME = 'memory';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+
+const { endpoints, localServer } = require('../lib/mcp-shim');
+
+// Upstream proxy: a new session per initialize, tool calls report the
+// session they arrived on, and "progress" calls stream a notification first
+const upstream = { sessions: 0, deleted: [] };
+const proxy = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (req.method === 'DELETE') {
+      upstream.deleted.push(req.headers['mcp-session-id']);
+      res.writeHead(200);
+      return res.end();
+    }
+
+    const message = JSON.parse(body);
+    if (message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+
+    if (message.method === 'initialize') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': `upstream-${++upstream.sessions}` });
+      return res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: '2025-06-18', capabilities: {} } }));
+    }
+
+    const response = { jsonrpc: '2.0', id: message.id, result: { session: req.headers['mcp-session-id'] } };
+    if (message.params?.name === 'progress') {
+      const progress = { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 1, progress: 50 } };
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.end(`data: ${JSON.stringify(progress)}\n\ndata: ${JSON.stringify(response)}\n\n`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+});
+
+(async () => {
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  endpoints.configure(`http://127.0.0.1:${proxy.address().port}`, 'failover');
+  const port = await localServer.start(0);
+  const url = `http://127.0.0.1:${port}/mcp`;
+
+  const post = (message, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+    body: JSON.stringify(message),
+  });
+  const initialize = id => post({ jsonrpc: '2.0', id, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } });
+  const call = (session, id, name = 'read_graph', accept = 'application/json') =>
+    post({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } }, { ...(session && { 'Mcp-Session-Id': session }), 'Accept': accept });
+
+  // Each local client gets its own session, backed by its own upstream session
+  const first = await initialize(1);
+  const second = await initialize(1);
+  assert.strictEqual(first.status, 200);
+  const firstSession = first.headers.get('mcp-session-id');
+  const secondSession = second.headers.get('mcp-session-id');
+  assert.ok(firstSession && secondSession && firstSession !== secondSession);
+
+  for (const session of [firstSession, secondSession]) {
+    const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': session });
+    assert.strictEqual(initialized.status, 202);
+  }
+
+  // Request ids only need to be unique per client
+  const [a, b] = await Promise.all([call(firstSession, 2), call(secondSession, 2)]);
+  assert.deepStrictEqual(await a.json(), { jsonrpc: '2.0', id: 2, result: { session: 'upstream-1' } });
+  assert.deepStrictEqual(await b.json(), { jsonrpc: '2.0', id: 2, result: { session: 'upstream-2' } });
+
+  // Clients that accept event streams also get server messages about their request
+  const streamed = await call(firstSession, 3, 'progress', 'application/json, text/event-stream');
+  assert.match(streamed.headers.get('content-type'), /text\/event-stream/);
+  const events = (await streamed.text()).split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^event: message\ndata: /, '')));
+  assert.deepStrictEqual(events.map(event => event.method || event.id), ['notifications/progress', 3]);
+
+  // Sessions are required, checked, and only local pages may connect
+  assert.strictEqual((await call(undefined, 4)).status, 400);
+  assert.strictEqual((await call('nope', 4)).status, 404);
+  assert.strictEqual((await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': firstSession, 'Origin': 'https://evil.example' })).status, 403);
+  assert.strictEqual((await fetch(`http://127.0.0.1:${port}/other`)).status, 404);
+
+  // Ending a session ends the upstream one too
+  const deleted = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': firstSession } });
+  assert.strictEqual(deleted.status, 204);
+  assert.deepStrictEqual(upstream.deleted, ['upstream-1']);
+  assert.strictEqual((await call(firstSession, 5)).status, 404);
+  assert.strictEqual((await call(secondSession, 5)).status, 200);
+
+  await localServer.close(0);
+  endpoints.stop();
+  proxy.close();
+  console.log('Local server tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
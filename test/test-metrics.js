@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createRegistry } = require('../lib/metrics');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-metrics-test-'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} - Port
+ */
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Read one sample from metrics text
+ * @param {string} text - Metrics text
+ * @param {string} series - Metric name with its labels, as rendered
+ * @returns {number|undefined} - Value, or undefined if the series is absent
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(item => item.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+// Registry: counters, histograms and gauges in the text format
+const registry = createRegistry();
+const counter = registry.counter('test_requests_total', 'Requests\nhandled', ['method']);
+counter.inc({ method: 'tools/list' });
+counter.inc({ method: 'tools/list' }, 2);
+counter.inc({ method: 'say "hi"\\' });
+assert.strictEqual(counter.sum(), 4);
+assert.strictEqual(counter.sum(labels => labels.method === 'tools/list'), 3);
+
+const histogram = registry.histogram('test_duration_seconds', 'Duration', [], [0.1, 1]);
+histogram.observe({}, 0.05);
+histogram.observe({}, 0.5);
+histogram.observe({}, 5);
+assert.strictEqual(histogram.count(), 3);
+
+registry.gauge('test_temperature', 'Temperature', ['room'], () => [{ labels: { room: 'a' }, value: 21.5 }]);
+assert.throws(() => registry.counter('test_requests_total', 'Again'), /already registered/);
+assert.throws(() => registry.counter('test-bad', 'Bad'), /Invalid metric name/);
+
+assert.strictEqual(registry.render(), [
+  '# HELP test_requests_total Requests\\nhandled',
+  '# TYPE test_requests_total counter',
+  'test_requests_total{method="tools/list"} 3',
+  'test_requests_total{method="say \\"hi\\"\\\\"} 1',
+  '# HELP test_duration_seconds Duration',
+  '# TYPE test_duration_seconds histogram',
+  'test_duration_seconds_bucket{le="0.1"} 1',
+  'test_duration_seconds_bucket{le="1"} 2',
+  'test_duration_seconds_bucket{le="+Inf"} 3',
+  'test_duration_seconds_sum 5.55',
+  'test_duration_seconds_count 3',
+  '# HELP test_temperature Temperature',
+  '# TYPE test_temperature gauge',
+  'test_temperature{room="a"} 21.5',
+  '',
+].join('\n'));
+
+// A shim serving /metrics and /status, collecting from real traffic
+(async () => {
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const shim = startShim({
+    MCP_PROXY_URL: url,
+    MCP_SERVER_NAME: 'filesystem',
+    MCP_ALLOWED_PATHS: tmpDir,
+    MCP_METRICS_PORT: String(port),
+    MCP_TIMEOUT_MS: '500',
+    MCP_MAX_RETRIES: '2',
+    MCP_RATE_LIMITS: 'tool:write_file=1/min',
+    MCP_RATE_LIMIT_MAX_WAIT_MS: '50',
+    MCP_API_KEY: 'do-not-show',
+  });
+
+  try {
+    await shim.initialize();
+
+    // Cache: a miss, then a hit
+    await shim.request('tools/list');
+    await shim.request('tools/list');
+
+    // A retry that succeeds, a timeout, a path-security block and a rate limit
+    proxy.script('filesystem', { tool: 'read_file', status: 502 });
+    assert.ok((await shim.request('tools/call', { name: 'read_file', arguments: { path: path.join(tmpDir, 'a.txt') } })).result);
+    proxy.script('filesystem', { tool: 'read_file', delayMs: 1000 });
+    assert.strictEqual((await shim.request('tools/call', { name: 'read_file', arguments: { path: path.join(tmpDir, 'b.txt') } })).error.code, -32000);
+    assert.strictEqual((await shim.request('tools/call', { name: 'read_file', arguments: { path: '/etc/passwd' } })).error.code, -32600);
+    const write = { name: 'write_file', arguments: { path: path.join(tmpDir, 'c.txt'), content: 'x' } };
+    assert.ok((await shim.request('tools/call', write)).result);
+    assert.strictEqual((await shim.request('tools/call', write)).error.code, -32029);
+
+    const response = await fetch(`${base}/metrics`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const text = await response.text();
+
+    const labels = 'server="filesystem",method="tools/call",tool="read_file"';
+    assert.strictEqual(sample(text, `mcp_shim_requests_total{${labels},outcome="success"}`), 1);
+    assert.strictEqual(sample(text, `mcp_shim_requests_total{${labels},outcome="error"}`), 1);
+    assert.strictEqual(sample(text, `mcp_shim_requests_total{${labels},outcome="denied"}`), 1);
+    assert.strictEqual(sample(text, `mcp_shim_request_duration_seconds_count{${labels}}`), 3);
+    assert.strictEqual(sample(text, 'mcp_shim_requests_total{server="filesystem",method="tools/list",tool="",outcome="success"}'), 2);
+    assert.strictEqual(sample(text, 'mcp_shim_upstream_duration_seconds_count{server="filesystem",method="tools/call",outcome="http-error"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_upstream_duration_seconds_count{server="filesystem",method="tools/call",outcome="timeout"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_retries_total{server="filesystem",method="tools/call"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_timeouts_total{server="filesystem",method="tools/call"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_cache_lookups_total{store="memory",result="hit"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_rate_limited_total{scope="tool:write_file"}'), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_blocked_requests_total{server="filesystem",source="path-security"}'), 1);
+    assert.strictEqual(sample(text, `mcp_shim_circuit_state{endpoint="${url}",state="closed"}`), 1);
+    assert.strictEqual(sample(text, 'mcp_shim_in_flight_requests'), 0);
+
+    // Status: config without secrets, counts and the requests in flight
+    proxy.script('filesystem', { tool: 'read_file', delayMs: 300 });
+    const slowId = shim.nextId++;
+    shim.send({ jsonrpc: '2.0', id: slowId, method: 'tools/call', params: { name: 'read_file', arguments: { path: path.join(tmpDir, 'd.txt') } } });
+    await sleep(100);
+
+    const status = await (await fetch(`${base}/status`)).json();
+    assert.strictEqual(status.server, 'filesystem');
+    assert.strictEqual(status.transport, 'stdio');
+    assert.ok(status.uptimeSeconds >= 0);
+    assert.deepStrictEqual(status.config.endpoints, [{ url, weight: 1, circuit: 'closed' }]);
+    assert.strictEqual(status.config.auth, 'bearer');
+    assert.ok(!JSON.stringify(status).includes('do-not-show'));
+    assert.strictEqual(status.requests.timeouts, 1);
+    assert.strictEqual(status.requests.rateLimited, 1);
+    assert.strictEqual(status.cache.hits, 1);
+    assert.ok(status.cache.hitRatio > 0 && status.cache.hitRatio < 1);
+    assert.strictEqual(status.cache.disk, null);
+    assert.strictEqual(status.inFlight.length, 1);
+    assert.strictEqual(status.inFlight[0].id, slowId);
+    assert.strictEqual(status.inFlight[0].tool, 'read_file');
+    assert.ok(status.inFlight[0].ageMs >= 50);
+    await shim.waitFor(message => message.id === slowId, 'slow response');
+
+    // Only GET from this machine, and only the two paths
+    assert.strictEqual((await fetch(`${base}/other`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/metrics`, { method: 'POST' })).status, 405);
+    assert.strictEqual((await fetch(`${base}/metrics`, { headers: { Origin: 'http://evil.example' } })).status, 403);
+
+    // The metrics server doesn't keep the shim running
+    assert.strictEqual(await shim.close(), 0, shim.stderr);
+
+    // A response stored on disk by one shim is a memory miss and a disk hit
+    // for the next
+    const cacheEnv = { MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory', MCP_CACHE_DIR: path.join(tmpDir, 'cache') };
+    const writer = startShim(cacheEnv);
+    await writer.initialize();
+    await writer.request('tools/list');
+    assert.strictEqual(await writer.close(), 0, writer.stderr);
+
+    const reader = startShim({ ...cacheEnv, MCP_METRICS_PORT: String(port) });
+    await reader.initialize();
+    await reader.request('tools/list');
+    const diskStatus = await (await fetch(`${base}/status`)).json();
+    assert.strictEqual(await reader.close(), 0, reader.stderr);
+    assert.strictEqual(diskStatus.cache.hits, 0);
+    assert.strictEqual(diskStatus.cache.hitRatio, 0);
+    assert.ok(diskStatus.cache.misses > 0);
+    assert.deepStrictEqual(diskStatus.cache.disk, { hits: diskStatus.cache.misses, misses: 0, hitRatio: 1 });
+
+    // A bad port is a configuration error
+    const invalid = startShim({ MCP_PROXY_URL: url, MCP_METRICS_PORT: 'abc' });
+    assert.strictEqual(await invalid.close(), 1);
+    assert.match(invalid.stderr, /MCP_METRICS_PORT needs a port number/);
+  } finally {
+    shim.child.kill();
+    await proxy.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('Metrics tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
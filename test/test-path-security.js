@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+
+const { pathSecurity, pathMapping } = require('../lib/mcp-shim');
+
+// Resolve the temp dir itself, which is a symlink on some systems (macOS /tmp)
+const tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-path-test-')));
+const allowed = path.join(tmpDir, 'allowed');
+const readonly = path.join(tmpDir, 'readonly');
+const outside = path.join(tmpDir, 'outside');
+
+for (const dir of [allowed, readonly, outside, path.join(allowed, 'sub'), path.join(allowed, '.ssh')]) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+fs.writeFileSync(path.join(allowed, 'a.txt'), 'a');
+fs.writeFileSync(path.join(allowed, '.env'), 'SECRET=1');
+fs.writeFileSync(path.join(allowed, '.ssh', 'id_rsa'), 'key');
+fs.writeFileSync(path.join(allowed, 'Café.txt'), 'composed');
+fs.writeFileSync(path.join(readonly, 'r.txt'), 'r');
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+fs.symlinkSync(outside, path.join(allowed, 'escape'));
+fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(allowed, 'link.txt'));
+fs.symlinkSync(path.join(allowed, 'sub'), path.join(allowed, 'inner'));
+fs.symlinkSync(path.join(allowed, 'a.txt'), path.join(readonly, 'into-allowed.txt'));
+
+function configure(caseInsensitive) {
+  pathSecurity.configure({
+    allowedPaths: [allowed, `${readonly}:ro`],
+    denyPaths: ['**/.ssh/**', '.env'],
+    caseInsensitive,
+  });
+}
+
+// [description, path, access, caseInsensitive, expected error (null if allowed)]
+const matrix = [
+  ['file in root', path.join(allowed, 'a.txt'), 'read', false, null],
+  ['root itself', allowed, 'read', false, null],
+  ['new file in root', path.join(allowed, 'new', 'b.txt'), 'write', false, null],
+  ['trailing slash', `${allowed}/sub/`, 'read', false, null],
+  ['traversal out of root', `${allowed}/../outside/secret.txt`, 'read', false, /outside allowed directories/],
+  ['traversal staying in root', `${allowed}/sub/../a.txt`, 'read', false, null],
+  ['sibling with root as prefix', `${allowed}-evil/x`, 'read', false, /outside allowed directories/],
+  ['relative path', 'allowed/a.txt', 'read', false, /relative/],
+  ['null byte', `${allowed}/a.txt\0.png`, 'read', false, /invalid path/],
+  ['directory symlink escape', path.join(allowed, 'escape', 'secret.txt'), 'read', false, /symlink target/],
+  ['new file under escaping symlink', path.join(allowed, 'escape', 'new.txt'), 'write', false, /symlink target/],
+  ['file symlink escape', path.join(allowed, 'link.txt'), 'read', false, /symlink target/],
+  ['symlink within root', path.join(allowed, 'inner'), 'read', false, null],
+  ['symlink between roots', path.join(readonly, 'into-allowed.txt'), 'read', false, /symlink target/],
+  ['deny glob directory', path.join(allowed, '.ssh'), 'read', false, /deny pattern \*\*\/\.ssh\/\*\*/],
+  ['deny glob contents', path.join(allowed, '.ssh', 'id_rsa'), 'read', false, /deny pattern/],
+  ['deny file name', path.join(allowed, '.env'), 'read', false, /deny pattern \.env/],
+  ['deny file name, other case', path.join(allowed, '.ENV'), 'read', true, /deny pattern/],
+  ['read-only root read', path.join(readonly, 'r.txt'), 'read', false, null],
+  ['read-only root write', path.join(readonly, 'r.txt'), 'write', false, /read-only/],
+  ['read-only new file', path.join(readonly, 'n.txt'), 'write', false, /read-only/],
+  ['different case, sensitive', allowed.toUpperCase() + '/a.txt', 'read', false, /outside allowed directories/],
+  ['different case, insensitive', allowed.replace(/allowed$/, 'ALLOWED') + '/a.txt', 'read', true, null],
+  ['composed unicode', path.join(allowed, 'Café.txt'), 'read', false, null],
+  ['decomposed unicode', path.join(allowed, 'Cafe\u0301.txt'), 'read', false, null],
+];
+
+for (const [description, filePath, access, caseInsensitive, expected] of matrix) {
+  configure(caseInsensitive);
+  const result = pathSecurity.checkPath(filePath, access);
+
+  if (expected === null) {
+    assert.ok(!result.error, `${description}: expected ${filePath} to be allowed, got "${result.error}"`);
+    assert.strictEqual(result.path, path.normalize(filePath).normalize('NFC'), description);
+  } else {
+    assert.ok(result.error, `${description}: expected ${filePath} to be refused`);
+    assert.ok(expected.test(result.error), `${description}: unexpected error "${result.error}"`);
+  }
+}
+
+// Requests: write tools are refused under read-only roots, and every path
+// argument is checked
+configure(false);
+
+const call = (name, args) => pathSecurity.processRequest({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'tools/call',
+  params: { name, arguments: args },
+});
+
+assert.ok(!call('read_file', { path: path.join(readonly, 'r.txt') }).__violation);
+assert.ok(call('write_file', { path: path.join(readonly, 'r.txt'), content: 'x' }).__violation);
+assert.ok(call('move_file', { source: path.join(allowed, 'a.txt'), destination: path.join(readonly, 'a.txt') }).__violation);
+assert.ok(call('read_multiple_files', { paths: [path.join(allowed, 'a.txt'), path.join(allowed, 'link.txt')] }).__violation);
+
+const denied = call('read_file', { path: path.join(allowed, '.env') });
+assert.match(denied.__violation.message, /^Access denied to path: .*\.env \(matches deny pattern \.env\)$/);
+
+const ok = call('read_multiple_files', { paths: [`${allowed}/sub/../a.txt`] });
+assert.deepStrictEqual(ok.params.arguments.paths, [path.join(allowed, 'a.txt')]);
+
+// Mapping to container paths copies the request, leaving the client's
+// arguments with the host paths it sent
+pathMapping.configure([`${allowed}=/projects`]);
+const vetted = call('move_file', { source: path.join(allowed, 'a.txt'), destination: path.join(allowed, 'sub', 'b.txt') });
+const mapped = pathMapping.processRequest(vetted);
+assert.deepStrictEqual(mapped.params.arguments, { source: '/projects/a.txt', destination: '/projects/sub/b.txt' });
+assert.deepStrictEqual(vetted.params.arguments, { source: path.join(allowed, 'a.txt'), destination: path.join(allowed, 'sub', 'b.txt') });
+assert.deepStrictEqual(pathMapping.processRequest(call('read_multiple_files', { paths: [path.join(allowed, 'a.txt')] })).params.arguments.paths, ['/projects/a.txt']);
+pathMapping.configure([]);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+console.log(`Path security tests passed (${matrix.length} cases)`);
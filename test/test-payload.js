@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_SERVER_EVENTS = 'false';
+process.env.MCP_CACHE = 'false';
+process.env.MCP_MAX_RESPONSE_SIZE = '100000';
+process.env.MCP_COMPRESS_REQUESTS = 'true';
+process.env.MCP_COMPRESS_MIN_BYTES = '1000';
+
+const payload = require('../lib/payload');
+const { CONFIG, endpoints, session, handleMessage } = require('../lib/mcp-shim');
+
+// A body split into chunks, with a multi-byte character across a boundary
+const chunked = (...parts) => Readable.from(parts.map(part => Buffer.from(part)));
+const euro = Buffer.from('€');
+
+// Parse a text split at every pair of positions
+function parseSplit(text, options) {
+  const bytes = Buffer.from(text);
+  const values = [];
+  for (let i = 0; i <= bytes.length; i++) {
+    for (let j = i; j <= bytes.length; j++) {
+      const parser = payload.createJsonParser(options);
+      [bytes.subarray(0, i), bytes.subarray(i, j), bytes.subarray(j)].forEach(part => parser.write(part));
+      values.push(parser.end());
+    }
+  }
+  return values;
+}
+
+// The incremental parser agrees with JSON.parse wherever the chunks break
+const sample = '{"a": [1, -2.5e3, true, false, null, "q\\"b\\\\s\\u00e9€"], "b": {}, "c": [[]], "__proto__": {"p": 1}}';
+for (const value of parseSplit(sample)) {
+  assert.deepStrictEqual(value, JSON.parse(sample));
+}
+for (const invalid of ['', '{', '{"a"}', '[1,]', '{"a":1,}', '01', 'tru', '[1 2]', '"a', '1 2', '{"a":1}}', '[}', '{1:2}', '"\\x"']) {
+  assert.throws(() => {
+    const parser = payload.createJsonParser();
+    parser.write(invalid);
+    parser.end();
+  }, SyntaxError, invalid);
+}
+
+// Past the string bytes to keep, strings are cut on whole characters and
+// escapes; keys and everything else are kept
+for (const [keepBytes, expected] of [[4, 'ab'], [6, 'ab€'], [7, 'ab€\n']]) {
+  for (const value of parseSplit('{"t": "ab€\\n€", "key": "xyz", "n": [5]}', { keepBytes })) {
+    assert.deepStrictEqual(value, { t: expected, key: '', n: [5] });
+  }
+}
+
+(async () => {
+  // Bodies are read up to the limit and no further
+  assert.deepStrictEqual(await payload.readJson(chunked('{"a":', '[1,2]}'), 100), { a: [1, 2] });
+  await assert.rejects(payload.readJson(chunked('{"a":"', 'x'.repeat(200), '"}'), 100), (error) =>
+    error instanceof payload.ResponseTooLargeError && error.limit === 100
+  );
+
+  // Or read to the end, keeping only what fits
+  const cut = await payload.readJsonTruncated(chunked('{"a":"', 'x'.repeat(200), '","b":1}'), 100);
+  assert.deepStrictEqual(cut, { value: { a: 'x'.repeat(100), b: 1 }, bytes: 214, dropped: 100 });
+  await assert.rejects(payload.readJsonTruncated(chunked(JSON.stringify(new Array(100).fill(1))), 100), payload.ResponseTooLargeError);
+  assert.deepStrictEqual((await payload.readJsonTruncated(chunked('{"a":', '[1,2]}'), 100)).dropped, 0);
+
+  const text = await payload.readText(Readable.from([euro.subarray(0, 2), Buffer.concat([euro.subarray(2), Buffer.from('abc')])]), 4);
+  assert.strictEqual(text, '€a...');
+
+  // Only bodies above the threshold are compressed
+  assert.deepStrictEqual(await payload.encodeBody('{}', 1000), { body: '{}', encoding: null });
+  const encoded = await payload.encodeBody('x'.repeat(2000), 1000);
+  assert.strictEqual(encoded.encoding, 'gzip');
+  assert.strictEqual(zlib.gunzipSync(encoded.body).toString(), 'x'.repeat(2000));
+
+  // Truncation keeps whole characters and says what was dropped
+  assert.strictEqual(payload.truncateText('a€b', 3), 'a');
+  assert.strictEqual(payload.truncateResult({ content: [{ type: 'text', text: 'short' }] }, 1000), null);
+  const truncated = payload.truncateResult({
+    content: [{ type: 'text', text: 'y'.repeat(500) }, { type: 'image', data: 'z'.repeat(500), mimeType: 'image/png' }],
+  }, 200);
+  assert.strictEqual(truncated.content.length, 2);
+  assert.ok(truncated.content[0].text.length < 200);
+  assert.match(truncated.content[1].text, /truncated: \d+ bytes exceeds the 200 byte limit and 1 content item\(s\) omitted/);
+
+  // A proxy that gzips its responses, records how requests arrived, and can
+  // refuse compressed bodies
+  const received = [];
+  let acceptGzip = true;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const gzipped = req.headers['content-encoding'] === 'gzip';
+      received.push(gzipped);
+      if (gzipped && !acceptGzip) {
+        res.writeHead(415);
+        return res.end('Unsupported Content-Encoding');
+      }
+
+      const body = Buffer.concat(chunks);
+      const message = JSON.parse((gzipped ? zlib.gunzipSync(body) : body).toString());
+      const size = message.params?.arguments?.size || 10;
+      const result = { content: [{ type: 'text', text: 'r'.repeat(size) }] };
+      const reply = JSON.stringify({ jsonrpc: '2.0', id: message.id, result });
+
+      if (/gzip/.test(req.headers['accept-encoding'] || '')) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+        return res.end(zlib.gzipSync(reply));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(reply);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoints.configure(`http://127.0.0.1:${server.address().port}`, 'failover');
+
+  const call = (id, size, content = '') => handleMessage({
+    jsonrpc: '2.0',
+    id,
+    method: 'tools/call',
+    params: { name: 'read_file', arguments: { path: '/tmp/x', size, content } },
+  });
+
+  // Small requests go uncompressed and compressed responses are decoded
+  let response = await call(1, 50000);
+  assert.strictEqual(response.result.content[0].text.length, 50000);
+  assert.deepStrictEqual(received, [false]);
+
+  // Large requests are compressed
+  response = await call(2, 10, 'c'.repeat(5000));
+  assert.strictEqual(response.result.content[0].text.length, 10);
+  assert.deepStrictEqual(received, [false, true]);
+
+  // Responses over MCP_MAX_RESPONSE_SIZE become a clean error, even though
+  // the compressed body is tiny
+  response = await call(3, 500000);
+  assert.strictEqual(response.error.code, -32004);
+  assert.deepStrictEqual(response.error.data, { source: 'shim', limit: 100000 });
+  assert.strictEqual(endpoints.list[0].breaker.state, 'closed');
+
+  // Results can be truncated to a smaller size instead
+  CONFIG.truncateResponseSize = 1000;
+  response = await call(4, 50000);
+  assert.ok(!response.error);
+  assert.match(response.result.content[1].text, /Response truncated/);
+
+  // Including results over MCP_MAX_RESPONSE_SIZE, which are cut as they are
+  // read, where they would otherwise fail
+  response = await call(5, 500000);
+  assert.ok(!response.error);
+  assert.ok(response.result.content[0].text.length < 1000);
+  assert.match(response.result.content[1].text, /Response truncated: \d{6} bytes exceeds the 1000 byte limit/);
+
+  // Even when the truncation size is above the limit
+  CONFIG.truncateResponseSize = 1000000;
+  response = await call(6, 500000);
+  assert.ok(response.result.content[0].text.length < 100000);
+  assert.match(response.result.content[1].text, /Response truncated: \d{6} bytes exceeds the 100000 byte limit/);
+  CONFIG.truncateResponseSize = 0;
+
+  // A server that can't read compressed bodies gets plain ones from then on
+  acceptGzip = false;
+  response = await call(7, 10, 'c'.repeat(5000));
+  assert.strictEqual(response.result.content[0].text.length, 10);
+  assert.deepStrictEqual(received.slice(-2), [true, false]);
+  assert.strictEqual(session.compressRequests, false);
+
+  endpoints.stop();
+  server.close();
+  console.log('Payload tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
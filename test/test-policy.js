@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPolicy, evaluate, isToolVisible, PolicyConfigError } = require('../lib/policy');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-policy-test-'));
+
+// Write a policy file and load it
+function load(data) {
+  const file = path.join(tmpDir, 'policy.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return loadPolicy(file);
+}
+
+// No policy file means everything is allowed
+assert.strictEqual(loadPolicy(path.join(tmpDir, 'missing.json')), null);
+assert.strictEqual(evaluate(null, 'filesystem', 'write_file').action, 'allow');
+
+const policy = load({
+  servers: {
+    '*': { maxResponseBytes: 1000, tools: { 'secret_*': 'deny' } },
+    filesystem: {
+      tools: {
+        write_file: { action: 'deny', message: 'writes are disabled' },
+        move_file: 'confirm',
+        edit_file: { dryRun: true, maxResponseBytes: 50 },
+        'read_*': { arguments: { path: { pattern: '^/Users/me/' }, encoding: { values: ['utf8'] } } },
+      },
+    },
+    memory: { default: 'deny', tools: { read_graph: 'allow' } },
+  },
+});
+
+// Exact rules, with the rule location in every decision
+let decision = evaluate(policy, 'filesystem', 'write_file', { path: '/Users/me/a' });
+assert.strictEqual(decision.action, 'deny');
+assert.strictEqual(decision.rule, 'servers.filesystem.tools.write_file');
+assert.strictEqual(decision.reason, 'writes are disabled');
+
+decision = evaluate(policy, 'filesystem', 'move_file');
+assert.strictEqual(decision.action, 'confirm');
+assert.match(decision.reason, /requires confirmation/);
+
+decision = evaluate(policy, 'filesystem', 'edit_file');
+assert.strictEqual(decision.dryRun, true);
+assert.strictEqual(decision.maxResponseBytes, 50);
+assert.strictEqual(decision.limitRule, 'servers.filesystem.tools.edit_file.maxResponseBytes');
+
+// Wildcard rules and argument constraints, including array values
+assert.strictEqual(evaluate(policy, 'filesystem', 'read_file', { path: '/Users/me/notes.txt' }).action, 'allow');
+decision = evaluate(policy, 'filesystem', 'read_multiple_files', { path: ['/Users/me/a', '/etc/passwd'] });
+assert.strictEqual(decision.action, 'deny');
+assert.strictEqual(decision.rule, 'servers.filesystem.tools.read_*.arguments.path');
+assert.strictEqual(evaluate(policy, 'filesystem', 'read_file', { path: '/Users/me/a', encoding: 'latin1' }).action, 'deny');
+
+// Server-wide "*" policy applies when the server has no matching rule
+assert.strictEqual(evaluate(policy, 'weather', 'secret_key').action, 'deny');
+decision = evaluate(policy, 'weather', 'forecast');
+assert.strictEqual(decision.action, 'allow');
+assert.strictEqual(decision.maxResponseBytes, 1000);
+assert.strictEqual(decision.limitRule, 'servers.*.maxResponseBytes');
+
+// Default actions
+assert.strictEqual(evaluate(policy, 'memory', 'read_graph').action, 'allow');
+assert.strictEqual(evaluate(policy, 'memory', 'delete_entities').rule, 'servers.memory.default');
+assert.strictEqual(evaluate(policy, 'memory', 'delete_entities').action, 'deny');
+
+// Denied tools are hidden from tools/list; confirm and dry-run tools are not
+assert.strictEqual(isToolVisible(policy, 'filesystem', 'write_file'), false);
+assert.strictEqual(isToolVisible(policy, 'filesystem', 'move_file'), true);
+assert.strictEqual(isToolVisible(policy, 'filesystem', 'secret_thing'), false);
+assert.strictEqual(isToolVisible(policy, 'memory', 'create_entities'), false);
+
+// Invalid files are rejected with the location of the problem
+const invalid = [
+  ['[', /malformed JSON/],
+  [{}, /at servers: must map server names/],
+  [{ servers: { fs: { tools: { x: 'maybe' } } } }, /at servers\.fs\.tools\.x: must be one of allow, deny, confirm/],
+  [{ servers: { fs: { default: 'nope' } } }, /at servers\.fs\.default/],
+  [{ servers: { fs: { maxResponseBytes: -1 } } }, /at servers\.fs\.maxResponseBytes/],
+  [{ servers: { fs: { tools: { x: { arguments: { p: { pattern: '[' } } } } } } }, /at servers\.fs\.tools\.x\.arguments\.p\.pattern/],
+  [{ servers: { fs: { tools: { x: { dryrun: true } } } } }, /unknown property "dryrun"/],
+];
+
+for (const [data, message] of invalid) {
+  assert.throws(() => load(data), (error) => error instanceof PolicyConfigError && message.test(error.message));
+}
+
+// A shim applying a policy to a filesystem server whose container mounts the
+// host directory elsewhere: rules see the host paths the client sent, and
+// the server gets its own paths
+(async () => {
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const hostDir = fs.realpathSync(tmpDir);
+  const policyFile = path.join(tmpDir, 'mapped-policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({
+    servers: {
+      filesystem: {
+        tools: {
+          read_text_file: { arguments: { path: { pattern: `^${hostDir}/` } }, maxResponseBytes: 200 },
+          edit_file: { dryRun: true },
+        },
+      },
+    },
+  }));
+  const shim = startShim({
+    MCP_PROXY_URL: url,
+    MCP_SERVER_NAME: 'filesystem',
+    MCP_ALLOWED_PATHS: hostDir,
+    MCP_PATH_MAPPINGS: `${hostDir}=/projects`,
+    MCP_POLICY_FILE: policyFile,
+  });
+
+  try {
+    await shim.initialize();
+
+    const read = { name: 'read_text_file', arguments: { path: path.join(hostDir, 'a.txt') } };
+    assert.ok((await shim.request('tools/call', read)).result);
+    assert.strictEqual(proxy.received('filesystem', 'tools/call')[0].message.params.arguments.path, '/projects/a.txt');
+
+    proxy.script('filesystem', { tool: 'read_text_file', bytes: 500 });
+    const capped = await shim.request('tools/call', { name: 'read_text_file', arguments: { path: path.join(hostDir, 'b.txt') } });
+    assert.match(capped.error.message, /exceeds the 200 byte limit set by policy rule servers\.filesystem\.tools\.read_text_file\.maxResponseBytes/);
+
+    // Dry runs are forced on the forwarded copy only
+    proxy.reset();
+    const edit = { name: 'edit_file', arguments: { path: path.join(hostDir, 'a.txt'), edits: [] } };
+    assert.ok((await shim.request('tools/call', edit)).result);
+    assert.deepStrictEqual(proxy.received('filesystem', 'tools/call')[0].message.params.arguments, { path: '/projects/a.txt', edits: [], dryRun: true });
+
+    assert.strictEqual(await shim.close(), 0, shim.stderr);
+  } finally {
+    shim.child.kill();
+    await proxy.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('Policy tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
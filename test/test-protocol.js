@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const protocol = require('../lib/protocol');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+// Versions: the client's if known, otherwise the newest the shim knows
+assert.strictEqual(protocol.negotiateVersion('2024-11-05'), '2024-11-05');
+assert.strictEqual(protocol.negotiateVersion('2099-01-01'), protocol.SUPPORTED_VERSIONS[0]);
+assert.strictEqual(protocol.negotiateVersion(undefined), protocol.SUPPORTED_VERSIONS[0]);
+
+// Client capabilities: requests from the server need a way to reach the client
+const client = { sampling: {}, roots: { listChanged: true }, elicitation: {}, experimental: {} };
+assert.deepStrictEqual(protocol.clientCapabilities(client, { version: '2025-06-18', serverRequests: true }), client);
+assert.deepStrictEqual(protocol.clientCapabilities(client, { version: '2025-03-26', serverRequests: true }), { sampling: {}, roots: { listChanged: true }, experimental: {} });
+assert.deepStrictEqual(protocol.clientCapabilities(client, { version: '2025-06-18', serverRequests: false }), { experimental: {} });
+
+// Server capabilities: notifications need the event stream, and older
+// clients don't know completions
+const server = { tools: { listChanged: true }, resources: { subscribe: true, listChanged: true }, completions: {}, logging: {} };
+assert.deepStrictEqual(protocol.serverCapabilities(server, { version: '2025-06-18', notifications: true, serverMessages: true }), server);
+assert.deepStrictEqual(protocol.serverCapabilities(server, { version: '2024-11-05', notifications: false, serverMessages: true }), {
+  tools: {},
+  resources: {},
+  logging: {},
+});
+assert.deepStrictEqual(protocol.serverCapabilities(server, { version: '2025-03-26', notifications: true, serverMessages: false }), {
+  tools: { listChanged: true },
+  resources: { subscribe: true, listChanged: true },
+  completions: {},
+});
+
+// Content older clients don't know becomes text
+const link = { type: 'resource_link', uri: 'file:///tmp/a.txt', name: 'a.txt' };
+const audio = { type: 'audio', data: 'AAAAAAAA', mimeType: 'audio/wav' };
+assert.deepStrictEqual(protocol.downgradeContent(link, '2025-03-26'), { type: 'text', text: '[a.txt](file:///tmp/a.txt)' });
+assert.strictEqual(protocol.downgradeContent(link, '2025-06-18'), link);
+assert.deepStrictEqual(protocol.downgradeContent(audio, '2024-11-05'), { type: 'text', text: '[audio/wav audio, 6 bytes]' });
+assert.strictEqual(protocol.downgradeContent(audio, '2025-03-26'), audio);
+
+// Structured tool results arrive as JSON text, unless the server sent text too
+assert.deepStrictEqual(protocol.downgradeResult('tools/call', { content: [], structuredContent: { temperature: 21 } }, '2025-03-26'), {
+  content: [{ type: 'text', text: '{"temperature":21}' }],
+});
+assert.deepStrictEqual(protocol.downgradeResult('tools/call', { content: [{ type: 'text', text: '21' }], structuredContent: { temperature: 21 } }, '2025-03-26'), {
+  content: [{ type: 'text', text: '21' }],
+});
+assert.deepStrictEqual(protocol.downgradeResult('tools/list', { tools: [{ name: 'weather', inputSchema: {}, outputSchema: {} }] }, '2025-03-26'), {
+  tools: [{ name: 'weather', inputSchema: {} }],
+});
+assert.deepStrictEqual(protocol.downgradeResult('prompts/get', { messages: [{ role: 'user', content: link }] }, '2025-03-26').messages[0].content.type, 'text');
+assert.deepStrictEqual(protocol.downgradeRequest({ id: 1, method: 'sampling/createMessage', params: { messages: [{ role: 'user', content: audio }] } }, '2024-11-05').params.messages[0].content.type, 'text');
+
+// A shim between an old client and a new server
+(async () => {
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const shims = [];
+  const start = (env) => {
+    const shim = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory', MCP_SERVER_EVENTS: 'false', ...env });
+    shims.push(shim);
+    return shim;
+  };
+  const newServer = {
+    protocolVersion: '2025-06-18',
+    capabilities: { tools: { listChanged: true }, resources: { subscribe: true }, completions: {}, logging: {} },
+    serverInfo: { name: 'memory', version: '2.0.0' },
+  };
+
+  try {
+    const old = start();
+    proxy.script('memory', { method: 'initialize', result: newServer });
+    const initialized = await old.initialize({ protocolVersion: '2024-11-05', capabilities: { sampling: {}, roots: {} } });
+    assert.deepStrictEqual(initialized.result, {
+      protocolVersion: '2024-11-05',
+      capabilities: { tools: {}, resources: {}, logging: {} },
+      serverInfo: {
+        name: 'memory',
+        version: '2.0.0',
+        shim: { name: 'mcp-compose-proxy-shim', version: require('../package.json').version, serverProtocolVersion: '2025-06-18' },
+      },
+    });
+
+    // The client's version is asked for, with its capabilities, as event
+    // streams answering requests can carry the server's requests. Later
+    // requests name the version the server chose.
+    const sentInitialize = proxy.received('memory', 'initialize')[0];
+    assert.strictEqual(sentInitialize.message.params.protocolVersion, '2024-11-05');
+    assert.deepStrictEqual(sentInitialize.message.params.capabilities, { sampling: {}, roots: {} });
+    await old.request('ping');
+    assert.strictEqual(proxy.received('memory', 'ping')[0].headers['mcp-protocol-version'], '2025-06-18');
+
+    // Results are rewritten into the client's revision
+    proxy.script('memory', {
+      tool: 'forecast',
+      result: { content: [{ type: 'resource_link', uri: 'weather://today', name: 'today' }], structuredContent: { temperature: 21 } },
+    });
+    const forecast = await old.request('tools/call', { name: 'forecast', arguments: {} });
+    assert.deepStrictEqual(forecast.result, { content: [{ type: 'text', text: '[today](weather://today)' }] });
+
+    // So are the server's requests to the client
+    const question = { jsonrpc: '2.0', id: 'q1', method: 'sampling/createMessage', params: { messages: [{ role: 'user', content: { type: 'audio', data: 'AAAA', mimeType: 'audio/wav' } }], maxTokens: 10 } };
+    proxy.script('memory', { tool: 'ask', sse: true, events: [question] });
+    await old.request('tools/call', { name: 'ask', arguments: {} });
+    const relayed = await old.waitFor(message => message.id === 'q1', 'sampling request');
+    assert.deepStrictEqual(relayed.params.messages[0].content, { type: 'text', text: '[audio/wav audio, 3 bytes]' });
+
+    // An unknown client version is answered with the newest the shim knows
+    proxy.reset();
+    const future = start();
+    const negotiated = await future.initialize({ protocolVersion: '2099-01-01' });
+    assert.strictEqual(negotiated.result.protocolVersion, protocol.SUPPORTED_VERSIONS[0]);
+    assert.strictEqual(proxy.received('memory', 'initialize')[0].message.params.protocolVersion, protocol.SUPPORTED_VERSIONS[0]);
+
+    // An unknown server version can't be translated and is passed on
+    proxy.reset();
+    const unknown = start();
+    proxy.script('memory', { method: 'initialize', result: { ...newServer, protocolVersion: '2030-01-01' } });
+    assert.strictEqual((await unknown.initialize()).result.protocolVersion, '2030-01-01');
+
+    // Over plain JSON with no event stream, the server can't reach the client
+    // except with responses
+    proxy.reset();
+    const plain = start({ MCP_STREAMABLE_HTTP: 'false' });
+    proxy.script('memory', { method: 'initialize', result: newServer });
+    const plainInitialized = await plain.initialize({ capabilities: { sampling: {}, roots: {}, experimental: {} } });
+    assert.deepStrictEqual(plainInitialized.result.capabilities, { tools: {}, resources: {}, completions: {} });
+    assert.deepStrictEqual(proxy.received('memory', 'initialize')[0].message.params.capabilities, { experimental: {} });
+
+    for (const shim of shims) {
+      assert.strictEqual(await shim.close(), 0, shim.stderr);
+    }
+  } finally {
+    shims.forEach(shim => shim.child.kill());
+    await proxy.close();
+  }
+
+  console.log('Protocol tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
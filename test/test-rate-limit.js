@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+process.env.MCP_SERVER_NAME = 'filesystem';
+process.env.MCP_LOG_LEVEL = 'error';
+process.env.MCP_RATE_LIMIT = '600';
+process.env.MCP_RATE_LIMIT_BURST = '5';
+process.env.MCP_RATE_LIMIT_MAX_WAIT_MS = '300';
+process.env.MCP_RATE_LIMIT_QUEUE = '3';
+process.env.MCP_MAX_CONCURRENT = '2';
+
+const { rateLimit, concurrency } = require('../lib/mcp-shim');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const call = (id, name) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } });
+const list = id => ({ jsonrpc: '2.0', id, method: 'tools/list' });
+const tracker = () => ({ controller: new AbortController() });
+
+(async () => {
+  // Invalid budgets are rejected
+  for (const spec of ['read_file=10/min', 'tool:read_file=10', 'tool:read_file=10/fortnight', 'tool:x=0/min']) {
+    assert.throws(() => rateLimit.configure(spec), /Invalid rate limit/, spec);
+  }
+
+  // A burst is served straight away; the next request waits for the server
+  // bucket to refill (10 per second)
+  rateLimit.configure('');
+  for (let id = 1; id <= 5; id++) {
+    assert.deepStrictEqual(await rateLimit.acquire(list(id)), { ok: true });
+  }
+  let started = Date.now();
+  assert.deepStrictEqual(await rateLimit.acquire(list(6)), { ok: true });
+  assert.ok(Date.now() - started >= 80, 'expected the sixth request to be delayed');
+
+  // Per-tool budgets are separate from each other and add to the server budget
+  rateLimit.configure('tool:write_file=60/min:burst=1,method:tools/call=6000/min');
+  assert.strictEqual(rateLimit.buckets.get('tool:write_file').capacity, 1);
+  assert.deepStrictEqual(await rateLimit.acquire(call(1, 'write_file')), { ok: true });
+  let result = await rateLimit.acquire(call(2, 'write_file'));
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.scope, 'tool:write_file');
+  assert.ok(result.retryAfterMs > 300 && result.retryAfterMs <= 1000);
+  assert.deepStrictEqual(await rateLimit.acquire(call(3, 'read_file')), { ok: true });
+
+  // Only a bounded number of requests may wait; the rest are rejected
+  rateLimit.configure('');
+  for (let id = 1; id <= 5; id++) {
+    await rateLimit.acquire(list(id));
+  }
+  const queued = [1, 2, 3].map(id => rateLimit.acquire(list(id)));
+  result = await rateLimit.acquire(list(4));
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.scope, 'server');
+  assert.strictEqual(rateLimit.waiting, 3);
+  for (const waiting of await Promise.all(queued)) {
+    assert.deepStrictEqual(waiting, { ok: true });
+  }
+  assert.strictEqual(rateLimit.waiting, 0);
+
+  // A cancelled request stops waiting and returns its token
+  rateLimit.configure('');
+  for (let id = 1; id <= 5; id++) {
+    await rateLimit.acquire(list(id));
+  }
+  const tracked = tracker();
+  const pending = rateLimit.acquire(list(6), tracked);
+  const tokens = rateLimit.buckets.get('server').tokens;
+  tracked.controller.abort();
+  assert.strictEqual(await pending, null);
+  assert.strictEqual(rateLimit.buckets.get('server').tokens, tokens + 1);
+
+  // The concurrency cap hands slots over in arrival order, skipping
+  // requests that were cancelled while waiting
+  assert.strictEqual(await concurrency.acquire(), true);
+  assert.strictEqual(await concurrency.acquire(), true);
+  const order = [];
+  const cancelled = tracker();
+  const first = concurrency.acquire(cancelled).then(held => order.push(['first', held]));
+  const second = concurrency.acquire().then(held => order.push(['second', held]));
+  cancelled.controller.abort();
+  await first;
+  concurrency.release();
+  await second;
+  assert.deepStrictEqual(order, [['first', false], ['second', true]]);
+  assert.strictEqual(concurrency.active, 2);
+  concurrency.release();
+  concurrency.release();
+  assert.strictEqual(concurrency.active, 0);
+
+  // A request waiting to retry gives its slot to the next one meanwhile
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const shim = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory', MCP_MAX_CONCURRENT: '1', MCP_RETRY_INITIAL_DELAY_MS: '2000' });
+  try {
+    await shim.initialize();
+    proxy.script('memory', { tool: 'slow', status: 502 });
+    const retried = shim.request('tools/call', { name: 'slow', arguments: {} });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const started = Date.now();
+    assert.ok((await shim.request('tools/call', { name: 'fast', arguments: {} })).result);
+    assert.ok(Date.now() - started < 1000, 'fast request waited for the retry');
+    assert.ok((await retried).result);
+    assert.strictEqual(await shim.close(), 0, shim.stderr);
+  } finally {
+    shim.child.kill();
+    await proxy.close();
+  }
+
+  console.log('Rate limit tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadRoutes, resolveRoute, RouteConfigError } = require('../lib/routes');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-routes-test-'));
+
+// Write a routes file and load it
+function load(data) {
+  const file = path.join(tmpDir, 'routes.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return loadRoutes(file);
+}
+
+// Built-in routes apply when there is no routes file
+const builtIn = loadRoutes(path.join(tmpDir, 'missing.json'));
+const fsRoute = resolveRoute(builtIn, 'npx', ['-y', '@modelcontextprotocol/server-filesystem', '/tmp', '--verbose', '/home'], {});
+assert.deepStrictEqual(fsRoute, {
+  server: 'filesystem',
+  proxyUrl: 'http://localhost:9876',
+  apiKey: '',
+  allowedPaths: ['/tmp', '/home'],
+  pathMappings: [],
+});
+assert.strictEqual(resolveRoute(builtIn, 'mcp-npx', ['@modelcontextprotocol/server-memory'], {}).server, 'memory');
+assert.strictEqual(resolveRoute(builtIn, 'npx', ['cowsay'], {}), null);
+assert.strictEqual(resolveRoute(builtIn, 'uvx', ['server-memory'], {}), null);
+
+// File routes take precedence and support packages, commands and options
+const table = load({
+  defaults: { proxyUrl: 'http://defaults:9876', apiKeyEnv: 'TEST_KEY' },
+  routes: [
+    { server: 'fetch', match: { command: 'uvx', package: 'mcp-server-fetch' }, apiKey: 'route-key' },
+    { server: 'github', match: { command: ['docker', 'podman'], pattern: '^ghcr\\.io/github/' } },
+    {
+      server: 'files',
+      match: { package: '@modelcontextprotocol/server-filesystem' },
+      proxyUrl: 'https://files:9876/',
+      extract: { allowedPaths: { option: '--root' } },
+      pathMappings: { '/Users/me/Documents': '/projects/Documents' },
+    },
+  ],
+});
+
+assert.deepStrictEqual(resolveRoute(table, 'uvx', ['mcp-server-fetch==0.6.2'], {}), {
+  server: 'fetch',
+  proxyUrl: 'http://defaults:9876',
+  apiKey: 'route-key',
+  allowedPaths: [],
+  pathMappings: [],
+});
+
+const github = resolveRoute(table, 'podman', ['run', '-i', 'ghcr.io/github/github-mcp-server'], { TEST_KEY: 'env-key', MCP_PROXY_URL: 'http://env:1' });
+assert.strictEqual(github.server, 'github');
+assert.strictEqual(github.proxyUrl, 'http://env:1');
+assert.strictEqual(github.apiKey, 'env-key');
+
+const files = resolveRoute(table, 'npx', ['@modelcontextprotocol/server-filesystem@1.0.0', '--root', '/a', '--root=/b', '/ignored'], {});
+assert.strictEqual(files.server, 'files');
+assert.strictEqual(files.proxyUrl, 'https://files:9876');
+assert.deepStrictEqual(files.allowedPaths, ['/a', '/b']);
+assert.deepStrictEqual(files.pathMappings, ['/Users/me/Documents=/projects/Documents']);
+
+// Several proxies, as an array or a comma-separated string
+const pooled = load({
+  routes: [
+    { server: 'memory', match: { package: 'server-memory' }, proxyUrl: ['http://a:9876/', { url: 'http://b:9876', weight: 2 }] },
+    { server: 'fetch', match: { package: 'mcp-server-fetch' }, proxyUrl: 'http://a:9876,http://b:9876;weight=2' },
+  ],
+});
+assert.strictEqual(resolveRoute(pooled, 'npx', ['server-memory'], {}).proxyUrl, 'http://a:9876,http://b:9876;weight=2');
+assert.strictEqual(resolveRoute(pooled, 'npx', ['mcp-server-fetch'], {}).proxyUrl, 'http://a:9876,http://b:9876;weight=2');
+
+// Built-ins still apply after file routes, unless disabled
+assert.strictEqual(resolveRoute(table, 'npx', ['server-weather'], {}).server, 'weather');
+assert.strictEqual(resolveRoute(load({ includeDefaults: false, routes: [] }), 'npx', ['server-weather'], {}), null);
+
+// Invalid files are rejected with the location of the problem
+const invalid = [
+  ['{ not json', /malformed JSON/],
+  [{ routes: {} }, /at routes: must be an array/],
+  [{ routes: [{ server: 'a b', match: { pattern: 'x' } }] }, /at routes\[0\]\.server/],
+  [{ routes: [{ server: 'a', match: {} }] }, /at routes\[0\]\.match: needs a "package" or "pattern"/],
+  [{ routes: [{ server: 'a', match: { pattern: '(' } }] }, /at routes\[0\]\.match\.pattern/],
+  [{ routes: [{ server: 'a', match: { packge: 'x' } }] }, /unknown property "packge"/],
+  [{ routes: [{ server: 'a', match: { package: 'x' }, proxyUrl: 'ftp://x' }] }, /unsupported protocol "ftp:"/],
+  [{ routes: [{ server: 'a', match: { package: 'x' }, extract: { allowedPaths: 'all' } }] }, /extract\.allowedPaths/],
+  [{ routes: [{ server: 'a', match: { package: 'x' }, proxyUrl: ['http://a:1', { url: 'http://b:1', weight: 0 }] }] }, /at routes\[0\]\.proxyUrl: weight for http:\/\/b:1 must be a positive integer/],
+  [{ defaults: { proxyUrl: [] } }, /at defaults\.proxyUrl: must be a URL/],
+  [{ defaults: { apiKey: 'a', apiKeyEnv: 'B' } }, /at defaults: set either/],
+  [{ version: 2 }, /unsupported version 2/],
+  [{ routes: [{ server: 'a', match: { package: 'x' }, pathMappings: { relative: '/c' } }] }, /pathMappings: "relative" must be an absolute host path/],
+];
+
+for (const [data, message] of invalid) {
+  assert.throws(() => load(data), (error) => error instanceof RouteConfigError && message.test(error.message));
+}
+
+// The shim reads the routes file only when the environment leaves a
+// connection setting out, and an invalid one is a startup error, not an exit
+// while the module is loaded
+(async () => {
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const broken = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(broken, '{ not json');
+
+  try {
+    const required = await new Promise((resolve) => {
+      const shimPath = path.resolve(__dirname, '../lib/mcp-shim.js');
+      execFile(process.execPath, ['-e', `require(${JSON.stringify(shimPath)})`], { env: { ...process.env, MCP_ROUTES_FILE: broken, MCP_LOG_LEVEL: 'error' }, timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ status: error ? error.code : 0, stderr });
+      });
+    });
+    assert.strictEqual(required.status, 0, required.stderr);
+
+    const resolved = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory', MCP_PATH_MAPPINGS: '', MCP_ROUTES_FILE: broken });
+    assert.ok((await resolved.initialize()).result);
+    assert.strictEqual(await resolved.close(), 0, resolved.stderr);
+
+    const unresolved = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory', MCP_ROUTES_FILE: broken });
+    assert.strictEqual(await unresolved.close(), 1);
+    assert.match(unresolved.stderr, /^ERROR: .*malformed JSON/m);
+  } finally {
+    await proxy.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('Route tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const { startShim } = require('./support/shim-harness');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A proxy with a GET event stream. Each initialize starts a new session;
+// streams for sessions in `expired` get a 404, others either stay open or,
+// with `retry` set, send a retry field and close straight away.
+const state = { sessions: 0, initializes: 0, gets: [], expired: new Set(), retry: null, open: [] };
+const proxy = http.createServer((req, res) => {
+  const session = req.headers['mcp-session-id'];
+  if (req.method === 'GET') {
+    state.gets.push({ session, at: Date.now() });
+    if (state.expired.has(session) || state.expired.has('*')) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    if (state.retry !== null) {
+      return res.end(`retry: ${state.retry}\ndata:\n\n`);
+    }
+    state.open.push(res);
+    return res.write(': open\n\n');
+  }
+  if (req.method === 'DELETE') {
+    res.writeHead(200);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const message = JSON.parse(body);
+    if (message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+    if (message.method === 'initialize') {
+      state.initializes++;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': `s-${++state.sessions}` });
+      return res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: '2025-06-18', capabilities: {} } }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} }));
+  });
+});
+
+/**
+ * Forget everything the proxy saw and close its open streams
+ */
+function reset() {
+  state.open.forEach(res => res.end());
+  Object.assign(state, { initializes: 0, gets: [], expired: new Set(), retry: null, open: [] });
+}
+
+(async () => {
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  const env = {
+    MCP_PROXY_URL: `http://127.0.0.1:${proxy.address().port}`,
+    MCP_SERVER_NAME: 'memory',
+    MCP_SERVER_EVENTS: 'true',
+    MCP_SERVER_EVENTS_RECONNECT_MS: '300',
+  };
+  const shims = [];
+  const start = () => {
+    const shim = startShim(env);
+    shims.push(shim);
+    return shim;
+  };
+
+  try {
+    // A server asking to be reconnected to at once is reconnected to no
+    // sooner than MCP_SERVER_EVENTS_RECONNECT_MS
+    state.retry = 0;
+    const eager = start();
+    await eager.initialize();
+    await sleep(1000);
+    assert.ok(state.gets.length >= 2 && state.gets.length <= 5, `${state.gets.length} reconnections`);
+    eager.child.kill();
+
+    // A stream refused for an expired session starts a new session, whose
+    // stream is then kept open
+    reset();
+    state.expired.add(`s-${state.sessions + 1}`);
+    const expiring = start();
+    await expiring.initialize();
+    await sleep(500);
+    assert.strictEqual(state.initializes, 2);
+    assert.deepStrictEqual(state.gets.map(get => get.session), [`s-${state.sessions - 1}`, `s-${state.sessions}`]);
+    assert.strictEqual(state.open.length, 1);
+    expiring.child.kill();
+
+    // If the new session's stream is refused too, the shim stops trying
+    // rather than starting session after session
+    reset();
+    state.expired.add('*');
+    const refused = start();
+    await refused.initialize();
+    await sleep(1000);
+    assert.strictEqual(state.initializes, 2);
+    assert.strictEqual(state.gets.length, 2);
+    refused.child.kill();
+  } finally {
+    shims.forEach(shim => shim.child.kill());
+    reset();
+    proxy.close();
+  }
+
+  console.log('Server event tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,34 +1,26 @@
 #!/usr/bin/env node
 
+const assert = require('assert');
 const { spawn } = require('child_process');
 const path = require('path');
+const readline = require('readline');
 
 // Path to our fake npx
 const fakenpx = path.resolve(__dirname, '../bin/npx');
 
-// Environment variables
+// A recorded filesystem session, replayed so the test needs no proxy
 const env = {
   ...process.env,
   MCP_PROXY_URL: 'http://localhost:9876',
-  MCP_DEBUG: 'true'
+  MCP_REPLAY_FILE: path.resolve(__dirname, 'fixtures/filesystem-session.jsonl'),
+  // Files that don't exist, so the developer's own routes and policy don't apply
+  MCP_ROUTES_FILE: path.resolve(__dirname, 'fixtures/no-routes.json'),
+  MCP_POLICY_FILE: path.resolve(__dirname, 'fixtures/no-policy.json'),
+  MCP_CACHE_DIR: '',
+  MCP_LOG_LEVEL: 'error',
 };
 
-// Mock an initialize request
-const initRequest = {
-  jsonrpc: "2.0",
-  id: 1,
-  method: "initialize",
-  params: {
-    protocolVersion: "2024-01-01",
-    capabilities: {},
-    clientInfo: {
-      name: "Test Client",
-      version: "1.0.0"
-    }
-  }
-};
-
-// Spawn the fake npx with filesystem server args
+// Spawn the fake npx with filesystem server args, as Claude Desktop would
 const npxProcess = spawn(fakenpx, [
   "-y",
   "@modelcontextprotocol/server-filesystem",
@@ -37,25 +29,72 @@ const npxProcess = spawn(fakenpx, [
   env: env
 });
 
-// Log stdout and stderr
-npxProcess.stdout.on('data', (data) => {
-  console.log(`STDOUT: ${data.toString().trim()}`);
+let stderr = '';
+npxProcess.stderr.on('data', (data) => {
+  stderr += data;
 });
 
-npxProcess.stderr.on('data', (data) => {
-  console.error(`STDERR: ${data.toString().trim()}`);
+// Responses by id
+const waiting = new Map();
+readline.createInterface({ input: npxProcess.stdout }).on('line', (line) => {
+  const message = JSON.parse(line);
+  const resolve = waiting.get(message.id);
+  assert.ok(resolve, `Unexpected message: ${line}`);
+  waiting.delete(message.id);
+  resolve(message);
 });
 
-// Send test request
-npxProcess.stdin.write(JSON.stringify(initRequest) + '\n');
+let nextId = 0;
+function request(method, params) {
+  const id = ++nextId;
+  return new Promise((resolve) => {
+    waiting.set(id, resolve);
+    npxProcess.stdin.write(JSON.stringify({ jsonrpc: "2.0", id, method, params }) + '\n');
+  });
+}
 
-// Handle exit
-npxProcess.on('close', (code) => {
-  console.log(`Child process exited with code ${code}`);
-});
+const timer = setTimeout(() => {
+  console.error(`Timed out. Shim stderr:\n${stderr}`);
+  npxProcess.kill();
+  process.exit(1);
+}, 15000);
 
-// Set timeout to kill the process after 5 seconds
-setTimeout(() => {
+(async () => {
+  const initialized = await request('initialize', {
+    protocolVersion: "2024-11-05",
+    capabilities: {},
+    clientInfo: {
+      name: "Test Client",
+      version: "1.0.0"
+    }
+  });
+  assert.strictEqual(initialized.result.serverInfo.name, 'secure-filesystem-server');
+  npxProcess.stdin.write(JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" }) + '\n');
+
+  const tools = await request('tools/list', {});
+  assert.deepStrictEqual(tools.result.tools.map(tool => tool.name), ['read_file', 'list_allowed_directories']);
+
+  // Paths inside the directory given on the command line are forwarded
+  const read = await request('tools/call', { name: 'read_file', arguments: { path: '/tmp/notes.txt' } });
+  assert.deepStrictEqual(read.result.content, [{ type: 'text', text: 'Buy milk\n' }]);
+
+  // Paths outside it are refused by the shim itself
+  const denied = await request('tools/call', { name: 'read_file', arguments: { path: '/etc/passwd' } });
+  assert.strictEqual(denied.error.code, -32600);
+
+  // Anything the recording doesn't cover is reported, not sent upstream
+  const missing = await request('tools/call', { name: 'read_file', arguments: { path: '/tmp/other.txt' } });
+  assert.strictEqual(missing.error.code, -32005);
+
+  npxProcess.stdin.end();
+  const code = await new Promise(resolve => npxProcess.on('close', resolve));
+  assert.strictEqual(code, 0, stderr);
+
+  clearTimeout(timer);
+  console.log('Shim tests passed');
+})().catch((error) => {
+  console.error(error);
+  console.error(`Shim stderr:\n${stderr}`);
   npxProcess.kill();
-  console.log('Test completed');
-}, 5000);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const tracing = require('../lib/tracing');
+const { createMockProxy } = require('./support/mock-proxy');
+const { startShim } = require('./support/shim-harness');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tracing-test-'));
+
+// Trace context
+const clientTrace = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+assert.deepStrictEqual(tracing.parseTraceparent(clientTrace), {
+  traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+  spanId: '00f067aa0ba902b7',
+  sampled: true,
+});
+assert.strictEqual(tracing.parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00').sampled, false);
+assert.ok(tracing.parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-future'));
+assert.strictEqual(tracing.parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null);
+assert.strictEqual(tracing.parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), null);
+assert.strictEqual(tracing.parseTraceparent('00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01'), null);
+assert.strictEqual(tracing.parseTraceparent(undefined), null);
+assert.strictEqual(tracing.formatTraceparent(tracing.parseTraceparent(clientTrace)), clientTrace);
+
+assert.deepStrictEqual(tracing.parseHeaders('Authorization=Bearer%20abc, X-Team=tools'), { Authorization: 'Bearer abc', 'X-Team': 'tools' });
+assert.throws(() => tracing.parseHeaders('novalue'), /Invalid header/);
+
+// Spans: children share the trace, unsampled traces aren't exported
+const exported = [];
+const tracer = tracing.createTracer({ service: 'test', exporters: [{ export: span => exported.push(span), flush: async () => {}, close: async () => {}, pending: () => false }] });
+const root = tracer.startSpan('root', { kind: tracing.SPAN_KIND.SERVER, attributes: { count: 2, skipped: undefined } });
+const child = tracer.startSpan('child', { parent: root });
+assert.strictEqual(child.traceId, root.traceId);
+assert.strictEqual(child.parentSpanId, root.spanId);
+assert.deepStrictEqual(root.attributes, { count: 2 });
+child.setStatus(tracing.STATUS_CODE.ERROR, 'failed').end();
+child.end();
+root.end();
+assert.deepStrictEqual(exported.map(span => span.name), ['child', 'root']);
+tracer.startSpan('dropped', { parent: tracing.parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00') }).end();
+assert.strictEqual(exported.length, 2);
+
+const otlp = tracing.toOtlpSpan(exported[0]);
+assert.strictEqual(otlp.parentSpanId, root.spanId);
+assert.strictEqual(otlp.kind, tracing.SPAN_KIND.INTERNAL);
+assert.deepStrictEqual(otlp.status, { code: tracing.STATUS_CODE.ERROR, message: 'failed' });
+assert.ok(BigInt(otlp.endTimeUnixNano) >= BigInt(otlp.startTimeUnixNano));
+assert.deepStrictEqual(tracing.toOtlpSpan(root).attributes, [{ key: 'count', value: { intValue: '2' } }]);
+
+// A shim exporting to a file and an OTLP collector
+(async () => {
+  const batches = [];
+  const collector = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      batches.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+
+  const proxy = createMockProxy();
+  const url = await proxy.start();
+  const traceFile = path.join(tmpDir, 'spans.jsonl');
+  const shim = startShim({
+    MCP_PROXY_URL: url,
+    MCP_SERVER_NAME: 'memory',
+    MCP_TRACE_FILE: traceFile,
+    MCP_OTLP_ENDPOINT: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+    MCP_OTLP_HEADERS: 'X-Collector-Key=secret',
+  });
+
+  try {
+    await shim.initialize();
+
+    // The client's trace is continued, and each attempt is its own span
+    proxy.script('memory', { tool: 'read_graph', status: 502 });
+    const response = await shim.request('tools/call', { name: 'read_graph', arguments: {}, _meta: { traceparent: clientTrace, progressToken: 'p' } });
+    assert.ok(response.result);
+
+    const calls = proxy.received('memory', 'tools/call');
+    assert.strictEqual(calls.length, 2);
+    const headers = calls.map(call => tracing.parseTraceparent(call.headers.traceparent));
+    assert.ok(headers.every(header => header.traceId === '4bf92f3577b34da6a3ce929d0e0e4736' && header.sampled));
+    assert.notStrictEqual(headers[0].spanId, headers[1].spanId);
+
+    // The server can read the request's context from _meta too
+    const meta = calls[0].message.params._meta;
+    assert.strictEqual(meta.progressToken, 'p');
+    const requestContext = tracing.parseTraceparent(meta.traceparent);
+    assert.strictEqual(requestContext.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+
+    assert.strictEqual(await shim.close(), 0, shim.stderr);
+
+    // Spans in the file: the request, with one child per attempt
+    const spans = fs.readFileSync(traceFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const request = spans.find(span => span.name === 'tools/call read_graph');
+    assert.strictEqual(request.kind, 'server');
+    assert.strictEqual(request.spanId, requestContext.spanId);
+    assert.strictEqual(request.parentSpanId, '00f067aa0ba902b7');
+    assert.strictEqual(request.attributes['mcp.method.name'], 'tools/call');
+    assert.strictEqual(request.attributes['gen_ai.tool.name'], 'read_graph');
+    assert.strictEqual(request.attributes['mcp_shim.outcome'], 'success');
+    assert.strictEqual(request.service, 'mcp-shim');
+
+    const attempts = spans.filter(span => span.parentSpanId === request.spanId);
+    assert.deepStrictEqual(attempts.map(span => span.spanId), headers.map(header => header.spanId));
+    assert.strictEqual(attempts[0].status.code, 'error');
+    assert.strictEqual(attempts[0].attributes['http.response.status_code'], 502);
+    assert.strictEqual(attempts[1].status.code, 'unset');
+    assert.strictEqual(attempts[1].attributes['http.request.resend_count'], 1);
+    assert.ok(attempts.every(span => span.kind === 'client' && span.durationMs >= 0));
+    assert.ok(spans.some(span => span.name === 'initialize'));
+
+    // The same spans reached the collector before the shim exited
+    assert.ok(batches.length > 0);
+    assert.strictEqual(batches[0].url, '/v1/traces');
+    assert.strictEqual(batches[0].headers['x-collector-key'], 'secret');
+    const resourceSpans = batches.flatMap(batch => batch.body.resourceSpans);
+    assert.ok(resourceSpans[0].resource.attributes.some(({ key, value }) => key === 'service.name' && value.stringValue === 'mcp-shim'));
+    const collected = resourceSpans.flatMap(item => item.scopeSpans).flatMap(scope => scope.spans);
+    assert.deepStrictEqual(collected.map(span => span.spanId).sort(), spans.map(span => span.spanId).sort());
+
+    // Tracing is off by default: no header, no _meta
+    proxy.reset();
+    const plain = startShim({ MCP_PROXY_URL: url, MCP_SERVER_NAME: 'memory' });
+    await plain.initialize();
+    await plain.request('tools/call', { name: 'read_graph', arguments: { plain: true } });
+    const call = proxy.received('memory', 'tools/call')[0];
+    assert.strictEqual(call.headers.traceparent, undefined);
+    assert.strictEqual(call.message.params._meta, undefined);
+    assert.strictEqual(await plain.close(), 0);
+
+    // A bad endpoint is a configuration error
+    const invalid = startShim({ MCP_PROXY_URL: url, MCP_OTLP_ENDPOINT: 'localhost:4318' });
+    assert.strictEqual(await invalid.close(), 1);
+    assert.match(invalid.stderr, /Invalid MCP_OTLP_ENDPOINT/);
+  } finally {
+    shim.child.kill();
+    await proxy.close();
+    collector.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('Tracing tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});